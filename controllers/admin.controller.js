@@ -3,12 +3,15 @@
 
 const pool = require("../config/database");
 const fs = require("fs");
+const sessions = require("../services/session.service");
+const loginGuard = require("../services/login-guard.service");
+const auditLog = require("../services/audit.service");
+const interments = require("../services/interment.service");
+const geometryFormat = require("../services/geometry-format.service");
+const navigation = require("../services/navigation.service");
 
-/* ---------------- role helpers ---------------- */
-function isPrivileged(user) {
-  const role = String(user?.role || "").toLowerCase();
-  return role === "admin" || role === "staff";
-}
+// Authorization happens in the router: every route in routes/admin.routes.js
+// names the permission it needs (requirePermission in middleware/auth.js).
 
 /* ---------------- tiny DB helpers (safe optional columns/tables) ---------------- */
 const _hasColumnCache = new Map();
@@ -52,9 +55,6 @@ async function hasTable(tableName) {
 ========================================================================================= */
 async function uploadPlotPhoto(req, res, next) {
   try {
-    if (!isPrivileged(req.user))
-      return res.status(403).json({ error: "Forbidden" });
-
     const identifier = req.params?.id;
     if (!identifier)
       return res.status(400).json({ error: "Missing plot identifier." });
@@ -125,6 +125,12 @@ function parseLatLngFromString(s) {
   return null;
 }
 
+// geometry / wkt / corners (+ srid) from a plot body, as WGS84; null when the body has none
+async function readPlotShape(body) {
+  const input = geometryFormat.readGeometryInput(body || {});
+  return input ? geometryFormat.toWgs84(pool, input) : null;
+}
+
 function genUid5() {
   const alphabet =
     "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
@@ -155,9 +161,6 @@ function makePlotHandlers(tableName, opts = { includePersonal: false }) {
 
   const add = async (req, res, next) => {
     try {
-      if (!isPrivileged(req.user))
-        return res.status(403).json({ error: "Forbidden" });
-
       const {
         uid: uidRaw,
         plot_name,
@@ -202,6 +205,9 @@ function makePlotHandlers(tableName, opts = { includePersonal: false }) {
         latLng = parseLatLngFromString(coordinatesRaw);
       }
 
+      // ✅ a full shape (GeoJSON / WKT / corners) takes precedence over a lat/lng point
+      const shape = await readPlotShape(req.body);
+
       const status =
         statusRaw && String(statusRaw).trim() !== ""
           ? String(statusRaw).trim()
@@ -243,7 +249,7 @@ function makePlotHandlers(tableName, opts = { includePersonal: false }) {
         addParam(uid),
         addParam(plot_name ?? null),
         addParam(plot_type ?? null),
-        addParam(size_sqm ?? null),
+        addParam(size_sqm ?? shape?.area_sqm ?? null),
         addParam(status),
         addParam(price ?? null),
         "NOW()",
@@ -280,7 +286,13 @@ function makePlotHandlers(tableName, opts = { includePersonal: false }) {
         }
       }
 
-      if (latLng) {
+      if (shape) {
+        const pShape = addParam(shape.hex);
+        for (const a of await geometryFormat.geometryAssignments(tableName, shape.type, pShape)) {
+          cols.push(a.col);
+          vals.push(a.expr);
+        }
+      } else if (latLng) {
         cols.push("coordinates");
         const pLng = addParam(Number(latLng.lng));
         const pLat = addParam(Number(latLng.lat));
@@ -294,17 +306,16 @@ function makePlotHandlers(tableName, opts = { includePersonal: false }) {
       `;
 
       const { rows } = await pool.query(sql, params);
+      if (shape && tableName === "road_plots") navigation.invalidateGraph();
       return res.status(201).json(rows[0]);
     } catch (err) {
+      if (err.status && err.status < 500) return res.status(err.status).json({ error: err.message });
       next(err);
     }
   };
 
   const edit = async (req, res, next) => {
     try {
-      if (!isPrivileged(req.user))
-        return res.status(403).json({ error: "Forbidden" });
-
       const id = req.body?.id ?? req.params?.id;
       if (!id) return res.status(400).json({ error: "id is required" });
 
@@ -352,6 +363,8 @@ function makePlotHandlers(tableName, opts = { includePersonal: false }) {
         latLng = parseLatLngFromString(coordinatesRaw);
       }
 
+      const shape = await readPlotShape(req.body);
+
       const sets = [];
       const params = [];
       let i = 1;
@@ -397,7 +410,14 @@ function makePlotHandlers(tableName, opts = { includePersonal: false }) {
         }
       }
 
-      if (latLng) {
+      if (shape) {
+        for (const a of await geometryFormat.geometryAssignments(tableName, shape.type, `$${i}`)) {
+          sets.push(`${a.col} = ${a.expr}`);
+        }
+        params.push(shape.hex);
+        i += 1;
+        if (typeof size_sqm === "undefined" && shape.area_sqm != null) addSet("size_sqm", shape.area_sqm);
+      } else if (latLng) {
         sets.push(`coordinates = ST_SetSRID(ST_MakePoint($${i}, $${i + 1}), 4326)`);
         params.push(Number(latLng.lng), Number(latLng.lat));
         i += 2;
@@ -407,22 +427,47 @@ function makePlotHandlers(tableName, opts = { includePersonal: false }) {
       if (sets.length === 1)
         return res.status(400).json({ error: "No updatable fields provided" });
 
+      // ✅ cached map tiles over the old and new geometry are dropped by a trigger (migration 010)
       const sql = `UPDATE ${tableName} SET ${sets.join(", ")} WHERE id = $${i} RETURNING *`;
       params.push(id);
 
-      const { rows } = await pool.query(sql, params);
+      // ✅ person fields of a plot that holds a grave are the grave's: edited there, in step
+      const person = includePersonal
+        ? {
+            person_full_name,
+            date_of_birth: typeof date_of_birth === "undefined" ? undefined : normDate(date_of_birth),
+            date_of_death: typeof date_of_death === "undefined" ? undefined : normDate(date_of_death),
+          }
+        : null;
+      const personEdited = person && Object.values(person).some((v) => typeof v !== "undefined");
+
+      const client = await pool.connect();
+      let rows;
+      try {
+        await client.query("BEGIN");
+        if (personEdited) await interments.editPlotPerson(client, id, person);
+        ({ rows } = await client.query(sql, params));
+        await client.query(rows.length ? "COMMIT" : "ROLLBACK");
+      } catch (err) {
+        try {
+          await client.query("ROLLBACK");
+        } catch {}
+        throw err;
+      } finally {
+        client.release();
+      }
+
       if (!rows.length) return res.status(404).json({ error: "Not found" });
+      if (shape && tableName === "road_plots") navigation.invalidateGraph();
       return res.json(rows[0]);
     } catch (err) {
+      if (err.status && err.status < 500) return res.status(err.status).json({ error: err.message });
       next(err);
     }
   };
 
   const del = async (req, res, next) => {
     try {
-      if (!isPrivileged(req.user))
-        return res.status(403).json({ error: "Forbidden" });
-
       const raw = req.params?.id ?? req.body?.id;
       if (!raw) return res.status(400).json({ error: "id (or uid) is required" });
 
@@ -490,50 +535,11 @@ async function ensureGraveUid(uidRaw) {
   throw new Error("Failed to generate unique grave uid");
 }
 
-async function plotHasAnyGrave(client, plotId) {
-  const { rows } = await client.query(
-    `SELECT COUNT(*)::int AS n FROM graves WHERE plot_id::text = $1`,
-    [String(plotId)]
-  );
-  return (rows?.[0]?.n ?? 0) > 0;
-}
-
-/**
- * ✅ Keep plots table in sync for visitor search UI (person_full_name, date_of_birth, date_of_death)
- * (only updates columns if they exist)
- */
-async function updatePlotPersonFields(client, plotId, deceasedName, birthDate, deathDate) {
-  const sets = [];
-  const params = [String(plotId)];
-  let i = 2;
-
-  const pushIf = async (col, val) => {
-    if (await hasColumn("plots", col)) {
-      sets.push(`${col} = $${i++}`);
-      params.push(val);
-    }
-  };
-
-  await pushIf("person_full_name", String(deceasedName || "").trim() || null);
-  await pushIf("date_of_birth", normDate(birthDate));
-  await pushIf("date_of_death", normDate(deathDate));
-
-  if (!sets.length) return;
-
-  await client.query(
-    `UPDATE plots SET ${sets.join(", ")}, updated_at = NOW() WHERE id::text = $1`,
-    params
-  );
-}
-
 /* =========================================================================================
    ADMIN: Burial Records (graves)
 ========================================================================================= */
 async function getBurialRecords(req, res, next) {
   try {
-    if (!isPrivileged(req.user))
-      return res.status(403).json({ error: "Forbidden" });
-
     const limit = req.query?.limit ? Number(req.query.limit) : null;
     const offset = req.query?.offset ? Number(req.query.offset) : null;
 
@@ -570,9 +576,6 @@ async function getBurialRecords(req, res, next) {
 async function addBurialRecord(req, res, next) {
   const client = await pool.connect();
   try {
-    if (!isPrivileged(req.user))
-      return res.status(403).json({ error: "Forbidden" });
-
     const {
       uid,
       plot_id,
@@ -585,6 +588,8 @@ async function addBurialRecord(req, res, next) {
       memorial_text,
       photo_url,
       is_active,
+      interment_level,
+      interment_position,
     } = req.body || {};
 
     if (!plot_id || !String(deceased_name || "").trim()) {
@@ -595,30 +600,33 @@ async function addBurialRecord(req, res, next) {
 
     await client.query("BEGIN");
 
-    const plotLock = await client.query(
-      `SELECT id, status FROM plots WHERE id::text = $1 FOR UPDATE`,
-      [String(plot_id)]
-    );
-
-    if (!plotLock.rows.length) {
+    const plot = await interments.lockPlot(client, plot_id);
+    if (!plot) {
       await client.query("ROLLBACK");
       return res.status(404).json({ error: "Plot not found" });
     }
 
-    const currentStatus = String(plotLock.rows[0].status || "").toLowerCase();
-    if (currentStatus === "occupied") {
+    // ✅ shared plots (double lots, memorial courts) take more than one interment
+    const full = interments.fullMessage(plot);
+    if (full) {
       await client.query("ROLLBACK");
-      return res.status(409).json({ error: "Plot is already occupied" });
+      return res.status(409).json({ error: full });
     }
 
+    const slot = await interments.pickSlot(client, plot, {
+      level: interment_level,
+      position: interment_position,
+    });
+
     const ins = await client.query(
       `
       INSERT INTO graves
         (uid, plot_id, deceased_name, birth_date, death_date, burial_date,
          family_contact, headstone_type, memorial_text, photo_url, is_active,
+         interment_level, interment_position,
          created_at, updated_at)
       VALUES
-        ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11, NOW(), NOW())
+        ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13, NOW(), NOW())
       RETURNING *;
       `,
       [
@@ -633,16 +641,14 @@ async function addBurialRecord(req, res, next) {
         memorial_text ?? null,
         photo_url ?? null,
         typeof is_active === "boolean" ? is_active : true,
+        slot.interment_level,
+        slot.interment_position,
       ]
     );
 
-    await client.query(
-      `UPDATE plots SET status = 'occupied', updated_at = NOW() WHERE id::text = $1`,
-      [String(plot_id)]
-    );
-
+    // plot status follows the graves (trigger, migration 016)
     // ✅ keep plots person fields synced (for visitor search/UI)
-    await updatePlotPersonFields(client, plot_id, deceased_name, birth_date, death_date);
+    await interments.syncPlotPersonFields(client, plot.id);
 
     await client.query("COMMIT");
     return res.status(201).json(ins.rows[0]);
@@ -650,6 +656,7 @@ async function addBurialRecord(req, res, next) {
     try {
       await client.query("ROLLBACK");
     } catch {}
+    if (err.status && err.status < 500) return res.status(err.status).json({ error: err.message });
     next(err);
   } finally {
     client.release();
@@ -659,9 +666,6 @@ async function addBurialRecord(req, res, next) {
 async function editBurialRecord(req, res, next) {
   const client = await pool.connect();
   try {
-    if (!isPrivileged(req.user))
-      return res.status(403).json({ error: "Forbidden" });
-
     const {
       id,
       uid,
@@ -675,6 +679,8 @@ async function editBurialRecord(req, res, next) {
       memorial_text,
       photo_url,
       is_active,
+      interment_level,
+      interment_position,
     } = req.body || {};
 
     const identifier = id || uid;
@@ -683,7 +689,8 @@ async function editBurialRecord(req, res, next) {
     await client.query("BEGIN");
 
     const cur = await client.query(
-      `SELECT id, uid, plot_id FROM graves WHERE id::text = $1 OR uid = $1 LIMIT 1`,
+      `SELECT id, uid, plot_id, interment_level, interment_position
+       FROM graves WHERE id::text = $1 OR uid = $1 LIMIT 1`,
       [String(identifier)]
     );
 
@@ -692,27 +699,40 @@ async function editBurialRecord(req, res, next) {
       return res.status(404).json({ error: "Burial record not found" });
     }
 
-    const oldPlotId = cur.rows[0].plot_id;
+    const grave = cur.rows[0];
+    const oldPlotId = grave.plot_id;
     const newPlotId = plot_id ? String(plot_id) : null;
+    const moving = newPlotId && String(oldPlotId) !== String(newPlotId);
+    const slotGiven = interment_level != null || interment_position !== undefined;
+
+    // ✅ moving to another plot or changing the slot: check room / the slot on the target plot
+    let slot = null;
+    if (moving || (slotGiven && oldPlotId)) {
+      if (moving && oldPlotId) {
+        await client.query(`SELECT id FROM plots WHERE id::text = $1 FOR UPDATE`, [
+          String(oldPlotId),
+        ]);
+      }
 
-    if (newPlotId && String(oldPlotId) !== String(newPlotId)) {
-      const lockNew = await client.query(
-        `SELECT id, status FROM plots WHERE id::text = $1 FOR UPDATE`,
-        [String(newPlotId)]
-      );
-      if (!lockNew.rows.length) {
+      const target = await interments.lockPlot(client, moving ? newPlotId : oldPlotId, {
+        excludeGraveId: grave.id,
+      });
+      if (!target) {
         await client.query("ROLLBACK");
         return res.status(404).json({ error: "New plot not found" });
       }
-      const sNew = String(lockNew.rows[0].status || "").toLowerCase();
-      if (sNew === "occupied") {
+
+      const full = moving ? interments.fullMessage(target) : null;
+      if (full) {
         await client.query("ROLLBACK");
-        return res.status(409).json({ error: "New plot is already occupied" });
+        return res.status(409).json({ error: `New plot: ${full}` });
       }
 
-      await client.query(`SELECT id FROM plots WHERE id::text = $1 FOR UPDATE`, [
-        String(oldPlotId),
-      ]);
+      slot = await interments.pickSlot(client, target, {
+        level: interment_level ?? (moving ? null : grave.interment_level),
+        position: interment_position !== undefined ? interment_position : grave.interment_position,
+        excludeGraveId: grave.id,
+      });
     }
 
     const updated = await client.query(
@@ -728,6 +748,8 @@ async function editBurialRecord(req, res, next) {
         memorial_text  = COALESCE($9, memorial_text),
         photo_url      = COALESCE($10, photo_url),
         is_active      = COALESCE($11, is_active),
+        interment_level    = CASE WHEN $12 THEN $13::smallint ELSE interment_level END,
+        interment_position = CASE WHEN $12 THEN $14 ELSE interment_position END,
         updated_at     = NOW()
       WHERE id::text = $1 OR uid = $1
       RETURNING *;
@@ -744,26 +766,17 @@ async function editBurialRecord(req, res, next) {
         typeof memorial_text === "string" ? memorial_text : null,
         typeof photo_url === "string" ? photo_url : null,
         typeof is_active === "boolean" ? is_active : null,
+        slot != null,
+        slot?.interment_level ?? null,
+        slot?.interment_position ?? null,
       ]
     );
 
+    // plot status of both plots follows the graves (trigger, migration 016)
     const finalPlotId = updated.rows[0]?.plot_id;
-
-    if (finalPlotId) {
-      await client.query(
-        `UPDATE plots SET status='occupied', updated_at=NOW() WHERE id::text=$1`,
-        [String(finalPlotId)]
-      );
-    }
-
-    if (oldPlotId && finalPlotId && String(oldPlotId) !== String(finalPlotId)) {
-      const stillUsed = await plotHasAnyGrave(client, oldPlotId);
-      if (!stillUsed) {
-        await client.query(
-          `UPDATE plots SET status='available', updated_at=NOW() WHERE id::text=$1`,
-          [String(oldPlotId)]
-        );
-      }
+    await interments.syncPlotPersonFields(client, finalPlotId);
+    if (oldPlotId && String(oldPlotId) !== String(finalPlotId)) {
+      await interments.syncPlotPersonFields(client, oldPlotId);
     }
 
     await client.query("COMMIT");
@@ -772,6 +785,7 @@ async function editBurialRecord(req, res, next) {
     try {
       await client.query("ROLLBACK");
     } catch {}
+    if (err.status && err.status < 500) return res.status(err.status).json({ error: err.message });
     next(err);
   } finally {
     client.release();
@@ -781,9 +795,6 @@ async function editBurialRecord(req, res, next) {
 async function deleteBurialRecord(req, res, next) {
   const client = await pool.connect();
   try {
-    if (!isPrivileged(req.user))
-      return res.status(403).json({ error: "Forbidden" });
-
     const identifier = req.params?.id;
     if (!identifier)
       return res.status(400).json({ error: "Missing record identifier." });
@@ -807,16 +818,8 @@ async function deleteBurialRecord(req, res, next) {
       [String(identifier)]
     );
 
-    // if that plot no longer has graves, revert plot status to available
-    if (plotId) {
-      const stillUsed = await plotHasAnyGrave(client, plotId);
-      if (!stillUsed) {
-        await client.query(
-          `UPDATE plots SET status='available', updated_at=NOW() WHERE id::text=$1`,
-          [String(plotId)]
-        );
-      }
-    }
+    // plot status follows the remaining graves (trigger, migration 016)
+    await interments.syncPlotPersonFields(client, plotId);
 
     await client.query("COMMIT");
     return res.json({ success: true, deleted: del.rows[0] });
@@ -835,8 +838,6 @@ async function deleteBurialRecord(req, res, next) {
 ========================================================================================= */
 async function getBurialRequestsAsAdmin(req, res, next) {
   try {
-    if (!isPrivileged(req.user)) return res.status(403).json({ error: "Forbidden" });
-
     if (!(await hasTable("burial_requests"))) {
       return res.json({ success: true, data: [] });
     }
@@ -877,8 +878,6 @@ async function getBurialRequestsAsAdmin(req, res, next) {
 async function confirmBurialRequestAsAdmin(req, res, next) {
   const client = await pool.connect();
   try {
-    if (!isPrivileged(req.user)) return res.status(403).json({ error: "Forbidden" });
-
     if (!(await hasTable("burial_requests"))) {
       return res.status(400).json({ error: "burial_requests table is missing." });
     }
@@ -923,22 +922,20 @@ async function confirmBurialRequestAsAdmin(req, res, next) {
     }
 
     // lock plot
-    const plotLock = await client.query(
-      `SELECT id, status FROM plots WHERE id::text = $1 FOR UPDATE`,
-      [plotId]
-    );
-    if (!plotLock.rows.length) {
+    const plot = await interments.lockPlot(client, plotId);
+    if (!plot) {
       await client.query("ROLLBACK");
       return res.status(404).json({ error: "Plot not found" });
     }
 
-    const plotStatus = String(plotLock.rows[0].status || "").toLowerCase();
-    if (plotStatus === "occupied") {
+    const full = interments.fullMessage(plot);
+    if (full) {
       await client.query("ROLLBACK");
-      return res.status(409).json({ error: "Plot is already occupied" });
+      return res.status(409).json({ error: full });
     }
 
-    // Ensure approved reservation exists (if table exists)
+    // Ensure approved reservation exists (if table exists);
+    // a completed one still covers the family's later interments in a shared plot
     if (await hasTable("plot_reservations")) {
       const ok = await client.query(
         `
@@ -946,7 +943,7 @@ async function confirmBurialRequestAsAdmin(req, res, next) {
         FROM plot_reservations
         WHERE plot_id::text = $1
           AND user_id::text = $2
-          AND LOWER(status) = 'approved'
+          AND LOWER(status) IN ('approved', 'completed')
         LIMIT 1
         `,
         [plotId, String(br.family_contact)]
@@ -960,17 +957,19 @@ async function confirmBurialRequestAsAdmin(req, res, next) {
       }
     }
 
-    // create grave record
+    // create grave record in the next free level
     const graveUid = await ensureGraveUid(null);
+    const slot = await interments.pickSlot(client, plot);
 
     const ins = await client.query(
       `
       INSERT INTO graves
         (uid, plot_id, deceased_name, birth_date, death_date, burial_date,
          family_contact, headstone_type, memorial_text, photo_url, is_active,
+         interment_level, interment_position,
          created_at, updated_at)
       VALUES
-        ($1,$2,$3,$4,$5,$6,$7,NULL,NULL,NULL,true, NOW(), NOW())
+        ($1,$2,$3,$4,$5,$6,$7,NULL,NULL,NULL,true,$8,$9, NOW(), NOW())
       RETURNING *;
       `,
       [
@@ -981,15 +980,13 @@ async function confirmBurialRequestAsAdmin(req, res, next) {
         normDate(br.death_date),
         normDate(br.burial_date),
         br.family_contact ? String(br.family_contact) : null,
+        slot.interment_level,
+        slot.interment_position,
       ]
     );
 
-    // occupy plot + sync person fields
-    await client.query(
-      `UPDATE plots SET status = 'occupied', updated_at = NOW() WHERE id::text = $1`,
-      [plotId]
-    );
-    await updatePlotPersonFields(client, plotId, br.deceased_name, br.birth_date, br.death_date);
+    // plot status follows the graves (trigger); sync person fields
+    await interments.syncPlotPersonFields(client, plot.id);
 
     // update burial_request -> confirmed (+ optional columns)
     const sets = [`status = 'confirmed'`, `updated_at = NOW()`];
@@ -1041,6 +1038,7 @@ async function confirmBurialRequestAsAdmin(req, res, next) {
     try {
       await client.query("ROLLBACK");
     } catch {}
+    if (err.status && err.status < 500) return res.status(err.status).json({ error: err.message });
     next(err);
   } finally {
     client.release();
@@ -1052,9 +1050,6 @@ async function confirmBurialRequestAsAdmin(req, res, next) {
 ========================================================================================= */
 async function getVisitorUsers(req, res, next) {
   try {
-    if (!isPrivileged(req.user))
-      return res.status(403).json({ error: "Forbidden" });
-
     const { rows } = await pool.query(
       `
       SELECT
@@ -1066,8 +1061,7 @@ async function getVisitorUsers(req, res, next) {
         phone,
         address,
         is_active,
-        role,
-        password_str
+        role
       FROM users
       WHERE role = $1
       ORDER BY last_name ASC, first_name ASC
@@ -1082,10 +1076,6 @@ async function getVisitorUsers(req, res, next) {
 
 async function dashboardMetrics(req, res, next) {
   try {
-    if (!isPrivileged(req.user)) {
-      return res.status(403).json({ error: "Forbidden" });
-    }
-
     // optional tables/columns
     const hasBurialSchedules = await hasTable("burial_schedules");
     const hasPlotCode = await hasColumn("plots", "plot_code");
@@ -1217,9 +1207,6 @@ async function dashboardMetrics(req, res, next) {
 
 async function getPlotDetails(req, res, next) {
   try {
-    if (!isPrivileged(req.user))
-      return res.status(403).json({ error: "Forbidden" });
-
     const identifier = req.params?.id;
     if (!identifier)
       return res.status(400).json({ error: "Missing plot identifier." });
@@ -1264,6 +1251,200 @@ async function getPlotDetails(req, res, next) {
   }
 }
 
+/* =========================================================================================
+   ADMIN: user sessions / devices
+   GET    /api/admin/users/:id/sessions[?include_inactive=1]
+   DELETE /api/admin/users/:id/sessions/:sessionId
+   DELETE /api/admin/users/:id/sessions            (sign out everywhere)
+========================================================================================= */
+async function getUserSessions(req, res, next) {
+  try {
+    const userId = req.params?.id;
+    if (!userId) return res.status(400).json({ error: "Missing user id." });
+
+    const includeInactive = ["1", "true"].includes(
+      String(req.query?.include_inactive || "").toLowerCase()
+    );
+
+    const rows = await sessions.listUserSessions(userId, { includeInactive });
+    return res.json({ ok: true, data: rows });
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function revokeUserSession(req, res, next) {
+  try {
+    const { id: userId, sessionId } = req.params || {};
+    if (!userId || !sessionId) {
+      return res.status(400).json({ error: "Missing user id or session id." });
+    }
+
+    const row = await sessions.revokeSession(sessionId, {
+      userId,
+      revokedBy: req.user?.id ?? null,
+      reason: String(req.body?.reason || "").trim() || "revoked_by_admin",
+    });
+
+    if (!row) return res.status(404).json({ error: "Active session not found" });
+    return res.json({ ok: true, data: row });
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function revokeAllUserSessions(req, res, next) {
+  try {
+    const userId = req.params?.id;
+    if (!userId) return res.status(400).json({ error: "Missing user id." });
+
+    const revoked = await sessions.revokeUserSessions(userId, {
+      revokedBy: req.user?.id ?? null,
+      reason: String(req.body?.reason || "").trim() || "revoked_by_admin",
+    });
+
+    return res.json({ ok: true, revoked });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* =========================================================================================
+   ADMIN: login lockout / attempt log
+   POST /api/admin/users/:id/unlock
+   GET  /api/admin/login-attempts?user_id=&ip=&identifier=&success=&from=&to=&limit=&offset=
+========================================================================================= */
+async function unlockUserAccount(req, res, next) {
+  try {
+    const userId = req.params?.id;
+    if (!userId) return res.status(400).json({ error: "Missing user id." });
+
+    const row = await loginGuard.unlockAccount(userId);
+    if (!row) return res.status(404).json({ error: "User not found" });
+    return res.json({ ok: true, data: row });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * from / to query value -> "YYYY-MM-DD[ HH:MM[:SS]]" for ?::timestamp, null when absent,
+ * undefined when it is not a real date (so the caller can answer 400 instead of a SQL error).
+ */
+function timestampParam(raw) {
+  if (raw == null || String(raw).trim() === "") return null;
+  const m = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(\.\d+)?)?)?$/.exec(String(raw).trim());
+  if (!m) return undefined;
+
+  const [, y, mo, d, h = "00", mi = "00", sec = "00", frac = ""] = m;
+  const day = new Date(Date.UTC(Number(y), Number(mo) - 1, Number(d)));
+  if (
+    day.getUTCFullYear() !== Number(y) ||
+    day.getUTCMonth() !== Number(mo) - 1 ||
+    day.getUTCDate() !== Number(d) ||
+    Number(h) > 23 || Number(mi) > 59 || Number(sec) > 59
+  ) {
+    return undefined;
+  }
+  return `${y}-${mo}-${d} ${h}:${mi}:${sec}${frac}`;
+}
+
+const TIMESTAMP_PARAM_ERROR = "from / to must be a date (YYYY-MM-DD) or a timestamp (YYYY-MM-DDTHH:MM[:SS])";
+
+async function getLoginAttempts(req, res, next) {
+  try {
+    const q = req.query || {};
+    const from = timestampParam(q.from);
+    const to = timestampParam(q.to);
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({ ok: false, error: TIMESTAMP_PARAM_ERROR });
+    }
+
+    const where = [];
+    const params = [];
+    const add = (sql, value) => {
+      params.push(value);
+      where.push(sql.replace("?", `$${params.length}`));
+    };
+
+    if (q.user_id) add("la.user_id::text = ?", String(q.user_id));
+    if (q.ip) add("la.ip_address = ?", String(q.ip));
+    if (q.identifier) add("la.identifier ILIKE ?", `%${String(q.identifier).toLowerCase()}%`);
+    if (q.success != null && q.success !== "") {
+      add("la.success = ?", ["1", "true"].includes(String(q.success).toLowerCase()));
+    }
+    if (from) add("la.created_at >= ?::timestamp", from);
+    if (to) add("la.created_at <= ?::timestamp", to);
+
+    const limit = Math.min(Math.max(parseInt(q.limit, 10) || 100, 1), 500);
+    const offset = Math.max(parseInt(q.offset, 10) || 0, 0);
+    const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+
+    const { rows } = await pool.query(
+      `
+      SELECT
+        la.id, la.user_id, u.username, la.identifier,
+        la.ip_address, la.user_agent, la.success, la.failure_reason, la.created_at
+      FROM login_attempts la
+      LEFT JOIN users u ON u.id = la.user_id
+      ${whereSql}
+      ORDER BY la.created_at DESC, la.id DESC
+      LIMIT ${limit} OFFSET ${offset}
+      `,
+      params
+    );
+
+    return res.json({ ok: true, data: rows, limit, offset });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* =========================================================================================
+   ADMIN: audit log (append-only, written by middleware/audit.js)
+   GET /api/admin/audit-log?actor_id=&action=&entity_type=&entity_id=&from=&to=&q=&limit=&offset=
+   GET /api/admin/audit-log/export?<same filters>&limit=   -> CSV (max 10000 rows)
+   - action matches as a prefix: action=reservation. returns every reservation change
+========================================================================================= */
+// query -> audit log filters with from / to checked; null when either is not a date
+function auditFilters(query = {}) {
+  const from = timestampParam(query.from);
+  const to = timestampParam(query.to);
+  if (from === undefined || to === undefined) return null;
+  return { ...query, from, to };
+}
+
+async function getAuditLog(req, res, next) {
+  try {
+    const q = auditFilters(req.query);
+    if (!q) return res.status(400).json({ ok: false, error: TIMESTAMP_PARAM_ERROR });
+    const limit = Math.min(Math.max(parseInt(q.limit, 10) || 100, 1), 500);
+    const offset = Math.max(parseInt(q.offset, 10) || 0, 0);
+
+    const { rows, total } = await auditLog.list(q, { limit, offset });
+    return res.json({ ok: true, data: rows, total, limit, offset });
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function exportAuditLog(req, res, next) {
+  try {
+    const q = auditFilters(req.query);
+    if (!q) return res.status(400).json({ ok: false, error: TIMESTAMP_PARAM_ERROR });
+    const limit = Math.min(Math.max(parseInt(q.limit, 10) || 10000, 1), 10000);
+
+    const { rows } = await auditLog.list(q, { limit, offset: 0, withData: false });
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="audit-log-${stamp}.csv"`);
+    return res.send(auditLog.toCsv(rows));
+  } catch (err) {
+    next(err);
+  }
+}
+
 module.exports = {
   dashboardMetrics,
 
@@ -1295,4 +1476,16 @@ module.exports = {
 
   // ✅ users
   getVisitorUsers,
+
+  // ✅ sessions
+  getUserSessions,
+  revokeUserSession,
+  revokeAllUserSessions,
+
+  unlockUserAccount,
+  getLoginAttempts,
+
+  // ✅ audit log
+  getAuditLog,
+  exportAuditLog,
 };
@@ -2,10 +2,7 @@
 
 const pool = require("../config/database");
 
-function isPrivileged(user) {
-  const role = String(user?.role || "").toLowerCase();
-  return role === "admin" || role === "staff" || role === "superadmin";
-}
+// Authorization happens in the router: requirePermission("maintenance:*") in routes/admin.routes.js
 
 /**
  * Safely coerce a value (text/number) into BIGINT for joins.
@@ -25,8 +22,6 @@ function safeBigintExpr(columnSql) {
 
 async function getMaintenanceRequests(req, res, next) {
   try {
-    if (!isPrivileged(req.user)) return res.status(403).json({ error: "Forbidden" });
-
     const status = String(req.query?.status || "").trim();
 
     const sql = `
@@ -52,8 +47,6 @@ async function getMaintenanceRequests(req, res, next) {
 
 async function scheduleMaintenance(req, res, next) {
   try {
-    if (!isPrivileged(req.user)) return res.status(403).json({ error: "Forbidden" });
-
     const { id } = req.params;
     const { scheduled_date, scheduled_time, assigned_staff_id } = req.body || {};
 
@@ -93,8 +86,6 @@ async function scheduleMaintenance(req, res, next) {
 
 async function completeMaintenance(req, res, next) {
   try {
-    if (!isPrivileged(req.user)) return res.status(403).json({ error: "Forbidden" });
-
     const { id } = req.params;
     const { completion_notes } = req.body || {};
 
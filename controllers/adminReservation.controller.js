@@ -21,19 +21,7 @@ const pool = require("../config/database");
  * -- (you can enforce with a CHECK, but not required)
  */
 
-function isPrivileged(user) {
-  const role = String(user?.role || "").toLowerCase();
-  return role === "admin" || role === "staff";
-}
-
-function requirePrivileged(req, res) {
-  if (!isPrivileged(req.user)) {
-    res.status(403).json({ error: "Forbidden" });
-    return false;
-  }
-  return true;
-}
-
+// Authorization happens in the router: requirePermission("reservations:*") in routes/admin.routes.js
 
 function pickName(first, last) {
   const f = String(first || "").trim();
@@ -50,8 +38,6 @@ function pickName(first, last) {
 async function reservePlotAsAdmin(req, res, next) {
   const client = await pool.connect();
   try {
-    if (!isPrivileged(req.user)) return res.status(403).json({ error: "Forbidden" });
-
     const { plot_id, visitor_user_id, notes } = req.body || {};
     if (!plot_id) return res.status(400).json({ error: "plot_id is required" });
     if (!visitor_user_id) return res.status(400).json({ error: "visitor_user_id is required" });
@@ -123,8 +109,6 @@ async function reservePlotAsAdmin(req, res, next) {
  */
 async function getAllReservations(req, res, next) {
   try {
-    if (!isPrivileged(req.user)) return res.status(403).json({ error: "Forbidden" });
-
     const { rows } = await pool.query(
       `
       SELECT
@@ -151,8 +135,6 @@ async function getAllReservations(req, res, next) {
 }
 async function validatePaymentAsAdmin(req, res) {
   try {
-    if (!requirePrivileged(req, res)) return;
-
     const { id } = req.params;
     if (!id) return res.status(400).json({ success: false, message: "Reservation ID required" });
 
@@ -210,8 +192,6 @@ async function validatePaymentAsAdmin(req, res) {
 
 async function approvePaymentAsAdmin(req, res) {
   try {
-    if (!requirePrivileged(req, res)) return;
-
     const { id } = req.params;
     if (!id) return res.status(400).json({ success: false, message: "Reservation ID required" });
 
@@ -277,8 +257,6 @@ async function approvePaymentAsAdmin(req, res) {
 async function rejectReservationAsAdmin(req, res, next) {
   const client = await pool.connect();
   try {
-    if (!isPrivileged(req.user)) return res.status(403).json({ error: "Forbidden" });
-
     const id = req.params?.id;
     if (!id) return res.status(400).json({ error: "Missing reservation id" });
 
@@ -350,8 +328,6 @@ async function rejectReservationAsAdmin(req, res, next) {
 async function cancelReservationAsAdmin(req, res, next) {
   const client = await pool.connect();
   try {
-    if (!isPrivileged(req.user)) return res.status(403).json({ error: "Forbidden" });
-
     const id = req.params?.id;
     if (!id) return res.status(400).json({ error: "Missing reservation id" });
 
@@ -424,10 +400,6 @@ async function cancelReservationAsAdmin(req, res, next) {
 async function approveReservationAsAdmin(req, res, next) {
   const client = await pool.connect();
   try {
-    if (!isPrivileged(req.user)) {
-      return res.status(403).json({ error: "Forbidden" });
-    }
-
     const id = req.params?.id;
     if (!id) return res.status(400).json({ error: "Missing reservation id" });
 
@@ -1,7 +1,16 @@
 // backend/controllers/auth.controller.js
-const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
 const pool = require("../config/database");
+const sessions = require("../services/session.service");
+const accountTokens = require("../services/account-token.service");
+const { sendVerificationEmail, sendPasswordResetEmail } = require("../services/account-mail.service");
+const loginGuard = require("../services/login-guard.service");
+const { permissionsForRole } = require("../services/permission.service");
+const passwords = require("../services/password.service");
+const mfa = require("../services/mfa.service");
+
+// short-lived on purpose: the refresh token (sessions table) keeps users logged in
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
 
 const ROLE_SET = new Set(["super_admin", "admin", "staff", "visitor"]);
 
@@ -17,6 +26,8 @@ function sanitizeUser(u) {
     phone: u.phone,
     address: u.address,
     is_active: u.is_active,
+    email_verified: Boolean(u.email_verified_at),
+    email_verified_at: u.email_verified_at ?? null,
     created_at: u.created_at,
     updated_at: u.updated_at,
   };
@@ -30,16 +41,42 @@ function sign(payload) {
     err.code = "JWT_SECRET_MISSING";
     throw err;
   }
-  return jwt.sign(payload, secret, { expiresIn: "7d" });
+  return jwt.sign(payload, secret, { expiresIn: ACCESS_TOKEN_TTL });
 }
 
-async function verifyPassword(plain, userRow) {
-  // Prefer bcrypt hash if present
-  if (userRow.password_hash) {
-    return bcrypt.compare(String(plain), String(userRow.password_hash));
-  }
-  // fallback (dev)
-  return String(userRow.password_str || "") === String(plain || "");
+/**
+ * Opens a server-side session and returns the token pair for the client.
+ * { token, refresh_token, expires_in, session_id }
+ */
+async function issueSession(u, req) {
+  const { session, refreshToken } = await sessions.createSession(u.id, req);
+  return tokenResponse(u, session, refreshToken);
+}
+
+function tokenResponse(u, session, refreshToken) {
+  const token = sign({
+    id: u.id,
+    role: u.role,
+    username: u.username,
+    email: u.email,
+    sid: session.id,
+  });
+  const { exp, iat } = jwt.decode(token);
+  return {
+    token,
+    refresh_token: refreshToken,
+    expires_in: exp - iat,
+    session_id: session.id,
+  };
+}
+
+function sendGuardBlock(res, block) {
+  if (block.retryAfter) res.set("Retry-After", String(block.retryAfter));
+  return res.status(block.status).json({
+    error: block.error,
+    retry_after: block.retryAfter ?? null,
+    ...(block.code ? { code: block.code } : {}),
+  });
 }
 
 async function login(req, res, next) {
@@ -49,12 +86,25 @@ async function login(req, res, next) {
       return res.status(400).json({ error: "usernameOrEmail and password are required" });
     }
 
+    // ✅ per-IP failure budget (checked before touching the account)
+    const ipBlock = await loginGuard.checkIp(req);
+    if (ipBlock) {
+      await loginGuard.recordAttempt(req, {
+        identifier: usernameOrEmail,
+        success: false,
+        reason: "ip_throttled",
+      });
+      return sendGuardBlock(res, ipBlock);
+    }
+
     const q = `
       SELECT
         id, uid, username, email,
-        password_hash, password_str,
+        password_hash, ${await passwords.legacySelect()},
         role, first_name, last_name,
-        phone, address, is_active,
+        phone, address, is_active, email_verified_at,
+        failed_login_count, last_failed_login_at, locked_until,
+        password_reset_required,
         created_at, updated_at
       FROM users
       WHERE LOWER(username) = LOWER($1) OR LOWER(email) = LOWER($1)
@@ -62,33 +112,91 @@ async function login(req, res, next) {
     `;
 
     const { rows } = await pool.query(q, [usernameOrEmail]);
-    if (!rows.length) return res.status(401).json({ error: "Invalid credentials" });
+    if (!rows.length) {
+      await loginGuard.recordAttempt(req, {
+        identifier: usernameOrEmail,
+        success: false,
+        reason: "unknown_user",
+      });
+      return res.status(401).json({ error: "Invalid credentials" });
+    }
 
     const u = rows[0];
+    const fail = (reason) =>
+      loginGuard.recordAttempt(req, { userId: u.id, identifier: usernameOrEmail, success: false, reason });
+
+    // ✅ lockout / progressive delay (per account)
+    const accountBlock = loginGuard.checkAccount(u);
+    if (accountBlock) {
+      await fail(accountBlock.status === 423 ? "locked" : "throttled");
+      return sendGuardBlock(res, accountBlock);
+    }
 
     if (u.is_active === false) {
+      await fail("inactive");
       return res.status(403).json({ error: "Account is inactive" });
     }
 
     // ✅ password check
-    const ok = await verifyPassword(password, u);
-    if (!ok) return res.status(401).json({ error: "Invalid credentials" });
+    const { ok, rehash } = await passwords.verifyPassword(password, u);
+    if (!ok) {
+      await fail("bad_password");
+      const state = await loginGuard.registerFailure(u.id);
+      if (state?.locked_until) {
+        return sendGuardBlock(res, loginGuard.checkAccount(state));
+      }
+      return res.status(401).json({ error: "Invalid credentials" });
+    }
 
     // ✅ optional role guard
     const role = String(u.role || "").toLowerCase();
     if (!ROLE_SET.has(role)) {
+      await fail("invalid_role");
       return res.status(403).json({ error: "Invalid role" });
     }
 
-    // ✅ FIXED: u.username (not u.usernames)
-    const token = sign({
-      id: u.id,
-      role: u.role,
-      username: u.username,
-      email: u.email,
-    });
+    // ✅ legacy plaintext password or an older bcrypt cost -> store a fresh hash
+    if (rehash) await passwords.storeRehash(u.id, rehash);
+
+    // ✅ a super admin forced a reset: the old password is only good for proving who they are
+    if (u.password_reset_required) {
+      await loginGuard.recordAttempt(req, {
+        userId: u.id,
+        identifier: usernameOrEmail,
+        success: false,
+        reason: "password_reset_required",
+      });
+      return res.status(403).json({
+        error: "A password reset is required. Check your email for the reset link.",
+        code: "PASSWORD_RESET_REQUIRED",
+      });
+    }
+
+    // ✅ second step: no session until the TOTP code is verified (POST /api/auth/mfa/verify)
+    if (await mfa.isEnabled(u.id)) {
+      return res.json({
+        mfa_required: true,
+        methods: ["totp", "recovery_code"],
+        ...(await mfa.createChallenge(u.id, "verify")),
+      });
+    }
 
-    return res.json({ token, user: sanitizeUser(u) });
+    // ✅ role requires 2FA but the user hasn't set it up: enroll first (POST /api/auth/mfa/enroll)
+    if (mfa.isRequiredForRole(u.role)) {
+      return res.json({
+        mfa_enrollment_required: true,
+        ...(await mfa.createChallenge(u.id, "enroll")),
+      });
+    }
+
+    // the failure counter is only reset once every factor has passed (mfaVerify / enroll-confirm
+    // do it for 2FA accounts), so a known password can't buy unlimited TOTP guesses
+    await loginGuard.registerSuccess(u.id);
+    await loginGuard.recordAttempt(req, { userId: u.id, identifier: usernameOrEmail, success: true });
+
+    const tokens = await issueSession(u, req);
+
+    return res.json({ ...tokens, user: sanitizeUser(u) });
   } catch (err) {
     console.error("[AUTH] login error:", err);
 
@@ -105,7 +213,7 @@ async function login(req, res, next) {
 
 async function register(req, res, next) {
   try {
-    const { username, email, password, first_name, last_name, phone, address, role } = req.body || {};
+    const { username, email, password, first_name, last_name, phone, address } = req.body || {};
 
     if (!username || !email || !password || !first_name || !last_name) {
       return res.status(400).json({
@@ -113,29 +221,25 @@ async function register(req, res, next) {
       });
     }
 
-    // Determine effective role
-    let effectiveRole = "visitor";
-    const actor = req.user;
-    if (actor && (actor.role === "admin" || actor.role === "super_admin")) {
-      if (role && ROLE_SET.has(role)) effectiveRole = role;
-    }
+    if (!passwords.enforcePasswordPolicy(res, password, { username, email })) return;
 
-    const hash = await bcrypt.hash(password, 10);
+    // self-registration always creates a visitor; staff/admin accounts are
+    // created through the super-admin API (POST /api/superadmin/users)
+    const hash = await passwords.hashPassword(password);
 
+    // self-registrations must confirm their email
     const q = `
       INSERT INTO users
-        (username, email, password_hash, password_str, role, first_name, last_name, phone, address, is_active)
+        (username, email, password_hash, role, first_name, last_name, phone, address, is_active)
       VALUES
-        ($1,$2,$3,$4,$5,$6,$7,$8,$9, TRUE)
-      RETURNING id, uid, username, email, role, first_name, last_name, phone, address, is_active, created_at, updated_at
+        ($1,$2,$3,'visitor',$4,$5,$6,$7, TRUE)
+      RETURNING id, uid, username, email, role, first_name, last_name, phone, address, is_active, email_verified_at, created_at, updated_at
     `;
 
     const params = [
       username,
       email,
       hash,
-      password, // dev only
-      effectiveRole,
       first_name,
       last_name,
       phone || null,
@@ -143,7 +247,11 @@ async function register(req, res, next) {
     ];
 
     const { rows } = await pool.query(q, params);
-    return res.status(201).json({ user: sanitizeUser(rows[0]) });
+    const user = rows[0];
+
+    await sendVerificationEmail(user);
+
+    return res.status(201).json({ user: sanitizeUser(user) });
   } catch (err) {
     if (err.code === "23505") {
       return res.status(409).json({ error: "Username or email already exists" });
@@ -152,20 +260,160 @@ async function register(req, res, next) {
   }
 }
 
+/* =========================================================================================
+   EMAIL VERIFICATION + PASSWORD RESET
+========================================================================================= */
+// POST /api/auth/verify-email  { token }
+async function verifyEmail(req, res, next) {
+  try {
+    const token = req.body?.token || req.query?.token;
+    if (!token) return res.status(400).json({ error: "token is required" });
+
+    const userId = await accountTokens.consumeToken(token, "email_verification");
+    if (!userId) return res.status(400).json({ error: "Invalid or expired verification link" });
+
+    const { rows } = await pool.query(
+      `
+      UPDATE users
+      SET email_verified_at = COALESCE(email_verified_at, NOW()), updated_at = NOW()
+      WHERE id = $1
+      RETURNING id, uid, username, email, role, first_name, last_name, phone, address, is_active, email_verified_at, created_at, updated_at
+      `,
+      [userId]
+    );
+    if (!rows.length) return res.status(404).json({ error: "User not found" });
+
+    return res.json({ ok: true, message: "Email verified", user: sanitizeUser(rows[0]) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/auth/resend-verification  (logged in)
+async function resendVerification(req, res, next) {
+  try {
+    if (!req.user?.id) return res.status(401).json({ error: "Unauthorized" });
+
+    const { rows } = await pool.query(
+      `SELECT id, username, email, first_name, email_verified_at FROM users WHERE id = $1`,
+      [req.user.id]
+    );
+    if (!rows.length) return res.status(404).json({ error: "User not found" });
+    if (rows[0].email_verified_at) {
+      return res.json({ ok: true, message: "Email is already verified" });
+    }
+
+    await sendVerificationEmail(rows[0]);
+    return res.json({ ok: true, message: "Verification email sent" });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/auth/forgot-password  { email }
+ * Always answers the same way so the endpoint can't be used to probe accounts.
+ */
+async function forgotPassword(req, res, next) {
+  try {
+    const email = String(req.body?.email || "").trim();
+    if (!email) return res.status(400).json({ error: "email is required" });
+
+    const { rows } = await pool.query(
+      `
+      SELECT id, username, email, first_name, is_active
+      FROM users
+      WHERE LOWER(email) = LOWER($1)
+      LIMIT 1
+      `,
+      [email]
+    );
+
+    const u = rows[0];
+    if (u && u.is_active !== false) {
+      await sendPasswordResetEmail(u, { reason: "requested" });
+    }
+
+    return res.json({
+      ok: true,
+      message: "If that email is registered, a password reset link has been sent.",
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/auth/reset-password  { token, new_password }
+async function resetPassword(req, res, next) {
+  const client = await pool.connect();
+  try {
+    const { token, new_password } = req.body || {};
+    if (!token || !new_password) {
+      return res.status(400).json({ error: "token and new_password are required" });
+    }
+
+    await client.query("BEGIN");
+
+    const userId = await accountTokens.consumeToken(token, "password_reset", client);
+    if (!userId) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "Invalid or expired reset link" });
+    }
+
+    const { rows } = await client.query(`SELECT username, email FROM users WHERE id = $1`, [userId]);
+    // rolling back keeps the link usable for another try
+    if (!passwords.enforcePasswordPolicy(res, new_password, rows[0])) {
+      await client.query("ROLLBACK");
+      return;
+    }
+
+    const newHash = await passwords.hashPassword(new_password);
+
+    // the emailed link proves ownership of the address, so it also verifies it
+    await client.query(
+      `
+      UPDATE users
+      SET password_hash = $1,
+          ${await passwords.legacyClear()}
+          password_reset_required = FALSE,
+          email_verified_at = COALESCE(email_verified_at, NOW()),
+          updated_at = NOW()
+      WHERE id = $2
+      `,
+      [newHash, userId]
+    );
+
+    await sessions.revokeUserSessions(userId, { reason: "password_reset", db: client });
+
+    await client.query("COMMIT");
+    return res.json({ ok: true, message: "Password has been reset. Please log in." });
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    next(err);
+  } finally {
+    client.release();
+  }
+}
+
 async function me(req, res, next) {
   try {
     if (!req.user?.id) return res.status(401).json({ error: "Unauthorized" });
 
     const { rows } = await pool.query(
       `
-      SELECT id, uid, username, email, role, first_name, last_name, phone, address, is_active, created_at, updated_at
+      SELECT id, uid, username, email, role, first_name, last_name, phone, address, is_active, email_verified_at, created_at, updated_at
       FROM users WHERE id = $1
       `,
       [req.user.id]
     );
 
     if (!rows.length) return res.status(404).json({ error: "User not found" });
-    return res.json({ user: sanitizeUser(rows[0]) });
+
+    // lets the frontend show/hide features without hard-coding role names
+    const permissions = [...(await permissionsForRole(rows[0].role))].sort();
+    return res.json({ user: sanitizeUser(rows[0]), permissions });
   } catch (err) {
     next(err);
   }
@@ -190,7 +438,7 @@ async function updateProfile(req, res, next) {
     const q = `
       UPDATE users SET ${sets.join(", ")}, updated_at = NOW()
       WHERE id = $${i}
-      RETURNING id, uid, username, email, role, first_name, last_name, phone, address, is_active, created_at, updated_at
+      RETURNING id, uid, username, email, role, first_name, last_name, phone, address, is_active, email_verified_at, created_at, updated_at
     `;
     vals.push(req.user.id);
 
@@ -212,19 +460,25 @@ async function changePassword(req, res, next) {
     }
 
     const { rows } = await pool.query(
-      `SELECT id, password_hash, password_str FROM users WHERE id = $1`,
+      `SELECT id, username, email, password_hash, ${await passwords.legacySelect()} FROM users WHERE id = $1`,
       [req.user.id]
     );
     if (!rows.length) return res.status(404).json({ error: "User not found" });
 
-    const ok = await verifyPassword(current_password, rows[0]);
+    const { ok } = await passwords.verifyPassword(current_password, rows[0]);
     if (!ok) return res.status(401).json({ error: "Current password is incorrect" });
 
-    const newHash = await bcrypt.hash(new_password, 10);
-    await pool.query(
-      `UPDATE users SET password_hash = $1, password_str = $2, updated_at = NOW() WHERE id = $3`,
-      [newHash, new_password, req.user.id]
-    );
+    if (!passwords.enforcePasswordPolicy(res, new_password, rows[0])) return;
+
+    const newHash = await passwords.hashPassword(new_password);
+    await passwords.storeRehash(req.user.id, newHash);
+
+    // sign out every other device; keep the one that changed the password
+    await sessions.revokeUserSessions(req.user.id, {
+      revokedBy: req.user.id,
+      reason: "password_changed",
+      exceptSessionId: req.user.sid,
+    });
 
     return res.json({ ok: true, message: "Password updated" });
   } catch (err) {
@@ -232,16 +486,283 @@ async function changePassword(req, res, next) {
   }
 }
 
-// If you're not actually using sessions, keep logout simple:
-async function logout(req, res) {
-  return res.json({ ok: true, message: "Logged out" });
+/**
+ * POST /api/auth/refresh  { refresh_token }
+ * Rotates the refresh token and returns a fresh access token for the same session.
+ */
+async function refresh(req, res, next) {
+  try {
+    const { refresh_token } = req.body || {};
+    if (!refresh_token) return res.status(400).json({ error: "refresh_token is required" });
+
+    const out = await sessions.rotateSession(refresh_token, req);
+    if (out.error) return res.status(401).json({ error: out.error });
+
+    return res.json(tokenResponse(out.user, out.session, out.refreshToken));
+  } catch (err) {
+    if (err.code === "JWT_SECRET_MISSING") {
+      return res.status(500).json({
+        error: "Server misconfigured: JWT_SECRET missing. Add it to backend/.env then restart backend.",
+      });
+    }
+    next(err);
+  }
+}
+
+// ✅ revokes the session behind the current access token (refresh token dies with it)
+async function logout(req, res, next) {
+  try {
+    await sessions.revokeSession(req.user.sid, {
+      userId: req.user.id,
+      revokedBy: req.user.id,
+      reason: "logout",
+    });
+    return res.json({ ok: true, message: "Logged out" });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* =========================================================================================
+   TWO-FACTOR AUTHENTICATION (TOTP)
+   login step 2:
+     POST /api/auth/mfa/verify          { mfa_token, code | recovery_code }
+     POST /api/auth/mfa/enroll          { mfa_token }            -> secret + otpauth URI + QR
+     POST /api/auth/mfa/enroll/confirm  { mfa_token, code }      -> recovery codes + tokens
+   logged in:
+     GET  /api/auth/mfa                 status
+     POST /api/auth/mfa/setup           -> secret + otpauth URI + QR
+     POST /api/auth/mfa/activate        { code }                 -> recovery codes
+     POST /api/auth/mfa/disable         { password, code | recovery_code }
+     POST /api/auth/mfa/recovery-codes  { code }                 -> new recovery codes
+========================================================================================= */
+async function findLoginUser(userId) {
+  const { rows } = await pool.query(
+    `
+    SELECT
+      id, uid, username, email, role, first_name, last_name, phone, address,
+      is_active, email_verified_at, failed_login_count, last_failed_login_at, locked_until,
+      created_at, updated_at
+    FROM users WHERE id = $1
+    `,
+    [userId]
+  );
+  return rows[0] || null;
+}
+
+// loads the user behind a live challenge and re-checks the account state
+async function challengeUser(res, challenge) {
+  if (!challenge) {
+    res.status(401).json({ error: "Invalid or expired 2FA session. Please log in again." });
+    return null;
+  }
+  const u = await findLoginUser(challenge.user_id);
+  if (!u || u.is_active === false) {
+    res.status(403).json({ error: "Account is inactive" });
+    return null;
+  }
+  const block = loginGuard.checkAccount(u);
+  if (block) {
+    sendGuardBlock(res, block);
+    return null;
+  }
+  return u;
+}
+
+async function mfaVerify(req, res, next) {
+  try {
+    const { mfa_token, code, recovery_code } = req.body || {};
+    if (!code && !recovery_code) {
+      return res.status(400).json({ error: "code or recovery_code is required" });
+    }
+
+    const challenge = await mfa.findChallenge(mfa_token, "verify");
+    const u = await challengeUser(res, challenge);
+    if (!u) return;
+
+    const method = await mfa.verifySecondFactor(u.id, { code, recovery_code });
+    if (!method) {
+      await mfa.failChallenge(challenge.id);
+      await loginGuard.registerFailure(u.id);
+      await loginGuard.recordAttempt(req, {
+        userId: u.id,
+        identifier: u.username,
+        success: false,
+        reason: "bad_mfa_code",
+      });
+      return res.status(401).json({ error: "Invalid authentication code" });
+    }
+
+    if (!(await mfa.consumeChallenge(challenge.id))) {
+      return res.status(401).json({ error: "Invalid or expired 2FA session. Please log in again." });
+    }
+
+    await loginGuard.registerSuccess(u.id);
+    await loginGuard.recordAttempt(req, { userId: u.id, identifier: u.username, success: true });
+
+    const tokens = await issueSession(u, req);
+    const status = method === "recovery_code" ? await mfa.getStatus(u) : null;
+
+    return res.json({
+      ...tokens,
+      user: sanitizeUser(u),
+      ...(status ? { recovery_codes_left: status.recovery_codes_left } : {}),
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function mfaEnroll(req, res, next) {
+  try {
+    const challenge = await mfa.findChallenge(req.body?.mfa_token, "enroll");
+    const u = await challengeUser(res, challenge);
+    if (!u) return;
+
+    const out = await mfa.beginEnrollment(u);
+    if (out.error) return res.status(409).json({ error: out.error });
+    return res.json({ ok: true, ...out });
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function mfaEnrollConfirm(req, res, next) {
+  try {
+    const { mfa_token, code } = req.body || {};
+    if (!code) return res.status(400).json({ error: "code is required" });
+
+    const challenge = await mfa.findChallenge(mfa_token, "enroll");
+    const u = await challengeUser(res, challenge);
+    if (!u) return;
+
+    const recoveryCodes = await mfa.confirmEnrollment(u.id, code);
+    if (!recoveryCodes) {
+      await mfa.failChallenge(challenge.id);
+      await loginGuard.registerFailure(u.id);
+      await loginGuard.recordAttempt(req, {
+        userId: u.id,
+        identifier: u.username,
+        success: false,
+        reason: "bad_mfa_code",
+      });
+      return res.status(401).json({ error: "Invalid authentication code" });
+    }
+
+    await mfa.consumeChallenge(challenge.id);
+    await loginGuard.registerSuccess(u.id);
+    await loginGuard.recordAttempt(req, { userId: u.id, identifier: u.username, success: true });
+
+    const tokens = await issueSession(u, req);
+    return res.json({ ...tokens, user: sanitizeUser(u), recovery_codes: recoveryCodes });
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function mfaStatus(req, res, next) {
+  try {
+    return res.json({ ok: true, data: await mfa.getStatus(req.user) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function mfaSetup(req, res, next) {
+  try {
+    const u = await findLoginUser(req.user.id);
+    if (!u) return res.status(404).json({ error: "User not found" });
+
+    const out = await mfa.beginEnrollment(u);
+    if (out.error) return res.status(409).json({ error: out.error });
+    return res.json({ ok: true, ...out });
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function mfaActivate(req, res, next) {
+  try {
+    if (!req.body?.code) return res.status(400).json({ error: "code is required" });
+
+    const recoveryCodes = await mfa.confirmEnrollment(req.user.id, req.body.code);
+    if (!recoveryCodes) return res.status(400).json({ error: "Invalid authentication code" });
+
+    // other devices signed in with the password alone
+    await sessions.revokeUserSessions(req.user.id, {
+      revokedBy: req.user.id,
+      reason: "mfa_enabled",
+      exceptSessionId: req.user.sid,
+    });
+
+    return res.json({ ok: true, message: "Two-factor authentication enabled", recovery_codes: recoveryCodes });
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function mfaDisable(req, res, next) {
+  try {
+    const { password, code, recovery_code } = req.body || {};
+    if (!password || (!code && !recovery_code)) {
+      return res.status(400).json({ error: "password and code (or recovery_code) are required" });
+    }
+    if (mfa.isRequiredForRole(req.user.role)) {
+      return res.status(403).json({ error: "Two-factor authentication is required for your role" });
+    }
+
+    const { rows } = await pool.query(
+      `SELECT id, password_hash, ${await passwords.legacySelect()} FROM users WHERE id = $1`,
+      [req.user.id]
+    );
+    if (!rows.length) return res.status(404).json({ error: "User not found" });
+
+    const { ok } = await passwords.verifyPassword(password, rows[0]);
+    if (!ok || !(await mfa.verifySecondFactor(req.user.id, { code, recovery_code }))) {
+      return res.status(401).json({ error: "Invalid password or authentication code" });
+    }
+
+    await mfa.disable(req.user.id);
+    return res.json({ ok: true, message: "Two-factor authentication disabled" });
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function mfaRegenerateRecoveryCodes(req, res, next) {
+  try {
+    if (!req.body?.code) return res.status(400).json({ error: "code is required" });
+
+    if ((await mfa.verifySecondFactor(req.user.id, { code: req.body.code })) !== "totp") {
+      return res.status(401).json({ error: "Invalid authentication code" });
+    }
+
+    const recoveryCodes = await mfa.replaceRecoveryCodes(req.user.id);
+    return res.json({ ok: true, recovery_codes: recoveryCodes });
+  } catch (err) {
+    next(err);
+  }
 }
 
 module.exports = {
   login,
   register,
+  refresh,
   logout,
   me,
   updateProfile,
   changePassword,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+
+  mfaVerify,
+  mfaEnroll,
+  mfaEnrollConfirm,
+  mfaStatus,
+  mfaSetup,
+  mfaActivate,
+  mfaDisable,
+  mfaRegenerateRecoveryCodes,
 };
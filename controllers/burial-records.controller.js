@@ -1,5 +1,10 @@
 // backend/controllers/burial-records.controller.js
 const pool = require("../config/database");
+const interments = require("../services/interment.service");
+const { roleHas } = require("../services/permission.service");
+const { accessibleContactIds } = require("../services/ownership.service");
+// shared access through family groups (registers its contact resolver)
+require("../services/family-group.service");
 
 /**
  * Enable extra debug logs:
@@ -49,7 +54,8 @@ function normDate(v) {
 /* ============================================================
  * GET burial records (admin list + visitor filtered list)
  * - If you pass :id param OR ?family_contact= it will filter
- * - Otherwise returns all graves
+ * - graves:view (staff) sees every grave; anyone else only the graves of the
+ *   families they can access (own id + family groups), 403 for another family
  * - Includes plot fields (plot_name, plot_status, plot_uid)
  * ============================================================ */
 async function getBurialRecords(req, res, next) {
@@ -66,6 +72,17 @@ async function getBurialRecords(req, res, next) {
       req.query
     );
 
+    if (!req.user) return res.status(401).json({ error: "Unauthorized" });
+
+    // ✅ ownership: without graves:view the list is limited to the caller's families
+    let contactIds = null;
+    if (!(await roleHas(req.user.role, "graves:view"))) {
+      contactIds = await accessibleContactIds(req.user);
+      if (familyId && !contactIds.includes(String(familyId))) {
+        return res.status(403).json({ error: "Forbidden" });
+      }
+    }
+
     if (DEBUG_BURIAL) {
       const c1 = await pool.query(`SELECT COUNT(*)::int AS n FROM graves`);
       const c2 = await pool.query(`SELECT COUNT(*)::int AS n FROM plots`);
@@ -96,12 +113,18 @@ async function getBurialRecords(req, res, next) {
     `;
 
     const params = [];
+    const where = [];
 
     if (familyId) {
       params.push(String(familyId));
       // ✅ cast both sides to text so filter works even if types differ
-      sql += ` WHERE g.family_contact::text = $${params.length}`;
+      where.push(`g.family_contact::text = $${params.length}`);
+    }
+    if (contactIds) {
+      params.push(contactIds);
+      where.push(`g.family_contact::text = ANY($${params.length}::text[])`);
     }
+    if (where.length) sql += ` WHERE ${where.join(" AND ")}`;
 
     sql += ` ORDER BY g.id DESC`;
 
@@ -145,17 +168,12 @@ async function getBurialRecords(req, res, next) {
 
 /* ============================================================
  * ADD burial record (admin)
- * - Inserts into graves
- * - Sets plot.status = 'occupied'
+ * - Inserts into graves, in a free interment level of the plot
+ * - Plot status follows the graves (trigger, migration 016)
  * ============================================================ */
 async function addBurialRecord(req, res, next) {
   const client = await pool.connect();
   try {
-    const actor = req.user;
-    if (!actor || String(actor.role).toLowerCase() !== "admin") {
-      return res.status(403).json({ error: "Forbidden: admin only" });
-    }
-
     log("addBurialRecord HIT body=", req.body);
 
     const {
@@ -170,6 +188,8 @@ async function addBurialRecord(req, res, next) {
       memorial_text,
       photo_url,
       is_active,
+      interment_level,
+      interment_position,
     } = req.body || {};
 
     if (!plot_id || !String(deceased_name || "").trim()) {
@@ -181,11 +201,23 @@ async function addBurialRecord(req, res, next) {
     await client.query("BEGIN");
 
     // lock plot to avoid race
-    const plotLock = await client.query(
-      `SELECT id, status, plot_name FROM plots WHERE id::text = $1 FOR UPDATE`,
-      [String(plot_id)]
-    );
-    logDebug("plot lock =", plotLock.rows);
+    const plot = await interments.lockPlot(client, plot_id);
+    logDebug("plot lock =", plot);
+    if (!plot) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Plot not found" });
+    }
+
+    const full = interments.fullMessage(plot);
+    if (full) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ error: full });
+    }
+
+    const slot = await interments.pickSlot(client, plot, {
+      level: interment_level,
+      position: interment_position,
+    });
 
     // insert grave
     const ins = await client.query(
@@ -193,9 +225,10 @@ async function addBurialRecord(req, res, next) {
       INSERT INTO graves
         (uid, plot_id, deceased_name, birth_date, death_date, burial_date,
          family_contact, headstone_type, memorial_text, photo_url, is_active,
+         interment_level, interment_position,
          created_at, updated_at)
       VALUES
-        ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11, NOW(), NOW())
+        ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13, NOW(), NOW())
       RETURNING *;
       `,
       [
@@ -210,14 +243,12 @@ async function addBurialRecord(req, res, next) {
         memorial_text || null,
         photo_url || null,
         typeof is_active === "boolean" ? is_active : true,
+        slot.interment_level,
+        slot.interment_position,
       ]
     );
 
-    // mark plot occupied
-    await client.query(
-      `UPDATE plots SET status = 'occupied', updated_at = NOW() WHERE id::text = $1`,
-      [String(plot_id)]
-    );
+    await interments.syncPlotPersonFields(client, plot.id);
 
     await client.query("COMMIT");
 
@@ -227,6 +258,7 @@ async function addBurialRecord(req, res, next) {
     try {
       await client.query("ROLLBACK");
     } catch {}
+    if (err.status && err.status < 500) return res.status(err.status).json({ error: err.message });
     console.error("[BURIAL] addBurialRecord ERROR:", err);
     next(err);
   } finally {
@@ -237,17 +269,12 @@ async function addBurialRecord(req, res, next) {
 /* ============================================================
  * EDIT burial record (admin)
  * - Updates graves
- * - If plot_id changes, occupy new plot
- * - Optionally frees old plot if it has no more graves
+ * - If plot_id changes, the new plot must have room left
+ * - Plot status of both plots follows the graves (trigger)
  * ============================================================ */
 async function editBurialRecord(req, res, next) {
   const client = await pool.connect();
   try {
-    const actor = req.user;
-    if (!actor || String(actor.role).toLowerCase() !== "admin") {
-      return res.status(403).json({ error: "Forbidden: admin only" });
-    }
-
     log("editBurialRecord HIT body=", req.body);
 
     const {
@@ -263,6 +290,8 @@ async function editBurialRecord(req, res, next) {
       memorial_text,
       photo_url,
       is_active,
+      interment_level,
+      interment_position,
     } = req.body || {};
 
     const identifier = id || uid;
@@ -272,7 +301,8 @@ async function editBurialRecord(req, res, next) {
 
     // find current record
     const cur = await client.query(
-      `SELECT id, uid, plot_id FROM graves WHERE id::text = $1 OR uid = $1 LIMIT 1`,
+      `SELECT id, uid, plot_id, interment_level, interment_position
+       FROM graves WHERE id::text = $1 OR uid = $1 LIMIT 1`,
       [String(identifier)]
     );
     if (cur.rows.length === 0) {
@@ -280,7 +310,34 @@ async function editBurialRecord(req, res, next) {
       return res.status(404).json({ error: "Burial record not found" });
     }
 
-    const oldPlotId = cur.rows[0].plot_id;
+    const grave = cur.rows[0];
+    const oldPlotId = grave.plot_id;
+    const moving = plot_id && String(oldPlotId) !== String(plot_id);
+    const slotGiven = interment_level != null || interment_position !== undefined;
+
+    // moving plots or changing the slot: check room / the slot on the target plot
+    let slot = null;
+    if (moving || (slotGiven && oldPlotId)) {
+      const target = await interments.lockPlot(client, moving ? plot_id : oldPlotId, {
+        excludeGraveId: grave.id,
+      });
+      if (!target) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ error: "New plot not found" });
+      }
+
+      const full = moving ? interments.fullMessage(target) : null;
+      if (full) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({ error: `New plot: ${full}` });
+      }
+
+      slot = await interments.pickSlot(client, target, {
+        level: interment_level ?? (moving ? null : grave.interment_level),
+        position: interment_position !== undefined ? interment_position : grave.interment_position,
+        excludeGraveId: grave.id,
+      });
+    }
 
     const updated = await client.query(
       `
@@ -295,6 +352,8 @@ async function editBurialRecord(req, res, next) {
         memorial_text  = COALESCE($9, memorial_text),
         photo_url      = COALESCE($10, photo_url),
         is_active      = COALESCE($11, is_active),
+        interment_level    = CASE WHEN $12 THEN $13::smallint ELSE interment_level END,
+        interment_position = CASE WHEN $12 THEN $14 ELSE interment_position END,
         updated_at     = NOW()
       WHERE id::text = $1 OR uid = $1
       RETURNING *;
@@ -311,31 +370,16 @@ async function editBurialRecord(req, res, next) {
         typeof memorial_text === "string" ? memorial_text : null,
         typeof photo_url === "string" ? photo_url : null,
         typeof is_active === "boolean" ? is_active : null,
+        slot != null,
+        slot?.interment_level ?? null,
+        slot?.interment_position ?? null,
       ]
     );
 
     const newPlotId = updated.rows[0]?.plot_id;
-
-    // occupy new plot
-    if (newPlotId) {
-      await client.query(
-        `UPDATE plots SET status='occupied', updated_at=NOW() WHERE id::text=$1`,
-        [String(newPlotId)]
-      );
-    }
-
-    // free old plot if it changed and no other graves use it
-    if (oldPlotId && newPlotId && String(oldPlotId) !== String(newPlotId)) {
-      const check = await client.query(
-        `SELECT COUNT(*)::int AS n FROM graves WHERE plot_id::text = $1`,
-        [String(oldPlotId)]
-      );
-      if ((check.rows?.[0]?.n ?? 0) === 0) {
-        await client.query(
-          `UPDATE plots SET status='available', updated_at=NOW() WHERE id::text=$1`,
-          [String(oldPlotId)]
-        );
-      }
+    await interments.syncPlotPersonFields(client, newPlotId);
+    if (oldPlotId && String(oldPlotId) !== String(newPlotId)) {
+      await interments.syncPlotPersonFields(client, oldPlotId);
     }
 
     await client.query("COMMIT");
@@ -346,6 +390,7 @@ async function editBurialRecord(req, res, next) {
     try {
       await client.query("ROLLBACK");
     } catch {}
+    if (err.status && err.status < 500) return res.status(err.status).json({ error: err.message });
     console.error("[BURIAL] editBurialRecord ERROR:", err);
     next(err);
   } finally {
@@ -356,16 +401,11 @@ async function editBurialRecord(req, res, next) {
 /* ============================================================
  * DELETE burial record (admin)
  * - Deletes grave by id or uid (based on param)
- * - Optionally frees plot if no other graves exist for that plot
+ * - Plot status follows the remaining graves (trigger)
  * ============================================================ */
 async function deleteBurialRecord(req, res, next) {
   const client = await pool.connect();
   try {
-    const actor = req.user;
-    if (!actor || String(actor.role).toLowerCase() !== "admin") {
-      return res.status(403).json({ error: "Forbidden: admin only" });
-    }
-
     const identifier = req.params?.id;
     if (!identifier) return res.status(400).json({ error: "Missing record identifier." });
 
@@ -391,19 +431,7 @@ async function deleteBurialRecord(req, res, next) {
       [String(identifier)]
     );
 
-    // free plot if no more graves
-    if (plotId) {
-      const check = await client.query(
-        `SELECT COUNT(*)::int AS n FROM graves WHERE plot_id::text = $1`,
-        [String(plotId)]
-      );
-      if ((check.rows?.[0]?.n ?? 0) === 0) {
-        await client.query(
-          `UPDATE plots SET status='available', updated_at=NOW() WHERE id::text=$1`,
-          [String(plotId)]
-        );
-      }
-    }
+    await interments.syncPlotPersonFields(client, plotId);
 
     await client.query("COMMIT");
 
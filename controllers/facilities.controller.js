@@ -0,0 +1,261 @@
+// backend/controllers/facilities.controller.js
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const pool = require("../config/database");
+const facilities = require("../services/facility.service");
+const navigation = require("../services/navigation.service");
+
+const NAME_MAX = 100;
+const MAX_PHOTOS = 10;
+const UPLOADS_ROOT = path.join(__dirname, "..", "uploads");
+
+function removeUpload(url) {
+  if (!String(url || "").startsWith("/uploads/facilities/")) return;
+  try {
+    fs.unlinkSync(path.join(UPLOADS_ROOT, String(url).slice("/uploads/".length)));
+  } catch {}
+}
+
+function removeFiles(files) {
+  for (const f of files || []) {
+    try {
+      fs.unlinkSync(f.path);
+    } catch {}
+  }
+}
+
+function sendError(res, err) {
+  if (err.status && err.status < 500) return res.status(err.status).json({ ok: false, error: err.message });
+  if (err.code === "23514") return res.status(400).json({ ok: false, error: "Facility type is not allowed" });
+  return null;
+}
+
+function checkWidth(raw) {
+  if (raw == null || raw === "") return null;
+  const n = Number(raw);
+  if (!Number.isFinite(n) || n < 0 || n >= 1e6) throw facilities.facilityError("width_meters must be a positive number");
+  return n;
+}
+
+async function findRow(db, key) {
+  const { rows } = await db.query(
+    `SELECT id, uid, name, type, photos FROM cemetery_infrastructure WHERE id::text = $1 OR uid::text = $1 LIMIT 1`,
+    [String(key)]
+  );
+  return rows[0] || null;
+}
+
+/* =========================================================================================
+   POST /api/admin/facilities
+   { name, type, description?, width_meters?, geometry (GeoJSON Point / Polygon) | lat + lng }
+========================================================================================= */
+async function createFacility(req, res, next) {
+  const body = req.body || {};
+  try {
+    const name = String(body.name ?? "").trim();
+    if (!name || name.length > NAME_MAX) {
+      return res.status(400).json({ ok: false, error: `name is required (max ${NAME_MAX} characters)` });
+    }
+    const [type] = facilities.parseTypes(body.type) || [];
+    if (!type) return res.status(400).json({ ok: false, error: "type is required" });
+
+    const width = checkWidth(body.width_meters);
+    const geometry = await facilities.checkGeometry(pool, body, type);
+
+    const { rows } = await pool.query(
+      `
+      INSERT INTO cemetery_infrastructure (name, type, description, width_meters, geometry, coordinates)
+      SELECT $1, $2, $3, $4, g, ST_PointOnSurface(g)
+      FROM (SELECT ST_SetSRID(ST_GeomFromGeoJSON($5), 4326) AS g) s
+      RETURNING id
+      `,
+      [name, type, body.description ?? null, width, geometry]
+    );
+
+    if (facilities.NETWORK_TYPES.has(type)) navigation.invalidateGraph();
+
+    const data = await facilities.getFacility(pool, rows[0].id);
+    return res.status(201).json({ ok: true, data });
+  } catch (err) {
+    if (sendError(res, err)) return;
+    next(err);
+  }
+}
+
+/* =========================================================================================
+   PATCH /api/admin/facilities/:id
+   any of { name, type, description, width_meters, geometry | lat + lng }
+========================================================================================= */
+async function updateFacility(req, res, next) {
+  const body = req.body || {};
+  try {
+    const current = await findRow(pool, req.params.id);
+    if (!current) return res.status(404).json({ ok: false, error: "Facility not found" });
+
+    const sets = [];
+    const params = [];
+    const addSet = (col, value) => {
+      params.push(value);
+      sets.push(`${col} = $${params.length}`);
+    };
+
+    if (body.name !== undefined) {
+      const name = String(body.name ?? "").trim();
+      if (!name || name.length > NAME_MAX) {
+        return res.status(400).json({ ok: false, error: `name must be 1-${NAME_MAX} characters` });
+      }
+      addSet("name", name);
+    }
+
+    let type = current.type;
+    if (body.type !== undefined) {
+      [type] = facilities.parseTypes(body.type) || [];
+      if (!type) return res.status(400).json({ ok: false, error: "type cannot be empty" });
+      addSet("type", type);
+    }
+
+    if (body.description !== undefined) addSet("description", body.description ?? null);
+    if (body.width_meters !== undefined) addSet("width_meters", checkWidth(body.width_meters));
+
+    const moved = body.geometry !== undefined || body.lat !== undefined || body.lng !== undefined;
+    if (moved) {
+      const geometry = await facilities.checkGeometry(pool, body, type);
+      params.push(geometry);
+      const g = `ST_SetSRID(ST_GeomFromGeoJSON($${params.length}), 4326)`;
+      sets.push(`geometry = ${g}`, `coordinates = ST_PointOnSurface(${g})`);
+    } else if (type !== current.type && !facilities.NETWORK_TYPES.has(type)) {
+      // a road/path drawn as a line cannot become a facility without a new shape
+      const { rows } = await pool.query(
+        `SELECT GeometryType(geometry) AS t FROM cemetery_infrastructure WHERE id = $1`,
+        [current.id]
+      );
+      if (/LINESTRING/.test(String(rows[0]?.t || ""))) {
+        return res.status(400).json({ ok: false, error: `A ${type} needs a Point or Polygon geometry` });
+      }
+    }
+
+    if (!sets.length) return res.status(400).json({ ok: false, error: "No updatable fields provided" });
+
+    params.push(current.id);
+    await pool.query(
+      `UPDATE cemetery_infrastructure SET ${sets.join(", ")}, updated_at = NOW() WHERE id = $${params.length}`,
+      params
+    );
+
+    if (facilities.NETWORK_TYPES.has(current.type) || facilities.NETWORK_TYPES.has(type)) {
+      navigation.invalidateGraph();
+    }
+
+    const data = await facilities.getFacility(pool, current.id);
+    return res.json({ ok: true, data });
+  } catch (err) {
+    if (sendError(res, err)) return;
+    next(err);
+  }
+}
+
+/* =========================================================================================
+   DELETE /api/admin/facilities/:id
+========================================================================================= */
+async function deleteFacility(req, res, next) {
+  try {
+    const current = await findRow(pool, req.params.id);
+    if (!current) return res.status(404).json({ ok: false, error: "Facility not found" });
+
+    await pool.query(`DELETE FROM cemetery_infrastructure WHERE id = $1`, [current.id]);
+
+    for (const url of current.photos || []) removeUpload(url);
+    if (facilities.NETWORK_TYPES.has(current.type)) navigation.invalidateGraph();
+
+    return res.json({
+      ok: true,
+      message: "Facility deleted",
+      data: { id: current.id, uid: current.uid, name: current.name, type: current.type },
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* =========================================================================================
+   POST /api/admin/facilities/:id/photos   (multipart "photos", up to MAX_PHOTOS per facility)
+   - multer saves to backend/uploads/facilities
+========================================================================================= */
+async function uploadFacilityPhotos(req, res, next) {
+  const files = req.files || [];
+  try {
+    if (!files.length) return res.status(400).json({ ok: false, error: "No file uploaded (photos)." });
+
+    const current = await findRow(pool, req.params.id);
+    if (!current) {
+      removeFiles(files);
+      return res.status(404).json({ ok: false, error: "Facility not found" });
+    }
+
+    const urls = files.map((f) => `/uploads/facilities/${f.filename}`);
+    const { rows } = await pool.query(
+      `
+      UPDATE cemetery_infrastructure
+      SET photos = COALESCE(photos, '[]'::jsonb) || $2::jsonb, updated_at = NOW()
+      WHERE id = $1 AND jsonb_array_length(COALESCE(photos, '[]'::jsonb)) + $3 <= $4
+      RETURNING photos
+      `,
+      [current.id, JSON.stringify(urls), urls.length, MAX_PHOTOS]
+    );
+    if (!rows.length) {
+      removeFiles(files);
+      return res.status(400).json({ ok: false, error: `A facility can have at most ${MAX_PHOTOS} photos` });
+    }
+
+    return res.json({ ok: true, data: { id: current.id, uid: current.uid, photos: rows[0].photos, added: urls } });
+  } catch (err) {
+    removeFiles(files);
+    next(err);
+  }
+}
+
+/* =========================================================================================
+   DELETE /api/admin/facilities/:id/photos   { url }
+========================================================================================= */
+async function deleteFacilityPhoto(req, res, next) {
+  const url = String(req.body?.url ?? req.query?.url ?? "").trim();
+  if (!url) return res.status(400).json({ ok: false, error: "url is required" });
+
+  try {
+    const current = await findRow(pool, req.params.id);
+    if (!current) return res.status(404).json({ ok: false, error: "Facility not found" });
+    if (!(current.photos || []).includes(url)) {
+      return res.status(404).json({ ok: false, error: "Photo not found on this facility" });
+    }
+
+    const { rows } = await pool.query(
+      `
+      UPDATE cemetery_infrastructure
+      SET photos = COALESCE(
+            (SELECT jsonb_agg(p) FROM jsonb_array_elements(photos) p WHERE p <> to_jsonb($2::text)),
+            '[]'::jsonb
+          ),
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING photos
+      `,
+      [current.id, url]
+    );
+    removeUpload(url);
+
+    return res.json({ ok: true, data: { id: current.id, uid: current.uid, photos: rows[0].photos } });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  createFacility,
+  updateFacility,
+  deleteFacility,
+  uploadFacilityPhotos,
+  deleteFacilityPhoto,
+};
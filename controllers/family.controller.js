@@ -0,0 +1,388 @@
+// backend/controllers/family.controller.js
+"use strict";
+
+const pool = require("../config/database");
+const family = require("../services/family-group.service");
+const { sendFamilyInvitationEmail } = require("../services/account-mail.service");
+
+const NAME_MAX = 120;
+
+function cleanName(name) {
+  const n = String(name ?? "").trim();
+  return n && n.length <= NAME_MAX ? n : null;
+}
+
+function cleanRole(role, fallback = null) {
+  const r = String(role ?? fallback ?? "").trim().toLowerCase();
+  return family.MEMBER_ROLES.includes(r) ? r : null;
+}
+
+/**
+ * Loads the group and checks the caller's standing.
+ * need: "member" (primary or any member) or "primary". Sends 404/403 and returns null otherwise.
+ */
+async function loadGroup(req, res, need = "member", db = pool) {
+  const { group, access } = await family.groupAccess(req.params.id, req.user.id, db);
+  // non-members get a 404 so group ids can't be probed
+  if (!group || !access) {
+    res.status(404).json({ error: "Family group not found" });
+    return null;
+  }
+  if (need === "primary" && access !== "primary") {
+    res.status(403).json({ error: "Only the primary contact can do this" });
+    return null;
+  }
+  return { group, access };
+}
+
+/* =========================================================================================
+   GET /api/family/groups
+   - the group you own (if any) and every group you were added to, with your role
+========================================================================================= */
+async function listMyGroups(req, res, next) {
+  try {
+    const groups = await family.listGroupsForUser(req.user.id);
+    return res.json({ ok: true, data: groups });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* =========================================================================================
+   POST /api/family/groups  { name }
+   - you become the primary contact; your records are the ones shared
+========================================================================================= */
+async function createGroup(req, res, next) {
+  try {
+    const name = cleanName(req.body?.name);
+    if (!name) return res.status(400).json({ error: `name is required (max ${NAME_MAX} characters)` });
+
+    const { rows } = await pool.query(
+      `
+      INSERT INTO family_groups (name, primary_contact_id)
+      VALUES ($1, $2)
+      ON CONFLICT (primary_contact_id) DO NOTHING
+      RETURNING *
+      `,
+      [name, req.user.id]
+    );
+    if (!rows.length) return res.status(409).json({ error: "You already have a family group" });
+
+    return res.status(201).json({ ok: true, data: rows[0] });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* =========================================================================================
+   GET /api/family/groups/:id
+   - members; pending invitations are only shown to the primary contact
+========================================================================================= */
+async function getGroup(req, res, next) {
+  try {
+    const found = await loadGroup(req, res);
+    if (!found) return;
+
+    const members = await family.listMembers(found.group.id);
+
+    let invitations;
+    if (found.access === "primary") {
+      const { rows } = await pool.query(
+        `
+        SELECT i.id, i.role, i.status, i.created_at,
+               u.id AS invitee_id, u.username, u.email, u.first_name, u.last_name
+        FROM family_group_invitations i
+        JOIN users u ON u.id = i.invitee_id
+        WHERE i.group_id = $1 AND i.status = 'pending'
+        ORDER BY i.created_at DESC
+        `,
+        [found.group.id]
+      );
+      invitations = rows;
+    }
+
+    return res.json({
+      ok: true,
+      data: { ...found.group, my_role: found.access, members, ...(invitations ? { invitations } : {}) },
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* =========================================================================================
+   PATCH /api/family/groups/:id  { name }      (primary contact)
+========================================================================================= */
+async function renameGroup(req, res, next) {
+  try {
+    const name = cleanName(req.body?.name);
+    if (!name) return res.status(400).json({ error: `name is required (max ${NAME_MAX} characters)` });
+
+    const found = await loadGroup(req, res, "primary");
+    if (!found) return;
+
+    const { rows } = await pool.query(
+      `UPDATE family_groups SET name = $1, updated_at = NOW() WHERE id = $2 RETURNING *`,
+      [name, found.group.id]
+    );
+    return res.json({ ok: true, data: rows[0] });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* =========================================================================================
+   DELETE /api/family/groups/:id      (primary contact)
+   - members lose access immediately; the records themselves stay with the primary contact
+========================================================================================= */
+async function deleteGroup(req, res, next) {
+  try {
+    const found = await loadGroup(req, res, "primary");
+    if (!found) return;
+
+    await pool.query(`DELETE FROM family_groups WHERE id = $1`, [found.group.id]);
+    return res.json({ ok: true, message: "Family group deleted" });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* =========================================================================================
+   POST /api/family/groups/:id/invitations  { username | email, role: viewer|manager }
+   - primary contact only; the invitee must be an active visitor account
+========================================================================================= */
+async function inviteMember(req, res, next) {
+  try {
+    const identifier = String(req.body?.username ?? req.body?.email ?? "").trim();
+    const role = cleanRole(req.body?.role, "viewer");
+    if (!identifier) return res.status(400).json({ error: "username or email is required" });
+    if (!role) return res.status(400).json({ error: `role must be one of: ${family.MEMBER_ROLES.join(", ")}` });
+
+    const found = await loadGroup(req, res, "primary");
+    if (!found) return;
+
+    const { rows: users } = await pool.query(
+      `
+      SELECT id, username, email, first_name, last_name, role, is_active
+      FROM users
+      WHERE LOWER(username) = LOWER($1) OR LOWER(email) = LOWER($1)
+      LIMIT 1
+      `,
+      [identifier]
+    );
+    const invitee = users[0];
+    if (!invitee || invitee.is_active === false || invitee.role !== "visitor") {
+      return res.status(404).json({ error: "No active visitor account with that username or email" });
+    }
+    if (String(invitee.id) === String(req.user.id)) {
+      return res.status(400).json({ error: "You can't invite yourself" });
+    }
+
+    const { rows: existing } = await pool.query(
+      `SELECT 1 FROM family_group_members WHERE group_id = $1 AND user_id = $2`,
+      [found.group.id, invitee.id]
+    );
+    if (existing.length) return res.status(409).json({ error: "Already a member of this group" });
+
+    const { rows } = await pool.query(
+      `
+      INSERT INTO family_group_invitations (group_id, invitee_id, role, invited_by)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (group_id, invitee_id) WHERE status = 'pending' DO NOTHING
+      RETURNING *
+      `,
+      [found.group.id, invitee.id, role, req.user.id]
+    );
+    if (!rows.length) return res.status(409).json({ error: "An invitation is already pending" });
+
+    if (invitee.email) {
+      const { rows: me } = await pool.query(
+        `SELECT username, first_name, last_name FROM users WHERE id = $1`,
+        [req.user.id]
+      );
+      await sendFamilyInvitationEmail(invitee, { group: found.group, inviter: me[0] || {}, role });
+    }
+
+    return res.status(201).json({ ok: true, data: rows[0] });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* =========================================================================================
+   DELETE /api/family/groups/:id/invitations/:invitationId      (primary contact)
+========================================================================================= */
+async function revokeInvitation(req, res, next) {
+  try {
+    const found = await loadGroup(req, res, "primary");
+    if (!found) return;
+
+    const { rows } = await pool.query(
+      `
+      UPDATE family_group_invitations
+      SET status = 'revoked', responded_at = NOW()
+      WHERE id::text = $1 AND group_id = $2 AND status = 'pending'
+      RETURNING *
+      `,
+      [String(req.params.invitationId), found.group.id]
+    );
+    if (!rows.length) return res.status(404).json({ error: "Pending invitation not found" });
+
+    return res.json({ ok: true, data: rows[0] });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* =========================================================================================
+   PATCH /api/family/groups/:id/members/:userId  { role: viewer|manager }      (primary contact)
+========================================================================================= */
+async function updateMemberRole(req, res, next) {
+  try {
+    const role = cleanRole(req.body?.role);
+    if (!role) return res.status(400).json({ error: `role must be one of: ${family.MEMBER_ROLES.join(", ")}` });
+
+    const found = await loadGroup(req, res, "primary");
+    if (!found) return;
+
+    const { rows } = await pool.query(
+      `
+      UPDATE family_group_members
+      SET role = $1, updated_at = NOW()
+      WHERE group_id = $2 AND user_id::text = $3
+      RETURNING *
+      `,
+      [role, found.group.id, String(req.params.userId)]
+    );
+    if (!rows.length) return res.status(404).json({ error: "Member not found" });
+
+    return res.json({ ok: true, data: rows[0] });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* =========================================================================================
+   DELETE /api/family/groups/:id/members/:userId
+   - primary contact removes a member, or a member leaves (userId = themselves)
+========================================================================================= */
+async function removeMember(req, res, next) {
+  try {
+    const leaving = String(req.params.userId) === String(req.user.id);
+
+    const found = await loadGroup(req, res, leaving ? "member" : "primary");
+    if (!found) return;
+    if (leaving && found.access === "primary") {
+      return res.status(400).json({ error: "The primary contact can't leave; delete the group instead" });
+    }
+
+    const { rowCount } = await pool.query(
+      `DELETE FROM family_group_members WHERE group_id = $1 AND user_id::text = $2`,
+      [found.group.id, String(req.params.userId)]
+    );
+    if (!rowCount) return res.status(404).json({ error: "Member not found" });
+
+    return res.json({ ok: true, message: leaving ? "You left the family group" : "Member removed" });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* =========================================================================================
+   GET /api/family/invitations
+   - pending invitations addressed to you
+========================================================================================= */
+async function listMyInvitations(req, res, next) {
+  try {
+    const { rows } = await pool.query(
+      `
+      SELECT
+        i.id, i.role, i.created_at,
+        g.id AS group_id, g.name AS group_name,
+        (pc.first_name || ' ' || pc.last_name) AS primary_contact_name
+      FROM family_group_invitations i
+      JOIN family_groups g ON g.id = i.group_id
+      JOIN users pc ON pc.id = g.primary_contact_id
+      WHERE i.invitee_id::text = $1 AND i.status = 'pending'
+      ORDER BY i.created_at DESC
+      `,
+      [String(req.user.id)]
+    );
+    return res.json({ ok: true, data: rows });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* =========================================================================================
+   POST /api/family/invitations/:id/accept
+   POST /api/family/invitations/:id/decline
+========================================================================================= */
+async function respondToInvitation(req, res, next, accept) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const { rows } = await client.query(
+      `
+      SELECT * FROM family_group_invitations
+      WHERE id::text = $1 AND invitee_id::text = $2 AND status = 'pending'
+      FOR UPDATE
+      `,
+      [String(req.params.id), String(req.user.id)]
+    );
+    if (!rows.length) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Pending invitation not found" });
+    }
+    const inv = rows[0];
+
+    await client.query(
+      `UPDATE family_group_invitations SET status = $1, responded_at = NOW() WHERE id = $2`,
+      [accept ? "accepted" : "declined", inv.id]
+    );
+
+    if (accept) {
+      await client.query(
+        `
+        INSERT INTO family_group_members (group_id, user_id, role, added_by)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (group_id, user_id) DO UPDATE SET role = EXCLUDED.role, updated_at = NOW()
+        `,
+        [inv.group_id, inv.invitee_id, inv.role, inv.invited_by]
+      );
+    }
+
+    await client.query("COMMIT");
+    return res.json({
+      ok: true,
+      message: accept ? "Invitation accepted" : "Invitation declined",
+      data: { group_id: inv.group_id, role: accept ? inv.role : null },
+    });
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    next(err);
+  } finally {
+    client.release();
+  }
+}
+
+const acceptInvitation = (req, res, next) => respondToInvitation(req, res, next, true);
+const declineInvitation = (req, res, next) => respondToInvitation(req, res, next, false);
+
+module.exports = {
+  listMyGroups,
+  createGroup,
+  getGroup,
+  renameGroup,
+  deleteGroup,
+  inviteMember,
+  revokeInvitation,
+  updateMemberRole,
+  removeMember,
+  listMyInvitations,
+  acceptInvitation,
+  declineInvitation,
+};
@@ -0,0 +1,48 @@
+// backend/controllers/geojson-import.controller.js
+"use strict";
+
+const importer = require("../services/geojson-import.service");
+
+const truthy = (v) => ["1", "true", "yes"].includes(String(v ?? "").toLowerCase());
+
+/* =========================================================================================
+   POST /api/admin/import/geojson
+   - multipart: file=<.geojson> plus the fields below, or JSON: { geojson: {...}, ...fields }
+   - fields (body or query): layer = plots | road_plots | building_plots
+                             dry_run (default true; send dry_run=false to apply)
+                             mode = upsert | create | update
+                             allow_overlaps, skip_errors
+   -> per-feature plan (create / update / skip / error) and a summary.
+      422 when an apply was refused because some features failed (nothing is written).
+========================================================================================= */
+async function importGeoJson(req, res, next) {
+  try {
+    const opts = { ...req.query, ...(req.body || {}) };
+
+    const source = req.file?.buffer ?? opts.geojson;
+    if (!source) return res.status(400).json({ ok: false, error: "Upload a file or send geojson in the body" });
+
+    const fc = importer.parseFeatureCollection(source);
+    const report = await importer.importFeatureCollection(fc, {
+      layer: String(opts.layer || "").trim(),
+      mode: String(opts.mode || "upsert").trim(),
+      dryRun: opts.dry_run == null || opts.dry_run === "" ? true : truthy(opts.dry_run),
+      allowOverlaps: truthy(opts.allow_overlaps),
+      skipErrors: truthy(opts.skip_errors),
+    });
+
+    if (report.blocked && !report.dry_run) {
+      return res.status(422).json({
+        ok: false,
+        error: `${report.summary.error} feature(s) failed; nothing was imported (fix them or set skip_errors)`,
+        data: report,
+      });
+    }
+    return res.json({ ok: true, data: report });
+  } catch (err) {
+    if (err.status && err.status < 500) return res.status(err.status).json({ ok: false, error: err.message });
+    next(err);
+  }
+}
+
+module.exports = { importGeoJson };
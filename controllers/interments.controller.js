@@ -0,0 +1,97 @@
+// backend/controllers/interments.controller.js
+"use strict";
+
+const pool = require("../config/database");
+const interments = require("../services/interment.service");
+
+/* =========================================================================================
+   GET /api/admin/plot/:id/interments     (id or uid)
+   -> capacity (override and effective), interred, remaining and the active graves by level
+========================================================================================= */
+async function getPlotInterments(req, res, next) {
+  try {
+    const data = await interments.plotInterments(pool, req.params.id);
+    if (!data) return res.status(404).json({ ok: false, error: "Plot not found" });
+    return res.json({ ok: true, data });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* =========================================================================================
+   PATCH /api/admin/plot/:id/capacity   { capacity: 2 }  (null = use the section type's)
+   - refused (409) below the number of people already interred
+   - plot status follows (trigger, migration 016)
+========================================================================================= */
+async function updatePlotCapacity(req, res, next) {
+  const client = await pool.connect();
+  try {
+    if (!req.body || !("capacity" in req.body)) {
+      return res.status(400).json({ ok: false, error: "capacity is required (a number, or null)" });
+    }
+    const capacity = interments.parseCapacity(req.body.capacity);
+
+    await client.query("BEGIN");
+    const data = await interments.setPlotCapacity(client, req.params.id, capacity);
+    if (!data) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ ok: false, error: "Plot not found" });
+    }
+    await client.query("COMMIT");
+
+    return res.json({ ok: true, data });
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    if (err.status && err.status < 500) return res.status(err.status).json({ ok: false, error: err.message });
+    next(err);
+  } finally {
+    client.release();
+  }
+}
+
+/* =========================================================================================
+   GET /api/admin/section-capacities
+   -> capacity per section type (types without a row default to 1)
+========================================================================================= */
+async function listSectionCapacities(req, res, next) {
+  try {
+    const data = await interments.sectionTypeCapacities(pool);
+    return res.json({ ok: true, data });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* =========================================================================================
+   PUT /api/admin/section-capacities/:type   { capacity: 2 }
+   - applies to every plot of that section type without its own override
+========================================================================================= */
+async function updateSectionCapacity(req, res, next) {
+  const client = await pool.connect();
+  try {
+    const capacity = interments.parseCapacity(req.body?.capacity ?? "");
+
+    await client.query("BEGIN");
+    const data = await interments.setSectionTypeCapacity(client, req.params.type, capacity);
+    await client.query("COMMIT");
+
+    return res.json({ ok: true, data });
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    if (err.status && err.status < 500) return res.status(err.status).json({ ok: false, error: err.message });
+    next(err);
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  getPlotInterments,
+  updatePlotCapacity,
+  listSectionCapacities,
+  updateSectionCapacity,
+};
@@ -0,0 +1,149 @@
+// backend/controllers/navigation.controller.js
+"use strict";
+
+const pool = require("../config/database");
+const navigation = require("../services/navigation.service");
+
+const LAT_LNG_RE = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/;
+
+function parseLatLng(raw) {
+  const m = LAT_LNG_RE.exec(String(raw || ""));
+  if (!m) return null;
+  const lat = Number(m[1]);
+  const lng = Number(m[2]);
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return { lat, lng };
+}
+
+const ENTRANCE_SQL = `
+  SELECT
+    id, uid, name, description,
+    ST_X(ST_PointOnSurface(COALESCE(coordinates, geometry))) AS lng,
+    ST_Y(ST_PointOnSurface(COALESCE(coordinates, geometry))) AS lat
+  FROM cemetery_infrastructure
+  WHERE type = 'entrance' AND COALESCE(coordinates, geometry) IS NOT NULL
+`;
+
+/** from: "lat,lng", an entrance uid/id, or empty for the first entrance. */
+async function resolveStart(raw) {
+  if (raw != null && String(raw).trim() !== "") {
+    const point = parseLatLng(raw);
+    if (point) return { point, label: null };
+  }
+
+  const key = String(raw ?? "").trim();
+  const { rows } = await pool.query(
+    `${ENTRANCE_SQL} ${key ? "AND (uid::text = $1 OR id::text = $1)" : ""} ORDER BY id ASC LIMIT 1`,
+    key ? [key] : []
+  );
+  if (!rows.length) return null;
+  return { point: { lat: rows[0].lat, lng: rows[0].lng }, label: rows[0].name, entrance: rows[0] };
+}
+
+/** to: a grave uid (or id), or a plot uid / id / code. */
+async function resolveDestination(raw) {
+  const key = String(raw || "").trim();
+  if (!key) return null;
+
+  const plotPoint = `ST_PointOnSurface(COALESCE(p.geom, p.plot_boundary, p.coordinates))`;
+
+  const grave = await pool.query(
+    `
+    SELECT
+      g.uid, g.deceased_name, p.id AS plot_id, COALESCE(p.plot_name::text, p.plot_code::text) AS plot_name,
+      ST_X(${plotPoint}) AS lng, ST_Y(${plotPoint}) AS lat
+    FROM graves g
+    JOIN plots p ON p.id = g.plot_id
+    WHERE g.uid::text = $1 OR g.id::text = $1
+    LIMIT 1
+    `,
+    [key]
+  );
+  if (grave.rows.length && grave.rows[0].lat != null) {
+    const g = grave.rows[0];
+    return {
+      point: { lat: g.lat, lng: g.lng },
+      label: `the grave of ${g.deceased_name}${g.plot_name ? ` (${g.plot_name})` : ""}`,
+      target: { type: "grave", uid: g.uid, deceased_name: g.deceased_name, plot_id: g.plot_id },
+    };
+  }
+
+  const plot = await pool.query(
+    `
+    SELECT
+      p.id, p.uid, COALESCE(p.plot_name::text, p.plot_code::text) AS plot_name,
+      ST_X(${plotPoint}) AS lng, ST_Y(${plotPoint}) AS lat
+    FROM plots p
+    WHERE p.uid::text = $1 OR p.id::text = $1 OR p.plot_code::text = $1
+    LIMIT 1
+    `,
+    [key]
+  );
+  if (plot.rows.length && plot.rows[0].lat != null) {
+    const p = plot.rows[0];
+    return {
+      point: { lat: p.lat, lng: p.lng },
+      label: `plot ${p.plot_name || p.uid}`,
+      target: { type: "plot", uid: p.uid, plot_id: p.id, plot_name: p.plot_name },
+    };
+  }
+
+  return null;
+}
+
+/* =========================================================================================
+   GET /api/navigation/route?from=<lat,lng | entrance uid>&to=<grave or plot uid>&accessible=1
+   - from defaults to the first entrance
+   - accessible=1 avoids stairs, paths marked not accessible and difficulty above the limit
+   -> GeoJSON Feature (LineString) with distance_m, duration_s and turn-by-turn steps
+      (a Point with only the arrive step when start and destination are the same spot)
+========================================================================================= */
+async function getRoute(req, res, next) {
+  try {
+    const { from, to } = req.query || {};
+    const accessible = ["1", "true", "yes"].includes(String(req.query?.accessible || "").toLowerCase());
+
+    if (!to) return res.status(400).json({ ok: false, error: "to (grave or plot uid) is required" });
+
+    const start = await resolveStart(from);
+    if (!start) {
+      return res.status(404).json({
+        ok: false,
+        error: from ? "from must be lat,lng or a known entrance uid" : "No entrance has been mapped",
+      });
+    }
+
+    const destination = await resolveDestination(to);
+    if (!destination) return res.status(404).json({ ok: false, error: "Grave or plot not found" });
+
+    const out = await navigation.route(start.point, destination.point, {
+      accessible,
+      arriveLabel: destination.label,
+    });
+    if (out.error) return res.status(out.status || 422).json({ ok: false, error: out.error });
+
+    out.feature.properties.from = start.entrance
+      ? { type: "entrance", uid: start.entrance.uid, name: start.entrance.name }
+      : { type: "point", lat: start.point.lat, lng: start.point.lng };
+    out.feature.properties.to = destination.target;
+
+    return res.json(out.feature);
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* =========================================================================================
+   GET /api/navigation/entrances
+   - possible "from" values for the route endpoint
+========================================================================================= */
+async function getEntrances(req, res, next) {
+  try {
+    const { rows } = await pool.query(`${ENTRANCE_SQL} ORDER BY id ASC`);
+    return res.json({ ok: true, data: rows });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = { getRoute, getEntrances };
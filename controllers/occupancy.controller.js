@@ -0,0 +1,63 @@
+// backend/controllers/occupancy.controller.js
+"use strict";
+
+const pool = require("../config/database");
+const occupancy = require("../services/occupancy.service");
+
+function sendError(res, err, next) {
+  if (err.status && err.status < 500) return res.status(err.status).json({ ok: false, error: err.message });
+  return next(err);
+}
+
+/* =========================================================================================
+   GET /api/admin/occupancy/sections?bbox=minLng,minLat,maxLng,maxLat
+   -> FeatureCollection, one polygon per section (boundary, else hull of its plots) with
+      available / reserved / occupied / maintenance counts, occupancy_pct, utilization_pct,
+      fill_pct (interments against capacity) and avg_price
+========================================================================================= */
+async function getSectionOccupancy(req, res, next) {
+  try {
+    const { bbox } = occupancy.parseQuery(req.query);
+    const data = await occupancy.sectionAggregates(pool, { bbox });
+    return res.json({ ok: true, data });
+  } catch (err) {
+    sendError(res, err, next);
+  }
+}
+
+/* =========================================================================================
+   GET /api/admin/occupancy/rows?section=A&bbox=...
+   - section: id, uid or name (optional)
+   -> FeatureCollection, one hull per section row (plots.row_num) with the same aggregates
+========================================================================================= */
+async function getRowOccupancy(req, res, next) {
+  try {
+    const { bbox, section } = occupancy.parseQuery(req.query);
+    const data = await occupancy.rowAggregates(pool, { bbox, section });
+    return res.json({ ok: true, data });
+  } catch (err) {
+    sendError(res, err, next);
+  }
+}
+
+/* =========================================================================================
+   GET /api/admin/occupancy/grid?zoom=14&bbox=...&cell=64&section=
+   - zoom is required; cell is the grid cell size in screen pixels (default 64)
+   -> FeatureCollection of cluster points (one per non-empty cell) with the cell bounds and
+      the same aggregates, for low-zoom heat maps
+========================================================================================= */
+async function getGridOccupancy(req, res, next) {
+  try {
+    const { bbox, zoom, cell, section } = occupancy.parseQuery(req.query, { requireZoom: true });
+    const data = await occupancy.gridAggregates(pool, { bbox, zoom, cell, section });
+    return res.json({ ok: true, data });
+  } catch (err) {
+    sendError(res, err, next);
+  }
+}
+
+module.exports = {
+  getSectionOccupancy,
+  getRowOccupancy,
+  getGridOccupancy,
+};
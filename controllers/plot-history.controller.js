@@ -0,0 +1,27 @@
+// backend/controllers/plot-history.controller.js
+"use strict";
+
+const pool = require("../config/database");
+const history = require("../services/plot-history.service");
+
+/* =========================================================================================
+   GET /api/admin/plot/:id/history?from=&to=&limit=     (id, uid or plot code)
+   - every version of the plot, newest first, with the columns each change touched
+   - works for deleted plots too; reservations list who held the lot
+========================================================================================= */
+async function getPlotHistory(req, res, next) {
+  try {
+    const from = history.parseAsOf(req.query.from);
+    const to = history.parseAsOf(req.query.to);
+
+    const data = await history.plotHistory(pool, req.params.id, { from, to, limit: req.query.limit });
+    if (!data) return res.status(404).json({ ok: false, error: "Plot not found" });
+
+    return res.json({ ok: true, data });
+  } catch (err) {
+    if (err.status && err.status < 500) return res.status(err.status).json({ ok: false, error: err.message });
+    next(err);
+  }
+}
+
+module.exports = { getPlotHistory };
@@ -0,0 +1,63 @@
+// backend/controllers/plot-merge.controller.js
+"use strict";
+
+const pool = require("../config/database");
+const plotMerge = require("../services/plot-merge.service");
+
+const truthy = (v) => ["1", "true", "yes"].includes(String(v ?? "").toLowerCase());
+
+function sendError(res, err) {
+  if (err.status && err.status < 500) return res.status(err.status).json({ ok: false, error: err.message });
+  // graves_check_capacity (migration 016)
+  if (err.code === "23514") return res.status(409).json({ ok: false, error: err.message });
+  return null;
+}
+
+// runs fn in a transaction; a dry run rolls it back and answers with what would have happened
+async function inTransaction(req, res, next, fn) {
+  const client = await pool.connect();
+  const dryRun = truthy(req.body?.dry_run ?? req.query.dry_run);
+  try {
+    await client.query("BEGIN");
+    const data = await fn(client);
+    await client.query(dryRun ? "ROLLBACK" : "COMMIT");
+    return res.json({ ok: true, data: { dry_run: dryRun, ...data } });
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    if (!sendError(res, err)) next(err);
+  } finally {
+    client.release();
+  }
+}
+
+/* =========================================================================================
+   POST /api/admin/plots/merge
+   { ids: [id|uid, ...], keep?: id|uid, plot_code?, dry_run? }
+   - adjacent plots of one section become the `keep` plot (default: the first id)
+   - graves, reservations, requests and schedules move to it; the others are deleted
+   -> { plot, merged, moved: { table: rows } }
+========================================================================================= */
+async function mergePlots(req, res, next) {
+  const { ids, keep, plot_code } = req.body || {};
+  return inTransaction(req, res, next, (client) =>
+    plotMerge.mergePlots(client, { ids, keep, plot_code, actor: req.user })
+  );
+}
+
+/* =========================================================================================
+   POST /api/admin/plot/:id/split
+   { line: GeoJSON LineString } or { parts: 2..20 }
+   + codes?: [plot code per piece], assign?: { graveIdOrUid: pieceIndex }, dry_run?
+   - piece 0 stays the original plot; graves stay on it unless assigned elsewhere
+   -> { plots: [piece 0, ...], moved_graves }
+========================================================================================= */
+async function splitPlot(req, res, next) {
+  const { line, parts, codes, assign } = req.body || {};
+  return inTransaction(req, res, next, (client) =>
+    plotMerge.splitPlot(client, req.params.id, { line, parts, codes, assign, actor: req.user })
+  );
+}
+
+module.exports = { mergePlots, splitPlot };
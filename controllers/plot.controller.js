@@ -2,6 +2,10 @@
 "use strict";
 
 const pool = require("../config/database");
+const tileCache = require("../services/tile-cache.service");
+const facilities = require("../services/facility.service");
+const plotHistory = require("../services/plot-history.service");
+const geometryFormat = require("../services/geometry-format.service");
 
 /**
  * Utility: build a WHERE clause safely for optional filters.
@@ -30,6 +34,7 @@ function buildFilters(req) {
 
   return {
     whereSQL: filters.length ? `WHERE ${filters.join(" AND ")}` : "",
+    filters,
     params,
   };
 }
@@ -211,79 +216,110 @@ async function buildBaseGeomExpr(table, columnsInPriorityOrder) {
 }
 
 /* =========================================================================================
-   PLOTS (GRAVES)
+   VIEWPORT: ?bbox=minLng,minLat,maxLng,maxLat  ?zoom=0..22  ?fields=id,status,...
+   - bbox filters on the raw geometry columns (GiST indexed) before any conversion
+   - zoom below SIMPLIFY_BELOW_ZOOM simplifies to ~1 screen pixel and trims coordinate digits
+   - fields picks the feature properties (default: all)
 ========================================================================================= */
 
-async function getPlotsGeoJSON(req, res, next) {
-  const { whereSQL, params } = buildFilters(req);
+const SIMPLIFY_BELOW_ZOOM = 18;
+const MAX_ZOOM = 22;
+
+// property name -> column of the "base" CTE in makeGetPlotsGeoJSON
+const FEATURE_PROPERTIES = {
+  id: "id",
+  uid: "uid",
+  plot_name: "plot_name",
+  plot_code: "plot_name",
+  plot_type: "plot_type",
+  section_name: "section_name",
+  size_sqm: "size_sqm",
+  price: "price",
+  status: "status",
+  created_at: "created_at",
+  updated_at: "updated_at",
+};
 
-  try {
-    // If plots table missing, return empty instead of crashing
-    if (!(await tableExists("plots"))) {
-      return res.json({ type: "FeatureCollection", features: [] });
+/** Returns { bbox, zoom, fields } (each null when absent) or { error }. */
+function parseViewport(query = {}) {
+  let bbox = null;
+  if (query.bbox != null && query.bbox !== "") {
+    const n = String(query.bbox).split(",").map((v) => Number(v.trim()));
+    const [minLng, minLat, maxLng, maxLat] = n;
+    if (
+      n.length !== 4 ||
+      !n.every(Number.isFinite) ||
+      minLng < -180 || maxLng > 180 || minLat < -90 || maxLat > 90 ||
+      minLng >= maxLng || minLat >= maxLat
+    ) {
+      return { error: "bbox must be minLng,minLat,maxLng,maxLat (WGS84 degrees)" };
     }
+    bbox = n;
+  }
 
-    const baseGeom = await buildBaseGeomExpr("plots", [
-      "geom",
-      "plot_boundary",
-      "coordinates",
-    ]);
+  let zoom = null;
+  if (query.zoom != null && query.zoom !== "") {
+    zoom = Number(query.zoom);
+    if (!Number.isFinite(zoom) || zoom < 0 || zoom > MAX_ZOOM) {
+      return { error: `zoom must be a number between 0 and ${MAX_ZOOM}` };
+    }
+  }
 
-    const sql = `
-      WITH base AS (
-        SELECT
-          id,
-          uid,
-          COALESCE(plot_name::text, plot_code::text) AS plot_name,
-          plot_type,
-          section_name,
-          size_sqm,
-          price,
-          status,
-          created_at,
-          updated_at,
-          ${sqlGeomAsPolygon(baseGeom)} AS geom
-        FROM plots
-        ${whereSQL}
-      ),
-      feats AS (
-        SELECT
-          id,
-          json_build_object(
-            'type','Feature',
-            'id', id,
-            'geometry', ST_AsGeoJSON(geom)::json,
-            'properties', json_build_object(
-              'id', id,
-              'uid', uid,
-              'plot_name', plot_name,
-              'plot_code', plot_name,
-              'plot_type', plot_type,
-              'section_name', section_name,
-              'size_sqm', size_sqm,
-              'price', price,
-              'status', status,
-              'created_at', created_at,
-              'updated_at', updated_at
-            )
-          ) AS f
-        FROM base
-        WHERE geom IS NOT NULL
-      )
-      SELECT json_build_object(
-        'type','FeatureCollection',
-        'features', COALESCE(json_agg(f ORDER BY id), '[]'::json)
-      ) AS geojson
-      FROM feats;
-    `;
+  let fields = null;
+  if (query.fields != null && query.fields !== "") {
+    fields = [...new Set(String(query.fields).split(",").map((f) => f.trim()).filter(Boolean))];
+    const unknown = fields.filter((f) => !FEATURE_PROPERTIES[f]);
+    if (unknown.length) {
+      return {
+        error: `Unknown fields: ${unknown.join(", ")}. Allowed: ${Object.keys(FEATURE_PROPERTIES).join(", ")}`,
+      };
+    }
+  }
 
-    const { rows } = await pool.query(sql, params);
-    return res.json(rows[0]?.geojson ?? { type: "FeatureCollection", features: [] });
-  } catch (err) {
-    next(err);
+  return { bbox, zoom, fields };
+}
+
+/**
+ * bbox condition over every geometry source column, so each one can use its own GiST index.
+ * p = index of the first of the 4 bbox params ($p..$p+3).
+ */
+async function sqlBboxFilter(table, columns, p) {
+  const env = `ST_MakeEnvelope($${p}, $${p + 1}, $${p + 2}, $${p + 3}, 4326)`;
+  const parts = [];
+  for (const col of columns) {
+    const t = await getColumnType(table, col);
+    if (!t) continue;
+    const udt = String(t.udt_name || "").toLowerCase();
+    if (udt === "geometry") {
+      parts.push(`${col} && ${env}`);
+    } else {
+      const expr = await sqlColumnToGeometry(table, col);
+      if (expr) parts.push(`(${expr}) && ${env}`);
+    }
   }
+  return parts.length ? `(${parts.join(" OR ")})` : "FALSE";
 }
 
+// ~1 pixel at this zoom (256px tiles), in degrees
+function simplifyTolerance(zoom) {
+  return 360 / (256 * 2 ** zoom);
+}
+
+// enough decimals for sub-pixel precision; 7 (~1cm) at full zoom
+function coordinateDigits(zoom) {
+  if (zoom == null) return 9;
+  return Math.min(7, Math.max(4, Math.ceil(Math.log10((256 * 2 ** zoom) / 360)) + 1));
+}
+
+function sqlFeatureProperties(fields) {
+  const keys = fields || Object.keys(FEATURE_PROPERTIES);
+  return `json_build_object(${keys.map((k) => `'${k}', ${FEATURE_PROPERTIES[k]}`).join(", ")})`;
+}
+
+/* =========================================================================================
+   PLOTS (GRAVES)
+========================================================================================= */
+
 async function getPlotById(req, res, next) {
   const raw = String(req.params.id || "").trim();
   if (!raw) return res.status(400).json({ ok: false, error: "Invalid plot id" });
@@ -291,9 +327,12 @@ async function getPlotById(req, res, next) {
   const isNumeric = /^\d+$/.test(raw);
 
   try {
+    const asOf = plotHistory.parseAsOf(req.query.as_of);
+    const output = geometryFormat.parseOutput(req.query);
     if (!(await tableExists("plots"))) {
       return res.status(404).json({ ok: false, error: "Plot not found" });
     }
+    await geometryFormat.checkSrid(pool, output.srid);
 
     const baseGeom = await buildBaseGeomExpr("plots", [
       "geom",
@@ -305,7 +344,7 @@ async function getPlotById(req, res, next) {
       SELECT json_build_object(
         'type','Feature',
         'id', id,
-        'geometry', ST_AsGeoJSON(${sqlGeomAsPolygon(baseGeom)})::json,
+        'geometry', ST_AsGeoJSON(${geometryFormat.sqlOutputGeometry(sqlGeomAsPolygon(baseGeom), output.srid)})::json,
         'properties', json_build_object(
           'id', id,
           'uid', uid,
@@ -320,7 +359,7 @@ async function getPlotById(req, res, next) {
           'updated_at', updated_at
         )
       ) AS feature
-      FROM plots
+      FROM ${asOf ? `${plotHistory.sqlPlotsAsOf("$2")} AS plots` : "plots"}
       WHERE ${
         isNumeric
           ? "id = $1"
@@ -330,14 +369,21 @@ async function getPlotById(req, res, next) {
     `;
 
     const bind = [isNumeric ? Number(raw) : raw];
+    if (asOf) bind.push(asOf);
     const { rows } = await pool.query(sql, bind);
 
     if (!rows.length || !rows[0].feature) {
       return res.status(404).json({ ok: false, error: "Plot not found" });
     }
 
-    return res.json(rows[0].feature);
+    const feature = rows[0].feature;
+    return geometryFormat.sendFeatures(res, [feature], {
+      ...output,
+      name: feature.properties?.plot_code || raw,
+      single: true,
+    });
   } catch (err) {
+    if (err.status === 400) return res.status(400).json({ ok: false, error: err.message });
     next(err);
   }
 }
@@ -346,7 +392,8 @@ async function getPlotById(req, res, next) {
    FACTORIES (ROAD/BUILDING)
 ========================================================================================= */
 
-const ALLOWED_TABLES = new Set(["road_plots", "building_plots"]);
+const ALLOWED_TABLES = new Set(["plots", "road_plots", "building_plots"]);
+const GEOM_COLUMNS = ["geom", "plot_boundary", "coordinates"];
 
 function makeGetPlotsGeoJSON(table, geomMode = "polygon") {
   const safeTable = ALLOWED_TABLES.has(table) ? table : null;
@@ -354,23 +401,53 @@ function makeGetPlotsGeoJSON(table, geomMode = "polygon") {
   return async (req, res, next) => {
     if (!safeTable) return res.status(500).json({ error: "Invalid table config" });
 
-    const { whereSQL, params } = buildFilters(req);
+    const viewport = parseViewport(req.query);
+    if (viewport.error) return res.status(400).json({ ok: false, error: viewport.error });
+    const { bbox, zoom, fields } = viewport;
+
+    const { filters, params } = buildFilters(req);
+
+    let asOf = null;
+    let output;
+    try {
+      // only plots keep a history (plot_history); the other layers are always current
+      if (safeTable === "plots") asOf = plotHistory.parseAsOf(req.query.as_of);
+      output = geometryFormat.parseOutput(req.query);
+    } catch (err) {
+      return res.status(400).json({ ok: false, error: err.message });
+    }
 
     try {
       // If table missing on Render (common), return empty instead of 500
       if (!(await tableExists(safeTable))) {
         return res.json({ type: "FeatureCollection", features: [] });
       }
+      await geometryFormat.checkSrid(pool, output.srid);
 
-      const baseGeom = await buildBaseGeomExpr(safeTable, [
-        "geom",
-        "plot_boundary",
-        "coordinates",
-      ]);
+      const baseGeom = await buildBaseGeomExpr(safeTable, GEOM_COLUMNS);
 
       const geomExpr =
         geomMode === "line" ? sqlGeomAsLine(baseGeom) : sqlGeomAsPolygon(baseGeom);
 
+      const where = [...filters];
+      if (bbox) {
+        where.push(await sqlBboxFilter(safeTable, GEOM_COLUMNS, params.length + 1));
+        params.push(...bbox);
+      }
+
+      const outGeom = geometryFormat.sqlOutputGeometry(
+        zoom != null && zoom < SIMPLIFY_BELOW_ZOOM
+          ? `ST_SimplifyPreserveTopology(geom, ${simplifyTolerance(zoom)})`
+          : "geom",
+        output.srid
+      );
+
+      let source = safeTable;
+      if (asOf) {
+        params.push(asOf);
+        source = `${plotHistory.sqlPlotsAsOf(`$${params.length}`)} AS ${safeTable}`;
+      }
+
       const sql = `
         WITH base AS (
           SELECT
@@ -385,8 +462,8 @@ function makeGetPlotsGeoJSON(table, geomMode = "polygon") {
             created_at,
             updated_at,
             ${geomExpr} AS geom
-          FROM ${safeTable}
-          ${whereSQL}
+          FROM ${source}
+          ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
         ),
         feats AS (
           SELECT
@@ -394,20 +471,8 @@ function makeGetPlotsGeoJSON(table, geomMode = "polygon") {
             json_build_object(
               'type','Feature',
               'id', id,
-              'geometry', ST_AsGeoJSON(geom)::json,
-              'properties', json_build_object(
-                'id', id,
-                'uid', uid,
-                'plot_name', plot_name,
-                'plot_code', plot_name,
-                'plot_type', plot_type,
-                'section_name', section_name,
-                'size_sqm', size_sqm,
-                'price', price,
-                'status', status,
-                'created_at', created_at,
-                'updated_at', updated_at
-              )
+              'geometry', ST_AsGeoJSON(${outGeom}, ${coordinateDigits(zoom)})::json,
+              'properties', ${sqlFeatureProperties(fields)}
             ) AS f
           FROM base
           WHERE geom IS NOT NULL
@@ -420,8 +485,11 @@ function makeGetPlotsGeoJSON(table, geomMode = "polygon") {
       `;
 
       const { rows } = await pool.query(sql, params);
-      return res.json(rows[0]?.geojson ?? { type: "FeatureCollection", features: [] });
+      const geojson = rows[0]?.geojson ?? { type: "FeatureCollection", features: [] };
+      if (output.format === "geojson" && output.srid === geometryFormat.WGS84) return res.json(geojson);
+      return geometryFormat.sendFeatures(res, geojson.features, { ...output, name: safeTable });
     } catch (err) {
+      if (err.status === 400) return res.status(400).json({ ok: false, error: err.message });
       next(err);
     }
   };
@@ -439,9 +507,11 @@ function makeGetPlotById(table, geomMode = "polygon") {
     const isNumeric = /^\d+$/.test(raw);
 
     try {
+      const output = geometryFormat.parseOutput(req.query);
       if (!(await tableExists(safeTable))) {
         return res.status(404).json({ ok: false, error: "Plot not found" });
       }
+      await geometryFormat.checkSrid(pool, output.srid);
 
       const baseGeom = await buildBaseGeomExpr(safeTable, [
         "geom",
@@ -456,7 +526,7 @@ function makeGetPlotById(table, geomMode = "polygon") {
         SELECT json_build_object(
           'type','Feature',
           'id', id,
-          'geometry', ST_AsGeoJSON(${geomExpr})::json,
+          'geometry', ST_AsGeoJSON(${geometryFormat.sqlOutputGeometry(geomExpr, output.srid)})::json,
           'properties', json_build_object(
             'id', id,
             'uid', uid,
@@ -487,23 +557,273 @@ function makeGetPlotById(table, geomMode = "polygon") {
         return res.status(404).json({ ok: false, error: "Plot not found" });
       }
 
-      return res.json(rows[0].feature);
+      const feature = rows[0].feature;
+      return geometryFormat.sendFeatures(res, [feature], {
+        ...output,
+        name: feature.properties?.plot_code || raw,
+        single: true,
+      });
     } catch (err) {
+      if (err.status === 400) return res.status(400).json({ ok: false, error: err.message });
       next(err);
     }
   };
 }
 
 /* =========================================================================================
-   ROAD + BUILDING
+   PLOTS + ROAD + BUILDING
 ========================================================================================= */
 
+const getPlotsGeoJSON = makeGetPlotsGeoJSON("plots", "polygon");
+
 const getRoadPlotsGeoJSON = makeGetPlotsGeoJSON("road_plots", "line");
 const getRoadPlotById = makeGetPlotById("road_plots", "line");
 
 const getBuildingPlotsGeoJSON = makeGetPlotsGeoJSON("building_plots", "polygon");
 const getBuildingPlotById = makeGetPlotById("building_plots", "polygon");
 
+/* =========================================================================================
+   VECTOR TILES: GET /api/plot/tiles/:z/:x/:y.mvt
+   - one Mapbox Vector Tile with a layer per table (missing tables are skipped)
+   - cached in map_tile_cache; edits to any layer table drop the overlapping tiles
+   - ETag + If-None-Match -> 304; empty tiles -> 204
+========================================================================================= */
+
+const TILE_EXTENT = 4096;
+const TILE_BUFFER = 64;
+
+const TILE_LAYERS = [
+  {
+    table: "plots",
+    geomColumns: GEOM_COLUMNS,
+    mode: "polygon",
+    attrs: `id, uid::text AS uid, COALESCE(plot_name::text, plot_code::text) AS plot_name,
+            section_name::text AS section_name, plot_type::text AS plot_type,
+            status::text AS status, price::float8 AS price`,
+  },
+  {
+    table: "road_plots",
+    geomColumns: GEOM_COLUMNS,
+    mode: "line",
+    attrs: `id, uid::text AS uid, COALESCE(plot_name::text, plot_code::text) AS plot_name,
+            status::text AS status`,
+  },
+  {
+    table: "building_plots",
+    geomColumns: GEOM_COLUMNS,
+    mode: "polygon",
+    attrs: `id, uid::text AS uid, COALESCE(plot_name::text, plot_code::text) AS plot_name,
+            plot_type::text AS plot_type, status::text AS status, price::float8 AS price`,
+  },
+  {
+    table: "cemetery_infrastructure",
+    geomColumns: ["geometry", "coordinates"],
+    mode: "raw",
+    attrs: `id, uid::text AS uid, name::text AS name, type::text AS type`,
+  },
+  {
+    table: "navigation_paths",
+    geomColumns: ["geometry"],
+    mode: "raw",
+    attrs: `id, uid::text AS uid, path_name::text AS name, path_type::text AS type,
+            surface_type::text AS surface_type, is_accessible`,
+  },
+];
+
+/** WGS84 bounds of a tile, grown by the MVT buffer: [minLng, minLat, maxLng, maxLat]. */
+function tileBounds(z, x, y) {
+  const n = 2 ** z;
+  const pad = TILE_BUFFER / TILE_EXTENT;
+  const lng = (tx) => (tx / n) * 360 - 180;
+  const lat = (ty) => (Math.atan(Math.sinh(Math.PI * (1 - (2 * ty) / n))) * 180) / Math.PI;
+  return [
+    Math.max(lng(x - pad), -180),
+    Math.max(lat(y + 1 + pad), -85.0511287798),
+    Math.min(lng(x + 1 + pad), 180),
+    Math.min(lat(y - pad), 85.0511287798),
+  ];
+}
+
+async function buildTile(z, x, y, bounds) {
+  const layers = [];
+  for (const l of TILE_LAYERS) {
+    if (!(await tableExists(l.table))) continue;
+
+    const baseGeom = await buildBaseGeomExpr(l.table, l.geomColumns);
+    if (baseGeom === "NULL") continue;
+    const geomExpr =
+      l.mode === "line"
+        ? sqlGeomAsLine(baseGeom)
+        : l.mode === "polygon"
+        ? sqlGeomAsPolygon(baseGeom)
+        : baseGeom;
+
+    layers.push(`
+      (SELECT COALESCE(ST_AsMVT(q, '${l.table}', ${TILE_EXTENT}, 'mvt_geom'), ''::bytea)
+       FROM (
+         SELECT
+           ${l.attrs},
+           ST_AsMVTGeom(
+             ST_Transform(${geomExpr}, 3857),
+             ST_TileEnvelope($1, $2, $3),
+             ${TILE_EXTENT}, ${TILE_BUFFER}, true
+           ) AS mvt_geom
+         FROM ${l.table}
+         WHERE ${await sqlBboxFilter(l.table, l.geomColumns, 4)}
+       ) q
+       WHERE q.mvt_geom IS NOT NULL)
+    `);
+  }
+  if (!layers.length) return Buffer.alloc(0);
+
+  const sql = `SELECT ${layers.join(" || ")} AS tile`;
+  const { rows } = await pool.query(sql, [z, x, y, ...bounds]);
+  return rows[0]?.tile || Buffer.alloc(0);
+}
+
+async function getVectorTile(req, res, next) {
+  const z = Number(req.params.z);
+  const x = Number(req.params.x);
+  const y = Number(req.params.y);
+  if (![z, x, y].every(Number.isInteger) || z < 0 || z > MAX_ZOOM) {
+    return res.status(400).json({ ok: false, error: "Invalid tile coordinates" });
+  }
+  const n = 2 ** z;
+  if (x < 0 || y < 0 || x >= n || y >= n) {
+    return res.status(400).json({ ok: false, error: "Tile is outside the zoom level" });
+  }
+
+  try {
+    let cached = await tileCache.getTile(z, x, y);
+    if (!cached) {
+      const bounds = tileBounds(z, x, y);
+      const tile = await buildTile(z, x, y, bounds);
+      cached = { tile, etag: await tileCache.putTile(z, x, y, tile, bounds) };
+    }
+
+    const etag = `"${cached.etag}"`;
+    res.setHeader("ETag", etag);
+    res.setHeader(
+      "Cache-Control",
+      `public, max-age=${tileCache.BROWSER_MAX_AGE_SECONDS}, must-revalidate`
+    );
+
+    const ifNoneMatch = String(req.get("if-none-match") || "");
+    if (ifNoneMatch.split(",").map((t) => t.trim().replace(/^W\//, "")).includes(etag)) {
+      return res.status(304).end();
+    }
+    if (!cached.tile.length) return res.status(204).end();
+
+    res.setHeader("Content-Type", "application/vnd.mapbox-vector-tile");
+    return res.send(cached.tile);
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* =========================================================================================
+   SECTIONS (boundary polygons with plot counts)
+   GET /api/plot/sections?bbox=&zoom=
+========================================================================================= */
+
+async function getSectionsGeoJSON(req, res, next) {
+  // fields= applies to plot properties only
+  const viewport = parseViewport({ bbox: req.query.bbox, zoom: req.query.zoom });
+  if (viewport.error) return res.status(400).json({ ok: false, error: viewport.error });
+  const { bbox, zoom } = viewport;
+
+  try {
+    if (!(await tableExists("cemetery_sections"))) {
+      return res.json({ type: "FeatureCollection", features: [] });
+    }
+
+    const params = [];
+    const where = ["s.boundary IS NOT NULL"];
+    if (bbox) {
+      params.push(...bbox);
+      where.push(`s.boundary && ST_MakeEnvelope($1, $2, $3, $4, 4326)`);
+    }
+
+    const outGeom =
+      zoom != null && zoom < SIMPLIFY_BELOW_ZOOM
+        ? `ST_SimplifyPreserveTopology(s.boundary, ${simplifyTolerance(zoom)})`
+        : "s.boundary";
+
+    const sql = `
+      SELECT json_build_object(
+        'type','FeatureCollection',
+        'features', COALESCE(json_agg(
+          json_build_object(
+            'type','Feature',
+            'id', s.id,
+            'geometry', ST_AsGeoJSON(${outGeom}, ${coordinateDigits(zoom)})::json,
+            'properties', json_build_object(
+              'id', s.id,
+              'uid', s.uid,
+              'section_name', s.section_name,
+              'section_type', s.section_type,
+              'area_sqm', s.area_sqm,
+              'total_plots', COALESCE(c.total_plots, 0),
+              'available', COALESCE(c.available, 0)
+            )
+          ) ORDER BY s.section_name, s.id
+        ), '[]'::json)
+      ) AS geojson
+      FROM cemetery_sections s
+      LEFT JOIN (
+        SELECT section_id,
+               COUNT(*)::int AS total_plots,
+               COUNT(*) FILTER (WHERE LOWER(status) = 'available')::int AS available
+        FROM plots
+        WHERE section_id IS NOT NULL
+        GROUP BY section_id
+      ) c ON c.section_id = s.id
+      WHERE ${where.join(" AND ")};
+    `;
+
+    const { rows } = await pool.query(sql, params);
+    return res.json(rows[0]?.geojson ?? { type: "FeatureCollection", features: [] });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* =========================================================================================
+   FACILITIES (cemetery_infrastructure)
+   GET /api/plot/facilities?type=toilet,chapel&bbox=
+========================================================================================= */
+
+async function getFacilitiesGeoJSON(req, res, next) {
+  const viewport = parseViewport({ bbox: req.query.bbox });
+  if (viewport.error) return res.status(400).json({ ok: false, error: viewport.error });
+
+  try {
+    const types = facilities.parseTypes(req.query.type);
+    if (!(await tableExists("cemetery_infrastructure"))) {
+      return res.json({ type: "FeatureCollection", features: [] });
+    }
+    return res.json(await facilities.listFacilities(pool, { types, bbox: viewport.bbox }));
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ ok: false, error: err.message });
+    next(err);
+  }
+}
+
+async function getFacilityById(req, res, next) {
+  const raw = String(req.params.id || "").trim();
+  if (!raw) return res.status(400).json({ ok: false, error: "Invalid facility id" });
+
+  try {
+    const feature = (await tableExists("cemetery_infrastructure"))
+      ? await facilities.getFacility(pool, raw)
+      : null;
+    if (!feature) return res.status(404).json({ ok: false, error: "Facility not found" });
+    return res.json(feature);
+  } catch (err) {
+    next(err);
+  }
+}
+
 /* =========================================================================================
    EXPORTS
 ========================================================================================= */
@@ -517,4 +837,11 @@ module.exports = {
 
   getBuildingPlotsGeoJSON,
   getBuildingPlotById,
+
+  getSectionsGeoJSON,
+
+  getFacilitiesGeoJSON,
+  getFacilityById,
+
+  getVectorTile,
 };
@@ -0,0 +1,38 @@
+// backend/controllers/section-layout.controller.js
+"use strict";
+
+const layout = require("../services/section-layout.service");
+
+async function runLayout(req, res, next, commit) {
+  try {
+    const result = await layout.buildSection(req.body || {}, { commit });
+
+    if (commit && !result.applied) {
+      return res.status(422).json({
+        ok: false,
+        error: "Some plots or roads can't be created (see plots/roads); nothing was written",
+        data: result,
+      });
+    }
+    return res.status(commit ? 201 : 200).json({ ok: true, data: result });
+  } catch (err) {
+    if (err.status && err.status < 500) return res.status(err.status).json({ ok: false, error: err.message });
+    next(err);
+  }
+}
+
+/* =========================================================================================
+   POST /api/admin/sections/layout/preview
+   - body: layout spec (services/section-layout.service.js)
+   - generated plot + road polygons as GeoJSON, and what committing would do (nothing is saved)
+========================================================================================= */
+const previewSectionLayout = (req, res, next) => runLayout(req, res, next, false);
+
+/* =========================================================================================
+   POST /api/admin/sections/layout
+   - same body; creates the section (if new), its plots and roads in one transaction.
+     422 when any of them would fail (overlap, existing code...): all or nothing.
+========================================================================================= */
+const createSectionLayout = (req, res, next) => runLayout(req, res, next, true);
+
+module.exports = { previewSectionLayout, createSectionLayout };
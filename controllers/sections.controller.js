@@ -0,0 +1,292 @@
+// backend/controllers/sections.controller.js
+"use strict";
+
+const pool = require("../config/database");
+const sections = require("../services/section.service");
+
+const NAME_MAX = 50;
+
+function sendServiceError(res, err) {
+  return res.status(err.status).json({ ok: false, error: err.message });
+}
+
+// cemetery_sections_section_type_check / unique violations -> 400 / 409
+function sendDbError(res, err) {
+  if (err.code === "23514") return res.status(400).json({ ok: false, error: "section_type is not allowed" });
+  if (err.code === "23505") return res.status(409).json({ ok: false, error: "A section with that name already exists" });
+  return null;
+}
+
+async function findSection(db, key) {
+  const { rows } = await db.query(
+    `
+    SELECT id, uid, section_name, section_type, description, area_sqm, created_at, updated_at,
+           ST_AsGeoJSON(boundary, 7)::json AS boundary
+    FROM cemetery_sections
+    WHERE id::text = $1 OR uid::text = $1
+    LIMIT 1
+    `,
+    [String(key)]
+  );
+  return rows[0] || null;
+}
+
+/* =========================================================================================
+   GET /api/admin/sections
+   - every section with plot counts by status, occupancy and revenue (no geometry)
+========================================================================================= */
+async function listSections(req, res, next) {
+  try {
+    const [data, unassigned] = await Promise.all([sections.sectionStats(), sections.unassignedStats()]);
+    return res.json({ ok: true, data, unassigned });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* =========================================================================================
+   GET /api/admin/sections/:id      (id or uid)
+   - the section with its boundary (GeoJSON) and stats
+========================================================================================= */
+async function getSection(req, res, next) {
+  try {
+    const section = await findSection(pool, req.params.id);
+    if (!section) return res.status(404).json({ ok: false, error: "Section not found" });
+
+    const [stats] = await sections.sectionStats(pool, { sectionId: section.id });
+    return res.json({ ok: true, data: { ...stats, boundary: section.boundary } });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* =========================================================================================
+   POST /api/admin/sections  { section_name, section_type?, description?, boundary? }
+   - boundary: GeoJSON Polygon (or Feature); plots inside it are linked right away
+========================================================================================= */
+async function createSection(req, res, next) {
+  const { section_name, section_type = null, description = null, boundary = null } = req.body || {};
+  const name = String(section_name ?? "").trim();
+  if (!name || name.length > NAME_MAX) {
+    return res.status(400).json({ ok: false, error: `section_name is required (max ${NAME_MAX} characters)` });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const geometry = boundary ? await sections.checkBoundary(client, boundary) : null;
+
+    const { rows: dup } = await client.query(
+      `SELECT 1 FROM cemetery_sections WHERE LOWER(section_name) = LOWER($1) LIMIT 1`,
+      [name]
+    );
+    if (dup.length) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ ok: false, error: "A section with that name already exists" });
+    }
+
+    const { rows } = await client.query(
+      `
+      INSERT INTO cemetery_sections (section_name, section_type, description, boundary, area_sqm)
+      SELECT $1, $2, $3, b, CASE WHEN b IS NOT NULL THEN ROUND(ST_Area(b::geography)::numeric, 2) END
+      FROM (SELECT ST_SetSRID(ST_GeomFromGeoJSON($4), 4326) AS b) s
+      RETURNING id
+      `,
+      [name, section_type || null, description, geometry]
+    );
+    const id = rows[0].id;
+
+    const assignment = geometry ? await sections.assignPlots(client, { sectionIds: [id] }) : null;
+
+    await client.query("COMMIT");
+
+    const section = await findSection(pool, id);
+    return res.status(201).json({ ok: true, data: section, assignment });
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    if (err.status && err.status < 500) return sendServiceError(res, err);
+    if (sendDbError(res, err)) return;
+    next(err);
+  } finally {
+    client.release();
+  }
+}
+
+/* =========================================================================================
+   PATCH /api/admin/sections/:id  { section_name?, section_type?, description?, boundary? }
+   - a new (or removed, boundary: null) boundary re-assigns the plots around it
+========================================================================================= */
+async function updateSection(req, res, next) {
+  const body = req.body || {};
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const current = await findSection(client, req.params.id);
+    if (!current) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ ok: false, error: "Section not found" });
+    }
+
+    const sets = [];
+    const params = [];
+    const addSet = (sql, value) => {
+      params.push(value);
+      sets.push(sql.replaceAll("?", `$${params.length}`));
+    };
+
+    if (body.section_name !== undefined) {
+      const name = String(body.section_name ?? "").trim();
+      if (!name || name.length > NAME_MAX) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ ok: false, error: `section_name must be 1-${NAME_MAX} characters` });
+      }
+      const { rows: dup } = await client.query(
+        `SELECT 1 FROM cemetery_sections WHERE LOWER(section_name) = LOWER($1) AND id <> $2 LIMIT 1`,
+        [name, current.id]
+      );
+      if (dup.length) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({ ok: false, error: "A section with that name already exists" });
+      }
+      addSet("section_name = ?", name);
+    }
+    if (body.section_type !== undefined) addSet("section_type = ?", body.section_type || null);
+    if (body.description !== undefined) addSet("description = ?", body.description ?? null);
+
+    const boundaryChanged = body.boundary !== undefined;
+    if (boundaryChanged) {
+      const geometry = body.boundary ? await sections.checkBoundary(client, body.boundary) : null;
+      addSet("boundary = ST_SetSRID(ST_GeomFromGeoJSON(?), 4326)", geometry);
+    }
+
+    if (!sets.length) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ ok: false, error: "No updatable fields provided" });
+    }
+
+    params.push(current.id);
+    await client.query(
+      `UPDATE cemetery_sections SET ${sets.join(", ")}, updated_at = NOW() WHERE id = $${params.length}`,
+      params
+    );
+    // SET expressions read the old row, so the area is computed once the boundary is stored
+    if (boundaryChanged) {
+      await client.query(
+        `
+        UPDATE cemetery_sections
+        SET area_sqm = CASE WHEN boundary IS NULL THEN NULL ELSE ROUND(ST_Area(boundary::geography)::numeric, 2) END
+        WHERE id = $1
+        `,
+        [current.id]
+      );
+    }
+
+    // keep plots.section_name (varchar 10) in step with a rename
+    if (body.section_name !== undefined) {
+      await client.query(
+        `
+        UPDATE plots
+        SET section_name = CASE WHEN length($2) <= 10 THEN $2 ELSE NULL END, updated_at = NOW()
+        WHERE section_id = $1 AND section_name::text = $3
+        `,
+        [current.id, String(body.section_name).trim(), current.section_name]
+      );
+    }
+
+    // the old boundary's plots carry this section_id, so the scope covers both shapes
+    const assignment = boundaryChanged ? await sections.assignPlots(client, { sectionIds: [current.id] }) : null;
+
+    await client.query("COMMIT");
+
+    const section = await findSection(pool, current.id);
+    return res.json({ ok: true, data: section, assignment });
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    if (err.status && err.status < 500) return sendServiceError(res, err);
+    if (sendDbError(res, err)) return;
+    next(err);
+  } finally {
+    client.release();
+  }
+}
+
+/* =========================================================================================
+   DELETE /api/admin/sections/:id
+   - plots, roads and buildings are unlinked (FK ON DELETE SET NULL); plots that also sit in
+     another section move to it
+========================================================================================= */
+async function deleteSection(req, res, next) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const current = await findSection(client, req.params.id);
+    if (!current) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ ok: false, error: "Section not found" });
+    }
+
+    const { rows: plots } = await client.query(
+      `
+      UPDATE plots
+      SET section_id = NULL,
+          section_name = CASE WHEN section_name::text = $2 THEN NULL ELSE section_name END,
+          updated_at = NOW()
+      WHERE section_id = $1
+      RETURNING id
+      `,
+      [current.id, current.section_name]
+    );
+
+    await client.query(`DELETE FROM cemetery_sections WHERE id = $1`, [current.id]);
+
+    const assignment = plots.length
+      ? await sections.assignPlots(client, { plotIds: plots.map((p) => p.id) })
+      : { assigned: 0, unassigned: 0 };
+
+    await client.query("COMMIT");
+    return res.json({
+      ok: true,
+      message: "Section deleted",
+      data: { id: current.id, uid: current.uid, section_name: current.section_name },
+      assignment: { unlinked: plots.length, reassigned: assignment.assigned },
+    });
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    next(err);
+  } finally {
+    client.release();
+  }
+}
+
+/* =========================================================================================
+   POST /api/admin/sections/assign-plots
+   - re-runs the containment assignment over every plot (e.g. after a bulk import)
+========================================================================================= */
+async function assignAllPlots(req, res, next) {
+  try {
+    const assignment = await sections.assignPlots(pool);
+    const unassigned = await sections.unassignedStats();
+    return res.json({ ok: true, data: { ...assignment, still_unassigned: unassigned.total_plots } });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  listSections,
+  getSection,
+  createSection,
+  updateSection,
+  deleteSection,
+  assignAllPlots,
+};
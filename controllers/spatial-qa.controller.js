@@ -0,0 +1,65 @@
+// backend/controllers/spatial-qa.controller.js
+"use strict";
+
+const pool = require("../config/database");
+const qa = require("../services/spatial-qa.service");
+
+const truthy = (v) => ["1", "true", "yes"].includes(String(v ?? "").toLowerCase());
+const TABLES = ["plots", "road_plots"];
+
+function listParam(raw) {
+  if (raw == null || raw === "") return null;
+  const list = [].concat(raw).flatMap((v) => String(v).split(","));
+  return [...new Set(list.map((v) => v.trim()).filter(Boolean))];
+}
+
+/* =========================================================================================
+   GET /api/admin/spatial-qa?checks=invalid_geometry,plot_overlap&limit=500
+   - checks: missing_geometry, invalid_geometry, geometry_mismatch, plot_overlap,
+             plot_road_intersection, outside_section (default all)
+   -> summary (offenders per check) and each check's offenders as a FeatureCollection
+========================================================================================= */
+async function getSpatialReport(req, res, next) {
+  try {
+    const checks = qa.parseChecks(req.query.checks);
+    const report = await qa.runReport(pool, { checks, limit: req.query.limit });
+    return res.json({ ok: true, data: report });
+  } catch (err) {
+    if (err.status && err.status < 500) return res.status(err.status).json({ ok: false, error: err.message });
+    next(err);
+  }
+}
+
+/* =========================================================================================
+   POST /api/admin/spatial-qa/repair
+   { checks?: ["invalid_geometry", "geometry_mismatch"], ids?: [...], tables?: ["plots"], dry_run? }
+   - dry_run defaults to true; send dry_run=false to apply
+   -> repaired rows and what the checks still find afterwards
+========================================================================================= */
+async function repairSpatialData(req, res, next) {
+  try {
+    const opts = { ...req.query, ...(req.body || {}) };
+
+    const checks = qa.parseChecks(opts.checks, qa.REPAIRABLE);
+    const tables = listParam(opts.tables) || TABLES;
+    const unknown = tables.filter((t) => !TABLES.includes(t));
+    if (unknown.length) {
+      return res
+        .status(400)
+        .json({ ok: false, error: `Unknown table: ${unknown.join(", ")}. Allowed: ${TABLES.join(", ")}` });
+    }
+
+    const result = await qa.repair({
+      checks,
+      tables,
+      ids: listParam(opts.ids),
+      dryRun: opts.dry_run == null || opts.dry_run === "" ? true : truthy(opts.dry_run),
+    });
+    return res.json({ ok: true, data: result });
+  } catch (err) {
+    if (err.status && err.status < 500) return res.status(err.status).json({ ok: false, error: err.message });
+    next(err);
+  }
+}
+
+module.exports = { getSpatialReport, repairSpatialData };
@@ -1,5 +1,6 @@
 // backend/controllers/staff.controller.js
 const pool = require('../config/database');
+const interments = require('../services/interment.service');
 
 /**
  * GET /staff/get-all-tickets
@@ -306,6 +307,8 @@ async function createBurialSchedule(req, res) {
       approved_by,
       special_requirements,
       memorial_text,
+      interment_level,
+      interment_position,
     } = req.body || {};
 
     if (!deceased_name)  return res.status(400).json({ message: "deceased_name is required" });
@@ -315,22 +318,32 @@ async function createBurialSchedule(req, res) {
 
     await client.query("BEGIN");
 
-    // 1) set plot occupied + get lat/lng
+    // 1) lock plot, check it has room left + get lat/lng
+    //    (plot status follows the graves: trigger, migration 016)
+    const plot = await interments.lockPlot(client, plot_id);
+    if (!plot) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ message: "Plot not found" });
+    }
+    const full = interments.fullMessage(plot);
+    if (full) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ message: full });
+    }
+    const slot = await interments.pickSlot(client, plot, {
+      level: interment_level,
+      position: interment_position,
+    });
+
     const { rows: plotRows } = await client.query(
       `
-      UPDATE plots
-         SET status = 'occupied', updated_at = NOW()
+      SELECT COALESCE(ST_Y(coordinates::geometry), NULL) AS lat,
+             COALESCE(ST_X(coordinates::geometry), NULL) AS lng
+        FROM plots
        WHERE id = $1
-       RETURNING id,
-                 COALESCE(ST_Y(coordinates::geometry), NULL) AS lat,
-                 COALESCE(ST_X(coordinates::geometry), NULL) AS lng
       `,
-      [plot_id]
+      [plot.id]
     );
-    if (plotRows.length === 0) {
-      await client.query("ROLLBACK");
-      return res.status(404).json({ message: "Plot not found" });
-    }
     const { lat, lng } = plotRows[0];
 
     // 2) insert schedule (DATE casts!)
@@ -410,6 +423,7 @@ async function createBurialSchedule(req, res) {
       INSERT INTO graves
         (uid, plot_id, deceased_name, birth_date, death_date, burial_date,
          family_contact, headstone_type, memorial_text, qr_token, is_active,
+         interment_level, interment_position,
          created_at, updated_at)
       VALUES
         (
@@ -424,6 +438,8 @@ async function createBurialSchedule(req, res) {
           $9,
           $10,
           TRUE,
+          $11,
+          $12,
           NOW(),
           NOW()
         )
@@ -440,9 +456,12 @@ async function createBurialSchedule(req, res) {
         "flat",
         memorial_text ?? null,
         qr_token,
+        slot.interment_level,
+        slot.interment_position,
       ]
     );
     const grave = graveRows[0];
+    await interments.syncPlotPersonFields(client, plot.id);
 
     // include real grave id in QR (optional refresh)
     snapshot.id = grave.id;
@@ -453,10 +472,11 @@ async function createBurialSchedule(req, res) {
     return res.status(201).json({
       schedule,
       grave: { ...grave, qr_token },
-      message: "Burial schedule and grave created; plot marked occupied",
+      message: "Burial schedule and grave created; plot occupancy updated",
     });
   } catch (err) {
     try { await client.query("ROLLBACK"); } catch {}
+    if (err.status && err.status < 500) return res.status(err.status).json({ message: err.message });
     console.error("[staff.controller] createBurialSchedule error:", err);
     return res.status(500).json({ message: "Failed to create burial schedule" });
   } finally {
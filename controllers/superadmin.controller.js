@@ -0,0 +1,490 @@
+// backend/controllers/superadmin.controller.js
+"use strict";
+
+const crypto = require("crypto");
+const pool = require("../config/database");
+const sessions = require("../services/session.service");
+const permissions = require("../services/permission.service");
+const passwords = require("../services/password.service");
+const mfa = require("../services/mfa.service");
+const { sendPasswordResetEmail } = require("../services/account-mail.service");
+
+/* ---------------- constants ---------------- */
+const ALL_ROLES = ["super_admin", "admin", "staff", "visitor"];
+// accounts a super admin may create directly (visitors sign up themselves)
+const CREATABLE_ROLES = ["super_admin", "admin", "staff"];
+
+const USER_COLUMNS = `
+  id, uid, username, email, role, first_name, last_name, phone, address,
+  is_active, email_verified_at, password_reset_required,
+  failed_login_count, locked_until,
+  created_by, deactivated_at, deactivated_by,
+  created_at, updated_at
+`;
+
+/* ---------------- tiny DB helpers (safe optional tables) ---------------- */
+const _hasTableCache = new Map();
+async function hasTable(tableName) {
+  const key = String(tableName);
+  if (_hasTableCache.has(key)) return _hasTableCache.get(key);
+
+  const { rows } = await pool.query(`SELECT to_regclass($1) AS reg;`, [
+    `public.${String(tableName)}`,
+  ]);
+  const ok = Boolean(rows?.[0]?.reg);
+  _hasTableCache.set(key, ok);
+  return ok;
+}
+
+function toInt(v, def) {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) ? n : def;
+}
+
+function isSelf(req, userId) {
+  return String(req.user?.id) === String(userId);
+}
+
+async function findUser(userId, db = pool) {
+  const { rows } = await db.query(
+    `SELECT ${USER_COLUMNS} FROM users WHERE id::text = $1 LIMIT 1`,
+    [String(userId)]
+  );
+  return rows[0] || null;
+}
+
+// the last active super admin can't be demoted or deactivated (nobody could undo it)
+async function isLastActiveSuperAdmin(userId, db = pool) {
+  const { rows } = await db.query(
+    `
+    SELECT COUNT(*)::int AS n
+    FROM users
+    WHERE role = 'super_admin' AND is_active = TRUE AND id::text <> $1
+    `,
+    [String(userId)]
+  );
+  return rows[0].n === 0;
+}
+
+/* =========================================================================================
+   GET /api/superadmin/users?q=&role=&is_active=&limit=&offset=
+   - q matches username / email / first / last name (case-insensitive)
+========================================================================================= */
+async function listUsers(req, res, next) {
+  try {
+    const { q, role, is_active } = req.query || {};
+    const where = [];
+    const params = [];
+
+    if (q && String(q).trim()) {
+      params.push(`%${String(q).trim()}%`);
+      const p = `$${params.length}`;
+      where.push(
+        `(username ILIKE ${p} OR email ILIKE ${p} OR first_name ILIKE ${p} OR last_name ILIKE ${p}
+          OR (first_name || ' ' || last_name) ILIKE ${p})`
+      );
+    }
+
+    if (role) {
+      const roles = String(role)
+        .split(",")
+        .map((r) => r.trim().toLowerCase())
+        .filter((r) => ALL_ROLES.includes(r));
+      if (!roles.length) return res.status(400).json({ error: `role must be one of: ${ALL_ROLES.join(", ")}` });
+      params.push(roles);
+      where.push(`role = ANY($${params.length})`);
+    }
+
+    if (is_active != null && is_active !== "") {
+      params.push(["1", "true"].includes(String(is_active).toLowerCase()));
+      where.push(`is_active = $${params.length}`);
+    }
+
+    const limit = Math.min(Math.max(toInt(req.query?.limit, 50), 1), 200);
+    const offset = Math.max(toInt(req.query?.offset, 0), 0);
+    const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+
+    const [list, count] = await Promise.all([
+      pool.query(
+        `
+        SELECT ${USER_COLUMNS}
+        FROM users
+        ${whereSql}
+        ORDER BY created_at DESC, id DESC
+        LIMIT ${limit} OFFSET ${offset}
+        `,
+        params
+      ),
+      pool.query(`SELECT COUNT(*)::int AS total FROM users ${whereSql}`, params),
+    ]);
+
+    return res.json({ ok: true, data: list.rows, total: count.rows[0].total, limit, offset });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/superadmin/users/:id
+async function getUser(req, res, next) {
+  try {
+    const user = await findUser(req.params.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    return res.json({ ok: true, data: user });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* =========================================================================================
+   POST /api/superadmin/users
+   { username, email, first_name, last_name, role: staff|admin|super_admin, phone?, address?, password? }
+   - without a password the account gets an emailed "choose your password" link
+========================================================================================= */
+async function createUser(req, res, next) {
+  try {
+    const { username, email, first_name, last_name, phone, address, password } = req.body || {};
+    const role = String(req.body?.role || "").toLowerCase();
+
+    if (!username || !email || !first_name || !last_name || !role) {
+      return res.status(400).json({
+        error: "username, email, first_name, last_name, role are required",
+      });
+    }
+    if (!CREATABLE_ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${CREATABLE_ROLES.join(", ")}` });
+    }
+
+    const invite = !password;
+    if (!invite && !passwords.enforcePasswordPolicy(res, password, { username, email })) return;
+
+    // invited accounts get an unguessable placeholder until they follow the emailed link
+    const hash = await passwords.hashPassword(password || crypto.randomBytes(32).toString("hex"));
+
+    const { rows } = await pool.query(
+      `
+      INSERT INTO users
+        (username, email, password_hash, role, first_name, last_name, phone, address,
+         is_active, email_verified_at, created_by)
+      VALUES
+        ($1,$2,$3,$4,$5,$6,$7,$8, TRUE, NOW(), $9)
+      RETURNING ${USER_COLUMNS}
+      `,
+      [
+        username,
+        email,
+        hash,
+        role,
+        first_name,
+        last_name,
+        phone || null,
+        address || null,
+        req.user?.id ?? null,
+      ]
+    );
+
+    const user = rows[0];
+    if (invite) await sendPasswordResetEmail(user, { reason: "invite" });
+
+    return res.status(201).json({ ok: true, data: user, invite_sent: invite });
+  } catch (err) {
+    if (err.code === "23505") {
+      return res.status(409).json({ error: "Username or email already exists" });
+    }
+    next(err);
+  }
+}
+
+/* =========================================================================================
+   PATCH /api/superadmin/users/:id/role  { role }
+   - takes effect on the user's next request (verifyToken reads the role from the DB)
+========================================================================================= */
+async function changeUserRole(req, res, next) {
+  try {
+    const userId = req.params.id;
+    const role = String(req.body?.role || "").toLowerCase();
+
+    if (!ALL_ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${ALL_ROLES.join(", ")}` });
+    }
+    if (isSelf(req, userId)) {
+      return res.status(400).json({ error: "You cannot change your own role." });
+    }
+
+    const user = await findUser(userId);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (user.role === role) return res.json({ ok: true, data: user });
+
+    if (user.role === "super_admin" && (await isLastActiveSuperAdmin(userId))) {
+      return res.status(409).json({ error: "Cannot demote the last active super admin." });
+    }
+
+    const { rows } = await pool.query(
+      `UPDATE users SET role = $1, updated_at = NOW() WHERE id = $2 RETURNING ${USER_COLUMNS}`,
+      [role, user.id]
+    );
+    return res.json({ ok: true, data: rows[0], previous_role: user.role });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* =========================================================================================
+   PATCH /api/superadmin/users/:id/deactivate  { reason? }
+   PATCH /api/superadmin/users/:id/reactivate
+   - deactivation signs the user out everywhere
+========================================================================================= */
+async function deactivateUser(req, res, next) {
+  const client = await pool.connect();
+  try {
+    const userId = req.params.id;
+    if (isSelf(req, userId)) {
+      return res.status(400).json({ error: "You cannot deactivate your own account." });
+    }
+
+    await client.query("BEGIN");
+
+    const user = await findUser(userId, client);
+    if (!user) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "User not found" });
+    }
+    if (user.role === "super_admin" && (await isLastActiveSuperAdmin(userId, client))) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ error: "Cannot deactivate the last active super admin." });
+    }
+
+    const { rows } = await client.query(
+      `
+      UPDATE users
+      SET is_active = FALSE, deactivated_at = NOW(), deactivated_by = $2, updated_at = NOW()
+      WHERE id = $1
+      RETURNING ${USER_COLUMNS}
+      `,
+      [user.id, req.user?.id ?? null]
+    );
+
+    const revoked = await sessions.revokeUserSessions(user.id, {
+      revokedBy: req.user?.id ?? null,
+      reason: String(req.body?.reason || "").trim() || "account_deactivated",
+      db: client,
+    });
+
+    await client.query("COMMIT");
+    return res.json({ ok: true, data: rows[0], sessions_revoked: revoked });
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    next(err);
+  } finally {
+    client.release();
+  }
+}
+
+async function reactivateUser(req, res, next) {
+  try {
+    const { rows } = await pool.query(
+      `
+      UPDATE users
+      SET is_active = TRUE, deactivated_at = NULL, deactivated_by = NULL, updated_at = NOW()
+      WHERE id::text = $1
+      RETURNING ${USER_COLUMNS}
+      `,
+      [String(req.params.id)]
+    );
+    if (!rows.length) return res.status(404).json({ error: "User not found" });
+    return res.json({ ok: true, data: rows[0] });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* =========================================================================================
+   POST /api/superadmin/users/:id/force-password-reset
+   - blocks login until the user sets a new password through the emailed link
+   - signs the user out everywhere
+========================================================================================= */
+async function forcePasswordReset(req, res, next) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const { rows } = await client.query(
+      `
+      UPDATE users
+      SET password_reset_required = TRUE, ${await passwords.legacyClear()} updated_at = NOW()
+      WHERE id::text = $1
+      RETURNING ${USER_COLUMNS}
+      `,
+      [String(req.params.id)]
+    );
+    if (!rows.length) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const revoked = await sessions.revokeUserSessions(rows[0].id, {
+      revokedBy: req.user?.id ?? null,
+      reason: "password_reset_forced",
+      db: client,
+    });
+
+    await client.query("COMMIT");
+
+    // sent after COMMIT: the outbox keeps it if delivery fails
+    await sendPasswordResetEmail(rows[0], { reason: "forced" });
+
+    return res.json({ ok: true, data: rows[0], sessions_revoked: revoked });
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    next(err);
+  } finally {
+    client.release();
+  }
+}
+
+/* =========================================================================================
+   POST /api/superadmin/users/:id/mfa/reset
+   - lost authenticator: removes the user's 2FA secret and recovery codes
+   - signs the user out everywhere; roles that require 2FA enroll again on next login
+========================================================================================= */
+async function resetUserMfa(req, res, next) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const { rows } = await client.query(
+      `SELECT ${USER_COLUMNS} FROM users WHERE id::text = $1 FOR UPDATE`,
+      [String(req.params.id)]
+    );
+    if (!rows.length) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const wasEnabled = await mfa.disable(rows[0].id, client);
+    const revoked = await sessions.revokeUserSessions(rows[0].id, {
+      revokedBy: req.user?.id ?? null,
+      reason: "mfa_reset",
+      db: client,
+    });
+
+    await client.query("COMMIT");
+    return res.json({ ok: true, data: rows[0], mfa_was_enabled: wasEnabled, sessions_revoked: revoked });
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    next(err);
+  } finally {
+    client.release();
+  }
+}
+
+/* =========================================================================================
+   GET /api/superadmin/users/:id/activity?limit=
+   - sessions, recent login attempts, and the user's reservations / requests
+========================================================================================= */
+async function getUserActivity(req, res, next) {
+  try {
+    const user = await findUser(req.params.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const limit = Math.min(Math.max(toInt(req.query?.limit, 20), 1), 100);
+    const uid = String(user.id);
+
+    const recent = async (table, userCol, columns) => {
+      if (!(await hasTable(table))) return [];
+      const { rows } = await pool.query(
+        `
+        SELECT ${columns}
+        FROM ${table}
+        WHERE ${userCol}::text = $1
+        ORDER BY created_at DESC, id DESC
+        LIMIT ${limit}
+        `,
+        [uid]
+      );
+      return rows;
+    };
+
+    const [sessionRows, loginAttempts, reservations, burialRequests, maintenanceRequests] =
+      await Promise.all([
+        sessions.listUserSessions(uid, { includeInactive: true }),
+        recent("login_attempts", "user_id", "id, ip_address, user_agent, success, failure_reason, created_at"),
+        recent("plot_reservations", "user_id", "*"),
+        recent("burial_requests", "family_contact", "*"),
+        recent("maintenance_requests", "family_contact", "*"),
+      ]);
+
+    return res.json({
+      ok: true,
+      data: {
+        user,
+        sessions: sessionRows.slice(0, limit),
+        login_attempts: loginAttempts,
+        reservations,
+        burial_requests: burialRequests,
+        maintenance_requests: maintenanceRequests,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* =========================================================================================
+   PERMISSIONS
+   GET /api/superadmin/permissions               catalogue + current role -> permission map
+   PUT /api/superadmin/roles/:role/permissions   { permissions: [...] } replaces the role's set
+========================================================================================= */
+async function getPermissionMatrix(req, res, next) {
+  try {
+    const [catalogue, roles] = await Promise.all([
+      permissions.listPermissions(),
+      permissions.getRoleMatrix(),
+    ]);
+    for (const r of ALL_ROLES) roles[r] = roles[r] || [];
+    return res.json({ ok: true, data: { permissions: catalogue, roles } });
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function setRolePermissions(req, res, next) {
+  try {
+    const role = String(req.params?.role || "").toLowerCase();
+    if (!ALL_ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${ALL_ROLES.join(", ")}` });
+    }
+
+    const keys = req.body?.permissions;
+    if (!Array.isArray(keys)) {
+      return res.status(400).json({ error: "permissions must be an array of permission keys" });
+    }
+
+    const out = await permissions.setRolePermissions(role, keys, { grantedBy: req.user?.id ?? null });
+    if (out.error) return res.status(400).json({ error: out.error });
+
+    return res.json({ ok: true, data: { role, permissions: out.permissions } });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  listUsers,
+  getUser,
+  createUser,
+  changeUserRole,
+  deactivateUser,
+  reactivateUser,
+  forcePasswordReset,
+  resetUserMfa,
+  getUserActivity,
+
+  getPermissionMatrix,
+  setRolePermissions,
+};
@@ -3,29 +3,31 @@ const pool = require("../config/database");
 const path = require("path");
 const fs = require("fs");
 const multer = require("multer");
+const { roleHas } = require("../services/permission.service");
+const { accessibleContactIds, canAccessContact, loadOwnedRow } = require("../services/ownership.service");
+const nameSearch = require("../services/name-search.service");
 
 /**
  * NOTE:
- * ✅ Search-by-name here DOES NOT use g.deceased_name.
- * It searches by plots.person_full_name.
+ * ✅ Search-by-name (services/name-search.service.js) matches the deceased_name of every active
+ * grave in the plot (plots.person_full_name for plots without graves), so each person in a shared
+ * plot (double lot, memorial court) is found - also misspelled or spelled another way
+ * ("Delacruz", "Kruz"). Each row is one plot, with everyone interred there in `persons` and the
+ * best-matching person, score and highlight ranges in `match`.
  */
 
 function sendBadRequest(res, message = "Invalid request") {
   return res.status(400).json({ success: false, message });
 }
 
-function isAdminUser(req) {
-  const role = String(req.user?.role || "").toLowerCase();
-  return role === "admin" || role === "superadmin";
-}
-
-function requireAdmin(req, res) {
+// reservation back-office handlers below share this check (same permission as /api/admin/reservations)
+async function requireReservationApprover(req, res) {
   if (!req.user) {
     res.status(401).json({ success: false, message: "Unauthorized" });
     return false;
   }
-  if (!isAdminUser(req)) {
-    res.status(403).json({ success: false, message: "Forbidden (admin only)" });
+  if (!(await roleHas(req.user.role, "reservations:approve"))) {
+    res.status(403).json({ success: false, message: "Forbidden: missing permission" });
     return false;
   }
   return true;
@@ -154,6 +156,8 @@ function matchesQuery(fullName, q) {
 }
 
 // =============================== VISITOR: burial records search ===============================
+// ?q= (fuzzy: spelling, sound-alike and trigram) &birth_year[_from|_to]= &death_year[_from|_to]=
+// &section= (id, uid or name) &min_score= &limit= &offset=
 async function getBurialRecords(req, res) {
   try {
     console.log("[HIT] visitor.controller.js getBurialRecords", req.query);
@@ -162,70 +166,17 @@ async function getBurialRecords(req, res) {
     res.set("Pragma", "no-cache");
     res.set("Expires", "0");
 
-    const q = String(req.query?.q || "").trim();
-
-    const limitRaw = req.query?.limit ? Number(req.query.limit) : 250;
-    const offsetRaw = req.query?.offset ? Number(req.query.offset) : 0;
-
-    const limit = Number.isFinite(limitRaw) ? Math.max(1, Math.min(limitRaw, 5000)) : 250;
-    const offset = Number.isFinite(offsetRaw) ? Math.max(0, offsetRaw) : 0;
-
-    const params = [];
-    let where = `
-      WHERE p.status = 'occupied'
-        AND NULLIF(TRIM(p.person_full_name), '') IS NOT NULL
-    `;
-
-    if (q) {
-      params.push(`%${q}%`);
-      where += ` AND p.person_full_name ILIKE $${params.length} `;
+    let opts;
+    try {
+      opts = nameSearch.parseSearchQuery(req.query || {});
+    } catch (err) {
+      if (err.status === 400) return sendBadRequest(res, err.message);
+      throw err;
     }
 
-    params.push(limit);
-    params.push(offset);
-
-    const sql = `
-      SELECT
-        p.id,
-        p.uid,
-        p.id::text AS plot_id,
-
-        NULLIF(TRIM(p.person_full_name), '') AS person_full_name,
-        NULL::text AS deceased_name,
-
-        p.date_of_birth AS birth_date,
-        p.date_of_death AS death_date,
-        NULL::date AS burial_date,
-        NULL::text AS qr_token,
-        true AS is_active,
-        p.created_at,
-        p.updated_at,
-
-        p.plot_name,
-        p.status AS plot_status,
-        p.uid AS plot_uid,
-
-        NULLIF(TRIM(p.photo_url), '') AS photo_url,
-
-        CASE
-          WHEN COALESCE(p.coordinates, p.geom) IS NULL THEN NULL
-          ELSE ST_Y(ST_PointOnSurface(COALESCE(p.coordinates::geometry, p.geom::geometry)))
-        END AS lat,
-        CASE
-          WHEN COALESCE(p.coordinates, p.geom) IS NULL THEN NULL
-          ELSE ST_X(ST_PointOnSurface(COALESCE(p.coordinates::geometry, p.geom::geometry)))
-        END AS lng
-
-      FROM plots p
-      ${where}
-      ORDER BY p.id DESC
-      LIMIT $${params.length - 1}
-      OFFSET $${params.length};
-    `;
+    const rows = await nameSearch.searchBurialRecords(pool, opts);
 
-    const { rows } = await pool.query(sql, params);
-
-    console.log(`[OK] visitor burial-records q="${q}" returned=${rows.length}`);
+    console.log(`[OK] visitor burial-records q="${opts.q}" returned=${rows.length}`);
 
     return res.json({ success: true, data: rows });
   } catch (err) {
@@ -237,13 +188,9 @@ async function getBurialRecords(req, res) {
 // ✅ Robust: return deceased names related to this family_contact (visitor)
 async function getMyDeceasedNames(req, res) {
   try {
-    const { family_contact } = req.params;
-    if (!family_contact) return sendBadRequest(res, "family_contact is required");
-
-    const role = String(req.user?.role || "").toLowerCase();
-    if (role === "visitor" && String(req.user?.id) !== String(family_contact)) {
-      return res.status(403).json({ success: false, message: "Forbidden" });
-    }
+    // requireContactAccess() checked :family_contact and set req.contactIds
+    // (own id -> also every family shared with the caller)
+    const contactIds = req.contactIds;
 
     const toSet = (rows) => new Set((rows || []).map((r) => String(r.column_name || "").toLowerCase()));
 
@@ -291,6 +238,17 @@ async function getMyDeceasedNames(req, res) {
       }
     }
 
+    if (await tableExists("public.graves")) {
+      const cols = await getCols("graves");
+      const nameCol = pickFirst(cols, ["deceased_name", "person_full_name", "full_name", "name"]);
+      const famCol = pickFirst(cols, ["family_contact", "familycontact", "user_id", "userid"]);
+      const plotCol = pickFirst(cols, ["plot_id", "plotid", "grave_plot_id", "graveplotid"]);
+
+      if (nameCol && famCol) {
+        sources.push({ table: "graves", nameCol, famCol, plotCol });
+      }
+    }
+
     if (await tableExists("public.plots")) {
       const cols = await getCols("plots");
       const nameCol = pickFirst(cols, ["person_full_name", "deceased_name", "full_name", "name"]);
@@ -311,23 +269,24 @@ async function getMyDeceasedNames(req, res) {
       return `
         SELECT
           NULLIF(TRIM("${s.nameCol}"), '') AS deceased_name,
-          ${plotSel}
+          ${plotSel},
+          "${s.famCol}"::text AS family_contact
         FROM "${s.table}"
-        WHERE "${s.famCol}" = $1
+        WHERE "${s.famCol}"::text = ANY($1::text[])
           AND NULLIF(TRIM("${s.nameCol}"), '') IS NOT NULL
       `;
     });
 
     const sql = `
-      SELECT deceased_name, MAX(plot_id) AS plot_id
+      SELECT deceased_name, MAX(plot_id) AS plot_id, family_contact
       FROM (
         ${parts.join(" UNION ALL ")}
       ) s
-      GROUP BY deceased_name
+      GROUP BY deceased_name, family_contact
       ORDER BY deceased_name ASC;
     `;
 
-    const { rows } = await pool.query(sql, [family_contact]);
+    const { rows } = await pool.query(sql, [contactIds]);
     return res.json({ success: true, data: rows });
   } catch (err) {
     console.error("getMyDeceasedNames error:", err);
@@ -351,11 +310,6 @@ async function createBurialRequest(req, res) {
       );
     }
 
-    const role = String(req.user?.role || "").toLowerCase();
-    if (role === "visitor" && String(req.user?.id) !== String(family_contact)) {
-      return res.status(403).json({ success: false, message: "Forbidden" });
-    }
-
     const hasPlotId = await hasColumn("burial_requests", "plot_id");
     if (!hasPlotId) {
       return res.status(400).json({
@@ -469,11 +423,6 @@ async function createMaintenanceRequest(req, res) {
       return sendBadRequest(res, "deceased_name is required");
     }
 
-    const role = String(req.user?.role || "").toLowerCase();
-    if (role === "visitor" && String(req.user?.id) !== String(family_contact)) {
-      return res.status(403).json({ success: false, message: "Forbidden" });
-    }
-
     const safeDescription =
       String(description || "").trim() || `Maintenance request for ${String(deceased_name).trim()}`;
 
@@ -508,13 +457,8 @@ async function createMaintenanceRequest(req, res) {
 
 async function getMyMaintenanceSchedule(req, res) {
   try {
-    const { family_contact } = req.params;
-    if (!family_contact) return sendBadRequest(res, "family_contact is required");
-
-    const role = String(req.user?.role || "").toLowerCase();
-    if (role === "visitor" && String(req.user?.id) !== String(family_contact)) {
-      return res.status(403).json({ success: false, message: "Forbidden" });
-    }
+    // own id -> includes maintenance for every family shared with the caller
+    const contactIds = req.contactIds;
 
     const sql = `
       SELECT
@@ -522,11 +466,11 @@ async function getMyMaintenanceSchedule(req, res) {
         (u.first_name || ' ' || u.last_name) AS assigned_staff_name
       FROM maintenance_requests mr
       LEFT JOIN users u ON u.id = mr.assigned_staff_id
-      WHERE mr.family_contact = $1
+      WHERE mr.family_contact::text = ANY($1::text[])
       ORDER BY mr.created_at DESC;
     `;
 
-    const { rows } = await pool.query(sql, [family_contact]);
+    const { rows } = await pool.query(sql, [contactIds]);
     return res.json({ success: true, data: rows });
   } catch (err) {
     console.error("getMyMaintenanceSchedule error:", err);
@@ -544,15 +488,10 @@ async function requestMaintenanceReschedule(req, res) {
       return sendBadRequest(res, "preferred_date and preferred_time are required");
     }
 
-    const cur = await pool.query(`SELECT * FROM maintenance_requests WHERE id = $1 LIMIT 1`, [id]);
-    if (!cur.rows.length) return res.status(404).json({ success: false, message: "Not found" });
-
-    const row = cur.rows[0];
+    const owned = await loadOwnedRow("maintenance_requests", id, req.user, { write: true });
+    if (!owned.row) return res.status(owned.status).json({ success: false, message: owned.message });
 
-    const role = String(req.user?.role || "").toLowerCase();
-    if (role === "visitor" && String(req.user?.id) !== String(row.family_contact)) {
-      return res.status(403).json({ success: false, message: "Forbidden" });
-    }
+    const row = owned.row;
 
     const status = String(row.status || "").toLowerCase();
     if (["completed", "closed", "cancelled", "canceled"].includes(status)) {
@@ -611,15 +550,10 @@ async function submitMaintenanceFeedback(req, res) {
       return sendBadRequest(res, "rating must be 1 to 5");
     }
 
-    const cur = await pool.query(`SELECT * FROM maintenance_requests WHERE id = $1 LIMIT 1`, [id]);
-    if (!cur.rows.length) return res.status(404).json({ success: false, message: "Not found" });
-
-    const row = cur.rows[0];
+    const owned = await loadOwnedRow("maintenance_requests", id, req.user, { write: true });
+    if (!owned.row) return res.status(owned.status).json({ success: false, message: owned.message });
 
-    const role = String(req.user?.role || "").toLowerCase();
-    if (role === "visitor" && String(req.user?.id) !== String(row.family_contact)) {
-      return res.status(403).json({ success: false, message: "Forbidden" });
-    }
+    const row = owned.row;
 
     const status = String(row.status || "").toLowerCase();
     if (status !== "completed") {
@@ -650,11 +584,12 @@ async function submitMaintenanceFeedback(req, res) {
 
 async function getBurialRequests(req, res) {
   try {
-    const { family_contact } = req.params;
-    if (!family_contact) return sendBadRequest(res, "family_contact is required");
-
-    const sql = `SELECT * FROM burial_requests WHERE family_contact = $1 ORDER BY created_at DESC`;
-    const { rows } = await pool.query(sql, [family_contact]);
+    const sql = `
+      SELECT * FROM burial_requests
+      WHERE family_contact::text = ANY($1::text[])
+      ORDER BY created_at DESC
+    `;
+    const { rows } = await pool.query(sql, [req.contactIds]);
 
     return res.json({ success: true, data: rows });
   } catch (err) {
@@ -665,11 +600,12 @@ async function getBurialRequests(req, res) {
 
 async function getMaintenanceRequests(req, res) {
   try {
-    const { family_contact } = req.params;
-    if (!family_contact) return sendBadRequest(res, "family_contact is required");
-
-    const sql = `SELECT * FROM maintenance_requests WHERE family_contact = $1 ORDER BY created_at DESC`;
-    const { rows } = await pool.query(sql, [family_contact]);
+    const sql = `
+      SELECT * FROM maintenance_requests
+      WHERE family_contact::text = ANY($1::text[])
+      ORDER BY created_at DESC
+    `;
+    const { rows } = await pool.query(sql, [req.contactIds]);
 
     return res.json({ success: true, data: rows });
   } catch (err) {
@@ -721,6 +657,199 @@ async function getDashboardStats(req, res) {
   }
 }
 
+// =============================== Nearest available plots ===============================
+const NEAREST_DEFAULT_RADIUS_M = 100;
+const NEAREST_MAX_RADIUS_M = 2000;
+const NEAREST_MAX_LIMIT = 100;
+// plots whose outlines are this close to the reference plot count as adjacent
+const ADJACENT_TOLERANCE_M = 1;
+
+function optionalNumber(v) {
+  if (v == null || String(v).trim() === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : NaN;
+}
+
+// reference plot for "near this grave / plot": the grave's plot, or a plot by uid / id / code.
+// ✅ graves are scoped like every other visitor record: only graves of the caller's families
+// (graves:view sees all); another family's grave is "not found" so ids can't be probed
+async function loadReferencePlot({ grave, plot }, user) {
+  const select = `
+    SELECT
+      p.id, p.uid, p.plot_code, p.section_id, p.section_name,
+      COALESCE(p.coordinates, p.plot_boundary, p.geom) AS shape,
+      ST_Y(ST_PointOnSurface(COALESCE(p.coordinates, p.plot_boundary, p.geom))) AS lat,
+      ST_X(ST_PointOnSurface(COALESCE(p.coordinates, p.plot_boundary, p.geom))) AS lng
+  `;
+
+  if (grave) {
+    const contactIds = (await roleHas(user?.role, "graves:view")) ? null : await accessibleContactIds(user);
+    const { rows } = await pool.query(
+      `
+      ${select}, g.uid AS grave_uid, g.deceased_name
+      FROM graves g
+      JOIN plots p ON p.id = g.plot_id
+      WHERE (g.uid::text = $1 OR g.id::text = $1)
+        AND ($2::text[] IS NULL OR g.family_contact::text = ANY($2::text[]))
+      LIMIT 1
+      `,
+      [String(grave).trim(), contactIds]
+    );
+    return rows[0] || null;
+  }
+
+  const { rows } = await pool.query(
+    `
+    ${select}
+    FROM plots p
+    WHERE p.uid::text = $1 OR p.id::text = $1 OR p.plot_code::text = $1
+    LIMIT 1
+    `,
+    [String(plot).trim()]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * GET /api/visitor/nearest-plots
+ * ✅ Available plots ranked by distance (find_nearest_plots), to pick a lot before POST /reserve-plot.
+ *
+ * Where from (one of):
+ *  - lat & lng
+ *  - grave  (grave uid/id, one of the caller's families')  e.g. "near my parents"
+ *  - plot   (plot uid/id/code)
+ *
+ * Filters: radius (m, default 100), min_price, max_price, min_size, max_size (sqm),
+ *          section_type, plot_type, same_section=1 (reference only), limit (default 20)
+ *
+ * With a reference grave/plot each result also says whether it is adjacent to it.
+ */
+async function findNearestPlots(req, res) {
+  try {
+    const q = req.query || {};
+
+    const radius = q.radius == null || q.radius === "" ? NEAREST_DEFAULT_RADIUS_M : Number(q.radius);
+    if (!Number.isFinite(radius) || radius <= 0 || radius > NEAREST_MAX_RADIUS_M) {
+      return sendBadRequest(res, `radius must be between 1 and ${NEAREST_MAX_RADIUS_M} meters`);
+    }
+
+    const limit = q.limit == null || q.limit === "" ? 20 : Number(q.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > NEAREST_MAX_LIMIT) {
+      return sendBadRequest(res, `limit must be between 1 and ${NEAREST_MAX_LIMIT}`);
+    }
+
+    const range = {
+      min_price: optionalNumber(q.min_price),
+      max_price: optionalNumber(q.max_price),
+      min_size: optionalNumber(q.min_size),
+      max_size: optionalNumber(q.max_size),
+    };
+    for (const [k, v] of Object.entries(range)) {
+      if (Number.isNaN(v) || v < 0) return sendBadRequest(res, `${k} must be a non-negative number`);
+    }
+
+    let origin = null;
+    let reference = null;
+
+    if (q.grave || q.plot) {
+      reference = await loadReferencePlot({ grave: q.grave, plot: q.plot }, req.user);
+      if (!reference) {
+        return res.status(404).json({ success: false, message: q.grave ? "Grave not found" : "Plot not found" });
+      }
+      if (reference.lat == null) {
+        return res.status(422).json({ success: false, message: "That plot has not been mapped yet" });
+      }
+      origin = { lat: Number(reference.lat), lng: Number(reference.lng) };
+    } else {
+      const lat = optionalNumber(q.lat);
+      const lng = optionalNumber(q.lng);
+      if (lat == null || lng == null || Number.isNaN(lat) || Number.isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        return sendBadRequest(res, "Provide lat & lng, a grave, or a plot to search from");
+      }
+      origin = { lat, lng };
+    }
+
+    const sameSection = ["1", "true", "yes"].includes(String(q.same_section || "").toLowerCase());
+    if (sameSection && !reference) return sendBadRequest(res, "same_section needs a grave or plot to compare with");
+
+    const params = [origin.lat, origin.lng, Math.round(radius)];
+    const where = [`LOWER(p.status) = 'available'`];
+    const add = (sql, value) => {
+      params.push(value);
+      where.push(sql.replaceAll("?", `$${params.length}`));
+    };
+
+    if (range.min_price != null) add("p.price >= ?", range.min_price);
+    if (range.max_price != null) add("p.price <= ?", range.max_price);
+    if (range.min_size != null) add("p.size_sqm >= ?", range.min_size);
+    if (range.max_size != null) add("p.size_sqm <= ?", range.max_size);
+    if (q.plot_type) add("LOWER(p.plot_type::text) = LOWER(?)", String(q.plot_type));
+
+    const hasSections = await hasTable("cemetery_sections");
+    if (q.section_type) {
+      if (!hasSections) return res.json({ success: true, data: [], origin });
+      add("LOWER(s.section_type::text) = LOWER(?)", String(q.section_type));
+    }
+
+    let adjacentSql = "NULL::boolean";
+    if (reference) {
+      add("p.id <> ?", reference.id);
+      params.push(reference.shape);
+      const shapeParam = `$${params.length}`;
+      adjacentSql = `ST_DWithin(COALESCE(p.coordinates, p.plot_boundary, p.geom)::geography, ${shapeParam}::geometry::geography, ${ADJACENT_TOLERANCE_M})`;
+
+      if (sameSection) {
+        if (reference.section_id != null) add("p.section_id = ?", reference.section_id);
+        else add("p.section_name::text = ?", String(reference.section_name ?? ""));
+      }
+    }
+
+    params.push(limit);
+
+    const { rows } = await pool.query(
+      `
+      SELECT
+        p.id, p.uid, p.plot_code, p.plot_name, p.plot_type, p.status,
+        p.price, p.size_sqm, p.row_num, p.col_num,
+        p.section_id, p.section_name,
+        ${hasSections ? "s.section_type" : "NULL::text AS section_type"},
+        ROUND(n.distance_meters, 1)::float AS distance_m,
+        ${adjacentSql} AS is_adjacent,
+        ST_Y(ST_PointOnSurface(COALESCE(p.coordinates, p.plot_boundary, p.geom))) AS lat,
+        ST_X(ST_PointOnSurface(COALESCE(p.coordinates, p.plot_boundary, p.geom))) AS lng,
+        (
+          SELECT COUNT(*)::int
+          FROM plot_reservations r
+          WHERE r.plot_id = p.id AND LOWER(r.status) = 'pending'
+        ) AS pending_reservations
+      FROM find_nearest_plots($1::numeric, $2::numeric, $3::int) n
+      JOIN plots p ON p.id = n.plot_id
+      ${hasSections ? "LEFT JOIN cemetery_sections s ON s.id = p.section_id" : ""}
+      WHERE ${where.join(" AND ")}
+      ORDER BY n.distance_meters ASC, p.id ASC
+      LIMIT $${params.length}
+      `,
+      params
+    );
+
+    return res.json({
+      success: true,
+      data: rows,
+      origin: reference
+        ? {
+            ...origin,
+            plot_id: reference.id,
+            plot_code: reference.plot_code,
+            ...(reference.grave_uid ? { grave_uid: reference.grave_uid, deceased_name: reference.deceased_name } : {}),
+          }
+        : origin,
+    });
+  } catch (err) {
+    console.error("findNearestPlots error:", err);
+    return res.status(500).json({ success: false, message: "Server error finding nearby plots" });
+  }
+}
+
 // =============================== Reservations (user) ===============================
 /**
  * ✅ NEW FLOW:
@@ -795,8 +924,8 @@ async function reservePlot(req, res) {
 
 async function getMyReservations(req, res) {
   try {
-    const user_id = req.user?.id;
-    if (!user_id) return res.status(401).json({ success: false, message: "Unauthorized" });
+    if (!req.user?.id) return res.status(401).json({ success: false, message: "Unauthorized" });
+    const contactIds = await accessibleContactIds(req.user);
 
     const sql = `
       SELECT 
@@ -807,10 +936,10 @@ async function getMyReservations(req, res) {
         p.size_sqm
       FROM plot_reservations r
       JOIN plots p ON r.plot_id = p.id
-      WHERE r.user_id = $1
+      WHERE r.user_id::text = ANY($1::text[])
       ORDER BY r.created_at DESC
     `;
-    const { rows } = await pool.query(sql, [user_id]);
+    const { rows } = await pool.query(sql, [contactIds]);
 
     return res.json({ success: true, data: rows });
   } catch (err) {
@@ -830,17 +959,21 @@ async function cancelReservation(req, res) {
 
     await client.query("BEGIN");
 
-    const checkSql = `SELECT * FROM plot_reservations WHERE id = $1 AND user_id = $2 FOR UPDATE`;
-    const { rows } = await client.query(checkSql, [id, user_id]);
+    const owned = await loadOwnedRow("plot_reservations", id, req.user, {
+      contactCol: "user_id",
+      write: true,
+      db: client,
+      forUpdate: true,
+    });
 
-    if (rows.length === 0) {
+    if (!owned.row) {
       await client.query("ROLLBACK");
       return res
         .status(404)
         .json({ success: false, message: "Reservation not found or access denied" });
     }
 
-    const reservation = rows[0];
+    const reservation = owned.row;
     const status = String(reservation.status).toLowerCase();
     if (status === "cancelled") {
       await client.query("ROLLBACK");
@@ -909,18 +1042,20 @@ async function uploadReservationReceipt(req, res) {
         return res.status(400).json({ success: false, message: "No file uploaded (receipt)" });
       }
 
-      const checkSql = `SELECT * FROM plot_reservations WHERE id = $1 AND user_id = $2`;
-      const check = await pool.query(checkSql, [reservationId, user_id]);
+      const owned = await loadOwnedRow("plot_reservations", reservationId, req.user, {
+        contactCol: "user_id",
+        write: true,
+      });
 
       // cleanup uploaded file if reservation not found
-      if (check.rows.length === 0) {
+      if (!owned.row) {
         try { fs.unlinkSync(req.file.path); } catch {}
         return res
           .status(404)
           .json({ success: false, message: "Reservation not found or access denied" });
       }
 
-      const reservation = check.rows[0];
+      const reservation = owned.row;
       const status = String(reservation.status || "").toLowerCase();
       const payStatus = String(reservation.payment_status || "").toLowerCase();
 
@@ -961,10 +1096,10 @@ async function uploadReservationReceipt(req, res) {
           payment_status = 'submitted',
           payment_uploaded_at = NOW(),
           updated_at = NOW()
-        WHERE id = $2 AND user_id = $3
+        WHERE id = $2
         RETURNING *;
       `;
-      const updated = await pool.query(updateSql, [receiptUrl, reservationId, user_id]);
+      const updated = await pool.query(updateSql, [receiptUrl, reservation.id]);
 
       return res.json({
         success: true,
@@ -981,7 +1116,7 @@ async function uploadReservationReceipt(req, res) {
 // =============================== Admin: reservations ===============================
 async function getReservationsAsAdmin(req, res) {
   try {
-    if (!requireAdmin(req, res)) return;
+    if (!(await requireReservationApprover(req, res))) return;
 
     const sql = `
       SELECT
@@ -1012,7 +1147,7 @@ async function getReservationsAsAdmin(req, res) {
 async function approveReservationAsAdmin(req, res) {
   const client = await pool.connect();
   try {
-    if (!requireAdmin(req, res)) return;
+    if (!(await requireReservationApprover(req, res))) return;
 
     const { id } = req.params;
     if (!id) return sendBadRequest(res, "Reservation ID required");
@@ -1124,7 +1259,7 @@ async function approveReservationAsAdmin(req, res) {
 async function rejectReservationAsAdmin(req, res) {
   const client = await pool.connect();
   try {
-    if (!requireAdmin(req, res)) return;
+    if (!(await requireReservationApprover(req, res))) return;
 
     const { id } = req.params;
     if (!id) return sendBadRequest(res, "Reservation ID required");
@@ -1199,7 +1334,7 @@ async function rejectReservationAsAdmin(req, res) {
 async function cancelReservationAsAdmin(req, res) {
   const client = await pool.connect();
   try {
-    if (!requireAdmin(req, res)) return;
+    if (!(await requireReservationApprover(req, res))) return;
 
     const { id } = req.params;
     if (!id) return sendBadRequest(res, "Reservation ID required");
@@ -1265,7 +1400,7 @@ async function cancelReservationAsAdmin(req, res) {
 
 async function acceptPaymentAsAdmin(req, res) {
   try {
-    if (!requireAdmin(req, res)) return;
+    if (!(await requireReservationApprover(req, res))) return;
 
     const { id } = req.params;
     if (!id) return sendBadRequest(res, "Reservation ID required");
@@ -1293,7 +1428,7 @@ async function acceptPaymentAsAdmin(req, res) {
 
 async function rejectPaymentAsAdmin(req, res) {
   try {
-    if (!requireAdmin(req, res)) return;
+    if (!(await requireReservationApprover(req, res))) return;
 
     const { id } = req.params;
     if (!id) return sendBadRequest(res, "Reservation ID required");
@@ -1325,14 +1460,16 @@ async function cancelBurialRequest(req, res) {
     const { id } = req.params;
     if (!id) return sendBadRequest(res, "id is required");
 
+    const owned = await loadOwnedRow("burial_requests", id, req.user, { write: true });
+    if (!owned.row) return sendBadRequest(res, "Request not found");
+
     const sql = `
       UPDATE burial_requests
       SET status = 'canceled'
       WHERE id = $1
       RETURNING *;
     `;
-    const { rows } = await pool.query(sql, [id]);
-    if (!rows.length) return sendBadRequest(res, "Request not found");
+    const { rows } = await pool.query(sql, [owned.row.id]);
 
     return res.json({ success: true, data: rows[0] });
   } catch (err) {
@@ -1385,8 +1522,7 @@ async function getMyDeceasedFamily(req, res) {
       return res.status(400).json({ success: false, message: "family_contact is required" });
     }
 
-    const role = String(req.user?.role || "").toLowerCase();
-    if (role === "visitor" && String(req.user?.id) !== String(family_contact)) {
+    if (!(await canAccessContact(req.user, family_contact))) {
       return res.status(403).json({ success: false, message: "Forbidden" });
     }
 
@@ -1484,14 +1620,16 @@ async function cancelMaintenanceRequest(req, res) {
     const { id } = req.params;
     if (!id) return sendBadRequest(res, "id is required");
 
+    const owned = await loadOwnedRow("maintenance_requests", id, req.user, { write: true });
+    if (!owned.row) return sendBadRequest(res, "Request not found");
+
     const sql = `
       UPDATE maintenance_requests
       SET status = 'cancelled'
       WHERE id = $1
       RETURNING *;
     `;
-    const { rows } = await pool.query(sql, [id]);
-    if (!rows.length) return sendBadRequest(res, "Request not found");
+    const { rows } = await pool.query(sql, [owned.row.id]);
 
     return res.json({ success: true, data: rows[0] });
   } catch (err) {
@@ -1520,6 +1658,7 @@ module.exports = {
   getMyDeceasedFamily,
 
   // reservations (user)
+  findNearestPlots,
   reservePlot,
   getMyReservations,
   cancelReservation,
@@ -0,0 +1,96 @@
+// backend/database/migrate.js
+const fs = require("fs");
+const path = require("path");
+
+require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
+
+const pool = require("../config/database");
+
+/**
+ * Applies plain-SQL migrations from backend/database/migrations in filename order.
+ * Each file runs once, inside its own transaction, and is recorded in schema_migrations.
+ *
+ * Run:
+ *   npm run migrate
+ *   npm run migrate -- --status   (list applied / pending without running anything)
+ */
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+
+function listMigrationFiles() {
+  if (!fs.existsSync(MIGRATIONS_DIR)) return [];
+  return fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter((f) => /^\d+_.+\.sql$/i.test(f))
+    .sort();
+}
+
+async function ensureMigrationsTable() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      name text PRIMARY KEY,
+      applied_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP NOT NULL
+    )
+  `);
+}
+
+async function appliedSet() {
+  const { rows } = await pool.query(`SELECT name FROM schema_migrations`);
+  return new Set(rows.map((r) => r.name));
+}
+
+async function applyOne(fileName) {
+  const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, fileName), "utf8");
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    await client.query(sql);
+    await client.query(`INSERT INTO schema_migrations (name) VALUES ($1)`, [fileName]);
+    await client.query("COMMIT");
+  } catch (e) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+async function main() {
+  const statusOnly = process.argv.includes("--status");
+
+  try {
+    await ensureMigrationsTable();
+
+    const files = listMigrationFiles();
+    const applied = await appliedSet();
+    const pending = files.filter((f) => !applied.has(f));
+
+    if (statusOnly) {
+      console.table(files.map((f) => ({ migration: f, applied: applied.has(f) })));
+      return;
+    }
+
+    if (!pending.length) {
+      console.log("✅ Database is up to date.");
+      return;
+    }
+
+    for (const f of pending) {
+      console.log(`⚙️ Applying ${f} ...`);
+      await applyOne(f);
+      console.log(`✅ Applied ${f}`);
+    }
+
+    console.log(`🎉 ${pending.length} migration(s) applied.`);
+  } catch (err) {
+    console.error("❌ Migration failed:", err);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+main();
@@ -0,0 +1,21 @@
+-- Server-side sessions backing short-lived access tokens + rotating refresh tokens.
+-- The access token carries the session id (sid); revoking the row kills the token.
+
+CREATE TABLE IF NOT EXISTS public.user_sessions (
+    id bigserial PRIMARY KEY,
+    uid character(5) DEFAULT public.generate_uid() NOT NULL UNIQUE,
+    user_id bigint NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    refresh_token_hash character varying(64) NOT NULL UNIQUE,
+    previous_token_hash character varying(64),
+    user_agent text,
+    ip_address character varying(64),
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    last_used_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    expires_at timestamp without time zone NOT NULL,
+    revoked_at timestamp without time zone,
+    revoked_by bigint REFERENCES public.users(id) ON DELETE SET NULL,
+    revoked_reason text
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON public.user_sessions USING btree (user_id);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_previous_hash ON public.user_sessions USING btree (previous_token_hash);
@@ -0,0 +1,38 @@
+-- Email verification + password reset (single-use tokens) and the outbound mail queue.
+
+ALTER TABLE public.users
+    ADD COLUMN IF NOT EXISTS email_verified_at timestamp without time zone;
+
+-- accounts that existed before verification was introduced are trusted as-is
+UPDATE public.users SET email_verified_at = created_at WHERE email_verified_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS public.account_tokens (
+    id bigserial PRIMARY KEY,
+    user_id bigint NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    purpose character varying(30) NOT NULL,
+    token_hash character varying(64) NOT NULL UNIQUE,
+    expires_at timestamp without time zone NOT NULL,
+    used_at timestamp without time zone,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    CONSTRAINT account_tokens_purpose_check CHECK (((purpose)::text = ANY ((ARRAY['email_verification'::character varying, 'password_reset'::character varying])::text[])))
+);
+
+CREATE INDEX IF NOT EXISTS idx_account_tokens_user_purpose ON public.account_tokens USING btree (user_id, purpose);
+
+CREATE TABLE IF NOT EXISTS public.mail_outbox (
+    id bigserial PRIMARY KEY,
+    to_address character varying(255) NOT NULL,
+    subject character varying(255) NOT NULL,
+    body_text text,
+    body_html text,
+    template character varying(50),
+    status character varying(20) DEFAULT 'pending'::character varying NOT NULL,
+    transport character varying(30),
+    attempts integer DEFAULT 0 NOT NULL,
+    last_error text,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    sent_at timestamp without time zone,
+    CONSTRAINT mail_outbox_status_check CHECK (((status)::text = ANY ((ARRAY['pending'::character varying, 'sent'::character varying, 'failed'::character varying])::text[])))
+);
+
+CREATE INDEX IF NOT EXISTS idx_mail_outbox_status ON public.mail_outbox USING btree (status);
@@ -0,0 +1,21 @@
+-- Login brute-force protection: per-account lockout state + a log of every login attempt.
+
+ALTER TABLE public.users
+    ADD COLUMN IF NOT EXISTS failed_login_count integer DEFAULT 0 NOT NULL,
+    ADD COLUMN IF NOT EXISTS last_failed_login_at timestamp without time zone,
+    ADD COLUMN IF NOT EXISTS locked_until timestamp without time zone;
+
+CREATE TABLE IF NOT EXISTS public.login_attempts (
+    id bigserial PRIMARY KEY,
+    user_id bigint REFERENCES public.users(id) ON DELETE SET NULL,
+    identifier character varying(255),
+    ip_address character varying(64),
+    user_agent text,
+    success boolean NOT NULL,
+    failure_reason character varying(50),
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_attempts_user ON public.login_attempts USING btree (user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON public.login_attempts USING btree (ip_address, created_at);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_created ON public.login_attempts USING btree (created_at);
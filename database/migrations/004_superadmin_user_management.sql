@@ -0,0 +1,9 @@
+-- Super-admin user management: forced password resets + who created/deactivated an account.
+
+ALTER TABLE public.users
+    ADD COLUMN IF NOT EXISTS password_reset_required boolean DEFAULT false NOT NULL,
+    ADD COLUMN IF NOT EXISTS created_by bigint REFERENCES public.users(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS deactivated_at timestamp without time zone,
+    ADD COLUMN IF NOT EXISTS deactivated_by bigint REFERENCES public.users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_users_role ON public.users USING btree (role);
@@ -0,0 +1,68 @@
+-- Permission-based authorization: a catalogue of permissions mapped to roles.
+-- Routes check permissions (middleware/auth.js requirePermission), never role names.
+
+CREATE TABLE IF NOT EXISTS public.permissions (
+    key character varying(60) PRIMARY KEY,
+    description text NOT NULL,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS public.role_permissions (
+    role character varying(20) NOT NULL,
+    permission_key character varying(60) NOT NULL REFERENCES public.permissions(key) ON DELETE CASCADE ON UPDATE CASCADE,
+    granted_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    granted_by bigint REFERENCES public.users(id) ON DELETE SET NULL,
+    PRIMARY KEY (role, permission_key),
+    CONSTRAINT role_permissions_role_check CHECK (((role)::text = ANY ((ARRAY['super_admin'::character varying, 'admin'::character varying, 'staff'::character varying, 'visitor'::character varying])::text[])))
+);
+
+INSERT INTO public.permissions (key, description) VALUES
+    ('dashboard:view',        'View the back-office dashboard metrics'),
+    ('plots:view',            'View plot details in the back office'),
+    ('plots:edit',            'Create, edit and delete plots and building plots; upload plot photos'),
+    ('graves:view',           'View burial records (graves)'),
+    ('graves:edit',           'Create, edit and delete burial records (graves)'),
+    ('maintenance:view',      'View maintenance requests and schedules'),
+    ('maintenance:schedule',  'Schedule, complete and edit maintenance work'),
+    ('reservations:view',     'View all plot reservations'),
+    ('reservations:create',   'Create a reservation on behalf of a visitor'),
+    ('reservations:approve',  'Approve, reject, cancel reservations and validate payments'),
+    ('requests:view',         'View burial and maintenance requests (staff tickets)'),
+    ('requests:manage',       'Change the status of burial and maintenance requests'),
+    ('users:view',            'List visitor accounts'),
+    ('users:sessions',        'View/revoke user sessions, unlock accounts, read the login attempt log'),
+    ('users:manage',          'Create staff/admin accounts, change roles, deactivate accounts, force password resets'),
+    ('permissions:manage',    'Change which permissions each role has'),
+    ('requests:submit',       'Submit and follow your own burial and maintenance requests'),
+    ('reservations:submit',   'Reserve plots and manage your own reservations'),
+    ('dashboard:personal',    'View your own visitor dashboard')
+ON CONFLICT (key) DO NOTHING;
+
+-- same access the hard-coded role checks gave before
+INSERT INTO public.role_permissions (role, permission_key)
+SELECT r.role, r.permission_key
+FROM (VALUES
+    ('admin', 'dashboard:view'), ('admin', 'plots:view'), ('admin', 'plots:edit'),
+    ('admin', 'graves:view'), ('admin', 'graves:edit'),
+    ('admin', 'maintenance:view'), ('admin', 'maintenance:schedule'),
+    ('admin', 'reservations:view'), ('admin', 'reservations:create'), ('admin', 'reservations:approve'),
+    ('admin', 'requests:view'), ('admin', 'requests:manage'),
+    ('admin', 'users:view'), ('admin', 'users:sessions'),
+
+    ('staff', 'dashboard:view'), ('staff', 'plots:view'), ('staff', 'plots:edit'),
+    ('staff', 'graves:view'),
+    ('staff', 'maintenance:view'), ('staff', 'maintenance:schedule'),
+    ('staff', 'reservations:view'), ('staff', 'reservations:create'), ('staff', 'reservations:approve'),
+    ('staff', 'requests:view'), ('staff', 'requests:manage'),
+    ('staff', 'users:view'),
+
+    ('visitor', 'requests:submit'), ('visitor', 'reservations:submit'), ('visitor', 'dashboard:personal')
+) AS r(role, permission_key)
+ON CONFLICT DO NOTHING;
+
+-- super_admin starts with every back-office permission
+INSERT INTO public.role_permissions (role, permission_key)
+SELECT 'super_admin', key
+FROM public.permissions
+WHERE key NOT IN ('requests:submit', 'reservations:submit', 'dashboard:personal')
+ON CONFLICT DO NOTHING;
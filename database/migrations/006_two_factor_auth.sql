@@ -0,0 +1,36 @@
+-- TOTP two-factor authentication: per-user secret, one-time recovery codes,
+-- and short-lived login challenges for the second step of POST /api/auth/login.
+
+CREATE TABLE IF NOT EXISTS public.user_mfa (
+    user_id bigint PRIMARY KEY REFERENCES public.users(id) ON DELETE CASCADE,
+    -- AES-256-GCM encrypted base32 secret (iv.tag.ciphertext, base64url)
+    secret_encrypted text NOT NULL,
+    enabled_at timestamp without time zone,
+    last_used_step bigint,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS public.mfa_recovery_codes (
+    id bigserial PRIMARY KEY,
+    user_id bigint NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    code_hash character varying(64) NOT NULL UNIQUE,
+    used_at timestamp without time zone,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_mfa_recovery_codes_user ON public.mfa_recovery_codes USING btree (user_id);
+
+CREATE TABLE IF NOT EXISTS public.mfa_challenges (
+    id bigserial PRIMARY KEY,
+    user_id bigint NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    purpose character varying(20) NOT NULL,
+    token_hash character varying(64) NOT NULL UNIQUE,
+    attempts integer DEFAULT 0 NOT NULL,
+    expires_at timestamp without time zone NOT NULL,
+    used_at timestamp without time zone,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    CONSTRAINT mfa_challenges_purpose_check CHECK (((purpose)::text = ANY ((ARRAY['verify'::character varying, 'enroll'::character varying])::text[])))
+);
+
+CREATE INDEX IF NOT EXISTS idx_mfa_challenges_user ON public.mfa_challenges USING btree (user_id);
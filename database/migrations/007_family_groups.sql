@@ -0,0 +1,52 @@
+-- Family groups: a primary contact shares their graves, requests and reservations
+-- (everything keyed by their user id as family_contact / user_id) with other visitor accounts.
+
+CREATE TABLE IF NOT EXISTS public.family_groups (
+    id bigserial PRIMARY KEY,
+    name character varying(120) NOT NULL,
+    -- the visitor whose user id the shared records are filed under (one group each)
+    primary_contact_id bigint NOT NULL UNIQUE REFERENCES public.users(id) ON DELETE CASCADE,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS public.family_group_members (
+    group_id bigint NOT NULL REFERENCES public.family_groups(id) ON DELETE CASCADE,
+    user_id bigint NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    role character varying(20) NOT NULL,
+    added_by bigint REFERENCES public.users(id) ON DELETE SET NULL,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    PRIMARY KEY (group_id, user_id),
+    CONSTRAINT family_group_members_role_check CHECK (((role)::text = ANY ((ARRAY['viewer'::character varying, 'manager'::character varying])::text[])))
+);
+
+CREATE INDEX IF NOT EXISTS idx_family_group_members_user ON public.family_group_members USING btree (user_id);
+
+CREATE TABLE IF NOT EXISTS public.family_group_invitations (
+    id bigserial PRIMARY KEY,
+    group_id bigint NOT NULL REFERENCES public.family_groups(id) ON DELETE CASCADE,
+    invitee_id bigint NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    role character varying(20) NOT NULL,
+    status character varying(20) DEFAULT 'pending'::character varying NOT NULL,
+    invited_by bigint REFERENCES public.users(id) ON DELETE SET NULL,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    responded_at timestamp without time zone,
+    CONSTRAINT family_group_invitations_role_check CHECK (((role)::text = ANY ((ARRAY['viewer'::character varying, 'manager'::character varying])::text[]))),
+    CONSTRAINT family_group_invitations_status_check CHECK (((status)::text = ANY ((ARRAY['pending'::character varying, 'accepted'::character varying, 'declined'::character varying, 'revoked'::character varying])::text[])))
+);
+
+-- one open invitation per person per group
+CREATE UNIQUE INDEX IF NOT EXISTS uq_family_group_invitations_pending
+    ON public.family_group_invitations USING btree (group_id, invitee_id)
+    WHERE ((status)::text = 'pending'::text);
+
+CREATE INDEX IF NOT EXISTS idx_family_group_invitations_invitee ON public.family_group_invitations USING btree (invitee_id);
+
+INSERT INTO public.permissions (key, description) VALUES
+    ('family:manage', 'Create a family group, invite relatives and accept family invitations')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO public.role_permissions (role, permission_key) VALUES
+    ('visitor', 'family:manage')
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,55 @@
+-- Append-only audit trail of back-office mutations (admin/staff routes, reservation handling).
+-- Rows are written by middleware/audit.js and can't be changed or deleted afterwards.
+
+CREATE TABLE IF NOT EXISTS public.audit_log (
+    id bigserial PRIMARY KEY,
+    occurred_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    -- no FK: the trail must outlive deleted accounts, so the username is copied too
+    actor_id bigint,
+    actor_username character varying(255),
+    actor_role character varying(20),
+    action character varying(80) NOT NULL,
+    entity_type character varying(60) NOT NULL,
+    entity_id character varying(100),
+    before_data jsonb,
+    after_data jsonb,
+    -- { column: { "from": ..., "to": ... } } for the columns that changed
+    changes jsonb,
+    ip_address character varying(64),
+    user_agent text,
+    http_method character varying(10),
+    http_path text,
+    status_code integer
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_occurred ON public.audit_log USING btree (occurred_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON public.audit_log USING btree (actor_id, occurred_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON public.audit_log USING btree (entity_type, entity_id, occurred_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_action ON public.audit_log USING btree (action, occurred_at);
+
+CREATE OR REPLACE FUNCTION public.audit_log_append_only() RETURNS trigger
+    LANGUAGE plpgsql
+    AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_log is append-only (% not allowed)', TG_OP;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_audit_log_append_only ON public.audit_log;
+CREATE TRIGGER trg_audit_log_append_only
+    BEFORE UPDATE OR DELETE ON public.audit_log
+    FOR EACH ROW EXECUTE FUNCTION public.audit_log_append_only();
+
+DROP TRIGGER IF EXISTS trg_audit_log_no_truncate ON public.audit_log;
+CREATE TRIGGER trg_audit_log_no_truncate
+    BEFORE TRUNCATE ON public.audit_log
+    FOR EACH STATEMENT EXECUTE FUNCTION public.audit_log_append_only();
+
+INSERT INTO public.permissions (key, description) VALUES
+    ('audit:view', 'Read and export the audit log of back-office changes')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO public.role_permissions (role, permission_key) VALUES
+    ('admin', 'audit:view'),
+    ('super_admin', 'audit:view')
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,31 @@
+-- Spatial indexes for viewport (bbox) queries on the map layers.
+-- GET /api/plot/*?bbox= filters each geometry column with &&, so every source column
+-- (geom, plot_boundary, coordinates) needs its own GiST index. Columns that are missing,
+-- not geometry, or already GiST-indexed (plots.plot_boundary, plots.coordinates) are skipped.
+
+DO $$
+DECLARE
+    c record;
+BEGIN
+    FOR c IN
+        SELECT table_name, column_name
+        FROM information_schema.columns
+        WHERE table_schema = 'public'
+          AND udt_name = 'geometry'
+          AND table_name IN ('plots', 'road_plots', 'building_plots')
+          AND column_name IN ('geom', 'plot_boundary', 'coordinates')
+          AND NOT EXISTS (
+              SELECT 1 FROM pg_indexes i
+              WHERE i.schemaname = 'public'
+                AND i.tablename = information_schema.columns.table_name
+                AND i.indexdef LIKE '%USING gist (' || information_schema.columns.column_name || ')%'
+          )
+    LOOP
+        EXECUTE format(
+            'CREATE INDEX IF NOT EXISTS %I ON public.%I USING gist (%I)',
+            'idx_' || c.table_name || '_' || c.column_name || '_gist',
+            c.table_name,
+            c.column_name
+        );
+    END LOOP;
+END $$;
@@ -0,0 +1,65 @@
+-- Vector tile cache for GET /api/plot/tiles/:z/:x/:y.mvt.
+-- Each row keeps the tile and the (buffered) area it was built from. Triggers on every
+-- map layer table drop the cached tiles that overlap a row's old or new geometry, so an
+-- edit (editPlots, reservations changing plot status, imports ...) shows on the next request.
+
+CREATE TABLE IF NOT EXISTS public.map_tile_cache (
+    z integer NOT NULL,
+    x integer NOT NULL,
+    y integer NOT NULL,
+    tile bytea NOT NULL,
+    etag character varying(64) NOT NULL,
+    bounds public.geometry(Polygon,4326) NOT NULL,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    PRIMARY KEY (z, x, y)
+);
+
+CREATE INDEX IF NOT EXISTS idx_map_tile_cache_bounds ON public.map_tile_cache USING gist (bounds);
+
+-- TG_ARGV: the geometry columns of the table
+CREATE OR REPLACE FUNCTION public.map_tile_cache_invalidate() RETURNS trigger
+    LANGUAGE plpgsql
+    AS $$
+DECLARE
+    r jsonb;
+    col text;
+    g public.geometry;
+BEGIN
+    FOREACH r IN ARRAY ARRAY[
+        CASE WHEN TG_OP <> 'INSERT' THEN to_jsonb(OLD) END,
+        CASE WHEN TG_OP <> 'DELETE' THEN to_jsonb(NEW) END
+    ] LOOP
+        CONTINUE WHEN r IS NULL;
+        FOREACH col IN ARRAY TG_ARGV LOOP
+            CONTINUE WHEN r->>col IS NULL;
+            g := (r->>col)::public.geometry;
+            -- ~2m margin: points are drawn as small buffered polygons
+            DELETE FROM public.map_tile_cache WHERE bounds && ST_Expand(g, 0.00002);
+        END LOOP;
+    END LOOP;
+    RETURN NULL;
+END;
+$$;
+
+DO $$
+DECLARE
+    t record;
+    cols text;
+BEGIN
+    FOR t IN
+        SELECT c.table_name, array_agg(c.column_name::text ORDER BY c.column_name) AS geom_cols
+        FROM information_schema.columns c
+        WHERE c.table_schema = 'public'
+          AND c.udt_name = 'geometry'
+          AND c.table_name IN ('plots', 'road_plots', 'building_plots', 'cemetery_infrastructure', 'navigation_paths')
+        GROUP BY c.table_name
+    LOOP
+        SELECT string_agg(quote_literal(x), ', ') INTO cols FROM unnest(t.geom_cols) AS x;
+        EXECUTE format('DROP TRIGGER IF EXISTS trg_%s_map_tiles ON public.%I', t.table_name, t.table_name);
+        EXECUTE format(
+            'CREATE TRIGGER trg_%s_map_tiles AFTER INSERT OR UPDATE OR DELETE ON public.%I '
+            'FOR EACH ROW EXECUTE FUNCTION public.map_tile_cache_invalidate(%s)',
+            t.table_name, t.table_name, cols
+        );
+    END LOOP;
+END $$;
@@ -0,0 +1,28 @@
+-- find_nearest_plots(lat, lng, radius) is what GET /api/visitor/nearest-plots ranks by.
+-- Same signature and result as before, but:
+--   * falls back to plot_boundary / geom when coordinates is empty (older imports only fill geom)
+--   * measures on the spheroid instead of Web Mercator, which overstated distances by 1/cos(lat)
+--   * prefilters with && on each geometry column so the GiST indexes from 009 are used
+
+CREATE OR REPLACE FUNCTION public.find_nearest_plots(user_lat numeric, user_lng numeric, radius_meters integer DEFAULT 100)
+RETURNS TABLE(plot_id bigint, plot_code character varying, distance_meters numeric)
+    LANGUAGE plpgsql STABLE
+    AS $$
+DECLARE
+    pt geometry := ST_SetSRID(ST_MakePoint(user_lng::float8, user_lat::float8), 4326);
+    -- degrees covering radius_meters in both directions at this latitude (bbox prefilter only)
+    pad float8 := radius_meters / (111320.0 * GREATEST(cos(radians(user_lat::float8)), 0.01));
+    search_box geometry;
+BEGIN
+    search_box := ST_Expand(pt, pad);
+
+    RETURN QUERY
+    SELECT p.id AS plot_id,
+           p.plot_code,
+           ST_Distance(COALESCE(p.coordinates, p.plot_boundary, p.geom)::geography, pt::geography)::numeric AS distance_meters
+    FROM plots p
+    WHERE (p.coordinates && search_box OR p.plot_boundary && search_box OR p.geom && search_box)
+      AND ST_DWithin(COALESCE(p.coordinates, p.plot_boundary, p.geom)::geography, pt::geography, radius_meters)
+    ORDER BY 3;
+END;
+$$;
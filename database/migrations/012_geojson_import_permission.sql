@@ -0,0 +1,11 @@
+-- Bulk GeoJSON import of plots, roads and buildings (POST /api/admin/import/geojson).
+-- Separate from plots:edit because one request can rewrite a whole section.
+
+INSERT INTO public.permissions (key, description) VALUES
+    ('plots:import', 'Bulk import plots, road plots and building plots from GeoJSON')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO public.role_permissions (role, permission_key) VALUES
+    ('admin', 'plots:import'),
+    ('super_admin', 'plots:import')
+ON CONFLICT DO NOTHING;
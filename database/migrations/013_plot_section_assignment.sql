@@ -0,0 +1,58 @@
+-- Plots are linked to the cemetery section whose boundary contains them.
+-- New plots (and plots whose geometry moves) get plots.section_id from cemetery_sections by
+-- containment of a point on the plot; an explicitly given section_id always wins.
+-- Boundary edits re-run the assignment from the API (services/section.service.js).
+
+CREATE INDEX IF NOT EXISTS idx_cemetery_sections_boundary_gist
+    ON public.cemetery_sections USING gist (boundary);
+
+CREATE OR REPLACE FUNCTION public.assign_plot_section() RETURNS trigger
+    LANGUAGE plpgsql
+    AS $$
+DECLARE
+    shape geometry := COALESCE(NEW.geom, NEW.plot_boundary, NEW.coordinates);
+    hit record;
+BEGIN
+    IF shape IS NULL OR ST_IsEmpty(shape) OR NOT ST_IsValid(shape) THEN
+        RETURN NEW;
+    END IF;
+
+    IF TG_OP = 'INSERT' AND NEW.section_id IS NOT NULL THEN
+        RETURN NEW;
+    END IF;
+
+    IF TG_OP = 'UPDATE' THEN
+        IF NEW.section_id IS DISTINCT FROM OLD.section_id THEN
+            RETURN NEW;
+        END IF;
+        IF shape IS NOT DISTINCT FROM COALESCE(OLD.geom, OLD.plot_boundary, OLD.coordinates) THEN
+            RETURN NEW;
+        END IF;
+    END IF;
+
+    -- innermost section when boundaries are nested
+    SELECT s.id, s.section_name INTO hit
+    FROM public.cemetery_sections s
+    WHERE s.boundary IS NOT NULL
+      AND s.boundary && shape
+      AND ST_Contains(s.boundary, ST_PointOnSurface(shape))
+    ORDER BY ST_Area(s.boundary) ASC, s.id ASC
+    LIMIT 1;
+
+    -- outside every boundary: keep whatever it had
+    IF FOUND THEN
+        NEW.section_id := hit.id;
+        -- plots.section_name is varchar(10); longer section names stay on the section only
+        IF length(hit.section_name) <= 10 THEN
+            NEW.section_name := hit.section_name;
+        END IF;
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_plots_assign_section ON public.plots;
+CREATE TRIGGER trg_plots_assign_section
+    BEFORE INSERT OR UPDATE OF geom, plot_boundary, coordinates ON public.plots
+    FOR EACH ROW EXECUTE FUNCTION public.assign_plot_section();
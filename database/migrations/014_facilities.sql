@@ -0,0 +1,22 @@
+-- Facilities (entrances, offices, chapels, toilets, parking, ...) live in cemetery_infrastructure.
+-- Public listing: GET /api/plot/facilities; admin CRUD: /api/admin/facilities (facilities:edit).
+-- photos: JSON array of /uploads/facilities/... URLs, like maintenance_requests.photos.
+
+ALTER TABLE public.cemetery_infrastructure
+    ADD COLUMN IF NOT EXISTS photos jsonb DEFAULT '[]'::jsonb NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_cemetery_infrastructure_coordinates_gist
+    ON public.cemetery_infrastructure USING gist (coordinates);
+CREATE INDEX IF NOT EXISTS idx_cemetery_infrastructure_geometry_gist
+    ON public.cemetery_infrastructure USING gist (geometry);
+CREATE INDEX IF NOT EXISTS idx_cemetery_infrastructure_type
+    ON public.cemetery_infrastructure (type);
+
+INSERT INTO public.permissions (key, description) VALUES
+    ('facilities:edit', 'Create, edit and delete facilities (entrances, offices, chapels, toilets, parking); upload their photos')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO public.role_permissions (role, permission_key) VALUES
+    ('admin', 'facilities:edit'),
+    ('super_admin', 'facilities:edit')
+ON CONFLICT DO NOTHING;
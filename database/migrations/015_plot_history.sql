@@ -0,0 +1,78 @@
+-- Temporal history of plots: one row per version, valid over [valid_from, valid_to).
+-- Written by a trigger on every insert / update / delete, whichever code path made it
+-- (editPlots, reservations, burial confirmations, imports, section assignment ...).
+-- data is the whole row as jsonb. Geometry is GeoJSON there (PostGIS 3 to_jsonb, no CRS, so no
+-- SRID): plot-history.service turns it back into 4326 EWKB before jsonb_populate_record(NULL::plots,
+-- data) rebuilds the plot as it was for GET /api/plot?as_of=... and GET /api/admin/plot/:id/history.
+-- A delete closes the last version and leaves a zero-length DELETE row.
+
+CREATE TABLE IF NOT EXISTS public.plot_history (
+    id bigserial PRIMARY KEY,
+    -- no FK: the history must outlive deleted plots
+    plot_id bigint NOT NULL,
+    plot_uid character(5),
+    operation character varying(10) NOT NULL,
+    valid_from timestamp without time zone NOT NULL,
+    valid_to timestamp without time zone,
+    data jsonb NOT NULL,
+    -- columns that differ from the previous version (UPDATE only)
+    changed_columns text[],
+    CONSTRAINT plot_history_operation_check CHECK (((operation)::text = ANY ((ARRAY['SNAPSHOT'::character varying, 'INSERT'::character varying, 'UPDATE'::character varying, 'DELETE'::character varying])::text[])))
+);
+
+CREATE INDEX IF NOT EXISTS idx_plot_history_plot ON public.plot_history USING btree (plot_id, valid_from);
+CREATE INDEX IF NOT EXISTS idx_plot_history_valid ON public.plot_history USING btree (valid_from, valid_to);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_plot_history_current
+    ON public.plot_history USING btree (plot_id) WHERE valid_to IS NULL;
+
+CREATE OR REPLACE FUNCTION public.plot_history_record() RETURNS trigger
+    LANGUAGE plpgsql
+    AS $$
+DECLARE
+    old_row jsonb := CASE WHEN TG_OP <> 'INSERT' THEN to_jsonb(OLD) END;
+    new_row jsonb := CASE WHEN TG_OP <> 'DELETE' THEN to_jsonb(NEW) END;
+    row_data jsonb := COALESCE(new_row, old_row);
+    changed text[];
+BEGIN
+    IF TG_OP = 'UPDATE' THEN
+        SELECT array_agg(n.key ORDER BY n.key) INTO changed
+        FROM jsonb_each(new_row) n
+        WHERE n.key <> 'updated_at' AND n.value IS DISTINCT FROM old_row->n.key;
+        -- only updated_at moved: not a new version
+        IF changed IS NULL THEN
+            RETURN NULL;
+        END IF;
+    END IF;
+
+    IF TG_OP <> 'INSERT' THEN
+        UPDATE public.plot_history
+        SET valid_to = now()
+        WHERE plot_id = (old_row->>'id')::bigint AND valid_to IS NULL;
+    END IF;
+
+    INSERT INTO public.plot_history (plot_id, plot_uid, operation, valid_from, valid_to, data, changed_columns)
+    VALUES (
+        (row_data->>'id')::bigint,
+        row_data->>'uid',
+        TG_OP,
+        now(),
+        CASE WHEN TG_OP = 'DELETE' THEN now() END,
+        row_data,
+        changed
+    );
+
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_plots_history ON public.plots;
+CREATE TRIGGER trg_plots_history
+    AFTER INSERT OR UPDATE OR DELETE ON public.plots
+    FOR EACH ROW EXECUTE FUNCTION public.plot_history_record();
+
+-- Nothing is known about plots before this migration: their current state stands in for it,
+-- from the day they were created.
+INSERT INTO public.plot_history (plot_id, plot_uid, operation, valid_from, data)
+SELECT p.id, p.uid, 'SNAPSHOT', COALESCE(p.created_at, now()), to_jsonb(p)
+FROM public.plots p
+WHERE NOT EXISTS (SELECT 1 FROM public.plot_history h WHERE h.plot_id = p.id);
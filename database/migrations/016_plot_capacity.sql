@@ -0,0 +1,166 @@
+-- Several interments per plot.
+-- A plot holds plots.capacity burials, or the capacity of its section's type
+-- (section_type_capacity), or 1. Each active grave takes a slot: interment_level 1..capacity
+-- (plus an optional position label such as "left" / "right").
+-- Plot status follows the active graves (trigger below):
+--   full                        -> occupied
+--   some room left              -> reserved (the family holds the lot; maintenance is kept)
+--   empty, was occupied/reserved and no pending/approved reservation -> available
+
+CREATE TABLE IF NOT EXISTS public.section_type_capacity (
+    section_type character varying(50) PRIMARY KEY,
+    capacity integer NOT NULL,
+    updated_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    CONSTRAINT section_type_capacity_capacity_check CHECK ((capacity >= 1))
+);
+
+INSERT INTO public.section_type_capacity (section_type, capacity) VALUES
+    ('lawn_lots_2_5', 1),
+    ('double_lawn_lots_5_0', 2),
+    ('memorial_court_10_5', 4),
+    ('regular', 1)
+ON CONFLICT (section_type) DO NOTHING;
+
+ALTER TABLE public.plots
+    ADD COLUMN IF NOT EXISTS capacity integer;
+ALTER TABLE public.plots DROP CONSTRAINT IF EXISTS plots_capacity_check;
+ALTER TABLE public.plots
+    ADD CONSTRAINT plots_capacity_check CHECK ((capacity IS NULL OR capacity >= 1));
+
+ALTER TABLE public.graves
+    ADD COLUMN IF NOT EXISTS interment_level smallint,
+    ADD COLUMN IF NOT EXISTS interment_position character varying(20);
+
+-- existing graves: levels in burial order
+UPDATE public.graves g
+SET interment_level = o.n
+FROM (
+    SELECT id, ROW_NUMBER() OVER (PARTITION BY plot_id ORDER BY burial_date NULLS LAST, id) AS n
+    FROM public.graves
+    WHERE plot_id IS NOT NULL AND is_active
+) o
+WHERE g.id = o.id AND g.interment_level IS NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_graves_plot_slot
+    ON public.graves USING btree (plot_id, interment_level, (COALESCE(interment_position, '')))
+    WHERE is_active AND plot_id IS NOT NULL AND interment_level IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_graves_plot ON public.graves USING btree (plot_id) WHERE is_active;
+
+CREATE OR REPLACE FUNCTION public.plot_capacity(p_plot_id bigint) RETURNS integer
+    LANGUAGE sql STABLE
+    AS $$
+    SELECT COALESCE(p.capacity, c.capacity, 1)
+    FROM public.plots p
+    LEFT JOIN public.cemetery_sections s ON s.id = p.section_id
+    LEFT JOIN public.section_type_capacity c ON c.section_type = s.section_type
+    WHERE p.id = p_plot_id
+$$;
+
+CREATE OR REPLACE FUNCTION public.refresh_plot_occupancy(p_plot_id bigint) RETURNS void
+    LANGUAGE plpgsql
+    AS $$
+DECLARE
+    cur text;
+    interred integer;
+    cap integer;
+    next_status text;
+BEGIN
+    SELECT LOWER(status) INTO cur FROM public.plots WHERE id = p_plot_id;
+    IF NOT FOUND THEN
+        RETURN;
+    END IF;
+
+    SELECT COUNT(*) INTO interred FROM public.graves WHERE plot_id = p_plot_id AND is_active;
+    cap := public.plot_capacity(p_plot_id);
+
+    next_status := CASE
+        WHEN interred >= cap THEN 'occupied'
+        WHEN interred > 0 THEN CASE WHEN cur = 'maintenance' THEN cur ELSE 'reserved' END
+        WHEN cur IN ('occupied', 'reserved') AND NOT EXISTS (
+            SELECT 1 FROM public.plot_reservations r
+            WHERE r.plot_id = p_plot_id AND LOWER(r.status) IN ('pending', 'approved')
+        ) THEN 'available'
+        ELSE cur
+    END;
+
+    IF next_status IS DISTINCT FROM cur THEN
+        UPDATE public.plots SET status = next_status, updated_at = NOW() WHERE id = p_plot_id;
+    END IF;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.graves_refresh_plot_occupancy() RETURNS trigger
+    LANGUAGE plpgsql
+    AS $$
+BEGIN
+    IF TG_OP <> 'INSERT' AND OLD.plot_id IS NOT NULL THEN
+        PERFORM public.refresh_plot_occupancy(OLD.plot_id);
+    END IF;
+    IF TG_OP <> 'DELETE' AND NEW.plot_id IS NOT NULL
+       AND (TG_OP = 'INSERT' OR NEW.plot_id IS DISTINCT FROM OLD.plot_id) THEN
+        PERFORM public.refresh_plot_occupancy(NEW.plot_id);
+    END IF;
+    RETURN NULL;
+END;
+$$;
+
+-- backstop for every code path: no active grave beyond the plot's capacity
+CREATE OR REPLACE FUNCTION public.graves_check_capacity() RETURNS trigger
+    LANGUAGE plpgsql
+    AS $$
+DECLARE
+    interred integer;
+    cap integer;
+BEGIN
+    IF NEW.plot_id IS NULL OR NOT NEW.is_active THEN
+        RETURN NEW;
+    END IF;
+    IF TG_OP = 'UPDATE' AND OLD.is_active AND NEW.plot_id IS NOT DISTINCT FROM OLD.plot_id THEN
+        RETURN NEW;
+    END IF;
+
+    PERFORM 1 FROM public.plots WHERE id = NEW.plot_id FOR UPDATE;
+    SELECT COUNT(*) INTO interred
+    FROM public.graves
+    WHERE plot_id = NEW.plot_id AND is_active AND id IS DISTINCT FROM NEW.id;
+    cap := public.plot_capacity(NEW.plot_id);
+
+    IF interred >= cap THEN
+        RAISE EXCEPTION 'Plot % is full (capacity %)', NEW.plot_id, cap
+            USING ERRCODE = 'check_violation';
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_graves_check_capacity ON public.graves;
+CREATE TRIGGER trg_graves_check_capacity
+    BEFORE INSERT OR UPDATE OF plot_id, is_active ON public.graves
+    FOR EACH ROW EXECUTE FUNCTION public.graves_check_capacity();
+
+DROP TRIGGER IF EXISTS trg_graves_plot_occupancy ON public.graves;
+CREATE TRIGGER trg_graves_plot_occupancy
+    AFTER INSERT OR DELETE OR UPDATE OF plot_id, is_active ON public.graves
+    FOR EACH ROW EXECUTE FUNCTION public.graves_refresh_plot_occupancy();
+
+-- a plot's capacity can change with its override or its section
+CREATE OR REPLACE FUNCTION public.plots_refresh_occupancy() RETURNS trigger
+    LANGUAGE plpgsql
+    AS $$
+BEGIN
+    PERFORM public.refresh_plot_occupancy(NEW.id);
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_plots_capacity_occupancy ON public.plots;
+CREATE TRIGGER trg_plots_capacity_occupancy
+    AFTER UPDATE OF capacity, section_id ON public.plots
+    FOR EACH ROW
+    WHEN (OLD.capacity IS DISTINCT FROM NEW.capacity OR OLD.section_id IS DISTINCT FROM NEW.section_id)
+    EXECUTE FUNCTION public.plots_refresh_occupancy();
+
+-- plots that already hold burials
+SELECT public.refresh_plot_occupancy(p.id)
+FROM public.plots p
+WHERE EXISTS (SELECT 1 FROM public.graves g WHERE g.plot_id = p.id AND g.is_active);
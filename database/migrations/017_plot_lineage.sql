@@ -0,0 +1,18 @@
+-- Plot merges and splits (POST /api/admin/plots/merge, POST /api/admin/plot/:id/split).
+-- One row per source -> result pair, so a plot's history can follow it into the plots it
+-- became (or came from). Merged-away plots are deleted; their versions stay in plot_history.
+
+CREATE TABLE IF NOT EXISTS public.plot_lineage (
+    id bigserial PRIMARY KEY,
+    operation character varying(10) NOT NULL,
+    -- no FKs: one side is usually a deleted plot
+    source_plot_id bigint NOT NULL,
+    target_plot_id bigint NOT NULL,
+    performed_by bigint,
+    details jsonb DEFAULT '{}'::jsonb NOT NULL,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    CONSTRAINT plot_lineage_operation_check CHECK (((operation)::text = ANY ((ARRAY['merge'::character varying, 'split'::character varying])::text[])))
+);
+
+CREATE INDEX IF NOT EXISTS idx_plot_lineage_source ON public.plot_lineage USING btree (source_plot_id);
+CREATE INDEX IF NOT EXISTS idx_plot_lineage_target ON public.plot_lineage USING btree (target_plot_id);
@@ -0,0 +1,61 @@
+-- Fuzzy deceased-name search (graves.deceased_name and plots.person_full_name).
+-- name_search_norm():  lower case, accents stripped (upper case accents too: LOWER() under the
+--                      C collation only folds ASCII), punctuation to spaces -> trigram similarity
+-- name_phonetic_key(): sound-alike key for Filipino / Spanish names, spaces dropped so
+--                      "Dela Cruz", "De la Cruz" and "Delacruz" share a key (dilakrus)
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE OR REPLACE FUNCTION public.name_search_norm(p_name text) RETURNS text
+    LANGUAGE sql IMMUTABLE PARALLEL SAFE
+    AS $$
+    SELECT NULLIF(TRIM(regexp_replace(
+        translate(LOWER(COALESCE(p_name, '')), 'áàâäãéèêëíìîïóòôöõúùûüñçÁÀÂÄÃÉÈÊËÍÌÎÏÓÒÔÖÕÚÙÛÜÑÇ', 'aaaaaeeeeiiiiooooouuuunc' || 'aaaaaeeeeiiiiooooouuuunc'),
+        '[^a-z0-9]+', ' ', 'g'
+    )), '')
+$$;
+
+CREATE OR REPLACE FUNCTION public.name_phonetic_key(p_name text) RETURNS text
+    LANGUAGE plpgsql IMMUTABLE PARALLEL SAFE
+    AS $$
+DECLARE
+    k text;
+BEGIN
+    k := translate(LOWER(COALESCE(p_name, '')), 'áàâäãéèêëíìîïóòôöõúùûüñçÁÀÂÄÃÉÈÊËÍÌÎÏÓÒÔÖÕÚÙÛÜÑÇ', 'aaaaaeeeeiiiiooooouuuuns' || 'aaaaaeeeeiiiiooooouuuuns');
+    k := regexp_replace(k, '[^a-z]', '', 'g');
+    IF k = '' THEN
+        RETURN NULL;
+    END IF;
+
+    -- upper case marks a sound already decided, so later rules leave it alone
+    k := replace(k, 'ph', 'f');
+    k := regexp_replace(k, 'ch|sh|ts|tz', 'C', 'g');      -- Chavez / Tsavez
+    k := replace(k, 'h', '');                              -- silent h: Hernandez / Ernandez
+    k := replace(k, 'll', 'y');                            -- Villanueva / Viyanueva
+    k := regexp_replace(k, 'y([^aeiou]|$)', 'i\1', 'g');   -- Ybañez / Ibañez, Reyes stays
+    k := regexp_replace(k, 'g([ei])', 'H\1', 'g');         -- Gil / Jil
+    k := replace(k, 'j', 'H');
+    k := regexp_replace(k, 'gu([ei])', 'g\1', 'g');        -- Guerrero: hard g
+    k := replace(k, 'qu', 'k');                            -- Quinto / Kinto
+    k := regexp_replace(k, 'c([ei])', 's\1', 'g');         -- Cecilia / Sesilia
+    k := replace(k, 'c', 'k');                             -- Cruz / Kruz
+    k := replace(k, 'x', 'ks');
+    k := replace(k, 'z', 's');                             -- Diaz / Dias
+    k := replace(k, 'v', 'b');                             -- Villar / Billar
+    k := regexp_replace(k, 'n[iy]([aeou])', 'n\1', 'g');   -- Niño / Ninyo / Ninio, Ybañez / Ybanyez
+    k := translate(k, 'eo', 'iu');                         -- e/i and o/u are written either way
+    k := regexp_replace(k, '(.)\1+', '\1', 'g');           -- Dellosa / Delosa
+    RETURN LOWER(k);
+END;
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_graves_name_search_trgm
+    ON public.graves USING gin (public.name_search_norm(deceased_name::text) gin_trgm_ops)
+    WHERE is_active;
+CREATE INDEX IF NOT EXISTS idx_graves_name_phonetic_trgm
+    ON public.graves USING gin (public.name_phonetic_key(deceased_name::text) gin_trgm_ops)
+    WHERE is_active;
+CREATE INDEX IF NOT EXISTS idx_plots_person_name_search_trgm
+    ON public.plots USING gin (public.name_search_norm(person_full_name) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_plots_person_name_phonetic_trgm
+    ON public.plots USING gin (public.name_phonetic_key(person_full_name) gin_trgm_ops);
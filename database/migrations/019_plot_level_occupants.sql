@@ -0,0 +1,51 @@
+-- Plots whose occupant is only recorded on the plot (person_full_name / dates, or just
+-- status = 'occupied') and that have no active grave. 016 counts graves only, so such a plot
+-- would be switched to available, accept a second burial and have person_full_name blanked by
+-- interment.service syncPlotPersonFields. Each gets a grave holding the plot's person fields
+-- (level 1), now and whenever a name is written to a plot without graves.
+-- Older records often lack a death date, so graves.death_date becomes optional.
+
+ALTER TABLE public.graves ALTER COLUMN death_date DROP NOT NULL;
+
+CREATE OR REPLACE FUNCTION public.plot_adopt_occupant(p_plot_id bigint) RETURNS void
+    LANGUAGE plpgsql
+    AS $$
+BEGIN
+    INSERT INTO public.graves (plot_id, deceased_name, birth_date, death_date, interment_level, is_active)
+    SELECT p.id,
+           -- occupied without a name on record
+           LEFT(COALESCE(NULLIF(TRIM(p.person_full_name), ''), 'Unknown'), 100),
+           p.date_of_birth,
+           p.date_of_death,
+           1,
+           true
+    FROM public.plots p
+    WHERE p.id = p_plot_id
+      AND (NULLIF(TRIM(p.person_full_name), '') IS NOT NULL OR LOWER(p.status) = 'occupied')
+      AND NOT EXISTS (SELECT 1 FROM public.graves g WHERE g.plot_id = p.id AND g.is_active);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.plots_adopt_occupant() RETURNS trigger
+    LANGUAGE plpgsql
+    AS $$
+BEGIN
+    PERFORM public.plot_adopt_occupant(NEW.id);
+    RETURN NULL;
+END;
+$$;
+
+-- syncPlotPersonFields only writes names that come from graves (or NULL), so this fires for
+-- names entered on the plot itself (admin plot add / edit, imports)
+DROP TRIGGER IF EXISTS trg_plots_adopt_occupant ON public.plots;
+CREATE TRIGGER trg_plots_adopt_occupant
+    AFTER INSERT OR UPDATE OF person_full_name ON public.plots
+    FOR EACH ROW
+    WHEN (NULLIF(TRIM(NEW.person_full_name), '') IS NOT NULL)
+    EXECUTE FUNCTION public.plots_adopt_occupant();
+
+-- existing plot-level occupants
+SELECT public.plot_adopt_occupant(p.id)
+FROM public.plots p
+WHERE (NULLIF(TRIM(p.person_full_name), '') IS NOT NULL OR LOWER(p.status) = 'occupied')
+  AND NOT EXISTS (SELECT 1 FROM public.graves g WHERE g.plot_id = p.id AND g.is_active);
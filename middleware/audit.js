@@ -0,0 +1,136 @@
+// backend/middleware/audit.js
+"use strict";
+
+const pool = require("../config/database");
+const { record } = require("../services/audit.service");
+
+/**
+ * Writes an audit_log row for a mutating route once it has succeeded (status < 400), before
+ * the response is sent; a failed write turns the response into a 500. Must run after verifyToken.
+ *
+ *   router.patch("/maintenance/:id/complete", requirePermission(...),
+ *     audit("maintenance.complete", { table: "maintenance_requests" }), handler)
+ *
+ * options:
+ *   table    table (or list of tables, first hit wins, or (req) => either) to snapshot
+ *            before and after the handler; also the entity_type
+ *   entity   entity_type when it should differ from the table name
+ *   id       (req) => entity id; default params.id, then body.id / body.uid.
+ *            Matches id or uid (when the table has one). Creates take the id from the response.
+ *   after    (req, body) => object stored as after_data instead of re-reading the table
+ *   when     (req, body) => false to skip the entry for a successful response (e.g. dry runs)
+ */
+
+const _hasColumnCache = new Map();
+async function hasColumn(tableName, columnName) {
+  const key = `${tableName}.${columnName}`;
+  if (_hasColumnCache.has(key)) return _hasColumnCache.get(key);
+
+  const { rows } = await pool.query(
+    `
+    SELECT 1
+    FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = $1 AND column_name = $2
+    LIMIT 1
+    `,
+    [tableName, columnName]
+  );
+  const ok = rows.length > 0;
+  _hasColumnCache.set(key, ok);
+  return ok;
+}
+
+async function loadRow(table, key) {
+  const byUid = await hasColumn(table, "uid");
+  const { rows } = await pool.query(
+    `SELECT * FROM ${table} WHERE id::text = $1 ${byUid ? "OR uid::text = $1" : ""} LIMIT 1`,
+    [String(key)]
+  );
+  return rows[0] || null;
+}
+
+const defaultId = (req) => req.params?.id ?? req.body?.id ?? req.body?.uid ?? null;
+
+// creates answer with the new row in a few shapes
+function createdId(body) {
+  if (!body || typeof body !== "object") return null;
+  const data = body.data ?? body;
+  return data?.id ?? data?.reservation?.id ?? data?.schedule?.id ?? null;
+}
+
+function clientIp(req) {
+  return String(req?.ip || req?.socket?.remoteAddress || "").slice(0, 64) || null;
+}
+
+function audit(action, { table = null, entity = null, id = defaultId, after = null, when = null } = {}) {
+  return async (req, res, next) => {
+    try {
+      const resolved = typeof table === "function" ? table(req) : table;
+      const tables = [].concat(resolved || []);
+      const key = id(req);
+
+      let before = null;
+      let hitTable = tables[0] || null;
+      if (key != null && key !== "") {
+        for (const t of tables) {
+          before = await loadRow(t, key);
+          if (before) {
+            hitTable = t;
+            break;
+          }
+        }
+      }
+
+      const writeEntry = async (body) => {
+        const afterKey = before?.id ?? key ?? createdId(body);
+        let afterRow = null;
+        if (after) afterRow = after(req, body);
+        else if (hitTable && afterKey != null) afterRow = await loadRow(hitTable, afterKey);
+
+        await record({
+          actor: req.user,
+          action,
+          entityType: entity || hitTable || "unknown",
+          entityId: before?.id ?? afterRow?.id ?? afterKey,
+          before,
+          after: afterRow,
+          ip: clientIp(req),
+          userAgent: req.get("user-agent") || null,
+          method: req.method,
+          path: req.originalUrl,
+          statusCode: res.statusCode,
+        });
+      };
+
+      // the entry is written before a successful response goes out; when it cannot be written
+      // the caller gets a 500 instead of a success that left no trace
+      let body;
+      let held = false;
+      const json = res.json.bind(res);
+      const send = res.send.bind(res);
+      res.json = (payload) => {
+        body = payload;
+        return json(payload);
+      };
+      res.send = (payload) => {
+        if (held || res.statusCode >= 400 || (when && !when(req, body))) return send(payload);
+        held = true;
+        writeEntry(body).then(
+          () => send(payload),
+          (err) => {
+            console.error(`[AUDIT] failed to record ${action}:`, err);
+            res.status(500);
+            json({ ok: false, error: "The change could not be written to the audit log" });
+          }
+        );
+        return res;
+      };
+
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+module.exports = { audit };
@@ -1,7 +1,9 @@
 //backend/middleware/auth.js
 const jwt = require("jsonwebtoken");
+const { getActiveSession } = require("../services/session.service");
+const { roleHas } = require("../services/permission.service");
 
-function verifyToken(req, res, next) {
+async function verifyToken(req, res, next) {
   if (!process.env.JWT_SECRET) {
     return res.status(500).json({ error: "Server JWT_SECRET is not configured" });
   }
@@ -11,10 +13,9 @@ function verifyToken(req, res, next) {
 
   if (!token) return res.status(401).json({ error: "Missing token" });
 
+  let payload;
   try {
-    const payload = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = payload;
-    return next();
+    payload = jwt.verify(token, process.env.JWT_SECRET);
   } catch (e) {
     // clearer message
     if (e?.name === "TokenExpiredError") {
@@ -22,23 +23,66 @@ function verifyToken(req, res, next) {
     }
     return res.status(401).json({ error: "Invalid token" });
   }
+
+  // ✅ access tokens are bound to a server-side session (old 7-day tokens have no sid)
+  if (!payload?.sid) return res.status(401).json({ error: "Session required. Please log in again." });
+
+  try {
+    const session = await getActiveSession(payload.sid);
+    if (!session || String(session.user_id) !== String(payload.id)) {
+      return res.status(401).json({ error: "Session revoked" });
+    }
+    if (session.is_active === false) {
+      return res.status(403).json({ error: "Account is inactive" });
+    }
+
+    // role comes from the DB so role changes apply without re-login
+    req.user = {
+      ...payload,
+      role: session.role,
+      email_verified: Boolean(session.email_verified_at),
+    };
+    return next();
+  } catch (err) {
+    return next(err);
+  }
 }
 
-function requireRole(...rolesInput) {
-  const allowedRoles = rolesInput
-    .flat()
-    .filter(Boolean)
-    .map((r) => String(r).toLowerCase());
+/**
+ * The one authorization check for routes: the caller's role must hold every listed
+ * permission (see database/migrations/005_permissions.sql for the catalogue).
+ * Must run after verifyToken.
+ */
+function requirePermission(...keysInput) {
+  const keys = keysInput.flat().filter(Boolean).map(String);
 
-  return (req, res, next) => {
+  return async (req, res, next) => {
     if (!req.user) return res.status(401).json({ error: "Unauthorized" });
 
-    const userRole = String(req.user.role || "").toLowerCase();
-    if (!allowedRoles.includes(userRole)) {
-      return res.status(403).json({ error: "Forbidden: insufficient role" });
+    try {
+      if (!(await roleHas(req.user.role, keys))) {
+        return res.status(403).json({
+          error: "Forbidden: missing permission",
+          required: keys,
+        });
+      }
+      return next();
+    } catch (err) {
+      return next(err);
     }
-    return next();
   };
 }
 
-module.exports = { verifyToken, requireRole };
+// blocks accounts that haven't confirmed their email yet (must run after verifyToken)
+function requireVerifiedEmail(req, res, next) {
+  if (!req.user) return res.status(401).json({ error: "Unauthorized" });
+  if (!req.user.email_verified) {
+    return res.status(403).json({
+      error: "Please verify your email address before continuing.",
+      code: "EMAIL_NOT_VERIFIED",
+    });
+  }
+  return next();
+}
+
+module.exports = { verifyToken, requirePermission, requireVerifiedEmail };
@@ -0,0 +1,41 @@
+// backend/middleware/ownership.js
+const { canAccessContact, accessibleContactIds } = require("../services/ownership.service");
+// shared access through family groups (registers its contact resolver)
+require("../services/family-group.service");
+
+/**
+ * Guards routes that name a family contact (visitor user id) in the URL or body.
+ * The caller must own it or have been granted access (write=true needs manager access).
+ * On success req.contactIds = [contact] for the controller to scope its queries with.
+ * includeShared: when the caller names their own id, req.contactIds also gets every contact
+ * shared with them (family groups), so "my ..." lists cover all their families.
+ * Must run after verifyToken.
+ *
+ *   router.get("/my-burial-requests/:family_contact", requireContactAccess(), handler)
+ *   router.post("/request-burial", requireContactAccess({ from: "body", write: true }), handler)
+ */
+function requireContactAccess({ from = "params", field = "family_contact", write = false, includeShared = false } = {}) {
+  return async (req, res, next) => {
+    if (!req.user) return res.status(401).json({ success: false, message: "Unauthorized" });
+
+    const contact = req[from]?.[field];
+    if (contact == null || String(contact).trim() === "") {
+      return res.status(400).json({ success: false, message: `${field} is required` });
+    }
+
+    try {
+      if (!(await canAccessContact(req.user, contact, { write }))) {
+        return res.status(403).json({ success: false, message: "Forbidden" });
+      }
+      req.contactIds =
+        includeShared && String(contact) === String(req.user.id)
+          ? await accessibleContactIds(req.user, { write })
+          : [String(contact)];
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+module.exports = { requireContactAccess };
@@ -8,7 +8,8 @@ const path = require("path");
 const fs = require("fs");
 const multer = require("multer");
 
-const { verifyToken, requireRole } = require("../middleware/auth");
+const { verifyToken, requirePermission } = require("../middleware/auth");
+const { audit } = require("../middleware/audit");
 
 const adminController = require("../controllers/admin.controller");
 
@@ -17,13 +18,22 @@ const adminController = require("../controllers/admin.controller");
 const adminReservation = require("../controllers/adminReservation.controller");
 
 const adminMaintenance = require("../controllers/adminMaintenance.controller");
+const geojsonImport = require("../controllers/geojson-import.controller");
+const sectionLayout = require("../controllers/section-layout.controller");
+const sectionsController = require("../controllers/sections.controller");
+const facilitiesController = require("../controllers/facilities.controller");
+const spatialQa = require("../controllers/spatial-qa.controller");
+const plotHistory = require("../controllers/plot-history.controller");
+const intermentsController = require("../controllers/interments.controller");
+const plotMerge = require("../controllers/plot-merge.controller");
+const occupancyController = require("../controllers/occupancy.controller");
+const { parseIds } = require("../services/plot-merge.service");
 
 // ✅ all /admin routes require auth
 router.use(verifyToken);
 
-// ✅ admin + staff access
-const allowAdminStaff = requireRole(["admin", "staff"]);
-const adminOnly = requireRole(["admin"]);
+// ✅ each route names the permission it needs (role -> permission mapping lives in the DB)
+// ✅ every mutation is recorded in the audit log (middleware/audit.js): who, what, before/after
 
 /* =========================================================================================
    ✅ PHOTO UPLOAD: POST /api/admin/plot/:id/photo
@@ -62,59 +72,303 @@ const upload = multer({
   limits: { fileSize: 8 * 1024 * 1024 }, // 8MB
 });
 
+// facility photos: backend/uploads/facilities, URLs stored in cemetery_infrastructure.photos
+const FACILITY_UPLOAD_DIR = path.join(__dirname, "..", "uploads", "facilities");
+fs.mkdirSync(FACILITY_UPLOAD_DIR, { recursive: true });
+
+const facilityUpload = multer({
+  storage: multer.diskStorage({
+    destination: function (_req, _file, cb) {
+      cb(null, FACILITY_UPLOAD_DIR);
+    },
+    filename: function (req, file, cb) {
+      const raw = String(req.params?.id || "facility")
+        .replace(/[^a-zA-Z0-9_-]/g, "_")
+        .slice(0, 40);
+
+      const ext = path.extname(file.originalname || "").toLowerCase() || "";
+      const safeExt = ext && ext.length <= 10 ? ext : "";
+
+      const stamp = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+      cb(null, `facility-${raw}-${stamp}${safeExt}`);
+    },
+  }),
+  fileFilter: imageFileFilter,
+  limits: { fileSize: 8 * 1024 * 1024 }, // 8MB
+});
+
+// GeoJSON imports are parsed in memory (the JSON body limit is too small for a whole section)
+const geojsonUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024 }, // 20MB
+});
+
 /* =========================================================================================
    ✅ ROUTES
 ========================================================================================= */
 
 /* --- dashboard --- */
-router.get("/metrics", allowAdminStaff, adminController.dashboardMetrics);
+router.get("/metrics", requirePermission("dashboard:view"), adminController.dashboardMetrics);
+
+/* --- occupancy heat map (per section / per row / grid clusters, GeoJSON) --- */
+router.get("/occupancy/sections", requirePermission("dashboard:view"), occupancyController.getSectionOccupancy);
+router.get("/occupancy/rows", requirePermission("dashboard:view"), occupancyController.getRowOccupancy);
+router.get("/occupancy/grid", requirePermission("dashboard:view"), occupancyController.getGridOccupancy);
 
 /* --- maintenance --- */
 router.get(
   "/maintenance-requests",
-  allowAdminStaff,
+  requirePermission("maintenance:view"),
   adminMaintenance.getMaintenanceRequests
 );
 
 router.patch(
   "/maintenance/:id/schedule",
-  allowAdminStaff,
+  requirePermission("maintenance:schedule"),
+  audit("maintenance_request.schedule", { table: "maintenance_requests" }),
   adminMaintenance.scheduleMaintenance
 );
 
 router.patch(
   "/maintenance/:id/complete",
-  allowAdminStaff,
+  requirePermission("maintenance:schedule"),
+  audit("maintenance_request.complete", { table: "maintenance_requests" }),
   adminMaintenance.completeMaintenance
 );
 
 /* --- plots --- */
-router.post("/add-plot", allowAdminStaff, adminController.addPlots);
-router.put("/edit-plot", allowAdminStaff, adminController.editPlots);
-router.delete("/delete-plot/:id", allowAdminStaff, adminController.deletePlots);
+const auditPlot = (action) => audit(`plot.${action}`, { table: "plots" });
+
+router.post(
+  "/add-plot",
+  requirePermission("plots:edit"),
+  auditPlot("create"),
+  adminController.addPlots
+);
+router.put(
+  "/edit-plot",
+  requirePermission("plots:edit"),
+  auditPlot("update"),
+  adminController.editPlots
+);
+router.delete(
+  "/delete-plot/:id",
+  requirePermission("plots:edit"),
+  auditPlot("delete"),
+  adminController.deletePlots
+);
 
 // ✅ used by frontend: GET /api/admin/plot/:idOrUid
-router.get("/plot/:id", allowAdminStaff, adminController.getPlotDetails);
+router.get("/plot/:id", requirePermission("plots:view"), adminController.getPlotDetails);
+
+// GET /api/admin/plot/:idOrUid/history: every version of the plot (status, price, occupant, geometry)
+router.get("/plot/:id/history", requirePermission("plots:view"), plotHistory.getPlotHistory);
+
+// GET /api/admin/plot/:idOrUid/interments: capacity, remaining room and everyone interred by level
+router.get("/plot/:id/interments", requirePermission("plots:view"), intermentsController.getPlotInterments);
+
+// PATCH /api/admin/plot/:idOrUid/capacity { capacity } (null = the section type's capacity)
+router.patch(
+  "/plot/:id/capacity",
+  requirePermission("plots:edit"),
+  auditPlot("capacity"),
+  intermentsController.updatePlotCapacity
+);
+
+// merge adjacent plots into one / split a plot along a line or into equal parts (dry_run previews)
+router.post(
+  "/plots/merge",
+  requirePermission("plots:edit"),
+  audit("plot.merge", {
+    table: "plots",
+    id: (req) => req.body?.keep ?? parseIds(req.body?.ids)[0] ?? null,
+    when: (_req, body) => !body?.data?.dry_run,
+  }),
+  plotMerge.mergePlots
+);
+router.post(
+  "/plot/:id/split",
+  requirePermission("plots:edit"),
+  audit("plot.split", { table: "plots", when: (_req, body) => !body?.data?.dry_run }),
+  plotMerge.splitPlot
+);
+
+// capacity per section type (lawn lot 1, double lawn lot 2, memorial court 4 ...)
+router.get("/section-capacities", requirePermission("plots:view"), intermentsController.listSectionCapacities);
+router.put(
+  "/section-capacities/:type",
+  requirePermission("plots:edit"),
+  audit("section.capacity", {
+    entity: "section_type_capacity",
+    id: (req) => req.params.type,
+    after: (req, body) => body?.data ?? null,
+  }),
+  intermentsController.updateSectionCapacity
+);
 
 // ✅ used by frontend: POST /api/admin/plot/:id/photo
 router.post(
   "/plot/:id/photo",
-  allowAdminStaff,
+  requirePermission("plots:edit"),
+  auditPlot("photo_upload"),
   upload.single("photo"),
   adminController.uploadPlotPhoto
 );
 
 
 
+/* --- bulk GeoJSON import (plots / road_plots / building_plots) --- */
+// POST /api/admin/import/geojson?layer=plots&dry_run=false  (multipart "file" or JSON { geojson })
+router.post(
+  "/import/geojson",
+  requirePermission("plots:import"),
+  geojsonUpload.single("file"),
+  audit("plot.import", {
+    entity: "geojson_import",
+    id: () => null,
+    when: (_req, body) => Boolean(body?.data?.applied),
+    after: (req, body) => ({
+      layer: body?.data?.layer,
+      mode: body?.data?.mode,
+      file: req.file?.originalname ?? null,
+      summary: body?.data?.summary,
+    }),
+  }),
+  geojsonImport.importGeoJson
+);
+
+/* --- spatial data quality (invalid / overlapping / mismatched geometry) --- */
+// GET /api/admin/spatial-qa?checks=...  POST /api/admin/spatial-qa/repair { dry_run: false }
+router.get("/spatial-qa", requirePermission("plots:view"), spatialQa.getSpatialReport);
+router.post(
+  "/spatial-qa/repair",
+  requirePermission("plots:edit"),
+  audit("plot.spatial_repair", {
+    entity: "plots",
+    id: () => null,
+    when: (_req, body) => Boolean(body?.data?.applied),
+    after: (_req, body) => ({
+      summary: body?.data?.summary,
+      repaired: (body?.data?.repaired || []).map((r) => ({ table: r.table, id: r.id, fixes: r.fixes })),
+    }),
+  }),
+  spatialQa.repairSpatialData
+);
+
+/* --- section layout generator (plots + road stripes from corner points) --- */
+router.post(
+  "/sections/layout/preview",
+  requirePermission("plots:import"),
+  sectionLayout.previewSectionLayout
+);
+router.post(
+  "/sections/layout",
+  requirePermission("plots:import"),
+  audit("section.layout_generate", {
+    entity: "cemetery_sections",
+    id: () => null,
+    after: (_req, body) => ({
+      section: body?.data?.section,
+      spec: body?.data?.spec,
+      plots: body?.data?.plots?.summary,
+      roads: body?.data?.roads?.summary ?? null,
+    }),
+  }),
+  sectionLayout.createSectionLayout
+);
+
+/* --- cemetery sections (boundary, plot assignment, occupancy / revenue) --- */
+const auditSection = (action) => audit(`section.${action}`, { table: "cemetery_sections" });
+
+router.get("/sections", requirePermission("plots:view"), sectionsController.listSections);
+router.post(
+  "/sections",
+  requirePermission("plots:edit"),
+  auditSection("create"),
+  sectionsController.createSection
+);
+router.post(
+  "/sections/assign-plots",
+  requirePermission("plots:edit"),
+  audit("section.assign_plots", {
+    entity: "cemetery_sections",
+    id: () => null,
+    after: (_req, body) => body?.data ?? null,
+  }),
+  sectionsController.assignAllPlots
+);
+router.get("/sections/:id", requirePermission("plots:view"), sectionsController.getSection);
+router.patch(
+  "/sections/:id",
+  requirePermission("plots:edit"),
+  auditSection("update"),
+  sectionsController.updateSection
+);
+router.delete(
+  "/sections/:id",
+  requirePermission("plots:edit"),
+  auditSection("delete"),
+  sectionsController.deleteSection
+);
+
 /* --- building plots --- */
-router.post("/add-building-plot", allowAdminStaff, adminController.addBuildingPlots);
-router.put("/edit-building-plot", allowAdminStaff, adminController.editBuildingPlots);
+const auditBuildingPlot = (action) => audit(`building_plot.${action}`, { table: "building_plots" });
+
+router.post(
+  "/add-building-plot",
+  requirePermission("plots:edit"),
+  auditBuildingPlot("create"),
+  adminController.addBuildingPlots
+);
+router.put(
+  "/edit-building-plot",
+  requirePermission("plots:edit"),
+  auditBuildingPlot("update"),
+  adminController.editBuildingPlots
+);
 router.delete(
   "/delete-building-plot/:id",
-  allowAdminStaff,
+  requirePermission("plots:edit"),
+  auditBuildingPlot("delete"),
   adminController.deleteBuildingPlots
 );
 
+/* --- facilities (cemetery_infrastructure: entrances, offices, chapels, toilets, parking) --- */
+// public listing: GET /api/plot/facilities
+const auditFacility = (action) => audit(`facility.${action}`, { table: "cemetery_infrastructure" });
+
+router.post(
+  "/facilities",
+  requirePermission("facilities:edit"),
+  auditFacility("create"),
+  facilitiesController.createFacility
+);
+router.patch(
+  "/facilities/:id",
+  requirePermission("facilities:edit"),
+  auditFacility("update"),
+  facilitiesController.updateFacility
+);
+router.delete(
+  "/facilities/:id",
+  requirePermission("facilities:edit"),
+  auditFacility("delete"),
+  facilitiesController.deleteFacility
+);
+router.post(
+  "/facilities/:id/photos",
+  requirePermission("facilities:edit"),
+  auditFacility("photo_upload"),
+  facilityUpload.array("photos", 10),
+  facilitiesController.uploadFacilityPhotos
+);
+router.delete(
+  "/facilities/:id/photos",
+  requirePermission("facilities:edit"),
+  auditFacility("photo_delete"),
+  facilitiesController.deleteFacilityPhoto
+);
+
 /* =========================================================================================
    ✅ BURIAL RECORDS (GRAVES) - RESTFUL (matches your BurialPlots.jsx endpoints)
    Frontend calls:
@@ -123,26 +377,104 @@ router.delete(
    PATCH  /api/admin/burial-records/:idOrUid
    DELETE /api/admin/burial-records/:idOrUid
 ========================================================================================= */
-router.get("/burial-records", allowAdminStaff, adminController.getBurialRecords);
-router.post("/burial-records", adminOnly, adminController.addBurialRecord);
-router.patch("/burial-records/:id", adminOnly, adminController.editBurialRecord);
-router.delete("/burial-records/:id", adminOnly, adminController.deleteBurialRecord);
+const auditGrave = (action) => audit(`grave.${action}`, { table: "graves" });
+
+router.get("/burial-records", requirePermission("graves:view"), adminController.getBurialRecords);
+router.post(
+  "/burial-records",
+  requirePermission("graves:edit"),
+  auditGrave("create"),
+  adminController.addBurialRecord
+);
+router.patch(
+  "/burial-records/:id",
+  requirePermission("graves:edit"),
+  auditGrave("update"),
+  adminController.editBurialRecord
+);
+router.delete(
+  "/burial-records/:id",
+  requirePermission("graves:edit"),
+  auditGrave("delete"),
+  adminController.deleteBurialRecord
+);
 
 /* ✅ OPTIONAL: keep old endpoints as aliases (so nothing breaks) */
-router.get("/graves", allowAdminStaff, adminController.getBurialRecords);
-router.post("/graves", adminOnly, adminController.addBurialRecord);
-router.post("/edit-burial-record", adminOnly, adminController.editBurialRecord);
-router.delete("/delete-burial-record/:id", adminOnly, adminController.deleteBurialRecord);
+router.get("/graves", requirePermission("graves:view"), adminController.getBurialRecords);
+router.post(
+  "/graves",
+  requirePermission("graves:edit"),
+  auditGrave("create"),
+  adminController.addBurialRecord
+);
+router.post(
+  "/edit-burial-record",
+  requirePermission("graves:edit"),
+  auditGrave("update"),
+  adminController.editBurialRecord
+);
+router.delete(
+  "/delete-burial-record/:id",
+  requirePermission("graves:edit"),
+  auditGrave("delete"),
+  adminController.deleteBurialRecord
+);
 
 // Optional legacy PATCH alias (if you previously used PATCH /burial-records with id in body)
-router.patch("/burial-records", adminOnly, adminController.editBurialRecord);
+router.patch(
+  "/burial-records",
+  requirePermission("graves:edit"),
+  auditGrave("update"),
+  adminController.editBurialRecord
+);
 
 /* --- users --- */
 // ✅ matches your frontend: GET /api/admin/visitor-users
-router.get("/visitor-users", allowAdminStaff, adminController.getVisitorUsers);
+router.get("/visitor-users", requirePermission("users:view"), adminController.getVisitorUsers);
 
 // ✅ keep old alias (if you used it before)
-router.get("/users/visitors", allowAdminStaff, adminController.getVisitorUsers);
+router.get("/users/visitors", requirePermission("users:view"), adminController.getVisitorUsers);
+
+/* --- user sessions / devices --- */
+router.get(
+  "/users/:id/sessions",
+  requirePermission("users:sessions"),
+  adminController.getUserSessions
+);
+router.delete(
+  "/users/:id/sessions",
+  requirePermission("users:sessions"),
+  audit("user.sessions_revoke_all", {
+    entity: "users",
+    after: (_req, body) => ({ sessions_revoked: body?.revoked ?? null }),
+  }),
+  adminController.revokeAllUserSessions
+);
+router.delete(
+  "/users/:id/sessions/:sessionId",
+  requirePermission("users:sessions"),
+  audit("user.session_revoke", { table: "user_sessions", id: (req) => req.params.sessionId }),
+  adminController.revokeUserSession
+);
+
+/* --- login lockout / attempt log --- */
+router.post(
+  "/users/:id/unlock",
+  requirePermission("users:sessions"),
+  audit("user.unlock", { table: "users" }),
+  adminController.unlockUserAccount
+);
+router.get(
+  "/login-attempts",
+  requirePermission("users:sessions"),
+  adminController.getLoginAttempts
+);
+
+/* --- audit log --- */
+// GET /api/admin/audit-log?actor_id=&action=&entity_type=&entity_id=&from=&to=&q=&limit=&offset=
+// GET /api/admin/audit-log/export  same filters, CSV download
+router.get("/audit-log", requirePermission("audit:view"), adminController.getAuditLog);
+router.get("/audit-log/export", requirePermission("audit:view"), adminController.exportAuditLog);
 
 /* =========================================================================================
    ✅ RESERVATIONS (matches BurialPlots.jsx)
@@ -154,53 +486,75 @@ router.get("/users/visitors", allowAdminStaff, adminController.getVisitorUsers);
    PATCH /api/admin/reservations/:id/reject
 ========================================================================================= */
 
-// admin/staff create reservation (optional)
-router.post("/reserve-plot", allowAdminStaff, adminReservation.reservePlotAsAdmin);
+const auditReservation = (action, opts = {}) =>
+  audit(`reservation.${action}`, { table: "plot_reservations", ...opts });
+
+// back-office creates a reservation for a visitor (optional)
+router.post(
+  "/reserve-plot",
+  requirePermission("reservations:create"),
+  auditReservation("create", { id: () => null }),
+  adminReservation.reservePlotAsAdmin
+);
 
 // list reservations
-router.get("/reservations", allowAdminStaff, adminReservation.getAllReservations);
+router.get(
+  "/reservations",
+  requirePermission("reservations:view"),
+  adminReservation.getAllReservations
+);
 
 // cancel
 router.patch(
   "/cancel-reservation/:id",
-  allowAdminStaff,
+  requirePermission("reservations:approve"),
+  auditReservation("cancel"),
   adminReservation.cancelReservationAsAdmin
 );
 
 // reject
 router.patch(
   "/reservations/:id/reject",
-  allowAdminStaff,
+  requirePermission("reservations:approve"),
+  auditReservation("reject"),
   adminReservation.rejectReservationAsAdmin
 );
 
 // validate payment
 router.patch(
   "/reservations/:id/validate-payment",
-  allowAdminStaff,
+  requirePermission("reservations:approve"),
+  auditReservation("validate_payment"),
   adminReservation.validatePaymentAsAdmin
 );
 
 // approve payment + approve reservation (your flow)
 router.patch(
   "/reservations/:id/approve-payment",
-  allowAdminStaff,
+  requirePermission("reservations:approve"),
+  auditReservation("approve_payment"),
   adminReservation.approvePaymentAsAdmin
 );
 
 // ✅ keep old endpoint as alias for payment-approval (so older frontend calls won't break)
 router.patch(
   "/reservations/:id/approve",
-  allowAdminStaff,
+  requirePermission("reservations:approve"),
+  auditReservation("approve_payment"),
   adminReservation.approvePaymentAsAdmin
 );
 
 // ✅ OPTIONAL legacy endpoint: if your old controller still has approveReservationAsAdmin
 // If not present, we fall back to approvePaymentAsAdmin safely.
-router.patch("/reservations/:id/approve-reservation", allowAdminStaff, (req, res, next) => {
-  const fn =
-    adminReservation.approveReservationAsAdmin || adminReservation.approvePaymentAsAdmin;
-  return fn(req, res, next);
-});
+router.patch(
+  "/reservations/:id/approve-reservation",
+  requirePermission("reservations:approve"),
+  auditReservation("approve"),
+  (req, res, next) => {
+    const fn =
+      adminReservation.approveReservationAsAdmin || adminReservation.approvePaymentAsAdmin;
+    return fn(req, res, next);
+  }
+);
 
 module.exports = router;
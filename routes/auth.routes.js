@@ -1,22 +1,75 @@
 const router = require('express').Router();
+const rateLimit = require('express-rate-limit');
 const {
   login,
   register,
+  refresh,
   logout,
   me,
   updateProfile,
   changePassword,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  mfaVerify,
+  mfaEnroll,
+  mfaEnrollConfirm,
+  mfaStatus,
+  mfaSetup,
+  mfaActivate,
+  mfaDisable,
+  mfaRegenerateRecoveryCodes,
 } = require('../controllers/auth.controller');
-const { verifyToken, requireRole } = require('../middleware/auth');
+const { verifyToken } = require('../middleware/auth');
 
-router.post('/login', login);
-router.post('/register', register);
+// Coarse per-IP limits in front of the unauthenticated endpoints.
+// Per-account lockout / progressive delay lives in services/login-guard.service.js.
+function limiter(windowMinutes, limit, error) {
+  return rateLimit({
+    windowMs: windowMinutes * 60 * 1000,
+    limit,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    handler: (req, res, _next, options) =>
+      res.status(options.statusCode).json({ error }),
+  });
+}
+
+const loginLimiter = limiter(
+  1,
+  Number(process.env.LOGIN_RATE_LIMIT_PER_MINUTE) || 20,
+  'Too many login attempts. Please slow down.'
+);
+const accountRecoveryLimiter = limiter(
+  15,
+  Number(process.env.RECOVERY_RATE_LIMIT_PER_15_MIN) || 10,
+  'Too many requests. Please try again later.'
+);
+
+router.post('/login', loginLimiter, login);
+router.post('/register', accountRecoveryLimiter, register);
+router.post('/refresh', refresh);
+router.post('/verify-email', accountRecoveryLimiter, verifyEmail);
+router.post('/forgot-password', accountRecoveryLimiter, forgotPassword);
+router.post('/reset-password', accountRecoveryLimiter, resetPassword);
+
+// 2FA: second login step (mfa_token from /login)
+router.post('/mfa/verify', loginLimiter, mfaVerify);
+router.post('/mfa/enroll', loginLimiter, mfaEnroll);
+router.post('/mfa/enroll/confirm', loginLimiter, mfaEnrollConfirm);
 
 router.post('/logout', verifyToken, logout);
 router.get('/me', verifyToken, me);
 router.patch('/update-profile', verifyToken, updateProfile);
 router.post('/change-password', verifyToken, changePassword);
+router.post('/resend-verification', verifyToken, resendVerification);
 
-router.post('/admin/register', verifyToken, requireRole('admin'), register);
+// 2FA: manage your own second factor
+router.get('/mfa', verifyToken, mfaStatus);
+router.post('/mfa/setup', verifyToken, mfaSetup);
+router.post('/mfa/activate', verifyToken, mfaActivate);
+router.post('/mfa/disable', verifyToken, mfaDisable);
+router.post('/mfa/recovery-codes', verifyToken, mfaRegenerateRecoveryCodes);
 
 module.exports = router;
@@ -8,20 +8,23 @@ const {
   editBurialRecord,
   deleteBurialRecord,
 } = require("../controllers/burial-records.controller");
+const { verifyToken, requirePermission } = require("../middleware/auth");
+const { audit } = require("../middleware/audit");
 
-// ✅ LIST (admin + visitor)
+// ✅ LIST (admin + visitor): staff with graves:view see all graves, visitors only their
+// families' (own id + family groups); see the controller
 // GET /api/burial-records
-router.get("/", getBurialRecords);
+router.get("/", verifyToken, getBurialRecords);
 
 // ✅ OPTIONAL: your controller supports filtering by "family contact" via params
-// GET /api/burial-records/:id
-router.get("/:id", getBurialRecords);
+// GET /api/burial-records/:id   (403 for a family the caller can't access)
+router.get("/:id", verifyToken, getBurialRecords);
 
 // ✅ ADMIN ACTIONS
-// Your controller already checks req.user.role === "admin" for these,
-// so just wire them up here.
-router.post("/", addBurialRecord);
-router.patch("/", editBurialRecord);
-router.delete("/:id", deleteBurialRecord);
+const canEditGraves = [verifyToken, requirePermission("graves:edit")];
+const auditGrave = (action) => audit(`grave.${action}`, { table: "graves" });
+router.post("/", canEditGraves, auditGrave("create"), addBurialRecord);
+router.patch("/", canEditGraves, auditGrave("update"), editBurialRecord);
+router.delete("/:id", canEditGraves, auditGrave("delete"), deleteBurialRecord);
 
 module.exports = router;
@@ -0,0 +1,30 @@
+// backend/routes/family.routes.js
+"use strict";
+
+const express = require("express");
+const router = express.Router();
+
+const { verifyToken, requirePermission } = require("../middleware/auth");
+const family = require("../controllers/family.controller");
+
+router.use(verifyToken, requirePermission("family:manage"));
+
+/* --- groups --- */
+router.get("/groups", family.listMyGroups);
+router.post("/groups", family.createGroup);
+router.get("/groups/:id", family.getGroup);
+router.patch("/groups/:id", family.renameGroup);
+router.delete("/groups/:id", family.deleteGroup);
+
+/* --- members (primary contact; a member may remove themselves) --- */
+router.post("/groups/:id/invitations", family.inviteMember);
+router.delete("/groups/:id/invitations/:invitationId", family.revokeInvitation);
+router.patch("/groups/:id/members/:userId", family.updateMemberRole);
+router.delete("/groups/:id/members/:userId", family.removeMember);
+
+/* --- invitations addressed to you --- */
+router.get("/invitations", family.listMyInvitations);
+router.post("/invitations/:id/accept", family.acceptInvitation);
+router.post("/invitations/:id/decline", family.declineInvitation);
+
+module.exports = router;
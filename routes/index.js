@@ -5,7 +5,10 @@ router.use('/auth', require('./auth.routes'));
 router.use('/admin', require('./admin.routes'));
 router.use('/staff', require('./staff.routes'));
 router.use('/visitor', require('./visitor.routes'));
+router.use('/family', require('./family.routes'));
 router.use('/plot', require('./plot.routes'));
+router.use('/navigation', require('./navigation.routes'));
+// graves carry family contacts and QR tokens: every /graves route checks the token itself
 router.use('/graves', require('./burial-record.routes'));
 router.use('/cemetery-info', require('./cemetery-info.routes'));
 
@@ -0,0 +1,11 @@
+// backend/routes/navigation.routes.js
+"use strict";
+
+const router = require("express").Router();
+const { getRoute, getEntrances } = require("../controllers/navigation.controller");
+
+// public, like the map layers: visitors look up directions before logging in
+router.get("/route", getRoute);
+router.get("/entrances", getEntrances);
+
+module.exports = router;
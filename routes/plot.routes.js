@@ -8,6 +8,10 @@ const {
   getRoadPlotById,
   getBuildingPlotsGeoJSON,
   getBuildingPlotById,
+  getSectionsGeoJSON,
+  getFacilitiesGeoJSON,
+  getFacilityById,
+  getVectorTile,
 } = require("../controllers/plot.controller");
 
 /**
@@ -17,11 +21,21 @@ const {
  *   GET /api/plot/road-plots
  *
  * So we must define them here.
+ *
+ * The FeatureCollection endpoints accept (all optional):
+ *   ?bbox=minLng,minLat,maxLng,maxLat   only features in the viewport
+ *   ?zoom=0..22                         simplify geometry below zoom 18
+ *   ?fields=id,status,plot_name         only these properties
+ *   ?status=  ?section=
+ *   ?as_of=2024-11-30[T17:00]           plots as they were then (GET / and /:id only)
+ *
+ * The plot / road / building endpoints (lists and /:id) also take:
+ *   ?format=geojson|wkt|kml|gpx         wkt = CSV with a WKT column (QGIS delimited text)
+ *   ?srid=32651                         reproject, e.g. UTM zone 51N (GeoJSON / WKT only)
  */
 
 // Main plots (graves)
 router.get("/", getPlotsGeoJSON);
-router.get("/:id", getPlotById);
 
 // Roads (returns LineString/MultiLineString FeatureCollection)
 router.get("/road-plots", getRoadPlotsGeoJSON);
@@ -31,4 +45,17 @@ router.get("/road-plots/:id", getRoadPlotById);
 router.get("/building-plots", getBuildingPlotsGeoJSON);
 router.get("/building-plots/:id", getBuildingPlotById);
 
+// Section boundaries with plot counts (?bbox= and ?zoom= as above)
+router.get("/sections", getSectionsGeoJSON);
+
+// Facilities: entrances, offices, chapels, toilets, parking (?type=toilet,chapel  ?bbox=)
+router.get("/facilities", getFacilitiesGeoJSON);
+router.get("/facilities/:id", getFacilityById);
+
+// Vector tiles: every map layer (plots, roads, buildings, infrastructure, paths) in one .mvt
+router.get("/tiles/:z/:x/:y.mvt", getVectorTile);
+
+// ✅ keep last: "/:id" would otherwise swallow "/road-plots", "/building-plots", "/sections" and "/facilities"
+router.get("/:id", getPlotById);
+
 module.exports = router;
@@ -1,6 +1,7 @@
 // backend/routes/staff.routes.js
 const router = require('express').Router();
-const { verifyToken } = require('../middleware/auth');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 
 const {
   getAllTickets,
@@ -17,21 +18,53 @@ const {
   deleteMaintenance,
 } = require('../controllers/staff.controller');
 
+router.use(verifyToken);
+
+// every mutation is recorded in the audit log (middleware/audit.js)
+const ticketTables = (req) =>
+  req.body?.type === 'burial'
+    ? 'burial_requests'
+    : req.body?.type === 'maintenance'
+    ? 'maintenance_requests'
+    : ['burial_requests', 'maintenance_requests'];
+const auditMaintenance = (action, opts = {}) =>
+  audit(`maintenance_schedule.${action}`, { table: 'maintenance_schedules', ...opts });
+
 // tickets
-router.get('/get-all-tickets/', verifyToken, getAllTickets);
-router.patch('/change-status/:id', verifyToken, changeTicketStatus);
+router.get('/get-all-tickets/', requirePermission('requests:view'), getAllTickets);
+router.patch(
+  '/change-status/:id',
+  requirePermission('requests:manage'),
+  audit('request.status_change', { table: ticketTables }),
+  changeTicketStatus
+);
 
 
 
 // plots (not used in graves)
-router.get('/plots/available', verifyToken, getAvailablePlots);
+router.get('/plots/available', requirePermission('plots:view'), getAvailablePlots);
 
 // visitors list for dropdown
-router.get('/visitors', verifyToken, getVisitors);
+router.get('/visitors', requirePermission('users:view'), getVisitors);
 
-router.get('/maintenance-schedules/', verifyToken, getMaintenanceSchedules);
-router.post('/add-maintenance', verifyToken, createMaintenance);
-router.put('/edit-maintenance/:id', verifyToken, updateMaintenance)
-router.delete('/delete-maintenance/:id', verifyToken, deleteMaintenance);
+router.get('/maintenance-schedules/', requirePermission('maintenance:view'), getMaintenanceSchedules);
+router.post(
+  '/add-maintenance',
+  requirePermission('maintenance:schedule'),
+  auditMaintenance('create', { id: () => null }),
+  createMaintenance
+);
+router.put(
+  '/edit-maintenance/:id',
+  requirePermission('maintenance:schedule'),
+  auditMaintenance('update'),
+  updateMaintenance
+);
+router.delete(
+  '/delete-maintenance/:id',
+  requirePermission('maintenance:schedule'),
+  auditMaintenance('delete'),
+  deleteMaintenance
+);
 
 module.exports = router;
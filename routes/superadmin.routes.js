@@ -0,0 +1,46 @@
+// backend/routes/superadmin.routes.js
+"use strict";
+
+const express = require("express");
+const router = express.Router();
+
+const { verifyToken, requirePermission } = require("../middleware/auth");
+const { audit } = require("../middleware/audit");
+const superadmin = require("../controllers/superadmin.controller");
+
+router.use(verifyToken);
+
+/* --- users --- */
+// password / token columns are redacted by the audit service
+const auditUser = (action) => audit(`user.${action}`, { table: "users" });
+
+router.use("/users", requirePermission("users:manage"));
+router.get("/users", superadmin.listUsers);
+router.post("/users", auditUser("create"), superadmin.createUser);
+router.get("/users/:id", superadmin.getUser);
+router.get("/users/:id/activity", superadmin.getUserActivity);
+
+router.patch("/users/:id/role", auditUser("role_change"), superadmin.changeUserRole);
+router.patch("/users/:id/deactivate", auditUser("deactivate"), superadmin.deactivateUser);
+router.patch("/users/:id/reactivate", auditUser("reactivate"), superadmin.reactivateUser);
+router.post("/users/:id/force-password-reset", auditUser("force_password_reset"), superadmin.forcePasswordReset);
+router.post("/users/:id/mfa/reset", auditUser("mfa_reset"), superadmin.resetUserMfa);
+
+/* --- permissions (role -> permission mapping) --- */
+router.get(
+  "/permissions",
+  requirePermission("permissions:manage"),
+  superadmin.getPermissionMatrix
+);
+router.put(
+  "/roles/:role/permissions",
+  requirePermission("permissions:manage"),
+  audit("role.permissions", {
+    entity: "role_permissions",
+    id: (req) => req.params.role,
+    after: (_req, body) => body?.data,
+  }),
+  superadmin.setRolePermissions
+);
+
+module.exports = router;
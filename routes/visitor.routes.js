@@ -4,7 +4,8 @@
 const express = require("express");
 const router = express.Router();
 
-const { verifyToken, requireRole } = require("../middleware/auth");
+const { verifyToken, requirePermission, requireVerifiedEmail } = require("../middleware/auth");
+const { requireContactAccess } = require("../middleware/ownership");
 
 const {
   // inquiries
@@ -19,6 +20,7 @@ const {
   getDashboardStats,
 
   // reservations
+  findNearestPlots,
   reservePlot,
   getMyReservations,
   cancelReservation,
@@ -48,33 +50,51 @@ router.get("/burial-records", getBurialRecords);
 ======================================================================== */
 router.use(verifyToken);
 
-const allowVisitor = requireRole("visitor");
+const canRequest = requirePermission("requests:submit");
+const canReserve = requirePermission("reservations:submit");
+
+// ✅ ownership: :family_contact / body.family_contact must be the caller (or shared with them).
+// Routes addressed by record id check ownership in the controller (services/ownership.service.js).
+// Passing your own id to a "my ..." list also returns the families shared with you.
+const readContact = requireContactAccess({ includeShared: true });
+const writeContact = requireContactAccess({ from: "body", write: true });
 
 /* --- deceased names for dropdown --- */
-router.get("/my-deceased-names/:family_contact", allowVisitor, getMyDeceasedNames);
+router.get("/my-deceased-names/:family_contact", canRequest, readContact, getMyDeceasedNames);
 
 /* --- burial request --- */
-router.post("/request-burial", allowVisitor, createBurialRequest);
-router.get("/my-burial-requests/:family_contact", allowVisitor, getBurialRequests);
-router.patch("/request-burial/cancel/:id", allowVisitor, cancelBurialRequest);
+router.post("/request-burial", canRequest, writeContact, createBurialRequest);
+router.get("/my-burial-requests/:family_contact", canRequest, readContact, getBurialRequests);
+router.patch("/request-burial/cancel/:id", canRequest, cancelBurialRequest);
 
 /* --- maintenance request --- */
-router.post("/request-maintenance", allowVisitor, createMaintenanceRequest);
-router.get("/my-maintenance-requests/:family_contact", allowVisitor, getMaintenanceRequests);
-router.patch("/request-maintenance/cancel/:id", allowVisitor, cancelMaintenanceRequest);
+router.post("/request-maintenance", canRequest, writeContact, createMaintenanceRequest);
+router.get(
+  "/my-maintenance-requests/:family_contact",
+  canRequest,
+  readContact,
+  getMaintenanceRequests
+);
+router.patch("/request-maintenance/cancel/:id", canRequest, cancelMaintenanceRequest);
 
 /* --- dashboard --- */
-router.get("/dashboard-stats", allowVisitor, getDashboardStats);
+router.get("/dashboard-stats", requirePermission("dashboard:personal"), getDashboardStats);
 
 /* --- reservations --- */
-router.post("/reserve-plot", allowVisitor, reservePlot);
-router.get("/my-reservations", allowVisitor, getMyReservations);
-router.patch("/cancel-reservation/:id", allowVisitor, cancelReservation);
-router.post("/reservations/:id/upload-receipt", allowVisitor, uploadReservationReceipt);
+router.get("/nearest-plots", canReserve, findNearestPlots);
+router.post("/reserve-plot", canReserve, requireVerifiedEmail, reservePlot);
+router.get("/my-reservations", canReserve, getMyReservations);
+router.patch("/cancel-reservation/:id", canReserve, cancelReservation);
+router.post("/reservations/:id/upload-receipt", canReserve, uploadReservationReceipt);
 
 /* --- ✅ maintenance schedule extras --- */
-router.get("/my-maintenance-schedule/:family_contact", allowVisitor, getMyMaintenanceSchedule);
-router.patch("/maintenance/:id/request-reschedule", allowVisitor, requestMaintenanceReschedule);
-router.post("/maintenance/:id/feedback", allowVisitor, submitMaintenanceFeedback);
+router.get(
+  "/my-maintenance-schedule/:family_contact",
+  canRequest,
+  readContact,
+  getMyMaintenanceSchedule
+);
+router.patch("/maintenance/:id/request-reschedule", canRequest, requestMaintenanceReschedule);
+router.post("/maintenance/:id/feedback", canRequest, submitMaintenanceFeedback);
 
 module.exports = router;
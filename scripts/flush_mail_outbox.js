@@ -0,0 +1,36 @@
+// backend/scripts/flush_mail_outbox.js
+"use strict";
+
+const path = require("path");
+require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
+
+const pool = require(path.join(__dirname, "..", "config", "database"));
+const { flushOutbox, activeTransportName } = require(path.join(
+  __dirname,
+  "..",
+  "services",
+  "mail.service"
+));
+
+/**
+ * Retries pending/failed rows in mail_outbox with the configured MAIL_TRANSPORT.
+ *
+ * Run (e.g. against a local MailHog/Mailpit):
+ *   MAIL_TRANSPORT=smtp SMTP_HOST=localhost SMTP_PORT=1025 node scripts/flush_mail_outbox.js
+ */
+async function main() {
+  console.log(`📬 Flushing mail outbox via "${activeTransportName()}" transport...`);
+  try {
+    const { attempted, sent } = await flushOutbox({ limit: 500 });
+    console.log(`✅ attempted=${attempted} sent=${sent}`);
+  } catch (err) {
+    console.error("❌ Flush failed:", err);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
@@ -1,4 +1,6 @@
 // backend/scripts/import-s-section.js
+// Superseded by the generic importer (validation, dry run, updates):
+//   npm run import:geojson -- data/s-section.geojson --layer plots
 const fs = require("fs");
 const path = require("path");
 const pool = require("../config/database");
@@ -0,0 +1,95 @@
+// backend/scripts/import_geojson.js
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
+
+const pool = require(path.join(__dirname, "..", "config", "database"));
+const importer = require(path.join(__dirname, "..", "services", "geojson-import.service"));
+
+/**
+ * Bulk import a GeoJSON FeatureCollection (same rules as POST /api/admin/import/geojson).
+ * Prints the plan; nothing is written without --apply.
+ *
+ *   npm run import:geojson -- data/s-section.geojson --layer plots
+ *   npm run import:geojson -- data/s-section.geojson --layer plots --apply
+ *
+ * Options:
+ *   --layer plots|road_plots|building_plots   (default plots)
+ *   --mode upsert|create|update                (default upsert)
+ *   --apply                                    commit instead of a dry run
+ *   --allow-overlaps                           don't treat overlapping polygons as errors
+ *   --skip-errors                              apply the good features even if some failed
+ *   --json                                     print the full report as JSON
+ */
+
+function parseArgs(argv) {
+  const args = { file: null, layer: "plots", mode: "upsert", apply: false, allowOverlaps: false, skipErrors: false, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--layer") args.layer = argv[++i];
+    else if (a === "--mode") args.mode = argv[++i];
+    else if (a === "--apply") args.apply = true;
+    else if (a === "--allow-overlaps") args.allowOverlaps = true;
+    else if (a === "--skip-errors") args.skipErrors = true;
+    else if (a === "--json") args.json = true;
+    else if (!a.startsWith("--") && !args.file) args.file = a;
+    else throw new Error(`Unknown argument: ${a}`);
+  }
+  return args;
+}
+
+function printReport(report) {
+  for (const f of report.features) {
+    if (f.action === "skip" && f.reason === "unchanged") continue;
+    const label = `#${f.index} ${f.plot_code ?? "(no code)"}`;
+    if (f.action === "error") console.log(`❌ ${label}: ${f.errors.join("; ")}`);
+    else if (f.action === "skip") console.log(`⏭️  ${label}: ${f.reason}`);
+    else if (f.action === "update") {
+      const fields = Object.keys(f.changes);
+      if (f.geometry_changed) fields.push("geometry");
+      console.log(`✏️  ${label}: update ${fields.join(", ")}`);
+    } else console.log(`➕ ${label}: create`);
+    for (const w of f.warnings || []) console.log(`   ⚠️  ${w}`);
+  }
+
+  const s = report.summary;
+  console.log(
+    `\n${report.layer}: ${s.total} feature(s) -> create=${s.create} update=${s.update} skip=${s.skip} error=${s.error}`
+  );
+}
+
+async function main() {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.file) throw new Error("Usage: node scripts/import_geojson.js <file.geojson> --layer plots [--apply]");
+
+    const fc = importer.parseFeatureCollection(fs.readFileSync(path.resolve(args.file)));
+    const report = await importer.importFeatureCollection(fc, {
+      layer: args.layer,
+      mode: args.mode,
+      dryRun: !args.apply,
+      allowOverlaps: args.allowOverlaps,
+      skipErrors: args.skipErrors,
+    });
+
+    if (args.json) console.log(JSON.stringify(report, null, 2));
+    else printReport(report);
+
+    if (report.applied) console.log("✅ Imported.");
+    else if (report.blocked) {
+      console.log(`🛑 ${args.apply ? "Nothing written" : "Applying would fail"}: fix the errors above (or pass --skip-errors).`);
+      process.exitCode = 1;
+    } else console.log("🔎 Dry run only; pass --apply to write these changes.");
+  } catch (err) {
+    console.error("❌ Import failed:", err.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
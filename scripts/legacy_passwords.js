@@ -0,0 +1,132 @@
+// backend/scripts/legacy_passwords.js
+"use strict";
+
+const path = require("path");
+require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
+
+const pool = require(path.join(__dirname, "..", "config", "database"));
+const { hasLegacyColumn } = require(path.join(__dirname, "..", "services", "password.service"));
+const { revokeUserSessions } = require(path.join(__dirname, "..", "services", "session.service"));
+const { sendPasswordResetEmail } = require(path.join(
+  __dirname,
+  "..",
+  "services",
+  "account-mail.service"
+));
+
+/**
+ * Reports and retires plaintext passwords (users.password_str).
+ *
+ *   npm run passwords:legacy                     report only
+ *   npm run passwords:legacy -- --force-reset    clear every remaining plaintext password:
+ *                                                - accounts that also have a hash: just drop the copy
+ *                                                - plaintext-only accounts: require a reset, sign out
+ *                                                  everywhere and email a reset link
+ *   npm run passwords:legacy -- --drop-column    drop users.password_str once no row uses it
+ *                                                (turns the login fallback off, no restart needed)
+ */
+
+// password_hash is NOT NULL: plaintext-only accounts carry '' there
+const NO_HASH = "COALESCE(password_hash, '') = ''";
+const PLAINTEXT = "COALESCE(password_str, '') <> ''";
+
+async function report() {
+  const { rows } = await pool.query(`
+    SELECT
+      COUNT(*) FILTER (WHERE ${PLAINTEXT} AND ${NO_HASH})::int       AS plaintext_only,
+      COUNT(*) FILTER (WHERE ${PLAINTEXT} AND NOT ${NO_HASH})::int   AS plaintext_copy,
+      COUNT(*) FILTER (WHERE NOT ${NO_HASH})::int                    AS hashed
+    FROM users
+  `);
+  return rows[0];
+}
+
+async function listPlaintextOnly() {
+  const { rows } = await pool.query(`
+    SELECT id, username, email, role, is_active
+    FROM users
+    WHERE ${PLAINTEXT} AND ${NO_HASH}
+    ORDER BY id ASC
+  `);
+  return rows;
+}
+
+async function forceReset() {
+  const copies = await pool.query(
+    `UPDATE users SET password_str = NULL, updated_at = NOW()
+     WHERE ${PLAINTEXT} AND NOT ${NO_HASH}`
+  );
+  console.log(`🧹 cleared plaintext copy on ${copies.rowCount} hashed account(s)`);
+
+  const users = await listPlaintextOnly();
+  for (const u of users) {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      await client.query(
+        `UPDATE users
+         SET password_str = NULL, password_reset_required = TRUE, updated_at = NOW()
+         WHERE id = $1`,
+        [u.id]
+      );
+      await revokeUserSessions(u.id, { reason: "legacy_password_reset", db: client });
+      await client.query("COMMIT");
+    } catch (err) {
+      try {
+        await client.query("ROLLBACK");
+      } catch {}
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    if (u.is_active !== false && u.email) {
+      await sendPasswordResetEmail(u, { reason: "forced" });
+    }
+    console.log(`🔒 #${u.id} ${u.username} <${u.email}> must reset their password`);
+  }
+}
+
+async function dropColumn() {
+  const { plaintext_only, plaintext_copy } = await report();
+  if (plaintext_only + plaintext_copy > 0) {
+    console.error(
+      `❌ ${plaintext_only + plaintext_copy} account(s) still have a plaintext password. Run --force-reset first.`
+    );
+    process.exitCode = 1;
+    return;
+  }
+  await pool.query(`ALTER TABLE users DROP COLUMN IF EXISTS password_str`);
+  console.log("✅ users.password_str dropped. The plaintext fallback is off.");
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  try {
+    if (!(await hasLegacyColumn())) {
+      console.log("✅ users.password_str no longer exists. Nothing to do.");
+      return;
+    }
+
+    if (args.includes("--force-reset")) await forceReset();
+    if (args.includes("--drop-column")) return await dropColumn();
+
+    const r = await report();
+    console.log("🔐 Password storage:");
+    console.table([r]);
+
+    if (r.plaintext_only) {
+      console.log("Plaintext-only accounts (log in once to upgrade, or use --force-reset):");
+      console.table(await listPlaintextOnly());
+    }
+  } catch (err) {
+    console.error("❌ legacy_passwords failed:", err);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
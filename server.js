@@ -34,6 +34,10 @@ try {
 
 const app = express();
 
+// ✅ behind Cloud Run / a reverse proxy: req.ip must be the client, not the proxy
+// (login lockout + rate limiting key on it). TRUST_PROXY=0 when exposed directly.
+app.set("trust proxy", Number(process.env.TRUST_PROXY ?? 1));
+
 /* ------------------------------- Debug ---------------------------------- */
 console.log("[SERVER] NODE_ENV:", process.env.NODE_ENV);
 console.log("[SERVER] PORT:", process.env.PORT);
@@ -118,13 +122,16 @@ app.get("/", async (_req, res) => {
 });
 
 /* ------------------------------ Routes ----------------------------------- */
-app.use("/api/auth", authRoutes);
-app.use("/api/admin", adminRoutes);
-app.use("/api/visitor", visitorRoutes);
-app.use("/api/plot", plotRoutes);
-
-// Optional combined router
-if (api) app.use("/api", api);
+// ✅ combined router (routes/index.js) mounts everything incl. /superadmin, /staff, /graves;
+// fall back to the core routers if it fails to load
+if (api) {
+  app.use("/api", api);
+} else {
+  app.use("/api/auth", authRoutes);
+  app.use("/api/admin", adminRoutes);
+  app.use("/api/visitor", visitorRoutes);
+  app.use("/api/plot", plotRoutes);
+}
 
 /* -------------------------- Route Dump Helper ---------------------------- */
 function dumpRoutes(app) {
@@ -0,0 +1,105 @@
+// backend/services/account-mail.service.js
+"use strict";
+
+const accountTokens = require("./account-token.service");
+const { sendMail } = require("./mail.service");
+
+/**
+ * Account emails (verification, password reset, staff invitations, family invitations).
+ * Each one queues the message through the outbox; the account ones issue a fresh single-use token.
+ */
+
+// frontend base URL used in emailed links
+const APP_URL = String(process.env.APP_URL || "http://localhost:5173").replace(/\/+$/, "");
+
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+async function sendVerificationEmail(u) {
+  const token = await accountTokens.issueToken(u.id, "email_verification");
+  const link = `${APP_URL}/verify-email?token=${encodeURIComponent(token)}`;
+  const hours = Math.round(accountTokens.TTL_MINUTES.email_verification / 60);
+
+  return sendMail({
+    to: u.email,
+    subject: "Confirm your email address",
+    template: "email_verification",
+    text:
+      `Hi ${u.first_name || u.username},\n\n` +
+      `Please confirm your email address by opening the link below:\n${link}\n\n` +
+      `The link expires in ${hours} hours. If you did not create an account, ignore this email.`,
+    html:
+      `<p>Hi ${escapeHtml(u.first_name || u.username)},</p>` +
+      `<p>Please confirm your email address:</p>` +
+      `<p><a href="${link}">Confirm email</a></p>` +
+      `<p>The link expires in ${hours} hours. If you did not create an account, ignore this email.</p>`,
+  });
+}
+
+const RESET_INTROS = {
+  requested: "Someone asked to reset the password for your account.",
+  forced: "An administrator has required a password reset for your account. You won't be able to log in until you choose a new password.",
+  invite: "An account has been created for you. Choose a password to start using it.",
+};
+
+/**
+ * reason: "requested" (forgot-password), "forced" (super admin) or "invite" (new staff/admin account)
+ */
+async function sendPasswordResetEmail(u, { reason = "requested" } = {}) {
+  const token = await accountTokens.issueToken(u.id, "password_reset");
+  const link = `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`;
+  const minutes = accountTokens.TTL_MINUTES.password_reset;
+  const intro = RESET_INTROS[reason] || RESET_INTROS.requested;
+  const footer =
+    reason === "requested"
+      ? `The link works once and expires in ${minutes} minutes. If this wasn't you, you can ignore this email.`
+      : `The link works once and expires in ${minutes} minutes.`;
+
+  return sendMail({
+    to: u.email,
+    subject: reason === "invite" ? "Your account is ready" : "Reset your password",
+    template: reason === "invite" ? "account_invite" : "password_reset",
+    text:
+      `Hi ${u.first_name || u.username},\n\n` +
+      `${intro} Open the link below to choose a new one:\n${link}\n\n` +
+      footer,
+    html:
+      `<p>Hi ${escapeHtml(u.first_name || u.username)},</p>` +
+      `<p>${intro}</p>` +
+      `<p><a href="${link}">Choose a new password</a></p>` +
+      `<p>${footer}</p>`,
+  });
+}
+
+const FAMILY_ROLE_TEXT = {
+  viewer: "see the graves, requests and reservations",
+  manager: "see and manage the graves, requests and reservations",
+};
+
+/** Tells a visitor they were invited to a family group; they accept it after logging in. */
+async function sendFamilyInvitationEmail(invitee, { group, inviter, role }) {
+  const link = `${APP_URL}/family`;
+  const from = [inviter.first_name, inviter.last_name].filter(Boolean).join(" ") || inviter.username;
+  const what = FAMILY_ROLE_TEXT[role] || FAMILY_ROLE_TEXT.viewer;
+
+  return sendMail({
+    to: invitee.email,
+    subject: `${from} invited you to the family group "${group.name}"`,
+    template: "family_invitation",
+    text:
+      `Hi ${invitee.first_name || invitee.username},\n\n` +
+      `${from} invited you to join "${group.name}" so you can ${what} filed under their account.\n` +
+      `Log in and open the link below to accept or decline:\n${link}`,
+    html:
+      `<p>Hi ${escapeHtml(invitee.first_name || invitee.username)},</p>` +
+      `<p>${escapeHtml(from)} invited you to join "${escapeHtml(group.name)}" so you can ${what} filed under their account.</p>` +
+      `<p><a href="${link}">Review the invitation</a></p>`,
+  });
+}
+
+module.exports = { APP_URL, sendVerificationEmail, sendPasswordResetEmail, sendFamilyInvitationEmail };
@@ -0,0 +1,67 @@
+// backend/services/account-token.service.js
+"use strict";
+
+const crypto = require("crypto");
+const pool = require("../config/database");
+const { hashToken } = require("./session.service");
+
+/**
+ * Single-use, expiring tokens for email verification and password reset
+ * (table: account_tokens). Only the sha256 of a token is stored.
+ */
+
+const TTL_MINUTES = {
+  email_verification: Number(process.env.EMAIL_VERIFICATION_TTL_MINUTES) || 48 * 60,
+  password_reset: Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+};
+
+/**
+ * Issues a new token for (userId, purpose). Older unused tokens for the same
+ * purpose are invalidated so only the latest link works.
+ */
+async function issueToken(userId, purpose, db = pool) {
+  if (!TTL_MINUTES[purpose]) throw new Error(`Unknown token purpose: ${purpose}`);
+
+  const token = crypto.randomBytes(32).toString("base64url");
+
+  await db.query(
+    `UPDATE account_tokens SET used_at = NOW()
+     WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL`,
+    [userId, purpose]
+  );
+
+  await db.query(
+    `
+    INSERT INTO account_tokens (user_id, purpose, token_hash, expires_at)
+    VALUES ($1, $2, $3, NOW() + ($4 || ' minutes')::interval)
+    `,
+    [userId, purpose, hashToken(token), String(TTL_MINUTES[purpose])]
+  );
+
+  return token;
+}
+
+/**
+ * Marks the token used and returns its user_id, or null when the token is
+ * unknown, expired, already used or for another purpose.
+ */
+async function consumeToken(token, purpose, db = pool) {
+  if (!token) return null;
+
+  const { rows } = await db.query(
+    `
+    UPDATE account_tokens
+    SET used_at = NOW()
+    WHERE token_hash = $1
+      AND purpose = $2
+      AND used_at IS NULL
+      AND expires_at > NOW()
+    RETURNING user_id
+    `,
+    [hashToken(String(token)), purpose]
+  );
+
+  return rows[0]?.user_id ?? null;
+}
+
+module.exports = { TTL_MINUTES, issueToken, consumeToken };
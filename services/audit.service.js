@@ -0,0 +1,178 @@
+// backend/services/audit.service.js
+"use strict";
+
+const pool = require("../config/database");
+
+/**
+ * Append-only audit trail (table: audit_log; UPDATE/DELETE are blocked by a trigger).
+ * Rows are normally written by middleware/audit.js; record() can be called directly for
+ * changes that don't go through a route.
+ */
+
+// never copied into the trail
+const REDACTED_COLUMNS = new Set([
+  "password_hash",
+  "password_str",
+  "refresh_token_hash",
+  "token_hash",
+  "code_hash",
+  "secret_encrypted",
+]);
+// bumped on every write; not worth a line in "changes"
+const IGNORED_IN_DIFF = new Set(["updated_at"]);
+
+function redact(row) {
+  if (!row || typeof row !== "object") return row ?? null;
+  const out = {};
+  for (const [k, v] of Object.entries(row)) {
+    out[k] = REDACTED_COLUMNS.has(k) ? "[redacted]" : v;
+  }
+  return out;
+}
+
+// compares through JSON so dates/numbers/objects match what ends up in jsonb
+function normalize(v) {
+  return v === undefined ? null : JSON.parse(JSON.stringify(v));
+}
+
+/** { column: { from, to } } for every column whose value differs. */
+function diff(before, after) {
+  const a = before || {};
+  const b = after || {};
+  const changes = {};
+  for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    if (IGNORED_IN_DIFF.has(key)) continue;
+    const from = normalize(a[key]);
+    const to = normalize(b[key]);
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[key] = { from, to };
+  }
+  return changes;
+}
+
+/**
+ * entry: { actor: { id, username, role }, action, entityType, entityId,
+ *          before, after, ip, userAgent, method, path, statusCode }
+ */
+async function record(entry, db = pool) {
+  const before = redact(entry.before);
+  const after = redact(entry.after);
+
+  const { rows } = await db.query(
+    `
+    INSERT INTO audit_log
+      (actor_id, actor_username, actor_role, action, entity_type, entity_id,
+       before_data, after_data, changes, ip_address, user_agent, http_method, http_path, status_code)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+    RETURNING id
+    `,
+    [
+      entry.actor?.id ?? null,
+      entry.actor?.username ?? null,
+      entry.actor?.role ?? null,
+      entry.action,
+      entry.entityType,
+      entry.entityId == null ? null : String(entry.entityId).slice(0, 100),
+      before ? JSON.stringify(before) : null,
+      after ? JSON.stringify(after) : null,
+      JSON.stringify(diff(before, after)),
+      entry.ip ? String(entry.ip).slice(0, 64) : null,
+      entry.userAgent ?? null,
+      entry.method ?? null,
+      entry.path ?? null,
+      entry.statusCode ?? null,
+    ]
+  );
+  return rows[0].id;
+}
+
+/* ---------------- queries ---------------- */
+/**
+ * Filters: actor_id, action (prefix match, e.g. "reservation."), entity_type, entity_id,
+ * from, to, q (free text over action / entity / actor username).
+ */
+function buildFilters(q = {}) {
+  const where = [];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    where.push(sql.replaceAll("?", `$${params.length}`));
+  };
+
+  if (q.actor_id) add("a.actor_id::text = ?", String(q.actor_id));
+  if (q.action) add("a.action LIKE ?", `${String(q.action).replace(/[%_]/g, "\\$&")}%`);
+  if (q.entity_type) add("a.entity_type = ?", String(q.entity_type));
+  if (q.entity_id) add("a.entity_id = ?", String(q.entity_id));
+  if (q.from) add("a.occurred_at >= ?::timestamp", String(q.from));
+  if (q.to) add("a.occurred_at <= ?::timestamp", String(q.to));
+  if (q.q) {
+    add(
+      "(a.action ILIKE ? OR a.entity_type ILIKE ? OR a.entity_id ILIKE ? OR a.actor_username ILIKE ?)",
+      `%${String(q.q)}%`
+    );
+  }
+
+  return { whereSql: where.length ? `WHERE ${where.join(" AND ")}` : "", params };
+}
+
+async function list(filters = {}, { limit = 100, offset = 0, withData = true } = {}) {
+  const { whereSql, params } = buildFilters(filters);
+
+  const [{ rows }, total] = await Promise.all([
+    pool.query(
+      `
+      SELECT
+        a.id, a.occurred_at, a.actor_id, a.actor_username, a.actor_role,
+        a.action, a.entity_type, a.entity_id, a.changes,
+        ${withData ? "a.before_data, a.after_data," : ""}
+        a.ip_address, a.user_agent, a.http_method, a.http_path, a.status_code
+      FROM audit_log a
+      ${whereSql}
+      ORDER BY a.occurred_at DESC, a.id DESC
+      LIMIT ${Number(limit)} OFFSET ${Number(offset)}
+      `,
+      params
+    ),
+    pool.query(`SELECT COUNT(*)::int AS n FROM audit_log a ${whereSql}`, params),
+  ]);
+
+  return { rows, total: total.rows[0].n };
+}
+
+/* ---------------- CSV ---------------- */
+const CSV_COLUMNS = [
+  "id",
+  "occurred_at",
+  "actor_id",
+  "actor_username",
+  "actor_role",
+  "action",
+  "entity_type",
+  "entity_id",
+  "changes",
+  "ip_address",
+  "http_method",
+  "http_path",
+  "status_code",
+];
+
+function csvCell(v) {
+  if (v == null) return "";
+  let s = v instanceof Date ? v.toISOString() : typeof v === "object" ? JSON.stringify(v) : String(v);
+  // keep spreadsheets from evaluating cells as formulas
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(rows) {
+  const lines = [CSV_COLUMNS.join(",")];
+  for (const r of rows) lines.push(CSV_COLUMNS.map((c) => csvCell(r[c])).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
+
+module.exports = {
+  REDACTED_COLUMNS,
+  diff,
+  record,
+  list,
+  toCsv,
+};
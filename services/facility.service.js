@@ -0,0 +1,161 @@
+// backend/services/facility.service.js
+"use strict";
+
+const pool = require("../config/database");
+
+/**
+ * Facilities: rows of cemetery_infrastructure (entrances, offices, chapels, toilets, parking, ...).
+ *
+ * geometry holds the shape as drawn (Point, Polygon, or a line for road/path);
+ * coordinates holds a marker point on it, which the map pins and the entrance lookup use.
+ * road/path rows are part of the walking network (services/navigation.service.js).
+ */
+
+// cemetery_infrastructure_type_check
+const FACILITY_TYPES = ["entrance", "office", "chapel", "toilet", "road", "path", "parking", "garden"];
+const NETWORK_TYPES = new Set(["road", "path"]);
+
+const GEOMETRY_TYPES = {
+  POINT: "point",
+  POLYGON: "polygon",
+  MULTIPOLYGON: "polygon",
+  LINESTRING: "line",
+  MULTILINESTRING: "line",
+};
+
+function facilityError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/** "toilet,chapel" | ["toilet"] -> ["toilet", "chapel"]; throws 400 on an unknown type. */
+function parseTypes(raw) {
+  if (raw == null || raw === "") return null;
+  const list = [].concat(raw).flatMap((t) => String(t).split(","));
+  const types = [...new Set(list.map((t) => t.trim().toLowerCase()).filter(Boolean))];
+  const unknown = types.filter((t) => !FACILITY_TYPES.includes(t));
+  if (unknown.length) {
+    throw facilityError(`Unknown facility type: ${unknown.join(", ")}. Allowed: ${FACILITY_TYPES.join(", ")}`);
+  }
+  return types.length ? types : null;
+}
+
+/**
+ * Geometry of a facility from the request body: a GeoJSON geometry (or Feature) in `geometry`,
+ * or `lat` / `lng` for a point. Lines are only accepted for road/path.
+ * Returns the geometry JSON to bind as ST_GeomFromGeoJSON($n); throws 400 when unusable.
+ */
+async function checkGeometry(db, { geometry, lat, lng }, type) {
+  let geo = geometry?.type === "Feature" ? geometry.geometry : geometry;
+
+  if (geo == null && lat != null && lng != null) {
+    const y = Number(lat);
+    const x = Number(lng);
+    if (!Number.isFinite(y) || !Number.isFinite(x) || Math.abs(y) > 90 || Math.abs(x) > 180) {
+      throw facilityError("lat/lng must be valid WGS84 coordinates");
+    }
+    geo = { type: "Point", coordinates: [x, y] };
+  }
+  if (!geo || typeof geo !== "object") {
+    throw facilityError("geometry (GeoJSON Point or Polygon) or lat/lng is required");
+  }
+
+  const json = JSON.stringify(geo);
+  let rows;
+  try {
+    ({ rows } = await db.query(
+      `
+      SELECT GeometryType(g) AS type, ST_IsEmpty(g) AS empty, ST_IsValid(g) AS valid,
+             CASE WHEN NOT ST_IsValid(g) THEN ST_IsValidReason(g) END AS reason
+      FROM (SELECT ST_SetSRID(ST_GeomFromGeoJSON($1), 4326) AS g) s
+      `,
+      [json]
+    ));
+  } catch (err) {
+    throw facilityError(`geometry is not valid GeoJSON: ${err.message}`);
+  }
+
+  const r = rows[0];
+  const kind = GEOMETRY_TYPES[r.type];
+  if (!kind || (kind === "line" && !NETWORK_TYPES.has(type))) {
+    const allowed = NETWORK_TYPES.has(type) ? "a LineString" : "a Point or Polygon";
+    throw facilityError(`geometry must be ${allowed} (got ${r.type})`);
+  }
+  if (r.empty) throw facilityError("geometry is empty");
+  if (!r.valid) throw facilityError(`geometry is not valid: ${r.reason}`);
+  return json;
+}
+
+const FEATURE_SQL = `
+  json_build_object(
+    'type', 'Feature',
+    'id', f.id,
+    'geometry', ST_AsGeoJSON(COALESCE(f.geometry, f.coordinates), 7)::json,
+    'properties', json_build_object(
+      'id', f.id,
+      'uid', f.uid,
+      'name', f.name,
+      'type', f.type,
+      'description', f.description,
+      'width_meters', f.width_meters::float,
+      'photos', COALESCE(f.photos, '[]'::jsonb),
+      'lat', ST_Y(COALESCE(f.coordinates, ST_PointOnSurface(f.geometry))),
+      'lng', ST_X(COALESCE(f.coordinates, ST_PointOnSurface(f.geometry))),
+      'updated_at', f.updated_at
+    )
+  )
+`;
+
+/** FeatureCollection of facilities; types / bbox ([minLng, minLat, maxLng, maxLat]) optional. */
+async function listFacilities(db = pool, { types = null, bbox = null } = {}) {
+  const params = [];
+  const where = ["COALESCE(f.geometry, f.coordinates) IS NOT NULL"];
+  if (types) {
+    params.push(types);
+    where.push(`f.type::text = ANY($${params.length}::text[])`);
+  }
+  if (bbox) {
+    const p = params.length + 1;
+    params.push(...bbox);
+    const env = `ST_MakeEnvelope($${p}, $${p + 1}, $${p + 2}, $${p + 3}, 4326)`;
+    where.push(`(f.geometry && ${env} OR f.coordinates && ${env})`);
+  }
+
+  const { rows } = await db.query(
+    `
+    SELECT json_build_object(
+      'type', 'FeatureCollection',
+      'features', COALESCE(json_agg(${FEATURE_SQL} ORDER BY f.type, f.name, f.id), '[]'::json)
+    ) AS geojson
+    FROM cemetery_infrastructure f
+    WHERE ${where.join(" AND ")}
+    `,
+    params
+  );
+  return rows[0]?.geojson ?? { type: "FeatureCollection", features: [] };
+}
+
+/** One facility as a Feature (by id or uid), or null. */
+async function getFacility(db = pool, key) {
+  const { rows } = await db.query(
+    `
+    SELECT ${FEATURE_SQL} AS feature
+    FROM cemetery_infrastructure f
+    WHERE f.id::text = $1 OR f.uid::text = $1
+    LIMIT 1
+    `,
+    [String(key)]
+  );
+  return rows[0]?.feature ?? null;
+}
+
+module.exports = {
+  FACILITY_TYPES,
+  NETWORK_TYPES,
+  facilityError,
+  parseTypes,
+  checkGeometry,
+  listFacilities,
+  getFacility,
+};
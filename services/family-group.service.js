@@ -0,0 +1,105 @@
+// backend/services/family-group.service.js
+"use strict";
+
+const pool = require("../config/database");
+const { registerContactResolver } = require("./ownership.service");
+
+/**
+ * Family groups (tables: family_groups, family_group_members, family_group_invitations).
+ *
+ * A group belongs to one primary contact: the visitor whose user id their graves,
+ * requests and reservations are filed under. Members get that contact id through the
+ * ownership resolver below:
+ *   viewer  -> read only
+ *   manager -> read + submit/cancel requests, reschedule, feedback
+ */
+
+const MEMBER_ROLES = ["viewer", "manager"];
+
+/* ---------------- shared access (ownership resolver) ---------------- */
+async function contactGrants(user) {
+  const { rows } = await pool.query(
+    `
+    SELECT g.primary_contact_id AS contact_id, m.role
+    FROM family_group_members m
+    JOIN family_groups g ON g.id = m.group_id
+    JOIN users pc ON pc.id = g.primary_contact_id
+    WHERE m.user_id::text = $1
+      AND COALESCE(pc.is_active, TRUE) = TRUE
+    `,
+    [String(user.id)]
+  );
+  return rows.map((r) => ({ contactId: r.contact_id, access: r.role }));
+}
+
+registerContactResolver(contactGrants);
+
+/* ---------------- lookups ---------------- */
+/**
+ * The caller's standing in a group: "primary", "manager", "viewer" or null.
+ * Returns { group, access } (group null when it doesn't exist).
+ */
+async function groupAccess(groupId, userId, db = pool) {
+  const { rows } = await db.query(
+    `
+    SELECT
+      g.*,
+      CASE
+        WHEN g.primary_contact_id::text = $2 THEN 'primary'
+        ELSE (SELECT m.role FROM family_group_members m
+               WHERE m.group_id = g.id AND m.user_id::text = $2)
+      END AS access
+    FROM family_groups g
+    WHERE g.id::text = $1
+    LIMIT 1
+    `,
+    [String(groupId), String(userId)]
+  );
+  if (!rows.length) return { group: null, access: null };
+  const { access, ...group } = rows[0];
+  return { group, access: access || null };
+}
+
+/** Groups the user owns or belongs to, with their role in each. */
+async function listGroupsForUser(userId) {
+  const { rows } = await pool.query(
+    `
+    SELECT
+      g.id, g.name, g.primary_contact_id, g.created_at, g.updated_at,
+      CASE WHEN g.primary_contact_id::text = $1 THEN 'primary' ELSE m.role END AS my_role,
+      (pc.first_name || ' ' || pc.last_name) AS primary_contact_name,
+      (SELECT COUNT(*)::int FROM family_group_members x WHERE x.group_id = g.id) AS member_count
+    FROM family_groups g
+    JOIN users pc ON pc.id = g.primary_contact_id
+    LEFT JOIN family_group_members m ON m.group_id = g.id AND m.user_id::text = $1
+    WHERE g.primary_contact_id::text = $1 OR m.user_id IS NOT NULL
+    ORDER BY (g.primary_contact_id::text = $1) DESC, g.name ASC
+    `,
+    [String(userId)]
+  );
+  return rows;
+}
+
+async function listMembers(groupId) {
+  const { rows } = await pool.query(
+    `
+    SELECT
+      m.user_id, m.role, m.created_at,
+      u.username, u.email, u.first_name, u.last_name
+    FROM family_group_members m
+    JOIN users u ON u.id = m.user_id
+    WHERE m.group_id::text = $1
+    ORDER BY m.created_at ASC
+    `,
+    [String(groupId)]
+  );
+  return rows;
+}
+
+module.exports = {
+  MEMBER_ROLES,
+  contactGrants,
+  groupAccess,
+  listGroupsForUser,
+  listMembers,
+};
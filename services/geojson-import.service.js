@@ -0,0 +1,529 @@
+// backend/services/geojson-import.service.js
+"use strict";
+
+const pool = require("../config/database");
+const navigation = require("./navigation.service");
+
+/**
+ * Bulk import of a GeoJSON FeatureCollection into plots, road_plots or building_plots.
+ * Used by POST /api/admin/import/geojson and scripts/import_geojson.js.
+ *
+ * Features are matched to existing rows by plot_code (falls back to plot_name / name, which is
+ * all older files like data/s-section.geojson carry). Each one is planned as create, update,
+ * skip (unchanged, or excluded by mode) or error (bad geometry, duplicate code, overlap...).
+ *
+ * The writes always run inside one transaction, one savepoint per feature, so a dry run reports
+ * exactly what applying would do (database constraint errors included) and is then rolled back.
+ * A real run commits only when nothing failed, unless skipErrors is set.
+ * Cached map tiles are dropped by the layer triggers (migration 010).
+ */
+
+const MAX_FEATURES = 5000;
+const MODES = ["upsert", "create", "update"];
+// shared area below this is treated as a common edge, not an overlap
+const OVERLAP_MIN_SQM = 0.05;
+const STATUSES = ["available", "reserved", "occupied", "maintenance"];
+
+// column -> expression of the imported geometry g (4326, 2D); shape = the existing row's (alias t)
+const LAYERS = {
+  plots: {
+    types: ["Polygon", "MultiPolygon"],
+    shape: "COALESCE(t.geom, t.plot_boundary, t.coordinates)",
+    columns: {
+      geom: (g) => g,
+      plot_boundary: (g) => `CASE WHEN GeometryType(${g}) = 'POLYGON' THEN ${g} END`,
+      coordinates: (g) => `CASE WHEN GeometryType(${g}) = 'POLYGON' THEN ${g} END`,
+    },
+  },
+  road_plots: {
+    types: ["LineString", "Polygon"],
+    shape: "COALESCE(t.coordinates, t.plot_boundary)",
+    columns: {
+      coordinates: (g) => `CASE WHEN GeometryType(${g}) = 'LINESTRING' THEN ${g} END`,
+      plot_boundary: (g) => `CASE WHEN GeometryType(${g}) = 'POLYGON' THEN ${g} END`,
+    },
+  },
+  building_plots: {
+    types: ["Point", "Polygon"],
+    shape: "COALESCE(t.plot_boundary, t.coordinates)",
+    columns: {
+      coordinates: (g) => `CASE WHEN GeometryType(${g}) = 'POINT' THEN ${g} ELSE ST_PointOnSurface(${g}) END`,
+      plot_boundary: (g) => `CASE WHEN GeometryType(${g}) = 'POLYGON' THEN ${g} END`,
+    },
+  },
+};
+
+// feature property -> column; only columns present on the target table are written
+const FIELDS = {
+  plot_name: { type: "text" },
+  plot_type: { type: "text", max: 50 },
+  size_sqm: { type: "number" },
+  price: { type: "number" },
+  status: { type: "text", oneOf: STATUSES },
+  section_id: { type: "int" },
+  section_name: { type: "text", max: 10 },
+  row_num: { type: "int" },
+  col_num: { type: "int" },
+  kind: { type: "text" },
+};
+// read from properties but not stored as columns
+const KEY_PROPERTIES = new Set(["plot_code", "code", "name", "id", "uid"]);
+
+function importError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const _columnsCache = new Map();
+async function tableColumns(table) {
+  if (_columnsCache.has(table)) return _columnsCache.get(table);
+  const { rows } = await pool.query(
+    `SELECT column_name FROM information_schema.columns WHERE table_schema = 'public' AND table_name = $1`,
+    [table]
+  );
+  const cols = new Set(rows.map((r) => r.column_name));
+  _columnsCache.set(table, cols);
+  return cols;
+}
+
+/* ---------------- parsing ---------------- */
+/** Buffer / string / object -> FeatureCollection. Handles the UTF-16 exports QGIS on Windows writes. */
+function parseFeatureCollection(input) {
+  let fc = input;
+
+  if (Buffer.isBuffer(input) || typeof input === "string") {
+    let raw = input;
+    if (Buffer.isBuffer(input)) {
+      const utf16 = input.length >= 2 && input[0] === 0xff && input[1] === 0xfe;
+      raw = input.toString(utf16 ? "utf16le" : "utf8");
+    }
+    raw = raw.replace(/^\uFEFF/, "").trim();
+    try {
+      fc = JSON.parse(raw);
+    } catch (e) {
+      throw importError(`Not valid JSON: ${e.message}`);
+    }
+  }
+
+  if (!fc || fc.type !== "FeatureCollection" || !Array.isArray(fc.features)) {
+    throw importError("Expected a GeoJSON FeatureCollection");
+  }
+  if (!fc.features.length) throw importError("The FeatureCollection has no features");
+  if (fc.features.length > MAX_FEATURES) {
+    throw importError(`Too many features (${fc.features.length}); import at most ${MAX_FEATURES} at a time`);
+  }
+  return fc;
+}
+
+/** SRID from the legacy "crs" member; GeoJSON without one is WGS84 (RFC 7946). */
+function sridOf(fc) {
+  const name = String(fc.crs?.properties?.name || "").trim();
+  if (!name || /CRS84$/i.test(name)) return 4326;
+  const m = /EPSG:{1,2}(\d+)$/i.exec(name);
+  if (!m) throw importError(`Unsupported crs "${name}"; use EPSG:<code> or leave it out for WGS84`);
+  return Number(m[1]);
+}
+
+const isPosition = (p) => Array.isArray(p) && p.length >= 2 && p.every((n) => Number.isFinite(n));
+
+// structural checks ST_GeomFromGeoJSON would otherwise fail the whole batch on
+function geometryProblem(geometry, checkRange) {
+  if (!geometry || typeof geometry !== "object") return "missing geometry";
+  const c = geometry.coordinates;
+
+  const positions = (list, min) => {
+    if (!Array.isArray(list) || list.length < min || !list.every(isPosition)) return false;
+    return !checkRange || list.every(([lng, lat]) => Math.abs(lng) <= 180 && Math.abs(lat) <= 90);
+  };
+  const ring = (r) => positions(r, 4) && r[0].every((n, i) => n === r[r.length - 1][i]);
+  const polygon = (rings) => Array.isArray(rings) && rings.length > 0 && rings.every(ring);
+
+  switch (geometry.type) {
+    case "Point":
+      return positions([c], 1) ? null : "Point needs one [lng, lat] position";
+    case "LineString":
+      return positions(c, 2) ? null : "LineString needs at least two [lng, lat] positions";
+    case "Polygon":
+      return polygon(c) ? null : "Polygon rings need at least four [lng, lat] positions and must be closed";
+    case "MultiPolygon":
+      return Array.isArray(c) && c.length && c.every(polygon) ? null : "MultiPolygon has an invalid polygon";
+    default:
+      return `geometry type ${geometry.type || "(none)"} is not supported`;
+  }
+}
+
+function cleanValue(spec, raw) {
+  if (raw == null || String(raw).trim() === "") return { value: null };
+  if (spec.type === "number" || spec.type === "int") {
+    const n = Number(raw);
+    if (!Number.isFinite(n) || n < 0) return { error: "must be a non-negative number" };
+    if (spec.type === "int" && !Number.isInteger(n)) return { error: "must be a whole number" };
+    return { value: n };
+  }
+  const s = String(raw).trim();
+  if (spec.oneOf && !spec.oneOf.includes(s.toLowerCase())) return { error: `must be one of: ${spec.oneOf.join(", ")}` };
+  if (spec.max && s.length > spec.max) return { error: `is longer than ${spec.max} characters` };
+  return { value: spec.oneOf ? s.toLowerCase() : s };
+}
+
+/** Per feature: { index, plot_code, geometry, values, errors, warnings } */
+function readFeatures(fc, layer, columns, srid) {
+  const def = LAYERS[layer];
+  const seen = new Map();
+
+  return fc.features.map((f, index) => {
+    const props = (f && f.properties) || {};
+    const errors = [];
+    const warnings = [];
+
+    const code = String(props.plot_code ?? props.code ?? props.plot_name ?? props.name ?? "").trim();
+    if (!code) errors.push("plot_code (or plot_name) is required");
+    else if (code.length > 20) errors.push("plot_code is longer than 20 characters");
+    else if (seen.has(code)) errors.push(`duplicate plot_code in file (also feature ${seen.get(code)})`);
+    else seen.set(code, index);
+
+    const geometry = f?.geometry;
+    const problem = f?.type !== "Feature" ? "not a Feature" : geometryProblem(geometry, srid === 4326);
+    if (problem) errors.push(problem);
+    else if (!def.types.includes(geometry.type)) {
+      errors.push(`${geometry.type} is not allowed for ${layer} (expected ${def.types.join(" or ")})`);
+    }
+
+    const values = {};
+    const ignored = [];
+    for (const [key, raw] of Object.entries(props)) {
+      if (KEY_PROPERTIES.has(key)) continue;
+      const spec = FIELDS[key];
+      if (!spec || !columns.has(key)) {
+        ignored.push(key);
+        continue;
+      }
+      const { value, error } = cleanValue(spec, raw);
+      if (error) errors.push(`${key} ${error}`);
+      else values[key] = value;
+    }
+    if (!("plot_name" in values) && columns.has("plot_name") && props.name != null) {
+      values.plot_name = String(props.name).trim() || null;
+    }
+    if (ignored.length) warnings.push(`ignored properties: ${ignored.join(", ")}`);
+
+    return { index, plot_code: code || null, geometry: problem ? null : geometry, values, errors, warnings };
+  });
+}
+
+/* ---------------- comparing ---------------- */
+function sameValue(a, b) {
+  if (a == null || b == null) return a == null && b == null;
+  if (typeof b === "number") return Number(a) === b;
+  return String(a).trim() === String(b);
+}
+
+function fieldChanges(existing, values) {
+  const changes = {};
+  for (const [k, v] of Object.entries(values)) {
+    if (!sameValue(existing[k], v)) changes[k] = { from: existing[k] ?? null, to: v };
+  }
+  return changes;
+}
+
+/* ---------------- writes ---------------- */
+function geometryAssignments(layer, columns) {
+  return Object.entries(LAYERS[layer].columns)
+    .filter(([col]) => columns.has(col))
+    .map(([col, expr]) => [col, expr("i.g")]);
+}
+
+async function insertRow(client, layer, columns, item) {
+  const cols = ["plot_code"];
+  const vals = ["$1"];
+  const params = [item.plot_code];
+  for (const [k, v] of Object.entries(item.values)) {
+    params.push(v);
+    cols.push(k);
+    vals.push(`$${params.length}`);
+  }
+  for (const [col, expr] of geometryAssignments(layer, columns)) {
+    cols.push(col);
+    vals.push(expr);
+  }
+  // new rows are labelled with their code unless the file names them
+  if (!("plot_name" in item.values) && columns.has("plot_name")) {
+    cols.push("plot_name");
+    vals.push("$1");
+  }
+  if (!("size_sqm" in item.values) && columns.has("size_sqm")) {
+    cols.push("size_sqm");
+    vals.push("CASE WHEN ST_Dimension(i.g) = 2 THEN ROUND(ST_Area(i.g::geography)::numeric, 2) END");
+  }
+  params.push(item.index);
+
+  const { rows } = await client.query(
+    `
+    INSERT INTO ${layer} (${cols.join(", ")})
+    SELECT ${vals.join(", ")} FROM geojson_import i WHERE i.idx = $${params.length}
+    RETURNING id, uid
+    `,
+    params
+  );
+  return rows[0];
+}
+
+async function updateRow(client, layer, columns, item) {
+  const sets = [];
+  const params = [];
+  for (const k of Object.keys(item.changes)) {
+    params.push(item.values[k]);
+    sets.push(`${k} = $${params.length}`);
+  }
+  if (item.geometry_changed) {
+    for (const [col, expr] of geometryAssignments(layer, columns)) sets.push(`${col} = ${expr}`);
+  }
+  if (columns.has("updated_at")) sets.push("updated_at = NOW()");
+  params.push(item.index, item.id);
+
+  const { rows } = await client.query(
+    `
+    UPDATE ${layer} t SET ${sets.join(", ")}
+    FROM geojson_import i
+    WHERE i.idx = $${params.length - 1} AND t.id = $${params.length}
+    RETURNING t.id, t.uid
+    `,
+    params
+  );
+  return rows[0];
+}
+
+/* ---------------- import ---------------- */
+function reportFeature(it) {
+  return {
+    index: it.index,
+    plot_code: it.plot_code,
+    action: it.action,
+    ...(it.id != null && it.action !== "error" ? { id: it.id } : {}),
+    ...(it.uid ? { uid: it.uid } : {}),
+    ...(it.reason ? { reason: it.reason } : {}),
+    ...(it.action === "update" ? { changes: it.changes, geometry_changed: it.geometry_changed } : {}),
+    ...(it.errors.length ? { errors: it.errors } : {}),
+    ...(it.warnings.length ? { warnings: it.warnings } : {}),
+  };
+}
+
+/**
+ * Plans and writes one layer inside the caller's transaction (client must be in BEGIN).
+ * The caller decides to COMMIT or ROLLBACK, so several layers can be imported atomically.
+ * options: { layer, mode = "upsert" | "create" | "update", allowOverlaps = false }
+ * -> { layer, srid, mode, summary: { total, create, update, skip, error }, features }
+ */
+async function writeFeatures(client, fc, options = {}) {
+  const { layer, mode = "upsert", allowOverlaps = false } = options;
+
+  const def = LAYERS[layer];
+  if (!def) throw importError(`layer must be one of: ${Object.keys(LAYERS).join(", ")}`);
+  if (!MODES.includes(mode)) throw importError(`mode must be one of: ${MODES.join(", ")}`);
+
+  const srid = sridOf(fc);
+  const columns = await tableColumns(layer);
+  if (!columns.size) throw importError(`Table ${layer} does not exist`, 500);
+
+  const items = readFeatures(fc, layer, columns, srid);
+
+  if (srid !== 4326) {
+    const known = await client.query(`SELECT 1 FROM spatial_ref_sys WHERE srid = $1`, [srid]);
+    if (!known.rows.length) throw importError(`Unknown SRID ${srid}`);
+  }
+
+  // dropped first so several layers can be planned in one transaction
+  await client.query(`DROP TABLE IF EXISTS geojson_import`);
+  await client.query(`
+    CREATE TEMP TABLE geojson_import (
+      idx integer PRIMARY KEY,
+      plot_code text,
+      g geometry
+    ) ON COMMIT DROP
+  `);
+
+  const loadable = items.filter((it) => it.geometry);
+  const payload = loadable.map((it) => ({
+    idx: it.index,
+    plot_code: it.plot_code,
+    geometry: JSON.stringify(it.geometry),
+  }));
+  try {
+    await client.query(
+      `
+      INSERT INTO geojson_import (idx, plot_code, g)
+      SELECT
+        (f->>'idx')::int,
+        f->>'plot_code',
+        ST_Force2D(ST_Transform(ST_SetSRID(ST_GeomFromGeoJSON(f->>'geometry'), $2::int), 4326))
+      FROM jsonb_array_elements($1::jsonb) f
+      `,
+      [JSON.stringify(payload), srid]
+    );
+  } catch (err) {
+    throw importError(`Could not read the geometries: ${err.message}`);
+  }
+
+  // validity + the existing row with the same code
+  const { rows: checks } = await client.query(
+    `
+    SELECT
+      i.idx,
+      ST_IsValid(i.g) AS valid,
+      CASE WHEN NOT ST_IsValid(i.g) THEN ST_IsValidReason(i.g) END AS invalid_reason,
+      ST_IsEmpty(i.g) AS empty,
+      m.matches,
+      t.id AS existing_id,
+      to_jsonb(t) - ARRAY['geom', 'plot_boundary', 'coordinates'] AS existing,
+      CASE
+        WHEN t.id IS NULL THEN NULL
+        WHEN ${def.shape} IS NULL THEN FALSE
+        WHEN ST_IsValid(i.g) AND ST_IsValid(${def.shape}) THEN ST_Equals(i.g, ${def.shape})
+        ELSE ST_AsBinary(i.g) = ST_AsBinary(${def.shape})
+      END AS same_geometry
+    FROM geojson_import i
+    LEFT JOIN LATERAL (
+      SELECT COUNT(*)::int AS matches FROM ${layer} WHERE plot_code::text = i.plot_code
+    ) m ON TRUE
+    LEFT JOIN LATERAL (
+      SELECT * FROM ${layer} t WHERE t.plot_code::text = i.plot_code ORDER BY t.id LIMIT 1
+    ) t ON TRUE
+    `
+  );
+  const byIndex = new Map(items.map((it) => [it.index, it]));
+  for (const c of checks) {
+    const it = byIndex.get(c.idx);
+    if (c.empty) it.errors.push("geometry is empty");
+    else if (!c.valid) it.errors.push(`invalid geometry: ${c.invalid_reason}`);
+    if (c.matches > 1) it.errors.push(`plot_code matches ${c.matches} existing rows`);
+    it.id = c.existing_id ?? null;
+    it.existing = c.existing;
+    it.geometry_changed = c.existing_id != null && !c.same_geometry;
+  }
+
+  // polygons covering part of another plot (existing rows or other features in the file)
+  if (!allowOverlaps) {
+    const { rows: overlaps } = await client.query(
+      `
+      WITH candidates AS (
+        SELECT i.idx, i.plot_code, i.g, t.id AS own_id
+        FROM geojson_import i
+        LEFT JOIN ${layer} t ON t.plot_code::text = i.plot_code
+        WHERE ST_Dimension(i.g) = 2 AND ST_IsValid(i.g)
+      )
+      SELECT c.idx, t.plot_code::text AS other, 'existing' AS source
+      FROM candidates c
+      JOIN ${layer} t ON (${def.shape}) && c.g
+      WHERE t.id IS DISTINCT FROM c.own_id
+        -- rows re-imported in this file are checked against their new shape below
+        AND NOT EXISTS (SELECT 1 FROM geojson_import o WHERE o.plot_code = t.plot_code::text)
+        AND ST_Dimension(${def.shape}) = 2
+        AND ST_IsValid(${def.shape})
+        AND ST_Area(ST_Intersection(c.g, ${def.shape})::geography) > $1
+      UNION ALL
+      SELECT a.idx, b.plot_code, 'file'
+      FROM candidates a
+      JOIN candidates b ON b.idx <> a.idx AND b.g && a.g
+      WHERE ST_Area(ST_Intersection(a.g, b.g)::geography) > $1
+      `,
+      [OVERLAP_MIN_SQM]
+    );
+    const grouped = new Map();
+    for (const o of overlaps) {
+      if (!grouped.has(o.idx)) grouped.set(o.idx, []);
+      grouped.get(o.idx).push(o.source === "file" ? `${o.other} (in file)` : o.other);
+    }
+    for (const [idx, others] of grouped) {
+      byIndex.get(idx).errors.push(`overlaps ${others.slice(0, 10).join(", ")}${others.length > 10 ? "…" : ""}`);
+    }
+  }
+
+  // plan + write
+  for (const it of items) {
+    if (it.errors.length) {
+      it.action = "error";
+      continue;
+    }
+    if (it.id == null) {
+      if (mode === "update") {
+        it.action = "skip";
+        it.reason = "not found (mode=update)";
+        continue;
+      }
+      it.action = "create";
+    } else {
+      if (mode === "create") {
+        it.action = "skip";
+        it.reason = "already exists (mode=create)";
+        continue;
+      }
+      it.changes = fieldChanges(it.existing || {}, it.values);
+      if (!Object.keys(it.changes).length && !it.geometry_changed) {
+        it.action = "skip";
+        it.reason = "unchanged";
+        continue;
+      }
+      it.action = "update";
+    }
+
+    await client.query("SAVEPOINT feature");
+    try {
+      const write = it.action === "create" ? insertRow : updateRow;
+      const row = await write(client, layer, columns, it);
+      it.id = row.id;
+      it.uid = row.uid;
+      await client.query("RELEASE SAVEPOINT feature");
+    } catch (err) {
+      await client.query("ROLLBACK TO SAVEPOINT feature");
+      it.errors.push(`database rejected it: ${err.message}`);
+      it.action = "error";
+    }
+  }
+
+  const summary = { total: items.length, create: 0, update: 0, skip: 0, error: 0 };
+  for (const it of items) summary[it.action] += 1;
+
+  return { layer, srid, mode, summary, features: items.map(reportFeature) };
+}
+
+/**
+ * options: { layer, dryRun = true, mode = "upsert" | "create" | "update",
+ *            allowOverlaps = false, skipErrors = false }
+ * Returns the report; report.applied is true only when the transaction was committed.
+ */
+async function importFeatureCollection(fc, options = {}) {
+  const { dryRun = true, skipErrors = false } = options;
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const report = await writeFeatures(client, fc, options);
+
+    const blocked = report.summary.error > 0 && !skipErrors;
+    const commit = !dryRun && !blocked;
+    await client.query(commit ? "COMMIT" : "ROLLBACK");
+
+    if (commit && report.layer === "road_plots" && report.summary.create + report.summary.update > 0) {
+      navigation.invalidateGraph();
+    }
+
+    return { ...report, dry_run: Boolean(dryRun), applied: commit, blocked };
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  LAYERS,
+  MODES,
+  MAX_FEATURES,
+  parseFeatureCollection,
+  writeFeatures,
+  importFeatureCollection,
+};
@@ -0,0 +1,385 @@
+// backend/services/geometry-format.service.js
+"use strict";
+
+const { geometryColumns, fitToColumn } = require("./spatial-qa.service");
+
+/**
+ * Plot geometry in the formats surveyors and GIS tools use.
+ *
+ * Input (add/edit plot bodies), besides the old latitude/longitude or "lat,lng" point:
+ *   geometry   GeoJSON geometry or Feature (object or JSON text), or WKT / EWKT text
+ *   wkt        WKT / EWKT text ("SRID=32651;POLYGON((...))" carries its own CRS)
+ *   corners    [[x, y], ...] or [{ lng, lat }, ...] / [{ x, y }, ...]: polygon corners in order
+ *   srid       CRS of the input (default 4326), e.g. 32651 for UTM zone 51N; stored as WGS84
+ *
+ * Output (GET plot endpoints): ?format=geojson|wkt|kml|gpx and ?srid=<EPSG code>.
+ * GeoJSON and WKT can be reprojected; KML and GPX are WGS84 by definition.
+ */
+
+const FORMATS = ["geojson", "wkt", "kml", "gpx"];
+const WGS84 = 4326;
+const MAX_CORNERS = 500;
+
+const CONTENT_TYPES = {
+  wkt: "text/csv; charset=utf-8",
+  kml: "application/vnd.google-earth.kml+xml; charset=utf-8",
+  gpx: "application/gpx+xml; charset=utf-8",
+};
+
+function geometryFormatError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function parseSrid(raw, label = "srid") {
+  if (raw == null || raw === "") return WGS84;
+  const n = Number(String(raw).replace(/^EPSG:/i, ""));
+  if (!Number.isInteger(n) || n <= 0 || n > 999999) throw geometryFormatError(`${label} must be an EPSG code, e.g. 32651`);
+  return n;
+}
+
+/* =========================================================================================
+   Input
+========================================================================================= */
+
+function cornerToXY(c, i) {
+  const xy = Array.isArray(c)
+    ? [c[0], c[1]]
+    : c && typeof c === "object"
+      ? [c.lng ?? c.longitude ?? c.x, c.lat ?? c.latitude ?? c.y]
+      : [];
+  const [x, y] = xy.map(Number);
+  if (!Number.isFinite(x) || !Number.isFinite(y)) {
+    throw geometryFormatError(`corners[${i}] must be [x, y] or { lng, lat } / { x, y }`);
+  }
+  return [x, y];
+}
+
+function cornersToGeoJSON(corners) {
+  if (!Array.isArray(corners)) throw geometryFormatError("corners must be an array of points");
+  const ring = corners.map(cornerToXY);
+  const [fx, fy] = ring[0] || [];
+  const last = ring[ring.length - 1];
+  if (ring.length > 1 && last[0] === fx && last[1] === fy) ring.pop();
+  if (ring.length < 3 || ring.length > MAX_CORNERS) {
+    throw geometryFormatError(`corners must list 3 to ${MAX_CORNERS} points`);
+  }
+  return { type: "Polygon", coordinates: [[...ring, ring[0]]] };
+}
+
+/**
+ * The geometry a request body carries in geometry / wkt / corners, or null when it has none.
+ * -> { kind: "geojson" | "wkt", text, srid }
+ */
+function readGeometryInput(body = {}) {
+  const srid = parseSrid(body.srid);
+
+  if (body.corners != null) {
+    return { kind: "geojson", text: JSON.stringify(cornersToGeoJSON(body.corners)), srid };
+  }
+  if (typeof body.wkt === "string" && body.wkt.trim()) {
+    return { kind: "wkt", text: body.wkt.trim(), srid };
+  }
+
+  let geo = body.geometry;
+  if (geo == null || geo === "") return null;
+  if (typeof geo === "string") {
+    const t = geo.trim();
+    if (!t.startsWith("{")) return { kind: "wkt", text: t, srid };
+    try {
+      geo = JSON.parse(t);
+    } catch {
+      throw geometryFormatError("geometry is neither GeoJSON nor WKT");
+    }
+  }
+  if (geo?.type === "Feature") geo = geo.geometry;
+  if (!geo || typeof geo !== "object" || !geo.type) {
+    throw geometryFormatError("geometry must be a GeoJSON geometry, a Feature or WKT text");
+  }
+  return { kind: "geojson", text: JSON.stringify(geo), srid };
+}
+
+/**
+ * Parses, reprojects to WGS84 and validates an input from readGeometryInput.
+ * -> { type: "POLYGON" | ..., hex (EWKB, bind as $n::geometry), area_sqm (polygons) };
+ *    throws 400 when unusable.
+ */
+async function toWgs84(db, input) {
+  const parsed =
+    input.kind === "geojson"
+      ? "ST_SetSRID(ST_GeomFromGeoJSON($1), $2::int)"
+      : "(SELECT CASE WHEN ST_SRID(w) = 0 THEN ST_SetSRID(w, $2::int) ELSE w END FROM ST_GeomFromEWKT($1) w)";
+
+  let rows;
+  try {
+    ({ rows } = await db.query(
+      `
+      SELECT GeometryType(g) AS type, ST_IsEmpty(g) AS empty, ST_IsValid(g) AS valid,
+             CASE WHEN NOT ST_IsValid(g) THEN ST_IsValidReason(g) END AS reason,
+             ST_XMin(g) AS xmin, ST_YMin(g) AS ymin, ST_XMax(g) AS xmax, ST_YMax(g) AS ymax,
+             CASE WHEN GeometryType(g) IN ('POLYGON', 'MULTIPOLYGON')
+                  THEN ROUND(ST_Area(g::geography)::numeric, 2) END AS area_sqm,
+             encode(ST_AsEWKB(g), 'hex') AS hex
+      FROM (SELECT ST_Transform(ST_Force2D(${parsed}), ${WGS84}) AS g) s
+      `,
+      [input.text, input.srid]
+    ));
+  } catch (err) {
+    const what = input.kind === "geojson" ? "GeoJSON" : "WKT";
+    throw geometryFormatError(`geometry is not valid ${what} (or srid ${input.srid} is unknown): ${err.message}`);
+  }
+
+  const r = rows[0];
+  if (r.empty) throw geometryFormatError("geometry is empty");
+  if (!r.valid) throw geometryFormatError(`geometry is not valid: ${r.reason}`);
+  if (r.xmin < -180 || r.xmax > 180 || r.ymin < -90 || r.ymax > 90) {
+    throw geometryFormatError(`geometry falls outside WGS84 bounds; is srid ${input.srid} right?`);
+  }
+  return { type: r.type, hex: r.hex, area_sqm: r.area_sqm };
+}
+
+const KIND = (type) =>
+  /POLYGON/.test(type) ? "polygon" : /LINE/.test(type) ? "line" : /POINT/.test(type) ? "point" : "any";
+
+/**
+ * SET / INSERT targets for a shape of the given type on the table's geometry columns:
+ * the shape where the column takes it, its point on surface in point columns, nothing in
+ * columns of another kind. A multi shape goes whole into generic / MULTI columns and as its
+ * largest part into single-part ones (as plot-merge does). -> [{ col, expr }]; throws 400
+ * when no column can hold the whole shape.
+ */
+async function geometryAssignments(table, shapeType, param) {
+  const g = `${param}::geometry`;
+  const shape = KIND(shapeType);
+  const multi = /^MULTI/.test(shapeType);
+  const out = [];
+  let whole = false;
+  for (const { col, type } of await geometryColumns(table, ["geom", "plot_boundary", "coordinates"])) {
+    const kind = KIND(type);
+    if (kind === "point") {
+      out.push({ col, expr: `ST_PointOnSurface(${g})` });
+    } else if (kind === "any" || (kind === shape && /^MULTI/.test(type))) {
+      out.push({ col, expr: kind === "any" ? g : `ST_Multi(${g})` });
+      whole = true;
+    } else if (kind === shape) {
+      out.push({ col, expr: multi ? fitToColumn(type, g) : g });
+      whole = whole || !multi;
+    }
+  }
+  if (!whole) {
+    throw geometryFormatError(`${table} cannot store a ${shapeType.toLowerCase()}`);
+  }
+  return out;
+}
+
+/* =========================================================================================
+   Output
+========================================================================================= */
+
+/** ?format= & ?srid= -> { format, srid }; throws 400. */
+function parseOutput(query = {}) {
+  const format = String(query.format || "geojson").trim().toLowerCase();
+  if (!FORMATS.includes(format)) throw geometryFormatError(`format must be one of ${FORMATS.join(", ")}`);
+  const srid = parseSrid(query.srid);
+  if (srid !== WGS84 && (format === "kml" || format === "gpx")) {
+    throw geometryFormatError(`${format.toUpperCase()} is always WGS84 (srid 4326)`);
+  }
+  return { format, srid };
+}
+
+/** Throws 400 unless PostGIS knows the srid. */
+async function checkSrid(db, srid) {
+  if (srid === WGS84) return;
+  const { rows } = await db.query(`SELECT 1 FROM spatial_ref_sys WHERE srid = $1`, [srid]);
+  if (!rows.length) throw geometryFormatError(`Unknown srid ${srid}`);
+}
+
+/** geometry expression in the output CRS */
+function sqlOutputGeometry(expr, srid) {
+  return srid === WGS84 ? expr : `ST_Transform(${expr}, ${Number(srid)})`;
+}
+
+const pos = (c) => c.join(" ");
+const ring = (r) => `(${r.map(pos).join(", ")})`;
+
+function toWkt(geo) {
+  if (!geo) return "";
+  const c = geo.coordinates;
+  switch (geo.type) {
+    case "Point":
+      return `POINT (${pos(c)})`;
+    case "MultiPoint":
+      return `MULTIPOINT (${c.map((p) => `(${pos(p)})`).join(", ")})`;
+    case "LineString":
+      return `LINESTRING ${ring(c)}`;
+    case "MultiLineString":
+      return `MULTILINESTRING (${c.map(ring).join(", ")})`;
+    case "Polygon":
+      return `POLYGON (${c.map(ring).join(", ")})`;
+    case "MultiPolygon":
+      return `MULTIPOLYGON (${c.map((p) => `(${p.map(ring).join(", ")})`).join(", ")})`;
+    case "GeometryCollection":
+      return `GEOMETRYCOLLECTION (${geo.geometries.map(toWkt).join(", ")})`;
+    default:
+      return "";
+  }
+}
+
+const xml = (v) =>
+  String(v ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const kmlCoords = (list) => `<coordinates>${list.map((c) => c.join(",")).join(" ")}</coordinates>`;
+const kmlPolygon = (rings) =>
+  `<Polygon><outerBoundaryIs><LinearRing>${kmlCoords(rings[0])}</LinearRing></outerBoundaryIs>` +
+  rings
+    .slice(1)
+    .map((r) => `<innerBoundaryIs><LinearRing>${kmlCoords(r)}</LinearRing></innerBoundaryIs>`)
+    .join("") +
+  "</Polygon>";
+
+function toKml(geo) {
+  if (!geo) return "";
+  const c = geo.coordinates;
+  switch (geo.type) {
+    case "Point":
+      return `<Point>${kmlCoords([c])}</Point>`;
+    case "LineString":
+      return `<LineString>${kmlCoords(c)}</LineString>`;
+    case "Polygon":
+      return kmlPolygon(c);
+    case "MultiPoint":
+      return `<MultiGeometry>${c.map((p) => toKml({ type: "Point", coordinates: p })).join("")}</MultiGeometry>`;
+    case "MultiLineString":
+      return `<MultiGeometry>${c.map((l) => toKml({ type: "LineString", coordinates: l })).join("")}</MultiGeometry>`;
+    case "MultiPolygon":
+      return `<MultiGeometry>${c.map(kmlPolygon).join("")}</MultiGeometry>`;
+    case "GeometryCollection":
+      return `<MultiGeometry>${geo.geometries.map(toKml).join("")}</MultiGeometry>`;
+    default:
+      return "";
+  }
+}
+
+// every line / ring of a geometry, for GPX tracks
+function linesOf(geo) {
+  if (!geo) return [];
+  const c = geo.coordinates;
+  switch (geo.type) {
+    case "LineString":
+      return [c];
+    case "MultiLineString":
+    case "Polygon":
+      return c;
+    case "MultiPolygon":
+      return c.flat();
+    case "GeometryCollection":
+      return geo.geometries.flatMap(linesOf);
+    default:
+      return [];
+  }
+}
+
+function featureName(f) {
+  const p = f.properties || {};
+  return p.plot_code ?? p.plot_name ?? p.uid ?? f.id ?? "";
+}
+
+function renderKml(features, name) {
+  const placemarks = features.map((f) => {
+    const data = Object.entries(f.properties || {})
+      .map(([k, v]) => `<Data name="${xml(k)}"><value>${xml(v)}</value></Data>`)
+      .join("");
+    return `<Placemark><name>${xml(featureName(f))}</name><ExtendedData>${data}</ExtendedData>${toKml(f.geometry)}</Placemark>`;
+  });
+  return (
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>' +
+    `<name>${xml(name)}</name>\n${placemarks.join("\n")}\n</Document></kml>\n`
+  );
+}
+
+// the point itself, or the mean of the first outline's corners (plots are small and convex)
+function markerOf(geo) {
+  if (geo?.type === "Point") return geo.coordinates;
+  const line = linesOf(geo)[0];
+  if (!line?.length) return null;
+  const pts = line.length > 3 && line[0].join() === line[line.length - 1].join() ? line.slice(0, -1) : line;
+  const round = (v) => Number(v.toFixed(9));
+  return [0, 1].map((i) => round(pts.reduce((sum, c) => sum + c[i], 0) / pts.length));
+}
+
+// one waypoint per feature and its outline as a track, for GPS stake-out
+function renderGpx(features, name) {
+  const wpts = [];
+  const trks = [];
+  for (const f of features) {
+    const label = xml(featureName(f));
+    const m = markerOf(f.geometry);
+    if (m) wpts.push(`<wpt lat="${m[1]}" lon="${m[0]}"><name>${label}</name></wpt>`);
+    const lines = linesOf(f.geometry);
+    if (lines.length) {
+      const segs = lines.map((l) => `<trkseg>${l.map((c) => `<trkpt lat="${c[1]}" lon="${c[0]}"/>`).join("")}</trkseg>`);
+      trks.push(`<trk><name>${label}</name>${segs.join("")}</trk>`);
+    }
+  }
+  return (
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<gpx version="1.1" creator="cemetery-backend" xmlns="http://www.topografix.com/GPX/1/1">' +
+    `<metadata><name>${xml(name)}</name></metadata>\n${[...wpts, ...trks].join("\n")}\n</gpx>\n`
+  );
+}
+
+const csvCell = (v) => {
+  const s = v == null ? "" : typeof v === "object" ? JSON.stringify(v) : String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// one row per feature, properties then a wkt column (QGIS: "Delimited text", geometry WKT)
+function renderWktCsv(features) {
+  const keys = [...new Set(features.flatMap((f) => Object.keys(f.properties || {})))];
+  const lines = [[...keys, "wkt"].join(",")];
+  for (const f of features) {
+    lines.push([...keys.map((k) => csvCell(f.properties?.[k])), csvCell(toWkt(f.geometry))].join(","));
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Sends GeoJSON features (already in the output CRS) in the requested format.
+ * options: { format, srid, name (document / file name),
+ *            single: answer GeoJSON with the Feature itself instead of a FeatureCollection }
+ */
+function sendFeatures(res, features, { format, srid, name = "plots", single = false }) {
+  if (format === "geojson") {
+    const crs =
+      srid === WGS84 ? {} : { crs: { type: "name", properties: { name: `urn:ogc:def:crs:EPSG::${srid}` } } };
+    if (single) return res.json({ ...features[0], ...crs });
+    return res.json({ type: "FeatureCollection", ...crs, features });
+  }
+
+  const body =
+    format === "kml" ? renderKml(features, name) : format === "gpx" ? renderGpx(features, name) : renderWktCsv(features);
+  const ext = format === "wkt" ? "csv" : format;
+  res.set("Content-Type", CONTENT_TYPES[format]);
+  res.set("Content-Disposition", `inline; filename="${String(name).replace(/[^\w.-]+/g, "_")}.${ext}"`);
+  return res.send(body);
+}
+
+module.exports = {
+  FORMATS,
+  WGS84,
+  geometryFormatError,
+  readGeometryInput,
+  toWgs84,
+  geometryAssignments,
+  parseOutput,
+  checkSrid,
+  sqlOutputGeometry,
+  toWkt,
+  sendFeatures,
+};
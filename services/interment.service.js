@@ -0,0 +1,370 @@
+// backend/services/interment.service.js
+"use strict";
+
+const pool = require("../config/database");
+
+/**
+ * Interments per plot (migration 016).
+ *
+ * A plot holds plot_capacity(id) active graves: plots.capacity, else the capacity of its
+ * section's type (section_type_capacity), else 1. Each grave takes a slot (interment_level,
+ * interment_position). Plot status follows the graves through a trigger on graves, so callers
+ * only check room, pick a slot and keep the plot's person fields in step. An occupant recorded
+ * only on the plot (person_full_name) becomes a grave too (migration 019), so it is counted here.
+ */
+
+const POSITION_MAX = 20;
+const CAPACITY_MAX = 50;
+
+function intermentError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const _hasColumnCache = new Map();
+async function hasColumn(tableName, columnName) {
+  const key = `${tableName}.${columnName}`;
+  if (_hasColumnCache.has(key)) return _hasColumnCache.get(key);
+
+  const { rows } = await pool.query(
+    `
+    SELECT 1
+    FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = $1 AND column_name = $2
+    LIMIT 1
+    `,
+    [tableName, columnName]
+  );
+  const ok = rows.length > 0;
+  _hasColumnCache.set(key, ok);
+  return ok;
+}
+
+/**
+ * Locks the plot (FOR UPDATE) and returns its occupancy, or null when it does not exist:
+ * { id, uid, status, capacity, interred, remaining }
+ * excludeGraveId: a grave being moved, not counted against the plot.
+ */
+async function lockPlot(client, plotId, { excludeGraveId = null } = {}) {
+  const { rows } = await client.query(
+    `SELECT id, uid, status FROM plots WHERE id::text = $1 FOR UPDATE`,
+    [String(plotId)]
+  );
+  if (!rows.length) return null;
+
+  const { rows: occ } = await client.query(
+    `
+    SELECT
+      plot_capacity($1) AS capacity,
+      (SELECT COUNT(*)::int FROM graves
+       WHERE plot_id = $1 AND is_active AND ($2::text IS NULL OR id::text <> $2)) AS interred
+    `,
+    [rows[0].id, excludeGraveId == null ? null : String(excludeGraveId)]
+  );
+  const { capacity, interred } = occ[0];
+  return { ...rows[0], capacity, interred, remaining: Math.max(0, capacity - interred) };
+}
+
+/** 409 message for a plot without room; null when there is room. */
+function fullMessage(plot) {
+  if (plot.remaining > 0) return null;
+  return plot.capacity > 1
+    ? `Plot is full (${plot.interred} of ${plot.capacity} interments)`
+    : "Plot is already occupied";
+}
+
+/**
+ * Slot for a new (or moved) grave. With a level it is checked, without one the lowest free
+ * level is taken. Throws 400 / 409. -> { interment_level, interment_position }
+ */
+async function pickSlot(client, plot, { level = null, position = null, excludeGraveId = null } = {}) {
+  const pos = position == null || String(position).trim() === "" ? null : String(position).trim();
+  if (pos && pos.length > POSITION_MAX) {
+    throw intermentError(`interment_position must be at most ${POSITION_MAX} characters`);
+  }
+
+  const { rows } = await client.query(
+    `
+    SELECT interment_level AS level, COALESCE(interment_position, '') AS position
+    FROM graves
+    WHERE plot_id = $1 AND is_active AND interment_level IS NOT NULL
+      AND ($2::text IS NULL OR id::text <> $2)
+    `,
+    [plot.id, excludeGraveId == null ? null : String(excludeGraveId)]
+  );
+  const taken = new Set(rows.map((r) => `${r.level}|${r.position}`));
+
+  if (level != null && level !== "") {
+    const n = Number(level);
+    if (!Number.isInteger(n) || n < 1 || n > plot.capacity) {
+      throw intermentError(`interment_level must be between 1 and ${plot.capacity}`);
+    }
+    if (taken.has(`${n}|${pos || ""}`)) {
+      throw intermentError(`Level ${n}${pos ? ` (${pos})` : ""} of this plot is already taken`, 409);
+    }
+    return { interment_level: n, interment_position: pos };
+  }
+
+  const usedLevels = new Set(rows.map((r) => r.level));
+  for (let n = 1; n <= plot.capacity; n++) {
+    if (!usedLevels.has(n)) return { interment_level: n, interment_position: pos };
+  }
+  throw intermentError("No free interment level left on this plot", 409);
+}
+
+/**
+ * Keeps plots.person_full_name / date_of_birth / date_of_death in step with the plot's graves
+ * (for the visitor search and map popups): every name in level order, the dates of the most
+ * recent burial. Columns that don't exist are skipped.
+ */
+async function syncPlotPersonFields(client, plotId) {
+  if (plotId == null) return;
+
+  const cols = [];
+  if (await hasColumn("plots", "person_full_name")) cols.push("person_full_name = o.names");
+  if (await hasColumn("plots", "date_of_birth")) cols.push("date_of_birth = o.birth_date");
+  if (await hasColumn("plots", "date_of_death")) cols.push("date_of_death = o.death_date");
+  if (!cols.length) return;
+
+  await client.query(
+    `
+    UPDATE plots p
+    SET ${cols.join(", ")}, updated_at = NOW()
+    FROM (
+      SELECT
+        (SELECT string_agg(TRIM(g.deceased_name), '; ' ORDER BY g.interment_level NULLS LAST, g.id)
+         FROM graves g WHERE g.plot_id::text = $1 AND g.is_active) AS names,
+        latest.birth_date,
+        latest.death_date
+      FROM (SELECT 1) one
+      LEFT JOIN LATERAL (
+        SELECT g.birth_date, g.death_date
+        FROM graves g
+        WHERE g.plot_id::text = $1 AND g.is_active
+        ORDER BY g.burial_date DESC NULLS LAST, g.id DESC
+        LIMIT 1
+      ) latest ON TRUE
+    ) o
+    WHERE p.id::text = $1
+    `,
+    [String(plotId)]
+  );
+}
+
+const DECEASED_NAME_MAX = 100;
+
+/**
+ * Person fields edited on the plot itself (admin plot edit) go to its grave, or the next
+ * syncPlotPersonFields would put the grave's values back: the only active grave takes them,
+ * a plot with several refuses (409: each grave is edited on its own). Without graves they stay
+ * on the plot, where migration 019 turns a name into a grave.
+ * fields: { person_full_name, date_of_birth, date_of_death }, undefined = unchanged.
+ */
+async function editPlotPerson(client, plotId, fields) {
+  // a form sent back whole repeats the current values: only real changes count
+  const { rows: current } = await client.query(
+    `
+    SELECT NULLIF(TRIM(person_full_name), '') AS person_full_name,
+           date_of_birth::text AS date_of_birth, date_of_death::text AS date_of_death
+    FROM plots WHERE id::text = $1
+    `,
+    [String(plotId)]
+  );
+  if (!current.length) return;
+  const edits = {};
+  for (const [k, v] of Object.entries(fields)) {
+    if (v === undefined) continue;
+    const next = k === "person_full_name" ? String(v ?? "").trim() || null : v ?? null;
+    if (next !== current[0][k]) edits[k] = v;
+  }
+  if (!Object.keys(edits).length) return;
+
+  const { rows } = await client.query(
+    `SELECT id FROM graves WHERE plot_id::text = $1 AND is_active ORDER BY id FOR UPDATE`,
+    [String(plotId)]
+  );
+  if (!rows.length) return;
+  if (rows.length > 1) {
+    throw intermentError(
+      `This plot holds ${rows.length} interments: edit the name and dates on each grave instead`,
+      409
+    );
+  }
+
+  const sets = [];
+  const params = [];
+  const set = (col, value) => {
+    params.push(value);
+    sets.push(`${col} = $${params.length}`);
+  };
+  if (edits.person_full_name !== undefined) {
+    const name = String(edits.person_full_name ?? "").trim();
+    if (!name) throw intermentError("person_full_name cannot be cleared while the plot holds a grave");
+    if (name.length > DECEASED_NAME_MAX) {
+      throw intermentError(`person_full_name must be at most ${DECEASED_NAME_MAX} characters`);
+    }
+    set("deceased_name", name);
+  }
+  if (edits.date_of_birth !== undefined) set("birth_date", edits.date_of_birth);
+  if (edits.date_of_death !== undefined) set("death_date", edits.date_of_death);
+
+  params.push(rows[0].id);
+  await client.query(
+    `UPDATE graves SET ${sets.join(", ")}, updated_at = NOW() WHERE id = $${params.length}`,
+    params
+  );
+}
+
+/** The plot's capacity and its active graves in slot order. */
+async function plotInterments(db = pool, key) {
+  const { rows } = await db.query(
+    `
+    SELECT p.id, p.uid, COALESCE(p.plot_code::text, p.plot_name::text) AS plot_code, p.status,
+           p.capacity AS capacity_override, plot_capacity(p.id) AS capacity,
+           s.section_name, s.section_type
+    FROM plots p
+    LEFT JOIN cemetery_sections s ON s.id = p.section_id
+    WHERE p.id::text = $1 OR p.uid::text = $1
+    LIMIT 1
+    `,
+    [String(key)]
+  );
+  if (!rows.length) return null;
+  const plot = rows[0];
+
+  const { rows: graves } = await db.query(
+    `
+    SELECT id, uid, deceased_name, birth_date, death_date, burial_date,
+           interment_level, interment_position
+    FROM graves
+    WHERE plot_id = $1 AND is_active
+    ORDER BY interment_level NULLS LAST, interment_position NULLS FIRST, id
+    `,
+    [plot.id]
+  );
+
+  return {
+    ...plot,
+    interred: graves.length,
+    remaining: Math.max(0, plot.capacity - graves.length),
+    interments: graves,
+  };
+}
+
+/** capacity body value -> integer >= 1, or null (back to the section type's capacity) */
+function parseCapacity(raw) {
+  if (raw === null || raw === "") return null;
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n < 1 || n > CAPACITY_MAX) {
+    throw intermentError(`capacity must be a whole number between 1 and ${CAPACITY_MAX}, or null`);
+  }
+  return n;
+}
+
+/**
+ * Sets (or clears, with null) the plot's capacity override inside the caller's transaction.
+ * Refuses a capacity below the plot's active graves (409). -> plotInterments() or null
+ */
+async function setPlotCapacity(client, key, capacity) {
+  const { rows } = await client.query(
+    `UPDATE plots SET capacity = $2, updated_at = NOW()
+     WHERE id::text = $1 OR uid::text = $1
+     RETURNING id`,
+    [String(key), capacity]
+  );
+  if (!rows.length) return null;
+
+  const plot = await lockPlot(client, rows[0].id);
+  if (plot.interred > plot.capacity) {
+    throw intermentError(
+      `Plot already holds ${plot.interred} interments; capacity cannot be ${plot.capacity}`,
+      409
+    );
+  }
+  return plotInterments(client, rows[0].id);
+}
+
+/** Capacity per section type, with every type in use even when it has no row yet. */
+async function sectionTypeCapacities(db = pool) {
+  const { rows } = await db.query(
+    `
+    SELECT t.section_type, COALESCE(c.capacity, 1) AS capacity, (c.section_type IS NULL) AS is_default,
+           c.updated_at, COUNT(s.id)::int AS sections
+    FROM (
+      SELECT section_type FROM section_type_capacity
+      UNION
+      SELECT section_type FROM cemetery_sections WHERE section_type IS NOT NULL
+    ) t
+    LEFT JOIN section_type_capacity c ON c.section_type = t.section_type
+    LEFT JOIN cemetery_sections s ON s.section_type = t.section_type
+    GROUP BY t.section_type, c.capacity, c.section_type, c.updated_at
+    ORDER BY t.section_type
+    `
+  );
+  return rows;
+}
+
+/**
+ * Sets the capacity of a section type inside the caller's transaction. Plots of that type
+ * without an override must not hold more graves than that (409); their status is refreshed.
+ */
+async function setSectionTypeCapacity(client, sectionType, capacity) {
+  const type = String(sectionType || "").trim();
+  if (!type || type.length > 50) throw intermentError("section_type is required (at most 50 characters)");
+  if (capacity == null) throw intermentError("capacity is required");
+
+  const { rows: over } = await client.query(
+    `
+    SELECT p.id
+    FROM plots p
+    JOIN cemetery_sections s ON s.id = p.section_id
+    WHERE s.section_type = $1 AND p.capacity IS NULL
+      AND (SELECT COUNT(*) FROM graves g WHERE g.plot_id = p.id AND g.is_active) > $2
+    `,
+    [type, capacity]
+  );
+  if (over.length) {
+    throw intermentError(
+      `${over.length} plot(s) of type ${type} hold more than ${capacity} interments; ` +
+        "give them a capacity override first",
+      409
+    );
+  }
+
+  const { rows } = await client.query(
+    `
+    INSERT INTO section_type_capacity (section_type, capacity, updated_at)
+    VALUES ($1, $2, NOW())
+    ON CONFLICT (section_type) DO UPDATE SET capacity = EXCLUDED.capacity, updated_at = NOW()
+    RETURNING *
+    `,
+    [type, capacity]
+  );
+
+  await client.query(
+    `
+    SELECT refresh_plot_occupancy(p.id)
+    FROM plots p
+    JOIN cemetery_sections s ON s.id = p.section_id
+    WHERE s.section_type = $1 AND p.capacity IS NULL
+    `,
+    [type]
+  );
+
+  return rows[0];
+}
+
+module.exports = {
+  intermentError,
+  lockPlot,
+  fullMessage,
+  pickSlot,
+  syncPlotPersonFields,
+  editPlotPerson,
+  plotInterments,
+  parseCapacity,
+  setPlotCapacity,
+  sectionTypeCapacities,
+  setSectionTypeCapacity,
+};
@@ -0,0 +1,170 @@
+// backend/services/login-guard.service.js
+"use strict";
+
+const pool = require("../config/database");
+
+/**
+ * Brute-force protection for POST /api/auth/login.
+ *
+ * - Per account: users.failed_login_count counts consecutive failures.
+ *     >= DELAY_AFTER     -> progressive delay between attempts (1s, 2s, 4s ... capped)
+ *     >= LOCKOUT_AFTER   -> users.locked_until = now + LOCKOUT_MINUTES
+ *   A successful login resets the counter.
+ * - Per IP: failures in login_attempts over the last IP_WINDOW_MINUTES. Attempts rejected by a
+ *   block (BLOCK_REASONS) are logged but not counted, so retrying during a block can't extend it.
+ * - Every attempt (success or failure) is written to login_attempts.
+ */
+
+const DELAY_AFTER = Number(process.env.LOGIN_DELAY_AFTER) || 3;
+const MAX_DELAY_SECONDS = Number(process.env.LOGIN_MAX_DELAY_SECONDS) || 30;
+const LOCKOUT_AFTER = Number(process.env.LOGIN_LOCKOUT_AFTER) || 10;
+const LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const IP_MAX_FAILURES = Number(process.env.LOGIN_IP_MAX_FAILURES) || 30;
+const IP_WINDOW_MINUTES = Number(process.env.LOGIN_IP_WINDOW_MINUTES) || 15;
+
+// failure_reason of attempts turned away by a block before the password was checked
+const BLOCK_REASONS = ["ip_throttled", "locked", "throttled"];
+
+function clientIp(req) {
+  return String(req?.ip || req?.socket?.remoteAddress || "").slice(0, 64) || null;
+}
+
+function delaySecondsFor(failures) {
+  if (failures < DELAY_AFTER) return 0;
+  return Math.min(2 ** (failures - DELAY_AFTER), MAX_DELAY_SECONDS);
+}
+
+/**
+ * Checks the IP before we even look the account up.
+ * Returns null when allowed, or { status, error, retryAfter } to send back.
+ */
+async function checkIp(req) {
+  const ip = clientIp(req);
+  if (!ip) return null;
+
+  const { rows } = await pool.query(
+    `
+    SELECT COUNT(*)::int AS failures, MIN(created_at) AS oldest
+    FROM login_attempts
+    WHERE ip_address = $1
+      AND success = false
+      AND (failure_reason IS NULL OR failure_reason <> ALL ($3::text[]))
+      AND created_at > NOW() - ($2 || ' minutes')::interval
+    `,
+    [ip, String(IP_WINDOW_MINUTES), BLOCK_REASONS]
+  );
+
+  const { failures, oldest } = rows[0] || {};
+  if (failures < IP_MAX_FAILURES) return null;
+
+  const windowEnds = new Date(oldest).getTime() + IP_WINDOW_MINUTES * 60 * 1000;
+  return {
+    status: 429,
+    error: "Too many failed login attempts from this network. Try again later.",
+    retryAfter: Math.max(1, Math.ceil((windowEnds - Date.now()) / 1000)),
+  };
+}
+
+/**
+ * Checks lockout / progressive delay for a user row
+ * (needs failed_login_count, last_failed_login_at, locked_until).
+ */
+function checkAccount(u) {
+  const now = Date.now();
+
+  if (u.locked_until && new Date(u.locked_until).getTime() > now) {
+    return {
+      status: 423,
+      error: "Account is temporarily locked due to too many failed login attempts.",
+      retryAfter: Math.ceil((new Date(u.locked_until).getTime() - now) / 1000),
+      code: "ACCOUNT_LOCKED",
+    };
+  }
+
+  const wait = delaySecondsFor(Number(u.failed_login_count) || 0);
+  if (wait && u.last_failed_login_at) {
+    const nextAllowed = new Date(u.last_failed_login_at).getTime() + wait * 1000;
+    if (nextAllowed > now) {
+      return {
+        status: 429,
+        error: "Too many failed attempts. Please wait before trying again.",
+        retryAfter: Math.ceil((nextAllowed - now) / 1000),
+      };
+    }
+  }
+
+  return null;
+}
+
+async function recordAttempt(req, { userId = null, identifier = null, success, reason = null }) {
+  await pool.query(
+    `
+    INSERT INTO login_attempts (user_id, identifier, ip_address, user_agent, success, failure_reason)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    `,
+    [
+      userId,
+      identifier ? String(identifier).toLowerCase().slice(0, 255) : null,
+      clientIp(req),
+      String(req?.headers?.["user-agent"] || "").slice(0, 500) || null,
+      Boolean(success),
+      reason,
+    ]
+  );
+}
+
+/** Bumps the account's failure counter and locks it when the threshold is hit. */
+async function registerFailure(userId) {
+  const { rows } = await pool.query(
+    `
+    UPDATE users
+    SET failed_login_count = failed_login_count + 1,
+        last_failed_login_at = NOW(),
+        locked_until = CASE
+          WHEN failed_login_count + 1 >= $2 THEN NOW() + ($3 || ' minutes')::interval
+          ELSE locked_until
+        END
+    WHERE id = $1
+    RETURNING failed_login_count, locked_until
+    `,
+    [userId, LOCKOUT_AFTER, String(LOCKOUT_MINUTES)]
+  );
+  return rows[0] || null;
+}
+
+async function registerSuccess(userId) {
+  await pool.query(
+    `
+    UPDATE users
+    SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL
+    WHERE id = $1
+      AND (failed_login_count <> 0 OR locked_until IS NOT NULL)
+    `,
+    [userId]
+  );
+}
+
+async function unlockAccount(userId) {
+  const { rows } = await pool.query(
+    `
+    UPDATE users
+    SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL, updated_at = NOW()
+    WHERE id::text = $1
+    RETURNING id, username, email, failed_login_count, locked_until
+    `,
+    [String(userId)]
+  );
+  return rows[0] || null;
+}
+
+module.exports = {
+  BLOCK_REASONS,
+  LOCKOUT_AFTER,
+  LOCKOUT_MINUTES,
+  checkIp,
+  checkAccount,
+  recordAttempt,
+  registerFailure,
+  registerSuccess,
+  unlockAccount,
+};
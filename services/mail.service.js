@@ -0,0 +1,170 @@
+// backend/services/mail.service.js
+"use strict";
+
+const pool = require("../config/database");
+
+/**
+ * Mail delivery through an outbox (table: mail_outbox).
+ *
+ * Every message is written to the outbox first, then handed to the configured
+ * transport. The row keeps status/attempts/last_error so nothing is lost when
+ * delivery fails; flushOutbox() retries pending/failed rows.
+ *
+ * MAIL_TRANSPORT:
+ *   outbox   (default) store only; an external worker or an admin can flush later
+ *   console  print the message to the server log (handy in dev)
+ *   smtp     deliver with nodemailer. For a local catcher (MailHog / Mailpit):
+ *              SMTP_HOST=localhost SMTP_PORT=1025
+ *            Optional: SMTP_SECURE=true, SMTP_USER, SMTP_PASS
+ *            SMTP_ALLOW_SELF_SIGNED=true skips certificate checks (local catchers only, never in
+ *            production; off by default)
+ *
+ * MAIL_FROM defaults to "Cemetery <no-reply@localhost>".
+ */
+
+const MAIL_FROM = process.env.MAIL_FROM || "Cemetery <no-reply@localhost>";
+const MAX_ATTEMPTS = 5;
+
+/* ---------------- transports ---------------- */
+// transport(message) -> Promise<void>; return { skip: true } to leave the row pending
+const transports = {
+  outbox: async () => ({ skip: true }),
+
+  console: async (msg) => {
+    console.log("[MAIL] ------------------------------------------");
+    console.log("[MAIL] to:", msg.to);
+    console.log("[MAIL] subject:", msg.subject);
+    console.log(msg.text || msg.html || "");
+    console.log("[MAIL] ------------------------------------------");
+  },
+
+  smtp: async (msg) => {
+    const transporter = getSmtpTransporter();
+    await transporter.sendMail({
+      from: MAIL_FROM,
+      to: msg.to,
+      subject: msg.subject,
+      text: msg.text || undefined,
+      html: msg.html || undefined,
+    });
+  },
+};
+
+function smtpAllowSelfSigned() {
+  return String(process.env.SMTP_ALLOW_SELF_SIGNED || "").toLowerCase() === "true";
+}
+
+let _smtp = null;
+function getSmtpTransporter() {
+  if (_smtp) return _smtp;
+
+  // required lazily so the outbox/console transports work without nodemailer
+  const nodemailer = require("nodemailer");
+
+  const port = Number(process.env.SMTP_PORT) || 1025;
+  _smtp = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || "localhost",
+    port,
+    secure: String(process.env.SMTP_SECURE || "").toLowerCase() === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || "" }
+      : undefined,
+    // local catchers use self-signed certs; certificates are checked unless explicitly allowed
+    tls: { rejectUnauthorized: !smtpAllowSelfSigned() },
+  });
+  return _smtp;
+}
+
+/** Plug in another transport (e.g. an HTTP mail API) without touching callers. */
+function registerTransport(name, fn) {
+  transports[String(name)] = fn;
+}
+
+function activeTransportName() {
+  const name = String(process.env.MAIL_TRANSPORT || "outbox").toLowerCase();
+  return transports[name] ? name : "outbox";
+}
+
+/* ---------------- outbox ---------------- */
+async function deliverRow(row) {
+  const name = activeTransportName();
+  const msg = { to: row.to_address, subject: row.subject, text: row.body_text, html: row.body_html };
+
+  try {
+    const out = await transports[name](msg);
+    if (out && out.skip) return row;
+
+    const { rows } = await pool.query(
+      `
+      UPDATE mail_outbox
+      SET status = 'sent', sent_at = NOW(), transport = $2,
+          attempts = attempts + 1, last_error = NULL
+      WHERE id = $1
+      RETURNING *
+      `,
+      [row.id, name]
+    );
+    return rows[0];
+  } catch (err) {
+    console.error(`[MAIL] delivery failed (outbox #${row.id}):`, err.message);
+    const { rows } = await pool.query(
+      `
+      UPDATE mail_outbox
+      SET status = 'failed', transport = $2,
+          attempts = attempts + 1, last_error = $3
+      WHERE id = $1
+      RETURNING *
+      `,
+      [row.id, name, String(err.message || err).slice(0, 1000)]
+    );
+    return rows[0];
+  }
+}
+
+/**
+ * Queues a message and attempts delivery right away.
+ * Never throws on delivery errors (the row is marked failed instead).
+ */
+async function sendMail({ to, subject, text = null, html = null, template = null }) {
+  if (!to || !subject) throw new Error("sendMail: to and subject are required");
+
+  const { rows } = await pool.query(
+    `
+    INSERT INTO mail_outbox (to_address, subject, body_text, body_html, template)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING *
+    `,
+    [String(to), String(subject), text, html, template]
+  );
+
+  return deliverRow(rows[0]);
+}
+
+/** Retries pending/failed rows (oldest first). Returns { attempted, sent }. */
+async function flushOutbox({ limit = 50 } = {}) {
+  const { rows } = await pool.query(
+    `
+    SELECT *
+    FROM mail_outbox
+    WHERE status IN ('pending', 'failed')
+      AND attempts < $1
+    ORDER BY id ASC
+    LIMIT $2
+    `,
+    [MAX_ATTEMPTS, limit]
+  );
+
+  let sent = 0;
+  for (const row of rows) {
+    const out = await deliverRow(row);
+    if (out?.status === "sent") sent++;
+  }
+  return { attempted: rows.length, sent };
+}
+
+module.exports = {
+  sendMail,
+  flushOutbox,
+  registerTransport,
+  activeTransportName,
+};
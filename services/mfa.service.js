@@ -0,0 +1,277 @@
+// backend/services/mfa.service.js
+"use strict";
+
+const crypto = require("crypto");
+const QRCode = require("qrcode");
+const pool = require("../config/database");
+const totp = require("./totp.service");
+const { hashToken } = require("./session.service");
+
+/**
+ * TOTP two-factor authentication (tables: user_mfa, mfa_recovery_codes, mfa_challenges).
+ *
+ * MFA_REQUIRED_ROLES       roles that must use 2FA (default "super_admin,admin,staff");
+ *                          everyone else may opt in.
+ * MFA_ISSUER               name shown in the authenticator app (default "Cemetery")
+ * MFA_ENCRYPTION_KEY       32-byte key (hex or base64) used to encrypt secrets at rest.
+ *                          Falls back to a key derived from JWT_SECRET.
+ * MFA_CHALLENGE_TTL_MINUTES  how long the password step stays valid (default 5)
+ */
+
+const REQUIRED_ROLES = new Set(
+  String(process.env.MFA_REQUIRED_ROLES ?? "super_admin,admin,staff")
+    .split(",")
+    .map((r) => r.trim().toLowerCase())
+    .filter(Boolean)
+);
+const ISSUER = process.env.MFA_ISSUER || "Cemetery";
+const CHALLENGE_TTL_MINUTES = Number(process.env.MFA_CHALLENGE_TTL_MINUTES) || 5;
+const CHALLENGE_MAX_ATTEMPTS = 5;
+const RECOVERY_CODE_COUNT = 10;
+
+function isRequiredForRole(role) {
+  return REQUIRED_ROLES.has(String(role || "").toLowerCase());
+}
+
+/* ---------------- secret encryption ---------------- */
+function encryptionKey() {
+  const raw = process.env.MFA_ENCRYPTION_KEY;
+  if (raw) {
+    const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, "hex") : Buffer.from(raw, "base64");
+    if (key.length === 32) return key;
+    throw new Error("MFA_ENCRYPTION_KEY must be 32 bytes (64 hex chars or base64)");
+  }
+  if (!process.env.JWT_SECRET) throw new Error("MFA_ENCRYPTION_KEY or JWT_SECRET is required for 2FA");
+  return crypto.createHash("sha256").update(`mfa:${process.env.JWT_SECRET}`).digest();
+}
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const enc = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), enc].map((b) => b.toString("base64url")).join(".");
+}
+
+function decryptSecret(stored) {
+  const [iv, tag, enc] = String(stored).split(".").map((p) => Buffer.from(p, "base64url"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(enc), decipher.final()]).toString("utf8");
+}
+
+/* ---------------- status ---------------- */
+async function getStatus(user) {
+  const { rows } = await pool.query(
+    `
+    SELECT
+      m.enabled_at,
+      (SELECT COUNT(*)::int FROM mfa_recovery_codes c
+        WHERE c.user_id = $1 AND c.used_at IS NULL) AS recovery_codes_left
+    FROM (SELECT $1::bigint AS user_id) x
+    LEFT JOIN user_mfa m ON m.user_id = x.user_id
+    `,
+    [user.id]
+  );
+  const r = rows[0] || {};
+  return {
+    enabled: Boolean(r.enabled_at),
+    enabled_at: r.enabled_at ?? null,
+    required: isRequiredForRole(user.role),
+    recovery_codes_left: r.recovery_codes_left ?? 0,
+  };
+}
+
+async function isEnabled(userId) {
+  const { rows } = await pool.query(
+    `SELECT 1 FROM user_mfa WHERE user_id = $1 AND enabled_at IS NOT NULL LIMIT 1`,
+    [userId]
+  );
+  return rows.length > 0;
+}
+
+/* ---------------- enrollment ---------------- */
+/**
+ * Starts (or restarts) enrollment with a fresh secret. Returns { error } when 2FA is
+ * already on, else { secret, otpauth_uri, qr_code } (qr_code is a PNG data URL).
+ */
+async function beginEnrollment(user) {
+  const secret = totp.generateSecret();
+
+  const { rowCount } = await pool.query(
+    `
+    INSERT INTO user_mfa (user_id, secret_encrypted)
+    VALUES ($1, $2)
+    ON CONFLICT (user_id) DO UPDATE
+      SET secret_encrypted = EXCLUDED.secret_encrypted, last_used_step = NULL, updated_at = NOW()
+      WHERE user_mfa.enabled_at IS NULL
+    `,
+    [user.id, encryptSecret(secret)]
+  );
+  if (!rowCount) return { error: "Two-factor authentication is already enabled" };
+
+  const uri = totp.otpauthUri(secret, { issuer: ISSUER, account: user.email || user.username });
+  return { secret, otpauth_uri: uri, qr_code: await QRCode.toDataURL(uri) };
+}
+
+/**
+ * Turns 2FA on after the first valid code. Returns the plaintext recovery codes
+ * (shown once), or null when the code is wrong / there is no pending enrollment.
+ */
+async function confirmEnrollment(userId, code) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const { rows } = await client.query(
+      `SELECT secret_encrypted FROM user_mfa WHERE user_id = $1 AND enabled_at IS NULL FOR UPDATE`,
+      [userId]
+    );
+    const step = rows.length ? totp.verifyCode(decryptSecret(rows[0].secret_encrypted), code) : null;
+    if (step == null) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+
+    await client.query(
+      `UPDATE user_mfa SET enabled_at = NOW(), last_used_step = $2, updated_at = NOW() WHERE user_id = $1`,
+      [userId, step]
+    );
+    const codes = await replaceRecoveryCodes(userId, client);
+
+    await client.query("COMMIT");
+    return codes;
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function disable(userId, db = pool) {
+  await db.query(`DELETE FROM mfa_recovery_codes WHERE user_id = $1`, [userId]);
+  const { rowCount } = await db.query(`DELETE FROM user_mfa WHERE user_id = $1`, [userId]);
+  return rowCount > 0;
+}
+
+/* ---------------- codes ---------------- */
+function newRecoveryCode() {
+  const hex = crypto.randomBytes(5).toString("hex");
+  return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || "").toLowerCase().replace(/[^0-9a-f]/g, "");
+}
+
+async function replaceRecoveryCodes(userId, db = pool) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, newRecoveryCode);
+
+  await db.query(`DELETE FROM mfa_recovery_codes WHERE user_id = $1`, [userId]);
+  await db.query(
+    `
+    INSERT INTO mfa_recovery_codes (user_id, code_hash)
+    SELECT $1, h FROM unnest($2::text[]) AS h
+    `,
+    [userId, codes.map((c) => hashToken(normalizeRecoveryCode(c)))]
+  );
+  return codes;
+}
+
+/**
+ * Checks a TOTP code (or a one-time recovery code) for a user with 2FA enabled.
+ * Returns "totp", "recovery_code" or null. A TOTP code can't be used twice.
+ */
+async function verifySecondFactor(userId, { code, recovery_code } = {}) {
+  if (recovery_code) {
+    const { rowCount } = await pool.query(
+      `
+      UPDATE mfa_recovery_codes SET used_at = NOW()
+      WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+      `,
+      [userId, hashToken(normalizeRecoveryCode(recovery_code))]
+    );
+    return rowCount ? "recovery_code" : null;
+  }
+
+  const { rows } = await pool.query(
+    `SELECT secret_encrypted, last_used_step FROM user_mfa WHERE user_id = $1 AND enabled_at IS NOT NULL`,
+    [userId]
+  );
+  if (!rows.length) return null;
+
+  const step = totp.verifyCode(decryptSecret(rows[0].secret_encrypted), code, {
+    afterStep: rows[0].last_used_step,
+  });
+  if (step == null) return null;
+
+  // only one request can claim a given step
+  const { rowCount } = await pool.query(
+    `
+    UPDATE user_mfa SET last_used_step = $2, updated_at = NOW()
+    WHERE user_id = $1 AND (last_used_step IS NULL OR last_used_step < $2)
+    `,
+    [userId, step]
+  );
+  return rowCount ? "totp" : null;
+}
+
+/* ---------------- login challenges ---------------- */
+// purpose: "verify" (enter a code) or "enroll" (role requires 2FA, user has none yet)
+async function createChallenge(userId, purpose) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  await pool.query(
+    `
+    INSERT INTO mfa_challenges (user_id, purpose, token_hash, expires_at)
+    VALUES ($1, $2, $3, NOW() + ($4 || ' minutes')::interval)
+    `,
+    [userId, purpose, hashToken(token), String(CHALLENGE_TTL_MINUTES)]
+  );
+  return { mfa_token: token, expires_in: CHALLENGE_TTL_MINUTES * 60 };
+}
+
+/** Returns the live challenge row (with attempts left), or null. */
+async function findChallenge(token, purpose) {
+  if (!token) return null;
+  const { rows } = await pool.query(
+    `
+    SELECT id, user_id, attempts
+    FROM mfa_challenges
+    WHERE token_hash = $1 AND purpose = $2
+      AND used_at IS NULL AND expires_at > NOW() AND attempts < $3
+    LIMIT 1
+    `,
+    [hashToken(String(token)), purpose, CHALLENGE_MAX_ATTEMPTS]
+  );
+  return rows[0] || null;
+}
+
+async function failChallenge(id) {
+  await pool.query(`UPDATE mfa_challenges SET attempts = attempts + 1 WHERE id = $1`, [id]);
+}
+
+/** Marks the challenge used; false if another request got there first. */
+async function consumeChallenge(id) {
+  const { rowCount } = await pool.query(
+    `UPDATE mfa_challenges SET used_at = NOW() WHERE id = $1 AND used_at IS NULL`,
+    [id]
+  );
+  return rowCount > 0;
+}
+
+module.exports = {
+  isRequiredForRole,
+  getStatus,
+  isEnabled,
+  beginEnrollment,
+  confirmEnrollment,
+  disable,
+  replaceRecoveryCodes,
+  verifySecondFactor,
+  createChallenge,
+  findChallenge,
+  failChallenge,
+  consumeChallenge,
+};
@@ -0,0 +1,354 @@
+// backend/services/name-search.service.js
+"use strict";
+
+const pool = require("../config/database");
+
+/**
+ * Deceased-name search over graves.deceased_name and plots.person_full_name (migration 018).
+ * person_full_name is only searched on plots without active graves: elsewhere it is the graves'
+ * names joined (interment.service syncPlotPersonFields) and would match across two people.
+ *
+ * A name matches the query when it contains it (after name_search_norm), when every query word
+ * sounds like part of it (name_phonetic_key: "Dela Cruz" = "Delacruz", "Kruz" = "Cruz"), or when
+ * its trigram word similarity reaches min_score. One row per plot, best-matching person first.
+ */
+
+const YEAR_MIN = 1000;
+const YEAR_MAX = 2200;
+const DEFAULT_MIN_SCORE = 0.3;
+const PHONETIC_MIN_KEY = 2;
+
+function nameSearchError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/** Same folding as name_search_norm() in SQL: lower case, no accents, punctuation to spaces. */
+function normalizeName(value) {
+  return String(value || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function parseYear(raw, name) {
+  if (raw == null || raw === "") return null;
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n < YEAR_MIN || n > YEAR_MAX) {
+    throw nameSearchError(`${name} must be a year between ${YEAR_MIN} and ${YEAR_MAX}`);
+  }
+  return n;
+}
+
+/** from / to (or the exact year) for birth_ or death_; throws 400 when from > to. */
+function parseYearRange(query, prefix) {
+  const exact = parseYear(query[`${prefix}_year`], `${prefix}_year`);
+  const from = exact ?? parseYear(query[`${prefix}_year_from`], `${prefix}_year_from`);
+  const to = exact ?? parseYear(query[`${prefix}_year_to`], `${prefix}_year_to`);
+  if (from != null && to != null && from > to) {
+    throw nameSearchError(`${prefix}_year_from must not be after ${prefix}_year_to`);
+  }
+  return { from, to };
+}
+
+/**
+ * Query string -> search options. Throws 400.
+ * q, birth_year / birth_year_from / birth_year_to, death_year(_from/_to), section (id, uid or
+ * name), min_score (0.1 - 1), limit, offset
+ */
+function parseSearchQuery(query = {}) {
+  const q = String(query.q || "").trim();
+  const tokens = [...new Set(normalizeName(q).split(" ").filter(Boolean))];
+
+  let minScore = DEFAULT_MIN_SCORE;
+  if (query.min_score != null && query.min_score !== "") {
+    minScore = Number(query.min_score);
+    if (!Number.isFinite(minScore) || minScore < 0.1 || minScore > 1) {
+      throw nameSearchError("min_score must be a number between 0.1 and 1");
+    }
+  }
+
+  const limitRaw = query.limit ? Number(query.limit) : 250;
+  const offsetRaw = query.offset ? Number(query.offset) : 0;
+
+  return {
+    q: normalizeName(q) ? q : "",
+    tokens,
+    birth: parseYearRange(query, "birth"),
+    death: parseYearRange(query, "death"),
+    section: query.section == null || String(query.section).trim() === "" ? null : String(query.section).trim(),
+    minScore,
+    limit: Number.isFinite(limitRaw) ? Math.max(1, Math.min(limitRaw, 5000)) : 250,
+    offset: Number.isFinite(offsetRaw) ? Math.max(0, offsetRaw) : 0,
+  };
+}
+
+/**
+ * [start, end) ranges of the words of name that match a query word: by spelling (one contains
+ * the other) or by sound (phonetic keys, computed in SQL and passed in word order).
+ */
+function highlightRanges(name, tokens, wordKeys = [], queryKeys = []) {
+  const ranges = [];
+  const words = [...String(name || "").matchAll(/\S+/g)];
+  words.forEach((m, i) => {
+    const word = normalizeName(m[0]).replace(/ /g, "");
+    const key = wordKeys[i] || "";
+    const bySpelling =
+      word &&
+      tokens.some(
+        (t) => word.startsWith(t) || (t.length >= 2 && word.includes(t)) || (word.length >= 2 && t.includes(word))
+      );
+    const bySound =
+      key.length >= PHONETIC_MIN_KEY &&
+      queryKeys.some((k) => k.length >= PHONETIC_MIN_KEY && (key.includes(k) || k.includes(key)));
+    if (bySpelling || bySound) ranges.push([m.index, m.index + m[0].length]);
+  });
+  return ranges;
+}
+
+/** name_search_norm(q) and the phonetic keys of its words, as the SQL functions compute them. */
+async function queryKeys(db, q, tokens) {
+  const { rows } = await db.query(
+    `
+    SELECT name_search_norm($1) AS norm,
+           ARRAY(
+             SELECT DISTINCT name_phonetic_key(t) FROM unnest($2::text[]) t
+             WHERE length(name_phonetic_key(t)) >= ${PHONETIC_MIN_KEY}
+           ) AS keys
+    `,
+    [q, tokens]
+  );
+  return { norm: rows[0].norm || "", keys: rows[0].keys || [] };
+}
+
+/**
+ * Burial records (one row per plot, visitor search shape) filtered by name, birth / death year
+ * and section. With q each row carries `match`: { name, source, grave_id, score, method,
+ * highlight } and rows come best score first; without q newest plot first.
+ *
+ * The name filters are the operators the trigram indexes of migration 018 serve (LIKE and <%,
+ * on the indexed expressions), and the SQL functions run once per candidate row. <% reads
+ * pg_trgm.word_similarity_threshold, so db is the pool (the search takes a connection and a
+ * transaction of its own) or a client already inside a transaction.
+ */
+async function searchBurialRecords(db = pool, opts) {
+  const client = db === pool ? await pool.connect() : db;
+  const own = client !== db;
+  try {
+    if (own) await client.query("BEGIN");
+    const rows = await runSearch(client, opts);
+    if (own) await client.query("COMMIT");
+    return rows;
+  } catch (err) {
+    if (own) {
+      try {
+        await client.query("ROLLBACK");
+      } catch {}
+    }
+    throw err;
+  } finally {
+    if (own) client.release();
+  }
+}
+
+async function runSearch(db, { q, tokens, birth, death, section, minScore, limit, offset }) {
+  const params = [];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  const personWhere = ["NULLIF(TRIM(pe.name), '') IS NOT NULL"];
+  const yearFilter = (col, { from, to }) => {
+    if (from != null) personWhere.push(`EXTRACT(YEAR FROM pe.${col}) >= ${param(from)}`);
+    if (to != null) personWhere.push(`EXTRACT(YEAR FROM pe.${col}) <= ${param(to)}`);
+  };
+  yearFilter("birth_date", birth);
+  yearFilter("death_date", death);
+
+  // per source table: its norm / key columns and (with q) the index-backed name filter
+  let nameSql = () => ({ columns: "NULL::text AS norm, NULL::text AS key", where: "TRUE" });
+  let matchSql = "FALSE AS is_exact, FALSE AS is_phonetic, NULL::float AS similarity";
+  let scoreSql = "NULL::float";
+  let methodSql = "NULL::text";
+  let keys = [];
+  if (q) {
+    const query = await queryKeys(db, q, tokens);
+    keys = query.keys;
+    await db.query(`SELECT set_config('pg_trgm.word_similarity_threshold', $1, true)`, [String(minScore)]);
+
+    // norm and keys only hold [a-z0-9 ], nothing to escape in the LIKE patterns
+    const np = param(query.norm);
+    const ep = param(`%${query.norm}%`);
+    const kps = keys.map((k) => param(`%${k}%`));
+    const phonetic = (key) => (kps.length ? `(${kps.map((kp) => `${key} LIKE ${kp}`).join(" AND ")})` : "FALSE");
+
+    nameSql = (name) => {
+      const norm = `name_search_norm(${name})`;
+      const key = `name_phonetic_key(${name})`;
+      return {
+        columns: `${norm} AS norm, ${key} AS key`,
+        where: `(${norm} LIKE ${ep} OR ${phonetic(key)} OR ${np} <% ${norm})`,
+      };
+    };
+
+    methodSql = "CASE WHEN pe.is_exact THEN 'exact' WHEN pe.is_phonetic THEN 'phonetic' ELSE 'trigram' END";
+    scoreSql = `ROUND((CASE
+        WHEN pe.is_exact THEN 1
+        WHEN pe.is_phonetic THEN GREATEST(pe.similarity, 0.6 + 0.3 * pe.similarity)
+        ELSE pe.similarity
+      END)::numeric, 3)::float`;
+    matchSql = `strpos(m.norm, ${np}) > 0 AS is_exact,
+             ${phonetic("m.key")} AS is_phonetic,
+             word_similarity(${np}, m.norm) AS similarity`;
+  }
+  const graves = nameSql("g.deceased_name::text");
+  const plots = nameSql("p.person_full_name");
+
+  const plotWhere = [];
+  if (section) {
+    const sp = param(section);
+    plotWhere.push(`(
+      p.section_id IN (SELECT id FROM cemetery_sections
+                       WHERE id::text = ${sp} OR uid::text = ${sp} OR LOWER(section_name) = LOWER(${sp}))
+      OR (p.section_id IS NULL AND LOWER(p.section_name) = LOWER(${sp}))
+    )`);
+  }
+
+  const lp = param(limit);
+  const op = param(offset);
+
+  const { rows } = await db.query(
+    `
+    WITH people AS (
+      SELECT g.plot_id, 'grave' AS source, g.id AS grave_id, g.deceased_name::text AS name,
+             g.birth_date, g.death_date, ${graves.columns}
+      FROM graves g
+      WHERE g.is_active AND g.plot_id IS NOT NULL AND ${graves.where}
+      UNION ALL
+      SELECT p.id, 'plot', NULL, p.person_full_name, p.date_of_birth, p.date_of_death, ${plots.columns}
+      FROM plots p
+      WHERE NOT EXISTS (SELECT 1 FROM graves g WHERE g.plot_id = p.id AND g.is_active) AND ${plots.where}
+    ),
+    matched AS (
+      SELECT m.*, ${matchSql}
+      FROM people m
+    ),
+    scored AS (
+      SELECT pe.*, ${scoreSql} AS score, ${methodSql} AS method
+      FROM matched pe
+      WHERE ${personWhere.join(" AND ")}
+    ),
+    best AS (
+      SELECT DISTINCT ON (plot_id) *
+      FROM scored
+      ORDER BY plot_id, score DESC NULLS LAST, (source = 'grave') DESC, grave_id
+    )
+    SELECT
+      p.id,
+      p.uid,
+      p.id::text AS plot_id,
+
+      NULLIF(TRIM(p.person_full_name), '') AS person_full_name,
+      NULL::text AS deceased_name,
+
+      p.date_of_birth AS birth_date,
+      p.date_of_death AS death_date,
+      NULL::date AS burial_date,
+      NULL::text AS qr_token,
+      true AS is_active,
+      p.created_at,
+      p.updated_at,
+
+      p.plot_name,
+      p.status AS plot_status,
+      p.uid AS plot_uid,
+      COALESCE(s.section_name::text, p.section_name::text) AS section_name,
+
+      NULLIF(TRIM(p.photo_url), '') AS photo_url,
+
+      plot_capacity(p.id) AS capacity,
+      COALESCE(persons.list, '[]'::json) AS persons,
+
+      CASE
+        WHEN COALESCE(p.coordinates, p.geom) IS NULL THEN NULL
+        ELSE ST_Y(ST_PointOnSurface(COALESCE(p.coordinates::geometry, p.geom::geometry)))
+      END AS lat,
+      CASE
+        WHEN COALESCE(p.coordinates, p.geom) IS NULL THEN NULL
+        ELSE ST_X(ST_PointOnSurface(COALESCE(p.coordinates::geometry, p.geom::geometry)))
+      END AS lng,
+
+      b.name AS match_name,
+      b.source AS match_source,
+      b.grave_id AS match_grave_id,
+      b.score AS match_score,
+      b.method AS match_method,
+      ARRAY(
+        SELECT name_phonetic_key(w) FROM unnest(regexp_split_to_array(TRIM(b.name), '\\s+'))
+          WITH ORDINALITY AS x(w, n)
+        ORDER BY n
+      ) AS match_word_keys
+
+    FROM best b
+    JOIN plots p ON p.id = b.plot_id
+    LEFT JOIN cemetery_sections s ON s.id = p.section_id
+    LEFT JOIN LATERAL (
+      SELECT json_agg(
+        json_build_object(
+          'grave_id', g.id,
+          'name', g.deceased_name,
+          'birth_date', g.birth_date,
+          'death_date', g.death_date,
+          'burial_date', g.burial_date,
+          'interment_level', g.interment_level,
+          'interment_position', g.interment_position
+        )
+        ORDER BY g.interment_level NULLS LAST, g.interment_position NULLS FIRST, g.id
+      ) AS list
+      FROM graves g
+      WHERE g.plot_id = p.id AND g.is_active
+    ) persons ON TRUE
+    ${plotWhere.length ? `WHERE ${plotWhere.join(" AND ")}` : ""}
+    ORDER BY b.score DESC NULLS LAST, p.id DESC
+    LIMIT ${lp}
+    OFFSET ${op}
+    `,
+    params
+  );
+
+  return rows.map((row) => {
+    const {
+      match_name,
+      match_source,
+      match_grave_id,
+      match_score,
+      match_method,
+      match_word_keys,
+      ...rest
+    } = row;
+    if (!q) return rest;
+    return {
+      ...rest,
+      match: {
+        name: match_name,
+        source: match_source,
+        grave_id: match_grave_id,
+        score: match_score,
+        method: match_method,
+        highlight: highlightRanges(match_name, tokens, match_word_keys || [], keys),
+      },
+    };
+  });
+}
+
+module.exports = {
+  nameSearchError,
+  normalizeName,
+  parseSearchQuery,
+  highlightRanges,
+  searchBurialRecords,
+};
@@ -0,0 +1,497 @@
+// backend/services/navigation.service.js
+"use strict";
+
+const pool = require("../config/database");
+
+/**
+ * Walking directions over the path network.
+ *
+ * The graph is built from navigation_paths, road_plots and road/path features of
+ * cemetery_infrastructure. PostGIS snaps near-miss line ends together and nodes every
+ * crossing; the shortest path itself is an A* search in memory (the network is small).
+ *
+ * NAVIGATION_SNAP_METERS           join line ends closer than this (default 2)
+ * NAVIGATION_GRAPH_TTL_SECONDS     how long the built graph is reused (default 300)
+ * NAVIGATION_WALK_SPEED_MPS        default 1.2 m/s
+ * NAVIGATION_ACCESSIBLE_SPEED_MPS  default 0.8 m/s (accessible mode)
+ * NAVIGATION_ACCESSIBLE_MAX_DIFFICULTY  highest difficulty_level allowed in accessible mode (default 2)
+ */
+
+const SNAP_METERS = Number(process.env.NAVIGATION_SNAP_METERS) || 2;
+const GRAPH_TTL_MS = (Number(process.env.NAVIGATION_GRAPH_TTL_SECONDS) || 300) * 1000;
+const WALK_SPEED = Number(process.env.NAVIGATION_WALK_SPEED_MPS) || 1.2;
+const ACCESSIBLE_SPEED = Number(process.env.NAVIGATION_ACCESSIBLE_SPEED_MPS) || 0.8;
+const ACCESSIBLE_MAX_DIFFICULTY = Number(process.env.NAVIGATION_ACCESSIBLE_MAX_DIFFICULTY) || 2;
+
+// start/destination further than this from any usable path -> no route
+const MAX_SNAP_DISTANCE_M = 300;
+
+const EARTH_RADIUS_M = 6371008.8;
+const rad = (d) => (d * Math.PI) / 180;
+
+/* ---------------- geometry (local, cemetery-scale) ---------------- */
+function distanceM(a, b) {
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+}
+
+/** Compass bearing a -> b in degrees (0 = north, 90 = east). */
+function bearing(a, b) {
+  const y = Math.sin(rad(b.lng - a.lng)) * Math.cos(rad(b.lat));
+  const x =
+    Math.cos(rad(a.lat)) * Math.sin(rad(b.lat)) -
+    Math.sin(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.cos(rad(b.lng - a.lng));
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+}
+
+/** Closest point to p on segment a-b: { point, t, distance }. */
+function projectOnSegment(p, a, b) {
+  const k = Math.cos(rad(p.lat));
+  const ax = a.lng * k;
+  const bx = b.lng * k;
+  const px = p.lng * k;
+  const dx = bx - ax;
+  const dy = b.lat - a.lat;
+  const len2 = dx * dx + dy * dy;
+  const t = len2 ? Math.min(Math.max(((px - ax) * dx + (p.lat - a.lat) * dy) / len2, 0), 1) : 0;
+  const point = { lng: a.lng + (b.lng - a.lng) * t, lat: a.lat + (b.lat - a.lat) * t };
+  return { point, t, distance: distanceM(p, point) };
+}
+
+/* ---------------- graph ---------------- */
+async function tableExists(table) {
+  const { rows } = await pool.query(`SELECT to_regclass($1) AS reg`, [`public.${table}`]);
+  return Boolean(rows[0]?.reg);
+}
+
+// the line sources that exist in this database, as simple LineStrings with routing attributes
+async function sourceQueries() {
+  const parts = [];
+
+  if (await tableExists("navigation_paths")) {
+    parts.push(`
+      SELECT
+        'path'::text AS kind, path_name::text AS name, path_type::text AS path_type,
+        is_accessible, difficulty_level, surface_type::text AS surface_type,
+        (ST_Dump(geometry)).geom AS geom
+      FROM navigation_paths
+      WHERE geometry IS NOT NULL
+    `);
+  }
+
+  if (await tableExists("road_plots")) {
+    parts.push(`
+      SELECT
+        'road'::text, COALESCE(plot_name::text, plot_code::text), 'road'::text,
+        TRUE, 1, NULL::text,
+        (ST_Dump(
+          CASE
+            WHEN GeometryType(g) IN ('LINESTRING','MULTILINESTRING') THEN g
+            WHEN GeometryType(g) IN ('POLYGON','MULTIPOLYGON') THEN ST_Boundary(g)
+          END
+        )).geom
+      FROM (SELECT plot_name, plot_code, COALESCE(coordinates, plot_boundary) AS g FROM road_plots) r
+      WHERE g IS NOT NULL
+    `);
+  }
+
+  if (await tableExists("cemetery_infrastructure")) {
+    parts.push(`
+      SELECT
+        type::text, name::text, type::text,
+        TRUE, 1, NULL::text,
+        (ST_Dump(geometry)).geom
+      FROM cemetery_infrastructure
+      WHERE type IN ('road', 'path')
+        AND geometry IS NOT NULL
+        AND GeometryType(geometry) IN ('LINESTRING','MULTILINESTRING')
+    `);
+  }
+
+  return parts;
+}
+
+async function loadNetwork() {
+  const parts = await sourceQueries();
+  if (!parts.length) return [];
+
+  const { rows } = await pool.query(
+    `
+    WITH src AS (
+      ${parts.join(" UNION ALL ")}
+    ),
+    all_lines AS (SELECT ST_Collect(geom) AS g FROM src),
+    snapped AS (
+      SELECT s.kind, s.name, s.path_type, s.is_accessible, s.difficulty_level, s.surface_type,
+             ST_Snap(s.geom, a.g, $1) AS geom
+      FROM src s, all_lines a
+    ),
+    noded AS (
+      SELECT (ST_Dump(ST_Node(ST_Collect(geom)))).geom AS geom FROM snapped
+    )
+    SELECT l.kind, l.name, l.path_type, l.is_accessible, l.difficulty_level, l.surface_type,
+           ST_AsGeoJSON(n.geom, 7)::json AS geometry
+    FROM noded n
+    CROSS JOIN LATERAL (
+      SELECT * FROM snapped s
+      ORDER BY s.geom <-> ST_LineInterpolatePoint(n.geom, 0.5)
+      LIMIT 1
+    ) l
+    `,
+    [SNAP_METERS / 111320]
+  );
+  return rows;
+}
+
+function buildGraph(pieces) {
+  const nodes = []; // { id, lng, lat }
+  const index = new Map(); // "lng,lat" -> node id
+  const edges = []; // { a, b, length, way }
+  const adjacency = new Map(); // node id -> edge ids
+
+  const nodeId = ([lng, lat]) => {
+    const key = `${lng},${lat}`;
+    if (!index.has(key)) {
+      index.set(key, nodes.length);
+      nodes.push({ id: nodes.length, lng, lat });
+    }
+    return index.get(key);
+  };
+
+  for (const p of pieces) {
+    const coords = p.geometry?.coordinates || [];
+    const way = {
+      kind: p.kind,
+      name: p.name || null,
+      path_type: p.path_type || null,
+      is_accessible: p.is_accessible !== false,
+      difficulty_level: Number(p.difficulty_level) || 1,
+      surface_type: p.surface_type || null,
+    };
+    for (let i = 1; i < coords.length; i++) {
+      const a = nodeId(coords[i - 1]);
+      const b = nodeId(coords[i]);
+      if (a === b) continue;
+      const id = edges.length;
+      edges.push({ id, a, b, length: distanceM(nodes[a], nodes[b]), way });
+      if (!adjacency.has(a)) adjacency.set(a, []);
+      if (!adjacency.has(b)) adjacency.set(b, []);
+      adjacency.get(a).push(id);
+      adjacency.get(b).push(id);
+    }
+  }
+
+  return { nodes, edges, adjacency };
+}
+
+let _graph = null;
+let _graphBuiltAt = 0;
+
+async function getGraph() {
+  if (_graph && Date.now() - _graphBuiltAt < GRAPH_TTL_MS) return _graph;
+  _graph = buildGraph(await loadNetwork());
+  _graphBuiltAt = Date.now();
+  return _graph;
+}
+
+/** Forget the cached graph (after paths or roads change). */
+function invalidateGraph() {
+  _graph = null;
+}
+
+function edgeAllowed(edge, accessible) {
+  if (!accessible) return true;
+  const w = edge.way;
+  return w.is_accessible && w.path_type !== "stairs" && w.difficulty_level <= ACCESSIBLE_MAX_DIFFICULTY;
+}
+
+/* ---------------- search ---------------- */
+// minimal binary heap keyed by f
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+  get size() {
+    return this.items.length;
+  }
+  push(item) {
+    const a = this.items;
+    a.push(item);
+    let i = a.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (a[parent].f <= a[i].f) break;
+      [a[parent], a[i]] = [a[i], a[parent]];
+      i = parent;
+    }
+  }
+  pop() {
+    const a = this.items;
+    const top = a[0];
+    const last = a.pop();
+    if (a.length) {
+      a[0] = last;
+      let i = 0;
+      for (;;) {
+        const l = 2 * i + 1;
+        const r = l + 1;
+        let m = i;
+        if (l < a.length && a[l].f < a[m].f) m = l;
+        if (r < a.length && a[r].f < a[m].f) m = r;
+        if (m === i) break;
+        [a[m], a[i]] = [a[i], a[m]];
+        i = m;
+      }
+    }
+    return top;
+  }
+}
+
+/** Nearest usable point on the network: { edge, point, t, distance } or null. */
+function snapToNetwork(graph, p, accessible) {
+  let best = null;
+  for (const e of graph.edges) {
+    if (!edgeAllowed(e, accessible)) continue;
+    const hit = projectOnSegment(p, graph.nodes[e.a], graph.nodes[e.b]);
+    if (!best || hit.distance < best.distance) best = { edge: e, ...hit };
+  }
+  return best && best.distance <= MAX_SNAP_DISTANCE_M ? best : null;
+}
+
+/**
+ * A* between two snapped points. Returns the list of { from, to, way, length } legs
+ * (from/to are { lng, lat }) or null when they are not connected.
+ */
+function search(graph, start, goal, accessible) {
+  const START = -1;
+  const GOAL = -2;
+  const point = (id) => (id === START ? start.point : id === GOAL ? goal.point : graph.nodes[id]);
+
+  // virtual edges from the snapped points to the ends of the edge they sit on
+  const virtual = new Map([
+    [START, []],
+    [GOAL, []],
+  ]);
+  const addVirtual = (from, to, way) => {
+    const leg = { to, way, length: distanceM(point(from), point(to)) };
+    if (!virtual.has(from)) virtual.set(from, []);
+    virtual.get(from).push(leg);
+  };
+  for (const [id, s] of [
+    [START, start],
+    [GOAL, goal],
+  ]) {
+    addVirtual(id, s.edge.a, s.edge.way);
+    addVirtual(id, s.edge.b, s.edge.way);
+    addVirtual(s.edge.a, id, s.edge.way);
+    addVirtual(s.edge.b, id, s.edge.way);
+  }
+  // both points on the same edge: walk along it directly
+  if (start.edge.id === goal.edge.id) addVirtual(START, GOAL, start.edge.way);
+
+  const neighbours = (id) => {
+    const out = [...(virtual.get(id) || [])];
+    for (const eid of graph.adjacency.get(id) || []) {
+      const e = graph.edges[eid];
+      if (!edgeAllowed(e, accessible)) continue;
+      out.push({ to: e.a === id ? e.b : e.a, way: e.way, length: e.length });
+    }
+    return out;
+  };
+
+  const dist = new Map([[START, 0]]);
+  const prev = new Map();
+  const heap = new MinHeap();
+  heap.push({ id: START, f: distanceM(start.point, goal.point) });
+
+  while (heap.size) {
+    const { id } = heap.pop();
+    if (id === GOAL) break;
+    const d = dist.get(id);
+    for (const n of neighbours(id)) {
+      const nd = d + n.length;
+      if (nd < (dist.get(n.to) ?? Infinity)) {
+        dist.set(n.to, nd);
+        prev.set(n.to, { from: id, way: n.way, length: n.length });
+        heap.push({ id: n.to, f: nd + distanceM(point(n.to), goal.point) });
+      }
+    }
+  }
+
+  if (!dist.has(GOAL)) return null;
+
+  const legs = [];
+  for (let id = GOAL; id !== START; ) {
+    const p = prev.get(id);
+    legs.unshift({ from: point(p.from), to: point(id), way: p.way, length: p.length });
+    id = p.from;
+  }
+  return legs;
+}
+
+/* ---------------- directions ---------------- */
+const COMPASS = ["north", "northeast", "east", "southeast", "south", "southwest", "west", "northwest"];
+
+function compass(deg) {
+  return COMPASS[Math.round(deg / 45) % 8];
+}
+
+function formatDistance(m) {
+  return m < 1000 ? `${Math.max(1, Math.round(m))} m` : `${(m / 1000).toFixed(1)} km`;
+}
+
+function wayLabel(way) {
+  if (!way) return null;
+  if (way.name) return way.name;
+  if (way.path_type === "stairs") return "the stairs";
+  return way.kind === "road" ? "the road" : "the path";
+}
+
+function turnText(delta) {
+  const a = Math.abs(delta);
+  const side = delta > 0 ? "right" : "left";
+  if (a < 20) return "Continue straight";
+  if (a < 60) return `Bear ${side}`;
+  if (a < 150) return `Turn ${side}`;
+  return "Make a U-turn";
+}
+
+/** Groups legs into steps: a new step starts on a new way or a turn sharper than 45°. */
+function buildSteps(legs, { arriveLabel }) {
+  const steps = [];
+  let cur = null;
+
+  for (const leg of legs) {
+    if (leg.length < 0.01) continue;
+    const b = bearing(leg.from, leg.to);
+    const delta = cur ? ((b - cur.endBearing + 540) % 360) - 180 : 0;
+    const label = wayLabel(leg.way);
+
+    if (!cur || label !== cur.label || Math.abs(delta) > 45) {
+      cur = {
+        label,
+        startBearing: b,
+        endBearing: b,
+        delta: steps.length ? delta : null,
+        distance: 0,
+        location: [leg.from.lng, leg.from.lat],
+      };
+      steps.push(cur);
+    }
+    cur.distance += leg.length;
+    cur.endBearing = b;
+  }
+
+  const out = steps.map((s, i) => {
+    const onto = s.label ? ` ${i === 0 ? "on" : "onto"} ${s.label}` : "";
+    const text =
+      i === 0
+        ? `Head ${compass(s.startBearing)}${onto} for ${formatDistance(s.distance)}`
+        : `${turnText(s.delta)}${onto} and walk ${formatDistance(s.distance)}`;
+    return {
+      instruction: text,
+      distance_m: Math.round(s.distance * 10) / 10,
+      bearing: Math.round(s.startBearing),
+      location: s.location,
+    };
+  });
+
+  const last = legs[legs.length - 1];
+  if (last) {
+    out.push({
+      instruction: `Arrive at ${arriveLabel || "your destination"}`,
+      distance_m: 0,
+      bearing: null,
+      location: [last.to.lng, last.to.lat],
+    });
+  }
+  return out;
+}
+
+/**
+ * Walking route between two points ({ lng, lat }).
+ * Returns { feature } (GeoJSON LineString Feature) or { error, status }.
+ */
+async function route(from, to, { accessible = false, arriveLabel = null } = {}) {
+  const graph = await getGraph();
+  if (!graph.edges.length) return { status: 503, error: "No path network has been mapped yet" };
+
+  const start = snapToNetwork(graph, from, accessible);
+  const goal = snapToNetwork(graph, to, accessible);
+  if (!start || !goal) {
+    return { status: 422, error: "Start or destination is too far from any usable path" };
+  }
+
+  const network = search(graph, start, goal, accessible);
+  if (!network) {
+    return {
+      status: 422,
+      error: accessible ? "No accessible route between these points" : "No route between these points",
+    };
+  }
+
+  // short walks on and off the network (from the gate / to the grave itself)
+  const legs = [
+    { from, to: start.point, way: null, length: start.distance },
+    ...network,
+    { from: goal.point, to, way: null, length: goal.distance },
+  ].filter((l) => l.length >= 0.01);
+
+  // already there (start and destination snap to the same point): nothing to walk
+  if (!legs.length) {
+    return {
+      feature: {
+        type: "Feature",
+        geometry: { type: "Point", coordinates: [to.lng, to.lat] },
+        properties: {
+          distance_m: 0,
+          duration_s: 0,
+          duration_text: "0 min",
+          accessible,
+          steps: [
+            {
+              instruction: `Arrive at ${arriveLabel || "your destination"}`,
+              distance_m: 0,
+              bearing: null,
+              location: [to.lng, to.lat],
+            },
+          ],
+        },
+      },
+    };
+  }
+
+  const distance = legs.reduce((sum, l) => sum + l.length, 0);
+  const speed = accessible ? ACCESSIBLE_SPEED : WALK_SPEED;
+  const duration = distance / speed;
+
+  const coordinates = [[legs[0].from.lng, legs[0].from.lat]];
+  for (const l of legs) coordinates.push([l.to.lng, l.to.lat]);
+
+  return {
+    feature: {
+      type: "Feature",
+      geometry: { type: "LineString", coordinates },
+      properties: {
+        distance_m: Math.round(distance * 10) / 10,
+        duration_s: Math.round(duration),
+        duration_text: `${Math.max(1, Math.round(duration / 60))} min`,
+        accessible,
+        steps: buildSteps(legs, { arriveLabel }),
+      },
+    },
+  };
+}
+
+module.exports = {
+  route,
+  invalidateGraph,
+  // exposed for reuse and quick checks
+  distanceM,
+  bearing,
+  buildGraph,
+  buildSteps,
+};
@@ -0,0 +1,300 @@
+// backend/services/occupancy.service.js
+"use strict";
+
+const pool = require("../config/database");
+
+/**
+ * Occupancy aggregates for the admin heat map: per section, per row and per grid cell.
+ *
+ * Every level returns the same properties: plot counts per status, occupancy_pct (occupied
+ * plots), utilization_pct (occupied + reserved), fill_pct (active graves against capacity,
+ * migration 016) and the average price. Sections use their boundary and fall back to the hull
+ * of their plots; rows are always hulls; grid cells are points at the centre of their plots.
+ */
+
+const MAX_ZOOM = 22;
+const DEFAULT_CELL_PX = 64;
+const STATUSES = ["available", "reserved", "occupied", "maintenance"];
+
+function occupancyError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const PLOT_SHAPE = "COALESCE(p.geom, p.plot_boundary, p.coordinates)";
+
+const COUNT_FIELDS = ["total_plots", ...STATUSES, "capacity", "interred"];
+
+const AGGREGATES = `
+  COUNT(*)::int AS total_plots,
+  ${STATUSES.map((s) => `COUNT(*) FILTER (WHERE pl.status = '${s}')::int AS ${s}`).join(",\n  ")},
+  SUM(pl.capacity)::int AS capacity,
+  SUM(pl.interred)::int AS interred,
+  ROUND(100.0 * COUNT(*) FILTER (WHERE pl.status = 'occupied') / NULLIF(COUNT(*), 0), 1)::float AS occupancy_pct,
+  ROUND(100.0 * COUNT(*) FILTER (WHERE pl.status IN ('occupied', 'reserved')) / NULLIF(COUNT(*), 0), 1)::float AS utilization_pct,
+  ROUND(100.0 * SUM(pl.interred) / NULLIF(SUM(pl.capacity), 0), 1)::float AS fill_pct,
+  ROUND(AVG(pl.price), 2)::float AS avg_price,
+  ROUND(AVG(pl.price) FILTER (WHERE pl.status = 'available'), 2)::float AS avg_available_price
+`;
+
+const AGGREGATE_FIELDS = [
+  ...COUNT_FIELDS,
+  "occupancy_pct",
+  "utilization_pct",
+  "fill_pct",
+  "avg_price",
+  "avg_available_price",
+];
+
+/** json_build_object() pairs for the aggregate columns of alias a (counts default to 0). */
+function aggregateProperties(a = "a") {
+  return AGGREGATE_FIELDS.map((f) =>
+    COUNT_FIELDS.includes(f) ? `'${f}', COALESCE(${a}.${f}, 0)` : `'${f}', ${a}.${f}`
+  ).join(",\n        ");
+}
+
+/**
+ * One row per plot with a shape: status, price, capacity and active graves.
+ * where / params: extra conditions over plots p (bbox, section).
+ */
+function plotsCte(where) {
+  return `
+    pl AS (
+      SELECT p.id, p.section_id, p.section_name, p.row_num, LOWER(p.status) AS status, p.price,
+             ${PLOT_SHAPE} AS shape,
+             COALESCE(p.capacity, c.capacity, 1) AS capacity,
+             COALESCE(g.n, 0) AS interred
+      FROM plots p
+      LEFT JOIN cemetery_sections s ON s.id = p.section_id
+      LEFT JOIN section_type_capacity c ON c.section_type = s.section_type
+      LEFT JOIN (
+        SELECT plot_id, COUNT(*)::int AS n FROM graves WHERE is_active GROUP BY plot_id
+      ) g ON g.plot_id = p.id
+      WHERE ${[`${PLOT_SHAPE} IS NOT NULL`, ...where].join(" AND ")}
+    )`;
+}
+
+/** bbox ([minLng, minLat, maxLng, maxLat]) -> { where: [...], env } with params appended */
+function bboxFilter(bbox, params) {
+  if (!bbox) return { where: [], env: null };
+  const p = params.length + 1;
+  params.push(...bbox);
+  const env = `ST_MakeEnvelope($${p}, $${p + 1}, $${p + 2}, $${p + 3}, 4326)`;
+  return {
+    where: [`(p.geom && ${env} OR p.plot_boundary && ${env} OR p.coordinates && ${env})`],
+    env,
+  };
+}
+
+/** section query value (id, uid or name) -> condition over plots p, with its param appended */
+function sectionFilter(section, params) {
+  if (section == null || String(section).trim() === "") return [];
+  params.push(String(section).trim());
+  const n = params.length;
+  return [
+    `(p.section_id IN (SELECT id FROM cemetery_sections
+                       WHERE id::text = $${n} OR uid::text = $${n} OR LOWER(section_name) = LOWER($${n}))
+      OR (p.section_id IS NULL AND LOWER(p.section_name) = LOWER($${n})))`,
+  ];
+}
+
+async function featureCollection(db, sql, params) {
+  const { rows } = await db.query(sql, params);
+  return rows[0]?.geojson ?? { type: "FeatureCollection", features: [] };
+}
+
+/**
+ * One feature per section (plus one per legacy section_name of plots outside every section).
+ * Geometry: the section boundary, else the convex hull of its plots. Sections without plots
+ * are listed with zero counts when their boundary is in the bbox.
+ */
+async function sectionAggregates(db = pool, { bbox = null } = {}) {
+  const params = [];
+  const box = bboxFilter(bbox, params);
+
+  return featureCollection(
+    db,
+    `
+    WITH ${plotsCte(box.where)},
+    a AS (
+      SELECT pl.section_id,
+             CASE WHEN pl.section_id IS NULL THEN pl.section_name END AS legacy_name,
+             ST_ConvexHull(ST_Collect(pl.shape)) AS hull,
+             ${AGGREGATES}
+      FROM pl
+      GROUP BY pl.section_id, CASE WHEN pl.section_id IS NULL THEN pl.section_name END
+    ),
+    f AS (
+      SELECT COALESCE(s.boundary, a.hull) AS geom,
+             s.id AS section_id, s.uid AS section_uid,
+             COALESCE(s.section_name::text, a.legacy_name::text) AS section_name,
+             s.section_type,
+             CASE WHEN s.boundary IS NOT NULL THEN 'boundary' ELSE 'plot_hull' END AS geometry_source,
+             ${AGGREGATE_FIELDS.map((f) => `a.${f}`).join(", ")}
+      FROM a
+      FULL JOIN cemetery_sections s ON s.id = a.section_id
+      WHERE a.total_plots IS NOT NULL
+         OR (s.boundary IS NOT NULL ${box.env ? `AND s.boundary && ${box.env}` : ""})
+    )
+    SELECT json_build_object(
+      'type', 'FeatureCollection',
+      'features', COALESCE(json_agg(json_build_object(
+        'type', 'Feature',
+        'id', COALESCE(a.section_uid::text, a.section_id::text, 'name:' || COALESCE(a.section_name, '')),
+        'geometry', ST_AsGeoJSON(a.geom, 7)::json,
+        'properties', json_build_object(
+          'level', 'section',
+          'section_id', a.section_id,
+          'section_uid', a.section_uid,
+          'section_name', a.section_name,
+          'section_type', a.section_type,
+          'geometry_source', a.geometry_source,
+          ${aggregateProperties("a")}
+        )
+      ) ORDER BY a.section_name NULLS LAST, a.section_id), '[]'::json)
+    ) AS geojson
+    FROM f a
+    WHERE a.geom IS NOT NULL
+    `,
+    params
+  );
+}
+
+/** One feature per (section, row_num); geometry is the convex hull of the row's plots. */
+async function rowAggregates(db = pool, { bbox = null, section = null } = {}) {
+  const params = [];
+  const where = ["p.row_num IS NOT NULL", ...bboxFilter(bbox, params).where, ...sectionFilter(section, params)];
+
+  return featureCollection(
+    db,
+    `
+    WITH ${plotsCte(where)},
+    a AS (
+      SELECT pl.section_id,
+             MIN(pl.section_name::text) AS plot_section_name,
+             pl.row_num,
+             ST_ConvexHull(ST_Collect(pl.shape)) AS geom,
+             ${AGGREGATES}
+      FROM pl
+      GROUP BY pl.section_id, CASE WHEN pl.section_id IS NULL THEN pl.section_name END, pl.row_num
+    )
+    SELECT json_build_object(
+      'type', 'FeatureCollection',
+      'features', COALESCE(json_agg(json_build_object(
+        'type', 'Feature',
+        'id', COALESCE(s.uid::text, a.section_id::text, 'name:' || COALESCE(a.plot_section_name, '')) || ':' || a.row_num,
+        'geometry', ST_AsGeoJSON(a.geom, 7)::json,
+        'properties', json_build_object(
+          'level', 'row',
+          'section_id', a.section_id,
+          'section_uid', s.uid,
+          'section_name', COALESCE(s.section_name::text, a.plot_section_name),
+          'row_num', a.row_num,
+          ${aggregateProperties("a")}
+        )
+      ) ORDER BY COALESCE(s.section_name::text, a.plot_section_name) NULLS LAST, a.section_id, a.row_num), '[]'::json)
+    ) AS geojson
+    FROM a
+    LEFT JOIN cemetery_sections s ON s.id = a.section_id
+    `,
+    params
+  );
+}
+
+/** Grid cell size in degrees: cellPx screen pixels at the zoom (256 px Web Mercator tiles). */
+function cellSizeDegrees(zoom, cellPx = DEFAULT_CELL_PX) {
+  return (360 / (256 * 2 ** zoom)) * cellPx;
+}
+
+/**
+ * Plots clustered on a square grid for low zooms: one Point feature per non-empty cell, at the
+ * centre of its plots, with the cell's bounds. zoom is required; cell is the cell size in pixels.
+ */
+async function gridAggregates(db = pool, { bbox = null, zoom, cell = DEFAULT_CELL_PX, section = null } = {}) {
+  const size = cellSizeDegrees(zoom, cell);
+  const params = [size];
+  const where = [...bboxFilter(bbox, params).where, ...sectionFilter(section, params)];
+
+  return featureCollection(
+    db,
+    `
+    WITH ${plotsCte(where)},
+    a AS (
+      SELECT FLOOR(ST_X(ST_PointOnSurface(pl.shape)) / $1)::bigint AS gx,
+             FLOOR(ST_Y(ST_PointOnSurface(pl.shape)) / $1)::bigint AS gy,
+             ST_Centroid(ST_Collect(ST_PointOnSurface(pl.shape))) AS geom,
+             ${AGGREGATES}
+      FROM pl
+      GROUP BY 1, 2
+    )
+    SELECT json_build_object(
+      'type', 'FeatureCollection',
+      'cell_size_deg', $1::float,
+      'features', COALESCE(json_agg(json_build_object(
+        'type', 'Feature',
+        'id', a.gx || ':' || a.gy,
+        'geometry', ST_AsGeoJSON(a.geom, 7)::json,
+        'properties', json_build_object(
+          'level', 'grid',
+          'cell', json_build_array(
+            ROUND((a.gx * $1)::numeric, 7)::float, ROUND((a.gy * $1)::numeric, 7)::float,
+            ROUND(((a.gx + 1) * $1)::numeric, 7)::float, ROUND(((a.gy + 1) * $1)::numeric, 7)::float
+          ),
+          ${aggregateProperties("a")}
+        )
+      ) ORDER BY a.gy, a.gx), '[]'::json)
+    ) AS geojson
+    FROM a
+    `,
+    params
+  );
+}
+
+/** bbox / zoom / cell / section query values, checked. Throws 400. */
+function parseQuery(query = {}, { requireZoom = false } = {}) {
+  let bbox = null;
+  if (query.bbox != null && query.bbox !== "") {
+    const n = String(query.bbox).split(",").map((v) => Number(v.trim()));
+    const [minLng, minLat, maxLng, maxLat] = n;
+    if (
+      n.length !== 4 ||
+      !n.every(Number.isFinite) ||
+      minLng < -180 || maxLng > 180 || minLat < -90 || maxLat > 90 ||
+      minLng >= maxLng || minLat >= maxLat
+    ) {
+      throw occupancyError("bbox must be minLng,minLat,maxLng,maxLat (WGS84 degrees)");
+    }
+    bbox = n;
+  }
+
+  let zoom = null;
+  if (query.zoom != null && query.zoom !== "") {
+    zoom = Number(query.zoom);
+    if (!Number.isFinite(zoom) || zoom < 0 || zoom > MAX_ZOOM) {
+      throw occupancyError(`zoom must be a number between 0 and ${MAX_ZOOM}`);
+    }
+  } else if (requireZoom) {
+    throw occupancyError("zoom is required");
+  }
+
+  let cell = DEFAULT_CELL_PX;
+  if (query.cell != null && query.cell !== "") {
+    cell = Number(query.cell);
+    if (!Number.isInteger(cell) || cell < 8 || cell > 512) {
+      throw occupancyError("cell must be a whole number of pixels between 8 and 512");
+    }
+  }
+
+  const section = query.section == null || query.section === "" ? null : String(query.section);
+  return { bbox, zoom, cell, section };
+}
+
+module.exports = {
+  occupancyError,
+  parseQuery,
+  cellSizeDegrees,
+  sectionAggregates,
+  rowAggregates,
+  gridAggregates,
+};
@@ -0,0 +1,76 @@
+// backend/services/ownership.service.js
+"use strict";
+
+const pool = require("../config/database");
+
+/**
+ * Ownership policies for visitor data.
+ *
+ * Visitor records are keyed by a "contact" user id:
+ *   burial_requests.family_contact, maintenance_requests.family_contact,
+ *   graves.family_contact, plot_reservations.user_id
+ *
+ * A caller may always read and write their own contact id. Resolvers registered with
+ * registerContactResolver() can grant access to other contact ids (e.g. shared family
+ * access) as "viewer" (read only) or "manager" (read + write).
+ */
+
+const ACCESS_RANK = { viewer: 1, manager: 2, owner: 3 };
+
+// resolver(user) -> Promise<Array<{ contactId, access: "viewer" | "manager" }>>
+const resolvers = [];
+
+function registerContactResolver(fn) {
+  resolvers.push(fn);
+}
+
+/**
+ * Contact ids the caller can reach. write=true keeps only the ones they may modify.
+ * Always includes the caller's own id.
+ */
+async function accessibleContactIds(user, { write = false } = {}) {
+  if (user?.id == null) return [];
+
+  const need = write ? ACCESS_RANK.manager : ACCESS_RANK.viewer;
+  const ids = new Set([String(user.id)]);
+
+  for (const resolve of resolvers) {
+    const grants = (await resolve(user)) || [];
+    for (const g of grants) {
+      if ((ACCESS_RANK[g.access] || 0) >= need) ids.add(String(g.contactId));
+    }
+  }
+
+  return [...ids];
+}
+
+async function canAccessContact(user, contactId, { write = false } = {}) {
+  if (contactId == null || contactId === "") return false;
+  const ids = await accessibleContactIds(user, { write });
+  return ids.includes(String(contactId));
+}
+
+/**
+ * Loads one row and checks the caller may access it through its contact column.
+ * Returns { row } or { status, message } — 404 for both "missing" and "not yours"
+ * so ids of other families can't be probed.
+ */
+async function loadOwnedRow(table, id, user, { contactCol = "family_contact", write = false, db = pool, forUpdate = false } = {}) {
+  const { rows } = await db.query(
+    `SELECT * FROM ${table} WHERE id::text = $1 LIMIT 1 ${forUpdate ? "FOR UPDATE" : ""}`,
+    [String(id)]
+  );
+
+  const row = rows[0];
+  if (!row || !(await canAccessContact(user, row[contactCol], { write }))) {
+    return { status: 404, message: "Not found" };
+  }
+  return { row };
+}
+
+module.exports = {
+  registerContactResolver,
+  accessibleContactIds,
+  canAccessContact,
+  loadOwnedRow,
+};
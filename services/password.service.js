@@ -0,0 +1,158 @@
+// backend/services/password.service.js
+"use strict";
+
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const pool = require("../config/database");
+
+/**
+ * Password hashing, verification and strength policy.
+ *
+ * BCRYPT_COST             work factor for new hashes (default 12, 10..15).
+ *                         Hashes with a lower cost are upgraded on the next successful login.
+ * PASSWORD_MIN_LENGTH     default 10
+ * PASSWORD_MIN_CLASSES    how many of lower / upper / digit / symbol are required (default 3)
+ *
+ * Legacy accounts may still carry a plaintext users.password_str and no hash. They can log in
+ * once more; the password is then hashed and password_str cleared. scripts/legacy_passwords.js
+ * reports/forces the rest and drops the column when it is empty, which also turns the
+ * plaintext fallback off (it only runs while the column exists).
+ */
+
+const BCRYPT_COST = Math.min(Math.max(Number(process.env.BCRYPT_COST) || 12, 10), 15);
+const MIN_LENGTH = Number(process.env.PASSWORD_MIN_LENGTH) || 10;
+const MIN_CLASSES = Math.min(Math.max(Number(process.env.PASSWORD_MIN_CLASSES) || 3, 1), 4);
+const MAX_BYTES = 72; // bcrypt ignores everything after 72 bytes
+
+const COMMON_PASSWORDS = new Set([
+  "password", "password1", "password123", "passw0rd", "p@ssw0rd", "p@ssword1",
+  "123456789", "1234567890", "12345678910", "qwertyuiop", "qwerty123", "qwerty1234",
+  "1q2w3e4r5t", "iloveyou1", "welcome123", "welcome1", "admin12345", "administrator",
+  "letmein123", "changeme123", "abc1234567", "football1", "sunshine1", "princess1",
+]);
+
+async function hashPassword(plain) {
+  return bcrypt.hash(String(plain), BCRYPT_COST);
+}
+
+/* ---------------- legacy plaintext column ---------------- */
+// only "gone" is remembered: the column can be dropped (legacy_passwords.js --drop-column)
+// while the API runs, and SQL naming it would then fail until a restart
+let _legacyColumnGone = false;
+async function hasLegacyColumn() {
+  if (_legacyColumnGone) return false;
+  const { rows } = await pool.query(
+    `
+    SELECT 1
+    FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'users' AND column_name = 'password_str'
+    LIMIT 1
+    `
+  );
+  _legacyColumnGone = rows.length === 0;
+  return !_legacyColumnGone;
+}
+
+// SQL fragments for queries that touch password_str only while the column exists
+async function legacySelect(alias = "") {
+  return (await hasLegacyColumn()) ? `${alias}password_str` : `NULL::text AS password_str`;
+}
+async function legacyClear() {
+  return (await hasLegacyColumn()) ? `password_str = NULL,` : ``;
+}
+
+function safeEqual(a, b) {
+  const x = crypto.createHash("sha256").update(String(a)).digest();
+  const y = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(x, y);
+}
+
+/**
+ * Checks a password against a user row (password_hash, password_str).
+ * Returns { ok, rehash } — rehash is a fresh hash to store when the row used the
+ * plaintext fallback or an older bcrypt cost.
+ */
+async function verifyPassword(plain, userRow) {
+  const candidate = String(plain ?? "");
+
+  if (userRow.password_hash) {
+    const ok = await bcrypt.compare(candidate, String(userRow.password_hash));
+    if (!ok) return { ok: false, rehash: null };
+
+    let rounds = BCRYPT_COST;
+    try {
+      rounds = bcrypt.getRounds(String(userRow.password_hash));
+    } catch {}
+    return { ok: true, rehash: rounds < BCRYPT_COST ? await hashPassword(candidate) : null };
+  }
+
+  // legacy plaintext (column may already be gone)
+  if (userRow.password_str && (await hasLegacyColumn())) {
+    const ok = safeEqual(candidate, userRow.password_str);
+    return { ok, rehash: ok ? await hashPassword(candidate) : null };
+  }
+
+  return { ok: false, rehash: null };
+}
+
+/** Stores an upgraded hash and clears the plaintext copy. */
+async function storeRehash(userId, hash, db = pool) {
+  await db.query(
+    `UPDATE users SET password_hash = $1, ${await legacyClear()} updated_at = NOW() WHERE id = $2`,
+    [hash, userId]
+  );
+}
+
+/**
+ * Strength policy. Returns a list of problems (empty when the password is acceptable).
+ * user: { username, email } to reject passwords built from the account name.
+ */
+function checkPasswordPolicy(plain, user = {}) {
+  const pw = String(plain ?? "");
+  const problems = [];
+
+  if (pw.length < MIN_LENGTH) problems.push(`must be at least ${MIN_LENGTH} characters`);
+  if (Buffer.byteLength(pw, "utf8") > MAX_BYTES) problems.push(`must be at most ${MAX_BYTES} bytes`);
+
+  const classes = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^A-Za-z0-9]/].filter((re) => re.test(pw)).length;
+  if (classes < MIN_CLASSES) {
+    problems.push(
+      `must mix at least ${MIN_CLASSES} of: lowercase, uppercase, digits, symbols`
+    );
+  }
+
+  const lower = pw.toLowerCase();
+  if (COMMON_PASSWORDS.has(lower)) problems.push("is too common");
+
+  const names = [user.username, String(user.email || "").split("@")[0]]
+    .map((n) => String(n || "").toLowerCase())
+    .filter((n) => n.length >= 3);
+  if (names.some((n) => lower.includes(n))) problems.push("must not contain your username or email");
+
+  return problems;
+}
+
+/** Express helper: sends a 400 and returns false when the password fails the policy. */
+function enforcePasswordPolicy(res, plain, user) {
+  const problems = checkPasswordPolicy(plain, user);
+  if (!problems.length) return true;
+
+  res.status(400).json({
+    error: `Password ${problems.join("; ")}.`,
+    code: "WEAK_PASSWORD",
+    problems,
+  });
+  return false;
+}
+
+module.exports = {
+  BCRYPT_COST,
+  hashPassword,
+  verifyPassword,
+  storeRehash,
+  checkPasswordPolicy,
+  enforcePasswordPolicy,
+  hasLegacyColumn,
+  legacySelect,
+  legacyClear,
+};
@@ -0,0 +1,122 @@
+// backend/services/permission.service.js
+"use strict";
+
+const pool = require("../config/database");
+
+/**
+ * Role -> permission mapping (tables: permissions, role_permissions).
+ *
+ * The whole mapping is small, so it is loaded in one query and cached per process.
+ * Changes made through setRolePermissions() apply immediately on this instance;
+ * other instances pick them up when their cache expires (PERMISSION_CACHE_SECONDS, default 30).
+ */
+
+const CACHE_MS = (Number(process.env.PERMISSION_CACHE_SECONDS) || 30) * 1000;
+
+// a super_admin must never be able to lock every super_admin out of these
+const SUPER_ADMIN_REQUIRED = ["users:manage", "permissions:manage"];
+
+let _cache = null; // { loadedAt, byRole: Map<role, Set<key>> }
+
+async function loadMapping() {
+  if (_cache && Date.now() - _cache.loadedAt < CACHE_MS) return _cache.byRole;
+
+  const { rows } = await pool.query(`SELECT role, permission_key FROM role_permissions`);
+
+  const byRole = new Map();
+  for (const r of rows) {
+    const role = String(r.role).toLowerCase();
+    if (!byRole.has(role)) byRole.set(role, new Set());
+    byRole.get(role).add(r.permission_key);
+  }
+
+  _cache = { loadedAt: Date.now(), byRole };
+  return byRole;
+}
+
+function invalidate() {
+  _cache = null;
+}
+
+async function permissionsForRole(role) {
+  const byRole = await loadMapping();
+  return byRole.get(String(role || "").toLowerCase()) || new Set();
+}
+
+/** True when the role has every one of the given permissions. */
+async function roleHas(role, ...keys) {
+  const perms = await permissionsForRole(role);
+  return keys.flat().every((k) => perms.has(k));
+}
+
+async function listPermissions() {
+  const { rows } = await pool.query(`SELECT key, description FROM permissions ORDER BY key ASC`);
+  return rows;
+}
+
+async function getRoleMatrix() {
+  const byRole = await loadMapping();
+  const out = {};
+  for (const [role, set] of byRole) out[role] = [...set].sort();
+  return out;
+}
+
+/**
+ * Replaces the permission set of a role.
+ * Returns { permissions } or { error } (unknown keys, or removing a super_admin safeguard).
+ */
+async function setRolePermissions(role, keys, { grantedBy = null } = {}) {
+  const wanted = [...new Set((keys || []).map((k) => String(k).trim()).filter(Boolean))];
+
+  if (role === "super_admin") {
+    const missing = SUPER_ADMIN_REQUIRED.filter((k) => !wanted.includes(k));
+    if (missing.length) return { error: `super_admin must keep: ${missing.join(", ")}` };
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const known = await client.query(`SELECT key FROM permissions WHERE key = ANY($1)`, [wanted]);
+    const knownSet = new Set(known.rows.map((r) => r.key));
+    const unknown = wanted.filter((k) => !knownSet.has(k));
+    if (unknown.length) {
+      await client.query("ROLLBACK");
+      return { error: `Unknown permission(s): ${unknown.join(", ")}` };
+    }
+
+    await client.query(
+      `DELETE FROM role_permissions WHERE role = $1 AND NOT (permission_key = ANY($2))`,
+      [role, wanted]
+    );
+    await client.query(
+      `
+      INSERT INTO role_permissions (role, permission_key, granted_by)
+      SELECT $1, k, $3 FROM unnest($2::text[]) AS k
+      ON CONFLICT DO NOTHING
+      `,
+      [role, wanted, grantedBy]
+    );
+
+    await client.query("COMMIT");
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  invalidate();
+  return { permissions: [...(await permissionsForRole(role))].sort() };
+}
+
+module.exports = {
+  permissionsForRole,
+  roleHas,
+  listPermissions,
+  getRoleMatrix,
+  setRolePermissions,
+  invalidate,
+};
@@ -0,0 +1,216 @@
+// backend/services/plot-history.service.js
+"use strict";
+
+const pool = require("../config/database");
+
+/**
+ * Plot versions from plot_history (migration 015, filled by a trigger on plots).
+ * Used by GET /api/admin/plot/:id/history and the as_of parameter of the plot map endpoints.
+ */
+
+const GEOMETRY_KEYS = ["geom", "plot_boundary", "coordinates"];
+const WGS84 = 4326;
+// bookkeeping, not part of what changed
+const IGNORED_KEYS = new Set(["updated_at"]);
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+function historyError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * as_of query value -> timestamp text for $n::timestamp, or null when absent.
+ * A bare date means the end of that day ("as of 2024-11-30" includes that day's changes).
+ */
+function parseAsOf(raw) {
+  if (raw == null || String(raw).trim() === "") return null;
+  const s = String(raw).trim();
+
+  const value = /^\d{4}-\d{2}-\d{2}$/.test(s) ? `${s}T23:59:59.999` : s;
+  if (!/^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?)?$/.test(value) || Number.isNaN(Date.parse(value))) {
+    throw historyError("as_of must be a date (YYYY-MM-DD) or a local timestamp (YYYY-MM-DDTHH:MM[:SS])");
+  }
+  return value.replace("T", " ");
+}
+
+/**
+ * Geometry column `key` of a history row (jsonb expression `data`). to_jsonb() writes geometry
+ * as GeoJSON without a CRS on PostGIS 3 (hex EWKB text on PostGIS 2), so the SRID is put back.
+ */
+function sqlGeometry(data, key) {
+  return `(CASE WHEN jsonb_typeof(${data}->'${key}') = 'object'
+    THEN ST_SetSRID(ST_GeomFromGeoJSON(${data}->'${key}'), ${WGS84})
+    ELSE (${data}->>'${key}')::geometry END)`;
+}
+
+/**
+ * A subquery shaped exactly like the plots table, holding each plot as it was at $param
+ * (a timestamp). Use it in place of `plots`: FROM ${sqlPlotsAsOf("$3")} AS plots
+ * Geometry goes back in as hex EWKB text, which jsonb_populate_record parses with its SRID.
+ */
+function sqlPlotsAsOf(param) {
+  const geometry = GEOMETRY_KEYS.map((k) => `'${k}', to_jsonb(${sqlGeometry("h.data", k)}::text)`).join(", ");
+  return `(
+    SELECT (jsonb_populate_record(NULL::public.plots, h.data || jsonb_build_object(${geometry}))).*
+    FROM plot_history h
+    WHERE h.operation <> 'DELETE'
+      AND h.valid_from <= ${param}::timestamp
+      AND (h.valid_to IS NULL OR h.valid_to > ${param}::timestamp)
+  )`;
+}
+
+function stripGeometry(data) {
+  const out = { ...(data || {}) };
+  for (const k of GEOMETRY_KEYS) delete out[k];
+  return out;
+}
+
+// { column: { from, to } }; geometry columns only say that they changed
+function diff(prev, next, columns) {
+  const keys = columns || [...new Set([...Object.keys(prev || {}), ...Object.keys(next || {})])];
+  const changes = {};
+  for (const k of keys) {
+    if (IGNORED_KEYS.has(k)) continue;
+    const a = prev?.[k] ?? null;
+    const b = next?.[k] ?? null;
+    if (JSON.stringify(a) === JSON.stringify(b)) continue;
+    changes[k] = GEOMETRY_KEYS.includes(k) ? { changed: true } : { from: a, to: b };
+  }
+  return changes;
+}
+
+/** Finds the plot id for an id / uid / plot code, also for plots that were deleted since. */
+async function resolvePlotId(db, key) {
+  const raw = String(key ?? "").trim();
+  if (!raw) return null;
+
+  const { rows } = await db.query(
+    `
+    SELECT id FROM plots
+    WHERE id::text = $1 OR uid::text = $1 OR plot_code::text = $1
+    ORDER BY (id::text = $1) DESC
+    LIMIT 1
+    `,
+    [raw]
+  );
+  if (rows.length) return rows[0].id;
+
+  const gone = await db.query(
+    `
+    SELECT plot_id AS id FROM plot_history
+    WHERE plot_id::text = $1 OR plot_uid::text = $1 OR data->>'plot_code' = $1
+    ORDER BY valid_from DESC
+    LIMIT 1
+    `,
+    [raw]
+  );
+  return gone.rows[0]?.id ?? null;
+}
+
+/**
+ * Versions of one plot, newest first.
+ * options: { from, to (timestamps, optional), limit }
+ * -> { plot: { id, uid, plot_code, deleted }, total, versions: [...], reservations: [...],
+ *      lineage: [...] (merges / splits it took part in) } or null when unknown
+ */
+async function plotHistory(db = pool, key, { from = null, to = null, limit = DEFAULT_LIMIT } = {}) {
+  const plotId = await resolvePlotId(db, key);
+  if (plotId == null) return null;
+
+  const cap = Math.min(Math.max(1, Number(limit) || DEFAULT_LIMIT), MAX_LIMIT);
+  const params = [plotId];
+  const where = ["plot_id = $1"];
+  if (from) {
+    params.push(from);
+    where.push(`(valid_to IS NULL OR valid_to > $${params.length}::timestamp)`);
+  }
+  if (to) {
+    params.push(to);
+    where.push(`valid_from <= $${params.length}::timestamp`);
+  }
+
+  // previous version from the whole history, so the oldest row of a window still diffs
+  const { rows } = await db.query(
+    `
+    WITH versions AS (
+      SELECT
+        id, plot_id, plot_uid, operation, valid_from, valid_to, data, changed_columns,
+        LAG(data) OVER (ORDER BY valid_from, id) AS previous
+      FROM plot_history
+      WHERE plot_id = $1
+    )
+    SELECT
+      id, plot_uid, operation, valid_from, valid_to, data, previous, changed_columns,
+      ST_AsGeoJSON(
+        COALESCE(${GEOMETRY_KEYS.map((k) => sqlGeometry("data", k)).join(", ")}),
+        7
+      )::json AS geometry,
+      COUNT(*) OVER ()::int AS total
+    FROM versions
+    WHERE ${where.join(" AND ")}
+    ORDER BY valid_from DESC, id DESC
+    LIMIT ${cap}
+    `,
+    params
+  );
+
+  const { rows: current } = await db.query(`SELECT 1 FROM plots WHERE id = $1`, [plotId]);
+  const latest = rows[0]?.data || {};
+
+  // who reserved / held the lot over time (reservations are never overwritten by plot edits)
+  const { rows: reservations } = await db.query(
+    `
+    SELECT
+      r.id, r.uid, r.status, r.payment_status, r.reservation_date, r.expiry_date, r.created_at, r.updated_at,
+      u.id AS user_id, u.username, TRIM(CONCAT_WS(' ', u.first_name, u.last_name)) AS full_name
+    FROM plot_reservations r
+    LEFT JOIN users u ON u.id = r.user_id
+    WHERE r.plot_id = $1
+    ORDER BY r.reservation_date DESC, r.id DESC
+    `,
+    [plotId]
+  );
+
+  // merges and splits (migration 017): where the plot came from / what it became
+  const { rows: lineage } = await db.query(
+    `
+    SELECT l.operation, l.source_plot_id, l.target_plot_id, l.performed_by, l.details, l.created_at
+    FROM plot_lineage l
+    WHERE l.source_plot_id = $1 OR l.target_plot_id = $1
+    ORDER BY l.created_at DESC, l.id
+    `,
+    [plotId]
+  );
+
+  return {
+    plot: {
+      id: plotId,
+      uid: latest.uid ?? rows[0]?.plot_uid ?? null,
+      plot_code: latest.plot_code ?? latest.plot_name ?? null,
+      deleted: current.length === 0,
+    },
+    total: rows[0]?.total ?? 0,
+    versions: rows.map((r) => ({
+      id: r.id,
+      operation: r.operation,
+      valid_from: r.valid_from,
+      valid_to: r.valid_to,
+      changes: r.operation === "UPDATE" ? diff(r.previous, r.data, r.changed_columns) : null,
+      values: stripGeometry(r.data),
+      geometry: r.geometry,
+    })),
+    reservations,
+    lineage,
+  };
+}
+
+module.exports = {
+  historyError,
+  parseAsOf,
+  sqlPlotsAsOf,
+  plotHistory,
+};
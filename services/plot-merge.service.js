@@ -0,0 +1,609 @@
+// backend/services/plot-merge.service.js
+"use strict";
+
+const pool = require("../config/database");
+const interments = require("./interment.service");
+const { geometryColumns, fitToColumn } = require("./spatial-qa.service");
+
+/**
+ * Merging adjacent plots into one, and splitting a plot along a line or into N equal parts.
+ *
+ * Both run inside the caller's transaction (roll back for a dry run) and carry over everything
+ * that points at a plot: graves, reservations, burial requests / schedules, maintenance requests
+ * (every foreign key to plots, read from the catalog, plus burial_requests.plot_id).
+ * The plot that survives keeps its id and uid, so QR codes and saved links keep working.
+ * plot_history records every version through its trigger; plot_lineage (migration 017) links
+ * each source plot to the plots it became.
+ */
+
+const PLOT_GEOMETRY = ["geom", "plot_boundary", "coordinates"];
+const SHAPE = "COALESCE(p.geom, p.plot_boundary, p.coordinates)";
+
+const MAX_MERGE = 20;
+const MAX_PARTS = 20;
+const PLOT_CODE_MAX = 20;
+// hand-drawn neighbours may leave slivers between them: up to ~0.1 m still counts as adjacent
+const ADJACENT_TOLERANCE_DEG = 1e-6;
+const BISECT_STEPS = 30;
+
+// a reservation in one of these holds the lot for its user
+const HOLDING_RESERVATIONS = ["pending", "approved", "completed"];
+// a merged plot takes the "busiest" status of its parts; occupancy is then recomputed
+const STATUS_RANK = ["available", "maintenance", "reserved", "occupied"];
+
+function plotMergeError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const _hasColumnCache = new Map();
+async function hasColumn(tableName, columnName) {
+  const key = `${tableName}.${columnName}`;
+  if (_hasColumnCache.has(key)) return _hasColumnCache.get(key);
+
+  const { rows } = await pool.query(
+    `
+    SELECT 1
+    FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = $1 AND column_name = $2
+    LIMIT 1
+    `,
+    [tableName, columnName]
+  );
+  const ok = rows.length > 0;
+  _hasColumnCache.set(key, ok);
+  return ok;
+}
+
+/** [1, "2"] | "1,2" -> ["1", "2"] (ids or uids, duplicates dropped) */
+function parseIds(raw) {
+  if (raw == null || raw === "") return [];
+  const list = [].concat(raw).flatMap((v) => String(v).split(","));
+  return [...new Set(list.map((v) => v.trim()).filter(Boolean))];
+}
+
+/* =========================================================================================
+   References to plots
+========================================================================================= */
+
+let _references = null;
+
+/** Columns that point at plots.id: every FK from the catalog, plus burial_requests.plot_id (text). */
+async function plotReferences() {
+  if (_references) return _references;
+
+  const { rows } = await pool.query(
+    `
+    SELECT c.conrelid::regclass::text AS table_name, a.attname AS column_name
+    FROM pg_constraint c
+    JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = ANY (c.conkey)
+    WHERE c.contype = 'f' AND c.confrelid = 'public.plots'::regclass
+    ORDER BY 1, 2
+    `
+  );
+  const refs = rows.map((r) => ({ table: r.table_name, column: r.column_name, text: false }));
+  if (!refs.some((r) => r.table === "burial_requests") && (await hasColumn("burial_requests", "plot_id"))) {
+    refs.push({ table: "burial_requests", column: "plot_id", text: true });
+  }
+
+  _references = refs;
+  return refs;
+}
+
+/** Points every reference to plots fromIds at toId. -> { table: rows moved } */
+async function moveReferences(client, fromIds, toId) {
+  const moved = {};
+  for (const r of await plotReferences()) {
+    const type = r.text ? "text" : "bigint";
+    const { rowCount } = await client.query(
+      `UPDATE ${r.table} SET ${r.column} = $1::${type} WHERE ${r.column}::text = ANY($2::text[])`,
+      [String(toId), fromIds.map(String)]
+    );
+    if (rowCount) moved[r.table] = (moved[r.table] || 0) + rowCount;
+  }
+  return moved;
+}
+
+/** Throws 409 when anything still points at plots that are about to be deleted. */
+async function assertUnreferenced(client, ids) {
+  const left = [];
+  for (const r of await plotReferences()) {
+    const { rows } = await client.query(
+      `SELECT COUNT(*)::int AS n FROM ${r.table} WHERE ${r.column}::text = ANY($1::text[])`,
+      [ids.map(String)]
+    );
+    if (rows[0].n) left.push(`${r.table} (${rows[0].n})`);
+  }
+  if (left.length) {
+    throw plotMergeError(`Plots still referenced by ${left.join(", ")}; nothing was changed`, 409);
+  }
+}
+
+/* =========================================================================================
+   Shared helpers
+========================================================================================= */
+
+/** Locks plots by id or uid, in the order given. Throws 404 for unknown keys, 400 for bad shapes. */
+async function lockPlots(client, keys) {
+  const { rows } = await client.query(
+    `
+    SELECT
+      p.id, p.uid, p.plot_code, p.plot_name, p.plot_type, p.kind, p.section_id, p.section_name,
+      p.status, p.price, p.capacity,
+      GeometryType(${SHAPE}) AS shape_type,
+      ST_IsValid(${SHAPE}) AS shape_valid
+    FROM plots p
+    WHERE p.id::text = ANY($1::text[]) OR p.uid::text = ANY($1::text[])
+    ORDER BY p.id
+    FOR UPDATE
+    `,
+    [keys]
+  );
+
+  const plots = keys.map((k) => rows.find((r) => String(r.id) === k || String(r.uid).trim() === k));
+  const unknown = keys.filter((k, i) => !plots[i]);
+  if (unknown.length) throw plotMergeError(`Plot not found: ${unknown.join(", ")}`, 404);
+  if (new Set(plots).size !== plots.length) throw plotMergeError("A plot is listed twice (by id and uid)");
+
+  for (const p of plots) {
+    const label = p.plot_code || p.uid;
+    if (!p.shape_type) throw plotMergeError(`Plot ${label} has no geometry`);
+    if (!/POLYGON$/.test(p.shape_type)) throw plotMergeError(`Plot ${label} is a ${p.shape_type}, not a polygon`);
+    if (!p.shape_valid) {
+      throw plotMergeError(`Plot ${label} has an invalid geometry; repair it first (/api/admin/spatial-qa/repair)`);
+    }
+  }
+
+  // plot_capacity reads plots, so it runs after the rows are locked
+  const { rows: caps } = await client.query(
+    `SELECT id, plot_capacity(id) AS capacity FROM unnest($1::bigint[]) id`,
+    [plots.map((p) => p.id)]
+  );
+  for (const p of plots) p.effective_capacity = caps.find((c) => String(c.id) === String(p.id)).capacity;
+  return plots;
+}
+
+/** SET list writing the shape in $param (hex EWKB) into each geometry column of plots. */
+async function geometrySets(param) {
+  const cols = await geometryColumns("plots", PLOT_GEOMETRY);
+  return cols.map(({ col, type }) => `${col} = ${fitToColumn(type, `${param}::geometry`)}`);
+}
+
+function checkCode(code, label = "plot_code") {
+  const s = String(code ?? "").trim();
+  if (s.length > PLOT_CODE_MAX) throw plotMergeError(`${label} "${s}" is longer than ${PLOT_CODE_MAX} characters`);
+  return s || null;
+}
+
+function actorId(actor) {
+  const n = Number(actor?.id);
+  return Number.isInteger(n) ? n : null;
+}
+
+async function recordLineage(client, operation, sourceIds, targetId, actor, details) {
+  await client.query(
+    `
+    INSERT INTO plot_lineage (operation, source_plot_id, target_plot_id, performed_by, details)
+    SELECT $1, s, $3, $4, $5::jsonb FROM unnest($2::bigint[]) s
+    `,
+    [operation, sourceIds, targetId, actorId(actor), JSON.stringify(details || {})]
+  );
+}
+
+async function plotSummaries(client, ids) {
+  const { rows } = await client.query(
+    `
+    SELECT
+      p.id, p.uid, p.plot_code, p.plot_name, p.section_name, p.status, p.price, p.size_sqm,
+      p.capacity AS capacity_override, plot_capacity(p.id) AS capacity,
+      (SELECT COUNT(*)::int FROM graves g WHERE g.plot_id = p.id AND g.is_active) AS interred,
+      ST_AsGeoJSON(${SHAPE}, 7)::json AS geometry
+    FROM plots p
+    WHERE p.id = ANY($1::bigint[])
+    ORDER BY array_position($1::bigint[], p.id)
+    `,
+    [ids]
+  );
+  return rows;
+}
+
+/**
+ * Recomputes status after graves moved, and the person fields when the plots held graves
+ * (plots that never had any keep names typed in by hand).
+ */
+async function settleOccupancy(client, ids, hadGraves) {
+  for (const id of ids) {
+    await client.query(`SELECT refresh_plot_occupancy($1)`, [id]);
+    if (hadGraves) await interments.syncPlotPersonFields(client, id);
+  }
+}
+
+/* =========================================================================================
+   Merge
+========================================================================================= */
+
+/**
+ * Merges plots into the one named by keep (default: the first id).
+ * options: { ids: [id|uid, ...], keep?, plot_code?, actor }
+ * - the plots must touch (their union is one polygon) and lie in the same section
+ * - active reservations must all belong to the same user
+ * - capacity and price become the sums; graves keep their order, levels are renumbered
+ * -> { plot, merged: [{ id, uid, plot_code }], moved: { table: rows } }
+ */
+async function mergePlots(client, { ids, keep = null, plot_code: plotCode, actor = null } = {}) {
+  const keys = parseIds(ids);
+  if (keys.length < 2 || keys.length > MAX_MERGE) {
+    throw plotMergeError(`ids must list 2 to ${MAX_MERGE} plots`);
+  }
+
+  const plots = await lockPlots(client, keys);
+  const keeper = keep == null || keep === "" ? plots[0] : plots.find((p) => [String(p.id), String(p.uid).trim()].includes(String(keep)));
+  if (!keeper) throw plotMergeError("keep must be one of ids");
+  const others = plots.filter((p) => p !== keeper);
+  const allIds = plots.map((p) => p.id);
+  const otherIds = others.map((p) => p.id);
+
+  const sections = new Set(plots.map((p) => p.section_id).filter((s) => s != null).map(String));
+  if (sections.size > 1) throw plotMergeError("Plots are in different sections");
+
+  if (await hasColumn("plot_reservations", "plot_id")) {
+    const { rows: holders } = await client.query(
+      `
+      SELECT DISTINCT user_id
+      FROM plot_reservations
+      WHERE plot_id = ANY($1::bigint[]) AND LOWER(status) = ANY($2::text[])
+      `,
+      [allIds, HOLDING_RESERVATIONS]
+    );
+    if (holders.length > 1) {
+      throw plotMergeError("Plots are reserved by different people; resolve the reservations first", 409);
+    }
+  }
+
+  const { rows: shape } = await client.query(
+    `
+    WITH u AS (
+      SELECT ST_Union(${SHAPE}) AS g FROM plots p WHERE p.id = ANY($1::bigint[])
+    ), closed AS (
+      SELECT CASE
+        WHEN GeometryType(g) = 'POLYGON' THEN g
+        ELSE ST_Buffer(ST_Buffer(g, $2, 'join=mitre'), -$2, 'join=mitre')
+      END AS g
+      FROM u
+    )
+    SELECT GeometryType(g) AS type, encode(ST_AsEWKB(g), 'hex') AS hex,
+           ROUND(ST_Area(g::geography)::numeric, 2) AS area_sqm
+    FROM closed
+    `,
+    [allIds, ADJACENT_TOLERANCE_DEG]
+  );
+  if (shape[0].type !== "POLYGON") {
+    throw plotMergeError("Plots are not adjacent: together they do not form one polygon");
+  }
+
+  const capacity = plots.reduce((sum, p) => sum + p.effective_capacity, 0);
+  const priced = plots.filter((p) => p.price != null);
+  const price = priced.length ? priced.reduce((sum, p) => sum + Math.round(Number(p.price) * 100), 0) / 100 : null;
+  const status = plots
+    .map((p) => String(p.status || "").toLowerCase())
+    .reduce((best, s) => (STATUS_RANK.indexOf(s) > STATUS_RANK.indexOf(best) ? s : best), "available");
+  const code = plotCode === undefined ? keeper.plot_code : checkCode(plotCode);
+
+  // the keeper takes the merged shape, and room for everyone before graves move in
+  // (the capacity trigger checks each moved grave)
+  const sets = await geometrySets("$2");
+  await client.query(
+    `
+    UPDATE plots SET
+      ${sets.join(",\n      ")},
+      size_sqm = $3,
+      price = $4,
+      plot_code = $5,
+      status = $6,
+      capacity = $7,
+      updated_at = NOW()
+    WHERE id = $1
+    `,
+    [keeper.id, shape[0].hex, shape[0].area_sqm, price, code, status, capacity]
+  );
+
+  const { rows: interred } = await client.query(
+    `SELECT COUNT(*)::int AS n FROM graves WHERE plot_id = ANY($1::bigint[]) AND is_active`,
+    [allIds]
+  );
+
+  // graves of each plot go above the levels of the plots before it
+  let offset = keeper.effective_capacity;
+  for (const p of others) {
+    await client.query(
+      `
+      UPDATE graves
+      SET plot_id = $1, interment_level = interment_level + $3, updated_at = NOW()
+      WHERE plot_id = $2 AND is_active
+      `,
+      [keeper.id, p.id, offset]
+    );
+    offset += p.effective_capacity;
+  }
+
+  const moved = await moveReferences(client, otherIds, keeper.id);
+  await assertUnreferenced(client, otherIds);
+
+  await client.query(`DELETE FROM plots WHERE id = ANY($1::bigint[])`, [otherIds]);
+  await settleOccupancy(client, [keeper.id], interred[0].n > 0);
+
+  await recordLineage(client, "merge", allIds, keeper.id, actor, {
+    sources: plots.map((p) => ({ id: p.id, uid: p.uid, plot_code: p.plot_code })),
+  });
+
+  const [plot] = await plotSummaries(client, [keeper.id]);
+  return {
+    plot,
+    merged: others.map((p) => ({ id: p.id, uid: p.uid, plot_code: p.plot_code })),
+    moved,
+  };
+}
+
+/* =========================================================================================
+   Split
+========================================================================================= */
+
+// pieces: [{ type, hex, area_sqm }] ordered north to south, then west to east
+async function piecesAlongLine(client, plotId, line) {
+  const geo = line?.type === "Feature" ? line.geometry : line;
+  if (!geo || typeof geo !== "object") throw plotMergeError("line must be a GeoJSON LineString");
+
+  let rows;
+  try {
+    ({ rows } = await client.query(
+      `
+      WITH l AS (SELECT ST_SetSRID(ST_GeomFromGeoJSON($2), 4326) AS g)
+      SELECT GeometryType(l.g) AS line_type, d.geom IS NOT NULL AS cut,
+             GeometryType(d.geom) AS type, encode(ST_AsEWKB(d.geom), 'hex') AS hex,
+             ST_Area(d.geom::geography) AS area_sqm
+      FROM plots p
+      CROSS JOIN l
+      LEFT JOIN LATERAL ST_Dump(
+        CASE WHEN GeometryType(l.g) IN ('LINESTRING', 'MULTILINESTRING')
+             THEN ST_CollectionExtract(ST_Split(${SHAPE}, l.g), 3) END
+      ) d ON TRUE
+      WHERE p.id = $1
+      ORDER BY ST_Y(ST_Centroid(d.geom)) DESC, ST_X(ST_Centroid(d.geom))
+      `,
+      [plotId, JSON.stringify(geo)]
+    ));
+  } catch (err) {
+    throw plotMergeError(`line is not valid GeoJSON: ${err.message}`);
+  }
+
+  if (!["LINESTRING", "MULTILINESTRING"].includes(rows[0]?.line_type)) {
+    throw plotMergeError(`line must be a LineString (got ${rows[0]?.line_type})`);
+  }
+  const pieces = rows.filter((r) => r.cut);
+  if (pieces.length < 2) throw plotMergeError("line does not cut across the plot");
+  return pieces;
+}
+
+/**
+ * N strips of equal area, cut square to the plot's long side. Works in a local frame where the
+ * plot is scaled to equal-length degrees and rotated so that side runs along x; area ratios
+ * survive both, so the cut positions are found by bisection on the strip areas.
+ */
+async function piecesOfEqualArea(client, plotId, parts) {
+  const { rows: env } = await client.query(
+    `
+    WITH s AS (
+      SELECT ${SHAPE} AS g, cos(radians(ST_Y(ST_Centroid(${SHAPE})))) AS k FROM plots p WHERE p.id = $1
+    ), e AS (
+      SELECT k, ST_ExteriorRing(ST_OrientedEnvelope(ST_Scale(g, k, 1))) AS r FROM s
+    )
+    SELECT k,
+           ST_X(ST_PointN(r, 1)) AS x1, ST_Y(ST_PointN(r, 1)) AS y1,
+           ST_X(ST_PointN(r, 2)) AS x2, ST_Y(ST_PointN(r, 2)) AS y2,
+           ST_X(ST_PointN(r, 3)) AS x3, ST_Y(ST_PointN(r, 3)) AS y3
+    FROM e
+    `,
+    [plotId]
+  );
+  const { k, x1, y1, x2, y2, x3, y3 } = env[0];
+  const [ax, ay] = Math.hypot(x2 - x1, y2 - y1) >= Math.hypot(x3 - x2, y3 - y2) ? [x2 - x1, y2 - y1] : [x3 - x2, y3 - y2];
+  const angle = Math.atan2(ay, ax);
+
+  const frame = `(SELECT ST_Rotate(ST_Scale(${SHAPE}, $2::float8, 1), -$3::float8) AS f FROM plots p WHERE p.id = $1) fr`;
+  const frameParams = [plotId, k, angle];
+
+  const { rows: b } = await client.query(
+    `SELECT ST_XMin(f) AS xmin, ST_XMax(f) AS xmax, ST_YMin(f) AS ymin, ST_YMax(f) AS ymax, ST_Area(f) AS area FROM ${frame}`,
+    frameParams
+  );
+  const { xmin, xmax, area } = b[0];
+  const ymin = b[0].ymin - 1;
+  const ymax = b[0].ymax + 1;
+
+  const targets = Array.from({ length: parts - 1 }, (_, i) => (area * (i + 1)) / parts);
+  const lo = targets.map(() => xmin);
+  const hi = targets.map(() => xmax);
+  for (let step = 0; step < BISECT_STEPS; step++) {
+    const mids = lo.map((l, i) => (l + hi[i]) / 2);
+    const { rows } = await client.query(
+      `
+      SELECT c.i, ST_Area(ST_Intersection(f, ST_MakeEnvelope($4::float8, $5::float8, c.x, $6::float8, 4326))) AS area
+      FROM ${frame}, unnest($7::float8[]) WITH ORDINALITY AS c(x, i)
+      `,
+      [...frameParams, xmin - 1, ymin, ymax, mids]
+    );
+    for (const r of rows) {
+      const i = Number(r.i) - 1;
+      if (r.area < targets[i]) lo[i] = mids[i];
+      else hi[i] = mids[i];
+    }
+  }
+
+  const cuts = lo.map((l, i) => (l + hi[i]) / 2);
+  const starts = [xmin - 1, ...cuts];
+  const ends = [...cuts, xmax + 1];
+  const { rows } = await client.query(
+    `
+    WITH strips AS (
+      SELECT c.i, ST_SetSRID(
+        ST_Scale(
+          ST_Rotate(ST_CollectionExtract(ST_Intersection(f, ST_MakeEnvelope(c.x0, $4::float8, c.x1, $5::float8, 4326)), 3), $3::float8),
+          1 / $2::float8, 1
+        ),
+        4326
+      ) AS g
+      FROM ${frame}, unnest($6::float8[], $7::float8[]) WITH ORDINALITY AS c(x0, x1, i)
+    ), single AS (
+      SELECT i, CASE WHEN ST_NumGeometries(g) = 1 THEN ST_GeometryN(g, 1) ELSE g END AS g FROM strips
+    )
+    SELECT GeometryType(g) AS type, encode(ST_AsEWKB(g), 'hex') AS hex, ST_Area(g::geography) AS area_sqm
+    FROM single
+    ORDER BY i
+    `,
+    [...frameParams, ymin, ymax, starts, ends]
+  );
+  return rows;
+}
+
+/**
+ * Splits a plot. The first piece stays the original plot (same id / uid); the others are new.
+ * options: { line?: GeoJSON LineString, parts?: 2..20, codes?: [code per piece],
+ *            assign?: { graveIdOrUid: pieceIndex }, actor }
+ * - graves stay on piece 0 unless assigned; each piece must have room for its graves
+ * - reservations, requests and schedules stay on the original plot
+ * - price is shared out by area; new pieces use their section type's capacity
+ * -> { plots: [piece 0, piece 1, ...], moved_graves }
+ */
+async function splitPlot(client, key, { line = null, parts = null, codes = null, assign = null, actor = null } = {}) {
+  if ((line == null) === (parts == null || parts === "")) {
+    throw plotMergeError("Send either line (GeoJSON LineString) or parts (number of equal parts)");
+  }
+  let n = null;
+  if (line == null) {
+    n = Number(parts);
+    if (!Number.isInteger(n) || n < 2 || n > MAX_PARTS) throw plotMergeError(`parts must be a whole number from 2 to ${MAX_PARTS}`);
+  }
+
+  const [plot] = await lockPlots(client, [String(key)]);
+  const pieces = line != null ? await piecesAlongLine(client, plot.id, line) : await piecesOfEqualArea(client, plot.id, n);
+  if (pieces.length > MAX_PARTS) throw plotMergeError(`The line cuts the plot into more than ${MAX_PARTS} pieces`);
+  for (const [i, p] of pieces.entries()) {
+    if (p.type !== "POLYGON") {
+      throw plotMergeError(`Piece ${i} would be a ${p.type}; split this plot along a line instead`);
+    }
+    if (!(p.area_sqm > 0.01)) throw plotMergeError(`Piece ${i} would be empty`);
+  }
+
+  // codes: given per piece, or the original's code with -2, -3 ... for the new pieces
+  if (codes != null && (!Array.isArray(codes) || codes.length !== pieces.length)) {
+    throw plotMergeError(`codes must list one plot code per piece (${pieces.length})`);
+  }
+  const base = String(plot.plot_code || plot.plot_name || plot.uid).trim();
+  const pieceCodes = pieces.map((_, i) =>
+    codes ? checkCode(codes[i], `codes[${i}]`) : i === 0 ? plot.plot_code : checkCode(`${base}-${i + 1}`)
+  );
+
+  // graves -> piece
+  const { rows: graves } = await client.query(
+    `
+    SELECT id, uid, interment_level
+    FROM graves
+    WHERE plot_id = $1 AND is_active
+    ORDER BY interment_level NULLS LAST, id
+    `,
+    [plot.id]
+  );
+  const target = new Map(graves.map((g) => [g.id, 0]));
+  for (const [graveKey, index] of Object.entries(assign || {})) {
+    const grave = graves.find((g) => String(g.id) === graveKey || String(g.uid).trim() === graveKey);
+    if (!grave) throw plotMergeError(`assign: ${graveKey} is not an active grave of this plot`);
+    const i = Number(index);
+    if (!Number.isInteger(i) || i < 0 || i >= pieces.length) {
+      throw plotMergeError(`assign: piece index for ${graveKey} must be from 0 to ${pieces.length - 1}`);
+    }
+    target.set(grave.id, i);
+  }
+
+  // price by area, in cents; the rounding remainder stays with piece 0
+  const totalArea = pieces.reduce((sum, p) => sum + p.area_sqm, 0);
+  const cents = plot.price == null ? null : Math.round(Number(plot.price) * 100);
+  const shares = pieces.map((p) => (cents == null ? null : Math.floor((cents * p.area_sqm) / totalArea)));
+  if (cents != null) shares[0] += cents - shares.reduce((sum, s) => sum + s, 0);
+
+  const sets = await geometrySets("$2");
+  await client.query(
+    `
+    UPDATE plots SET
+      ${sets.join(",\n      ")},
+      size_sqm = ROUND($3::numeric, 2),
+      price = $4,
+      plot_code = $5,
+      updated_at = NOW()
+    WHERE id = $1
+    `,
+    [plot.id, pieces[0].hex, pieces[0].area_sqm, shares[0] == null ? null : shares[0] / 100, pieceCodes[0]]
+  );
+
+  const geometryCols = (await geometryColumns("plots", PLOT_GEOMETRY)).map((c) => c.col);
+  const ids = [plot.id];
+  for (let i = 1; i < pieces.length; i++) {
+    const { rows } = await client.query(
+      `
+      INSERT INTO plots
+        (plot_code, plot_name, plot_type, kind, section_id, section_name, status, price, size_sqm,
+         ${geometryCols.join(", ")}, created_at, updated_at)
+      SELECT $2, CASE WHEN p.plot_name IS NULL THEN NULL ELSE $2 END, p.plot_type, p.kind,
+             p.section_id, p.section_name,
+             CASE WHEN LOWER(p.status) = 'maintenance' THEN 'maintenance' ELSE 'available' END,
+             $3, ROUND($4::numeric, 2),
+             ${geometryCols.map(() => "s.g").join(", ")}, NOW(), NOW()
+      FROM plots p, (SELECT $5::geometry AS g) s
+      WHERE p.id = $1
+      RETURNING id
+      `,
+      [plot.id, pieceCodes[i], shares[i] == null ? null : shares[i] / 100, pieces[i].area_sqm, pieces[i].hex]
+    );
+    ids.push(rows[0].id);
+  }
+
+  // graves for the new pieces, levels 1..n in their old order
+  let movedGraves = 0;
+  for (let i = 1; i < ids.length; i++) {
+    const mine = graves.filter((g) => target.get(g.id) === i);
+    if (!mine.length) continue;
+
+    const { rows: cap } = await client.query(`SELECT plot_capacity($1) AS capacity`, [ids[i]]);
+    if (mine.length > cap[0].capacity) {
+      throw plotMergeError(
+        `Piece ${i} has room for ${cap[0].capacity} interment(s), ${mine.length} were assigned to it`,
+        409
+      );
+    }
+    for (const [level, g] of mine.entries()) {
+      await client.query(
+        `UPDATE graves SET plot_id = $1, interment_level = $2, updated_at = NOW() WHERE id = $3`,
+        [ids[i], level + 1, g.id]
+      );
+    }
+    movedGraves += mine.length;
+  }
+
+  await settleOccupancy(client, ids, graves.length > 0);
+
+  for (const id of ids) {
+    await recordLineage(client, "split", [plot.id], id, actor, {
+      method: line != null ? "line" : "equal_parts",
+      pieces: ids.length,
+    });
+  }
+
+  return { plots: await plotSummaries(client, ids), moved_graves: movedGraves };
+}
+
+module.exports = {
+  plotMergeError,
+  parseIds,
+  mergePlots,
+  splitPlot,
+};
@@ -0,0 +1,239 @@
+// backend/services/section-layout-grid.js
+"use strict";
+
+/**
+ * Parametric section layouts: a quadrilateral section is split into rows x columns of plots,
+ * with optional road stripes between columns and/or rows. This module only does the geometry
+ * and never touches the database (scripts/generate-s-section-geojson.js prints its output);
+ * section-layout.service.js writes the result.
+ *
+ * spec:
+ *   section            { name (max 10), id?, section_type?, description? }
+ *   corners            { top_left, top_right, bottom_left, bottom_right }  each { lat, lng }
+ *   rows, columns      plot rows / plot columns
+ *   road_after_columns [c, ...]  vertical road after plot column c (1-based), full height
+ *   road_after_rows    [r, ...]  horizontal road after plot row r, between the vertical roads
+ *   road_width         stripe width relative to one plot column / row (default 1)
+ *   naming             { pattern = "{section}{n}", start = 1, pad = 0 }
+ *                      tokens: {section} {n} {row} {col} {row_letter}
+ *   defaults           { price, plot_type, status = "available" }
+ *
+ * The original S section (scripts/generate-s-section-geojson.js) is
+ *   rows 12, columns 8, road_after_columns [2, 4, 6], naming "{section}{n}".
+ */
+
+const MAX_ROWS = 200;
+const MAX_COLUMNS = 200;
+const SECTION_NAME_MAX = 10;
+const CORNERS = ["top_left", "top_right", "bottom_left", "bottom_right"];
+
+function layoutError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function toPoint(p, label) {
+  const lat = Number(p?.lat);
+  const lng = Number(p?.lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    throw layoutError(`corners.${label} must be { lat, lng }`);
+  }
+  return { lat, lng };
+}
+
+function toCount(v, label, max) {
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < 1 || n > max) throw layoutError(`${label} must be a whole number from 1 to ${max}`);
+  return n;
+}
+
+function toStripes(list, label, count) {
+  if (list == null) return [];
+  if (!Array.isArray(list)) throw layoutError(`${label} must be an array`);
+  const out = [...new Set(list.map(Number))].sort((a, b) => a - b);
+  for (const n of out) {
+    if (!Number.isInteger(n) || n < 1 || n >= count) throw layoutError(`${label} values must be between 1 and ${count - 1}`);
+  }
+  return out;
+}
+
+/**
+ * Validates and fills in defaults; throws 400 errors with the offending field.
+ * maxPlots: upper bound for rows x columns (the service passes the importer's batch limit).
+ */
+function normalizeSpec(spec = {}, { maxPlots = Infinity } = {}) {
+  const name = String(spec.section?.name ?? "").trim();
+  if (!name || name.length > SECTION_NAME_MAX) {
+    throw layoutError(`section.name is required (max ${SECTION_NAME_MAX} characters)`);
+  }
+  const sectionId = spec.section?.id == null || spec.section.id === "" ? null : Number(spec.section.id);
+  if (sectionId != null && !Number.isInteger(sectionId)) throw layoutError("section.id must be a number");
+
+  const corners = {};
+  for (const c of CORNERS) corners[c] = toPoint(spec.corners?.[c], c);
+
+  const rows = toCount(spec.rows, "rows", MAX_ROWS);
+  const columns = toCount(spec.columns, "columns", MAX_COLUMNS);
+  if (rows * columns > maxPlots) {
+    throw layoutError(`rows x columns must be at most ${maxPlots} plots`);
+  }
+
+  const roadWidth = spec.road_width == null || spec.road_width === "" ? 1 : Number(spec.road_width);
+  if (!Number.isFinite(roadWidth) || roadWidth <= 0 || roadWidth > 10) {
+    throw layoutError("road_width must be greater than 0 and at most 10");
+  }
+
+  const naming = {
+    pattern: String(spec.naming?.pattern || "{section}{n}"),
+    start: spec.naming?.start == null ? 1 : Number(spec.naming.start),
+    pad: spec.naming?.pad == null ? 0 : Number(spec.naming.pad),
+  };
+  if (!/\{n\}|\{row\}|\{row_letter\}|\{col\}/.test(naming.pattern)) {
+    throw layoutError("naming.pattern must contain {n}, or {row}/{row_letter} and {col}");
+  }
+  if (!Number.isInteger(naming.start) || naming.start < 0) throw layoutError("naming.start must be a whole number");
+  if (!Number.isInteger(naming.pad) || naming.pad < 0 || naming.pad > 6) throw layoutError("naming.pad must be 0-6");
+
+  const defaults = {
+    price: spec.defaults?.price ?? null,
+    plot_type: spec.defaults?.plot_type ?? null,
+    status: spec.defaults?.status ?? "available",
+  };
+
+  return {
+    section: {
+      name,
+      id: sectionId,
+      section_type: spec.section?.section_type ?? null,
+      description: spec.section?.description ?? null,
+    },
+    corners,
+    rows,
+    columns,
+    road_after_columns: toStripes(spec.road_after_columns, "road_after_columns", columns),
+    road_after_rows: toStripes(spec.road_after_rows, "road_after_rows", rows),
+    road_width: roadWidth,
+    naming,
+    defaults,
+  };
+}
+
+/* ---------------- geometry ---------------- */
+const lerp = (a, b, t) => ({ lat: a.lat + (b.lat - a.lat) * t, lng: a.lng + (b.lng - a.lng) * t });
+
+// bilinear position inside the quad; u across (left -> right), v down (top -> bottom)
+function quadPoint(c, u, v) {
+  return lerp(lerp(c.top_left, c.bottom_left, v), lerp(c.top_right, c.bottom_right, v), u);
+}
+
+function quadPolygon(c, u0, u1, v0, v1) {
+  const ring = [
+    quadPoint(c, u0, v0),
+    quadPoint(c, u1, v0),
+    quadPoint(c, u1, v1),
+    quadPoint(c, u0, v1),
+    quadPoint(c, u0, v0),
+  ];
+  return { type: "Polygon", coordinates: [ring.map((p) => [p.lng, p.lat])] };
+}
+
+/**
+ * Splits [0, 1] into `count` cells of width 1 with stripes of `stripeWidth` after the given cells.
+ * -> { cells: [[from, to]], stripes: [[from, to]] }
+ */
+function bands(count, stripesAfter, stripeWidth) {
+  const total = count + stripesAfter.length * stripeWidth;
+  const cells = [];
+  const stripes = [];
+  let at = 0;
+  for (let i = 1; i <= count; i++) {
+    cells.push([at / total, (at + 1) / total]);
+    at += 1;
+    if (stripesAfter.includes(i)) {
+      stripes.push([at / total, (at + stripeWidth) / total]);
+      at += stripeWidth;
+    }
+  }
+  return { cells, stripes };
+}
+
+function rowLetter(i) {
+  let s = "";
+  for (let n = i; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+  return s;
+}
+
+function plotCode(naming, section, n, row, col) {
+  const pad = (v) => String(v).padStart(naming.pad, "0");
+  return naming.pattern
+    .replaceAll("{section}", section)
+    .replaceAll("{n}", pad(n))
+    .replaceAll("{row}", pad(row))
+    .replaceAll("{row_letter}", rowLetter(row))
+    .replaceAll("{col}", pad(col));
+}
+
+/**
+ * spec (normalized) -> { plots, roads } FeatureCollections ready for the importer.
+ * Plots are numbered row by row, left to right, like the original S section.
+ */
+function generateLayout(spec) {
+  const { corners, naming, defaults } = spec;
+  const section = spec.section.name;
+  const cols = bands(spec.columns, spec.road_after_columns, spec.road_width);
+  const rows = bands(spec.rows, spec.road_after_rows, spec.road_width);
+
+  const link = {
+    section_name: section,
+    ...(spec.section.id != null ? { section_id: spec.section.id } : {}),
+  };
+
+  const plots = [];
+  let n = naming.start;
+  rows.cells.forEach(([v0, v1], r) => {
+    cols.cells.forEach(([u0, u1], c) => {
+      plots.push({
+        type: "Feature",
+        properties: {
+          plot_code: plotCode(naming, section, n, r + 1, c + 1),
+          kind: "plot",
+          row_num: r + 1,
+          col_num: c + 1,
+          status: defaults.status,
+          plot_type: defaults.plot_type,
+          price: defaults.price,
+          ...link,
+        },
+        geometry: quadPolygon(corners, u0, u1, v0, v1),
+      });
+      n += 1;
+    });
+  });
+
+  const roads = [];
+  const road = (geometry) =>
+    roads.push({
+      type: "Feature",
+      properties: { plot_code: `${section}-road-${roads.length + 1}`, plot_type: "road", ...link },
+      geometry,
+    });
+
+  // vertical stripes run the full height; horizontal ones stop at them so roads don't overlap
+  for (const [u0, u1] of cols.stripes) road(quadPolygon(corners, u0, u1, 0, 1));
+  const gaps = [0, ...cols.stripes.flat(), 1];
+  for (const [v0, v1] of rows.stripes) {
+    for (let i = 0; i < gaps.length; i += 2) road(quadPolygon(corners, gaps[i], gaps[i + 1], v0, v1));
+  }
+
+  return {
+    plots: { type: "FeatureCollection", features: plots },
+    roads: { type: "FeatureCollection", features: roads },
+  };
+}
+
+module.exports = {
+  layoutError,
+  normalizeSpec,
+  generateLayout,
+};
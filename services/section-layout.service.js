@@ -0,0 +1,138 @@
+// backend/services/section-layout.service.js
+"use strict";
+
+const pool = require("../config/database");
+const importer = require("./geojson-import.service");
+const navigation = require("./navigation.service");
+const grid = require("./section-layout-grid");
+const { layoutError, generateLayout } = grid;
+
+/**
+ * Writes parametric section layouts (services/section-layout-grid.js builds the grid): plots go
+ * to `plots`, road stripes to `road_plots`, both linked to the section (cemetery_sections +
+ * section_id / section_name). Writing goes through the GeoJSON importer, so the same validation
+ * and overlap checks apply.
+ */
+
+/** grid.normalizeSpec() limited to what one importer batch takes. */
+function normalizeSpec(spec = {}) {
+  return grid.normalizeSpec(spec, { maxPlots: importer.MAX_FEATURES });
+}
+
+/* ---------------- section linkage ---------------- */
+async function tableExists(db, table) {
+  const { rows } = await db.query(`SELECT to_regclass($1) AS reg`, [`public.${table}`]);
+  return Boolean(rows[0]?.reg);
+}
+
+/**
+ * Finds the section by id or name, or creates it with the quad as its boundary.
+ * -> { id, uid, section_name, action: "linked" | "created" } or null without cemetery_sections
+ */
+async function linkSection(db, spec) {
+  if (!(await tableExists(db, "cemetery_sections"))) return null;
+
+  const { rows } = await db.query(
+    `
+    SELECT id, uid, section_name
+    FROM cemetery_sections
+    WHERE ($1::bigint IS NOT NULL AND id = $1) OR ($1::bigint IS NULL AND LOWER(section_name) = LOWER($2))
+    ORDER BY id
+    LIMIT 1
+    `,
+    [spec.section.id, spec.section.name]
+  );
+  if (rows.length) return { ...rows[0], action: "linked" };
+  if (spec.section.id != null) throw layoutError(`Section ${spec.section.id} not found`, 404);
+
+  const c = spec.corners;
+  const ring = [c.top_left, c.top_right, c.bottom_right, c.bottom_left, c.top_left].map((p) => [p.lng, p.lat]);
+  try {
+    const { rows: created } = await db.query(
+      `
+      INSERT INTO cemetery_sections (section_name, section_type, description, boundary, area_sqm)
+      SELECT $1, $2, $3, b, ROUND(ST_Area(b::geography)::numeric, 2)
+      FROM (SELECT ST_SetSRID(ST_GeomFromGeoJSON($4), 4326) AS b) s
+      RETURNING id, uid, section_name
+      `,
+      [
+        spec.section.name,
+        spec.section.section_type,
+        spec.section.description,
+        JSON.stringify({ type: "Polygon", coordinates: [ring] }),
+      ]
+    );
+    return { ...created[0], action: "created" };
+  } catch (err) {
+    // cemetery_sections_section_type_check
+    if (err.code === "23514") throw layoutError(`section.section_type "${spec.section.section_type}" is not allowed`);
+    throw err;
+  }
+}
+
+/* ---------------- preview / commit ---------------- */
+/**
+ * Generates the layout and runs it through the importer in one transaction.
+ * commit=false (preview) always rolls back. commit=true commits only when nothing failed.
+ * -> { spec, section, plots: report, roads: report, geojson, applied, blocked }
+ */
+async function buildSection(rawSpec, { commit = false } = {}) {
+  const spec = normalizeSpec(rawSpec);
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const section = await linkSection(client, spec);
+    if (section) spec.section.id = section.id;
+
+    const layout = generateLayout(spec);
+    // only create new plots: a layout never rewrites existing ones
+    const plots = await importer.writeFeatures(client, layout.plots, { layer: "plots", mode: "create" });
+    const roads = layout.roads.features.length
+      ? await importer.writeFeatures(client, layout.roads, { layer: "road_plots", mode: "create" })
+      : null;
+
+    const errors = plots.summary.error + (roads?.summary.error || 0);
+    const skipped = plots.summary.skip + (roads?.summary.skip || 0);
+    // an existing code would leave a hole in the grid, so treat it like an error
+    const blocked = errors > 0 || skipped > 0;
+    const applied = commit && !blocked;
+    await client.query(applied ? "COMMIT" : "ROLLBACK");
+
+    if (applied && roads) navigation.invalidateGraph();
+
+    // a section created by a preview was rolled back with everything else: don't show its id
+    const phantom = !applied && section?.action === "created";
+    if (phantom) spec.section.id = null;
+    const tag = (layer) => (f) => {
+      const properties = { ...f.properties, layer };
+      if (phantom) delete properties.section_id;
+      return { ...f, properties };
+    };
+    const features = [...layout.plots.features.map(tag("plots")), ...layout.roads.features.map(tag("road_plots"))];
+
+    return {
+      spec,
+      section: phantom ? { section_name: section.section_name, action: "create" } : section,
+      plots,
+      roads,
+      geojson: { type: "FeatureCollection", features },
+      applied,
+      blocked,
+    };
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  normalizeSpec,
+  generateLayout,
+  buildSection,
+};
@@ -0,0 +1,214 @@
+// backend/services/section.service.js
+"use strict";
+
+const pool = require("../config/database");
+
+/**
+ * Cemetery sections (table: cemetery_sections) and the plots inside them.
+ *
+ * A plot belongs to the innermost section whose boundary contains a point on the plot.
+ * New plots are assigned by a trigger (migration 013); boundary changes call assignPlots().
+ * plots.section_name (varchar 10) is kept in step when the section name fits.
+ */
+
+function sectionError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const _hasColumnCache = new Map();
+async function hasColumn(tableName, columnName) {
+  const key = `${tableName}.${columnName}`;
+  if (_hasColumnCache.has(key)) return _hasColumnCache.get(key);
+
+  const { rows } = await pool.query(
+    `
+    SELECT 1
+    FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = $1 AND column_name = $2
+    LIMIT 1
+    `,
+    [tableName, columnName]
+  );
+  const ok = rows.length > 0;
+  _hasColumnCache.set(key, ok);
+  return ok;
+}
+
+/**
+ * Checks a GeoJSON Polygon (or a Feature holding one) for cemetery_sections.boundary.
+ * Returns the geometry JSON to bind as ST_GeomFromGeoJSON($n); throws 400 when unusable.
+ */
+async function checkBoundary(db, boundary) {
+  const geometry = boundary?.type === "Feature" ? boundary.geometry : boundary;
+  if (!geometry || typeof geometry !== "object") throw sectionError("boundary must be a GeoJSON Polygon");
+
+  const json = JSON.stringify(geometry);
+  let rows;
+  try {
+    ({ rows } = await db.query(
+      `
+      SELECT GeometryType(g) AS type, ST_IsValid(g) AS valid,
+             CASE WHEN NOT ST_IsValid(g) THEN ST_IsValidReason(g) END AS reason
+      FROM (SELECT ST_SetSRID(ST_GeomFromGeoJSON($1), 4326) AS g) s
+      `,
+      [json]
+    ));
+  } catch (err) {
+    throw sectionError(`boundary is not valid GeoJSON: ${err.message}`);
+  }
+
+  const r = rows[0];
+  if (r.type !== "POLYGON") throw sectionError(`boundary must be a Polygon (got ${r.type})`);
+  if (!r.valid) throw sectionError(`boundary is not a valid polygon: ${r.reason}`);
+  return json;
+}
+
+/**
+ * Re-runs the containment assignment.
+ * scope: { sectionIds } plots in or overlapping those sections, { plotIds } those plots,
+ *        nothing = every plot.
+ * Plots outside every boundary keep a section that has no boundary (set by hand);
+ * plots that left a mapped section are unassigned.
+ * -> { assigned, unassigned } number of plots changed
+ */
+async function assignPlots(db = pool, { sectionIds = null, plotIds = null } = {}) {
+  const params = [];
+  let scope = "";
+  if (sectionIds) {
+    params.push(sectionIds.map(String));
+    scope = `AND (
+      p.section_id::text = ANY($1::text[])
+      OR EXISTS (
+        SELECT 1 FROM cemetery_sections s
+        WHERE s.id::text = ANY($1::text[]) AND s.boundary && COALESCE(p.geom, p.plot_boundary, p.coordinates)
+      )
+    )`;
+  } else if (plotIds) {
+    params.push(plotIds.map(String));
+    scope = `AND p.id::text = ANY($1::text[])`;
+  }
+
+  const { rows } = await db.query(
+    `
+    WITH shapes AS (
+      SELECT p.id, p.section_id AS current, COALESCE(p.geom, p.plot_boundary, p.coordinates) AS shape
+      FROM plots p
+      WHERE COALESCE(p.geom, p.plot_boundary, p.coordinates) IS NOT NULL
+      ${scope}
+    ),
+    target AS (
+      SELECT
+        sh.id,
+        sh.current,
+        (
+          SELECT s.id
+          FROM cemetery_sections s
+          WHERE s.boundary IS NOT NULL
+            AND s.boundary && sh.shape
+            AND ST_Contains(s.boundary, ST_PointOnSurface(sh.shape))
+          ORDER BY ST_Area(s.boundary) ASC, s.id ASC
+          LIMIT 1
+        ) AS hit
+      FROM shapes sh
+      WHERE NOT ST_IsEmpty(sh.shape) AND ST_IsValid(sh.shape)
+    ),
+    decided AS (
+      SELECT
+        t.id,
+        COALESCE(t.hit, CASE WHEN cur.boundary IS NULL THEN t.current END) AS section_id,
+        hs.section_name AS hit_name,
+        cur.section_name AS current_name
+      FROM target t
+      LEFT JOIN cemetery_sections cur ON cur.id = t.current
+      LEFT JOIN cemetery_sections hs ON hs.id = t.hit
+    )
+    UPDATE plots p
+    SET
+      section_id = d.section_id,
+      section_name = CASE
+        WHEN d.hit_name IS NOT NULL AND length(d.hit_name) <= 10 THEN d.hit_name
+        WHEN d.section_id IS NULL AND p.section_name::text = d.current_name::text THEN NULL
+        ELSE p.section_name
+      END,
+      updated_at = NOW()
+    FROM decided d
+    WHERE p.id = d.id
+      AND p.section_id IS DISTINCT FROM d.section_id
+    RETURNING p.section_id
+    `,
+    params
+  );
+
+  return {
+    assigned: rows.filter((r) => r.section_id != null).length,
+    unassigned: rows.filter((r) => r.section_id == null).length,
+  };
+}
+
+/**
+ * Occupancy and revenue per section (no geometry).
+ * Revenue counts each plot's price once: collected = payment approved/accepted,
+ * pending = payment submitted/validated, inventory = price of plots still available.
+ */
+async function sectionStats(db = pool, { sectionId = null } = {}) {
+  const hasPayment = await hasColumn("plot_reservations", "payment_status");
+  const paidWhen = (statuses) =>
+    hasPayment
+      ? `EXISTS (
+          SELECT 1 FROM plot_reservations r
+          WHERE r.plot_id = p.id AND LOWER(COALESCE(r.payment_status, '')) IN (${statuses})
+        )`
+      : "FALSE";
+
+  const params = [];
+  if (sectionId != null) params.push(String(sectionId));
+
+  const { rows } = await db.query(
+    `
+    SELECT
+      s.id, s.uid, s.section_name, s.section_type, s.description, s.area_sqm,
+      s.created_at, s.updated_at,
+      COUNT(p.id)::int AS total_plots,
+      COUNT(p.id) FILTER (WHERE LOWER(p.status) = 'available')::int AS available,
+      COUNT(p.id) FILTER (WHERE LOWER(p.status) = 'reserved')::int AS reserved,
+      COUNT(p.id) FILTER (WHERE LOWER(p.status) = 'occupied')::int AS occupied,
+      COUNT(p.id) FILTER (WHERE LOWER(p.status) = 'maintenance')::int AS maintenance,
+      ROUND(100.0 * COUNT(p.id) FILTER (WHERE LOWER(p.status) = 'occupied') / NULLIF(COUNT(p.id), 0), 1)::float
+        AS occupancy_pct,
+      ROUND(100.0 * COUNT(p.id) FILTER (WHERE LOWER(p.status) IN ('occupied', 'reserved')) / NULLIF(COUNT(p.id), 0), 1)::float
+        AS utilization_pct,
+      COALESCE(SUM(p.price) FILTER (WHERE ${paidWhen("'approved', 'accepted'")}), 0)::float AS revenue_collected,
+      COALESCE(SUM(p.price) FILTER (WHERE ${paidWhen("'submitted', 'validated'")}), 0)::float AS revenue_pending,
+      COALESCE(SUM(p.price) FILTER (WHERE LOWER(p.status) = 'available'), 0)::float AS inventory_value
+    FROM cemetery_sections s
+    LEFT JOIN plots p ON p.section_id = s.id
+    ${sectionId != null ? "WHERE s.id::text = $1 OR s.uid::text = $1" : ""}
+    GROUP BY s.id
+    ORDER BY s.section_name ASC, s.id ASC
+    `,
+    params
+  );
+  return rows;
+}
+
+/** Plots not linked to any section, and how many of those have no geometry to place them by. */
+async function unassignedStats(db = pool) {
+  const { rows } = await db.query(`
+    SELECT
+      COUNT(*)::int AS total_plots,
+      COUNT(*) FILTER (WHERE COALESCE(geom, plot_boundary, coordinates) IS NULL)::int AS unmapped
+    FROM plots
+    WHERE section_id IS NULL
+  `);
+  return rows[0];
+}
+
+module.exports = {
+  sectionError,
+  checkBoundary,
+  assignPlots,
+  sectionStats,
+  unassignedStats,
+};
@@ -0,0 +1,251 @@
+// backend/services/session.service.js
+"use strict";
+
+const crypto = require("crypto");
+const pool = require("../config/database");
+
+/**
+ * Server-side session store (table: user_sessions, see database/migrations/001_user_sessions.sql)
+ *
+ * - Access tokens are short-lived JWTs carrying { sid } -> the session row.
+ * - Refresh tokens are random opaque strings; only their sha256 is stored.
+ * - Every refresh rotates the token. Presenting an already-rotated token
+ *   (previous_token_hash) is treated as theft and revokes the whole session.
+ */
+
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function newRefreshToken() {
+  return crypto.randomBytes(48).toString("base64url");
+}
+
+function clientInfo(req) {
+  const ua = String(req?.headers?.["user-agent"] || "").slice(0, 500) || null;
+  const ip = String(req?.ip || req?.socket?.remoteAddress || "").slice(0, 64) || null;
+  return { userAgent: ua, ip };
+}
+
+const SESSION_COLUMNS = `
+  id, uid, user_id, user_agent, ip_address,
+  created_at, last_used_at, expires_at,
+  revoked_at, revoked_by, revoked_reason
+`;
+
+/**
+ * Creates a session for userId and returns { session, refreshToken }.
+ * Pass a transaction client as db when the caller is already inside one.
+ */
+async function createSession(userId, req, db = pool) {
+  const refreshToken = newRefreshToken();
+  const { userAgent, ip } = clientInfo(req);
+
+  const { rows } = await db.query(
+    `
+    INSERT INTO user_sessions
+      (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+    VALUES
+      ($1, $2, $3, $4, NOW() + ($5 || ' days')::interval)
+    RETURNING ${SESSION_COLUMNS}
+    `,
+    [userId, hashToken(refreshToken), userAgent, ip, String(REFRESH_TOKEN_TTL_DAYS)]
+  );
+
+  return { session: rows[0], refreshToken };
+}
+
+/**
+ * Rotates a refresh token.
+ * Returns { session, refreshToken, user } on success, or { error } with a short reason.
+ */
+async function rotateSession(refreshToken, req) {
+  const hash = hashToken(refreshToken);
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const cur = await client.query(
+      `
+      SELECT
+        s.id, s.user_id, s.expires_at, s.revoked_at,
+        (s.refresh_token_hash = $1) AS is_current,
+        u.is_active, u.role, u.username, u.email
+      FROM user_sessions s
+      JOIN users u ON u.id = s.user_id
+      WHERE s.refresh_token_hash = $1 OR s.previous_token_hash = $1
+      LIMIT 1
+      FOR UPDATE OF s
+      `,
+      [hash]
+    );
+
+    if (!cur.rows.length) {
+      await client.query("ROLLBACK");
+      return { error: "Invalid refresh token" };
+    }
+
+    const s = cur.rows[0];
+
+    if (s.revoked_at) {
+      await client.query("ROLLBACK");
+      return { error: "Session revoked" };
+    }
+
+    // an old (already rotated) token came back -> someone else holds a copy
+    if (!s.is_current) {
+      await client.query(
+        `UPDATE user_sessions
+         SET revoked_at = NOW(), revoked_reason = 'refresh_token_reuse'
+         WHERE id = $1`,
+        [s.id]
+      );
+      await client.query("COMMIT");
+      return { error: "Refresh token reuse detected; session revoked" };
+    }
+
+    if (new Date(s.expires_at).getTime() <= Date.now()) {
+      await client.query("ROLLBACK");
+      return { error: "Session expired" };
+    }
+
+    if (s.is_active === false) {
+      await client.query(
+        `UPDATE user_sessions
+         SET revoked_at = NOW(), revoked_reason = 'account_inactive'
+         WHERE id = $1`,
+        [s.id]
+      );
+      await client.query("COMMIT");
+      return { error: "Account is inactive" };
+    }
+
+    const next = newRefreshToken();
+    const { userAgent, ip } = clientInfo(req);
+
+    const upd = await client.query(
+      `
+      UPDATE user_sessions
+      SET previous_token_hash = refresh_token_hash,
+          refresh_token_hash = $2,
+          last_used_at = NOW(),
+          user_agent = COALESCE($3, user_agent),
+          ip_address = COALESCE($4, ip_address)
+      WHERE id = $1
+      RETURNING ${SESSION_COLUMNS}
+      `,
+      [s.id, hashToken(next), userAgent, ip]
+    );
+
+    await client.query("COMMIT");
+
+    return {
+      session: upd.rows[0],
+      refreshToken: next,
+      user: { id: s.user_id, role: s.role, username: s.username, email: s.email },
+    };
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Used by verifyToken on every request.
+ * Returns the live session joined with the user's current role/is_active, or null.
+ */
+async function getActiveSession(sessionId) {
+  if (!sessionId) return null;
+
+  const { rows } = await pool.query(
+    `
+    SELECT s.id, s.user_id, u.role, u.is_active, u.email_verified_at
+    FROM user_sessions s
+    JOIN users u ON u.id = s.user_id
+    WHERE s.id::text = $1
+      AND s.revoked_at IS NULL
+      AND s.expires_at > NOW()
+    LIMIT 1
+    `,
+    [String(sessionId)]
+  );
+
+  return rows[0] || null;
+}
+
+async function revokeSession(sessionId, { userId = null, revokedBy = null, reason = "logout" } = {}) {
+  const params = [String(sessionId), revokedBy, reason];
+  let where = `id::text = $1 AND revoked_at IS NULL`;
+
+  if (userId != null) {
+    params.push(String(userId));
+    where += ` AND user_id::text = $${params.length}`;
+  }
+
+  const { rows } = await pool.query(
+    `
+    UPDATE user_sessions
+    SET revoked_at = NOW(), revoked_by = $2, revoked_reason = $3
+    WHERE ${where}
+    RETURNING ${SESSION_COLUMNS}
+    `,
+    params
+  );
+
+  return rows[0] || null;
+}
+
+async function revokeUserSessions(userId, { revokedBy = null, reason = "revoked", exceptSessionId = null, db = pool } = {}) {
+  const params = [String(userId), revokedBy, reason];
+  let where = `user_id::text = $1 AND revoked_at IS NULL`;
+
+  if (exceptSessionId != null) {
+    params.push(String(exceptSessionId));
+    where += ` AND id::text <> $${params.length}`;
+  }
+
+  const { rowCount } = await db.query(
+    `
+    UPDATE user_sessions
+    SET revoked_at = NOW(), revoked_by = $2, revoked_reason = $3
+    WHERE ${where}
+    `,
+    params
+  );
+
+  return rowCount;
+}
+
+async function listUserSessions(userId, { includeInactive = false } = {}) {
+  const { rows } = await pool.query(
+    `
+    SELECT
+      ${SESSION_COLUMNS},
+      (revoked_at IS NULL AND expires_at > NOW()) AS is_active
+    FROM user_sessions
+    WHERE user_id::text = $1
+      ${includeInactive ? "" : "AND revoked_at IS NULL AND expires_at > NOW()"}
+    ORDER BY last_used_at DESC, id DESC
+    `,
+    [String(userId)]
+  );
+
+  return rows;
+}
+
+module.exports = {
+  REFRESH_TOKEN_TTL_DAYS,
+  hashToken,
+  createSession,
+  rotateSession,
+  getActiveSession,
+  revokeSession,
+  revokeUserSessions,
+  listUserSessions,
+};
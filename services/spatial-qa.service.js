@@ -0,0 +1,493 @@
+// backend/services/spatial-qa.service.js
+"use strict";
+
+const pool = require("../config/database");
+const navigation = require("./navigation.service");
+
+/**
+ * Topology checks over plots and road_plots, and the repairs that can be made automatically.
+ * Used by GET /api/admin/spatial-qa and POST /api/admin/spatial-qa/repair.
+ *
+ * A plot's shape is COALESCE(geom, plot_boundary, coordinates), the same order the map layers
+ * use; geometry_mismatch flags the other columns when they no longer describe that shape.
+ * Every check returns its offenders as a FeatureCollection (capped at `limit`, with the full
+ * count in the summary).
+ *
+ * Repair fixes invalid_geometry (ST_MakeValid, keeping the polygon / line parts) and
+ * geometry_mismatch (every column rewritten from the shape; point columns get a point on it).
+ * Overlaps, road crossings, plots outside the sections and missing geometry need a person.
+ */
+
+const CHECKS = [
+  "missing_geometry",
+  "invalid_geometry",
+  "geometry_mismatch",
+  "plot_overlap",
+  "plot_road_intersection",
+  "outside_section",
+];
+const REPAIRABLE = ["invalid_geometry", "geometry_mismatch"];
+
+const PLOT_COLUMNS = ["geom", "plot_boundary", "coordinates"];
+const ROAD_COLUMNS = ["coordinates", "plot_boundary"];
+
+// columns further apart than this disagree (Hausdorff distance; degrees ≈ metres / 111320)
+const MISMATCH_TOLERANCE_M = 0.25;
+const MISMATCH_TOLERANCE_DEG = MISMATCH_TOLERANCE_M / 111320;
+// shared area / length below these is a common edge, not an overlap (same as the importer)
+const OVERLAP_MIN_SQM = 0.05;
+const CROSSING_MIN_M = 0.1;
+
+const DEFAULT_LIMIT = 500;
+const MAX_LIMIT = 5000;
+
+function qaError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const _geometryColumnsCache = new Map();
+/** column -> geometry type ("POLYGON", "POINT", "GEOMETRY", ...) for the given candidates. */
+async function geometryColumns(table, candidates) {
+  if (!_geometryColumnsCache.has(table)) {
+    const { rows } = await pool.query(
+      `
+      SELECT f_geometry_column AS col, UPPER(type) AS type
+      FROM geometry_columns
+      WHERE f_table_schema = 'public' AND f_table_name = $1
+      `,
+      [table]
+    );
+    _geometryColumnsCache.set(table, new Map(rows.map((r) => [r.col, r.type])));
+  }
+  const all = _geometryColumnsCache.get(table);
+  return candidates.filter((c) => all.has(c)).map((c) => ({ col: c, type: all.get(c) }));
+}
+
+/** Expression that fits shape g into a column of the given geometry type. */
+function fitToColumn(type, g) {
+  switch (type) {
+    case "POINT":
+      return `ST_PointOnSurface(${g})`;
+    case "POLYGON":
+    case "LINESTRING":
+      // the largest part when g is a multi-geometry
+      return `(
+        SELECT d.geom FROM ST_Dump(${g}) d
+        WHERE GeometryType(d.geom) = '${type}'
+        ORDER BY ST_Area(d.geom) DESC, ST_Length(d.geom) DESC
+        LIMIT 1
+      )`;
+    case "MULTIPOLYGON":
+      return `ST_Multi(ST_CollectionExtract(${g}, 3))`;
+    case "MULTILINESTRING":
+      return `ST_Multi(ST_CollectionExtract(${g}, 2))`;
+    default:
+      return g;
+  }
+}
+
+// ST_CollectionExtract type for a column: 1 point, 2 line, 3 polygon
+function extractDimension(type) {
+  if (/POINT/.test(type)) return 1;
+  if (/LINE/.test(type)) return 2;
+  return 3;
+}
+
+/** SQL condition: column c (row alias p) no longer matches shape s. Invalid pairs are not compared. */
+function sqlDisagrees({ col, type }, s) {
+  const c = `p.${col}`;
+  const test =
+    type === "POINT"
+      ? `NOT ST_DWithin(${c}, ${s}, ${MISMATCH_TOLERANCE_DEG})`
+      : `ST_HausdorffDistance(${c}, ${fitToColumn(type, s)}) > ${MISMATCH_TOLERANCE_DEG}`;
+  return `(${c} IS NOT NULL AND CASE WHEN ST_IsValid(${c}) AND ST_IsValid(${s}) THEN ${test} ELSE FALSE END)`;
+}
+
+function sqlShape(cols, alias = "p") {
+  return cols.length ? `COALESCE(${cols.map((c) => `${alias}.${c.col}`).join(", ")})` : "NULL::geometry";
+}
+
+const PLOT_PROPS = `'table', 'plots', 'id', p.id, 'uid', p.uid, 'plot_code', COALESCE(p.plot_code::text, p.plot_name::text), 'section_name', p.section_name`;
+const ROAD_PROPS = `'table', 'road_plots', 'id', p.id, 'uid', p.uid, 'plot_code', COALESCE(p.plot_code::text, p.plot_name::text)`;
+
+function sqlFeature(geometry, props) {
+  return `json_build_object('type', 'Feature', 'geometry', ST_AsGeoJSON(${geometry}, 7)::json, 'properties', json_build_object(${props}))`;
+}
+
+async function tableExists(table) {
+  const { rows } = await pool.query(`SELECT to_regclass($1) AS reg`, [`public.${table}`]);
+  return Boolean(rows[0]?.reg);
+}
+
+/* ---------------- checks: name -> [sql], each selecting (feature json, total int) ---------------- */
+
+async function checkQueries() {
+  const plotCols = await geometryColumns("plots", PLOT_COLUMNS);
+  const roadCols = (await tableExists("road_plots")) ? await geometryColumns("road_plots", ROAD_COLUMNS) : [];
+  const hasSections = await tableExists("cemetery_sections");
+  const S = sqlShape(plotCols);
+  const R = sqlShape(roadCols);
+
+  const invalidDetail = (cols) =>
+    `ARRAY_REMOVE(ARRAY[${cols
+      .map(
+        ({ col }) =>
+          `CASE WHEN p.${col} IS NOT NULL AND NOT ST_IsValid(p.${col})
+             THEN jsonb_build_object('column', '${col}', 'reason', ST_IsValidReason(p.${col})) END`
+      )
+      .join(", ")}], NULL)`;
+  const anyInvalid = (cols) => cols.map(({ col }) => `(p.${col} IS NOT NULL AND NOT ST_IsValid(p.${col}))`).join(" OR ");
+
+  // valid plot / road shapes; MATERIALIZED so nothing below runs GEOS on an invalid one
+  const validPlots = `
+    SELECT p.id, p.uid, p.plot_code, p.plot_name, p.section_id, p.section_name, ${S} AS shape
+    FROM plots p
+    WHERE ${S} IS NOT NULL AND NOT ST_IsEmpty(${S}) AND ST_IsValid(${S})
+  `;
+  const validRoads = `
+    SELECT p.id, p.uid, p.plot_code, p.plot_name, ${R} AS shape
+    FROM road_plots p
+    WHERE ${R} IS NOT NULL AND NOT ST_IsEmpty(${R}) AND ST_IsValid(${R})
+  `;
+
+  const q = {};
+
+  q.missing_geometry = [
+    `
+    SELECT ${sqlFeature("NULL::geometry", PLOT_PROPS)} AS feature, COUNT(*) OVER ()::int AS total
+    FROM plots p
+    WHERE ${S} IS NULL OR ST_IsEmpty(${S})
+    ORDER BY p.id
+    `,
+  ];
+  if (roadCols.length) {
+    q.missing_geometry.push(`
+      SELECT ${sqlFeature("NULL::geometry", ROAD_PROPS)} AS feature, COUNT(*) OVER ()::int AS total
+      FROM road_plots p
+      WHERE ${R} IS NULL OR ST_IsEmpty(${R})
+      ORDER BY p.id
+    `);
+  }
+
+  q.invalid_geometry = plotCols.length
+    ? [
+        `
+    SELECT ${sqlFeature(S, `${PLOT_PROPS}, 'problems', ${invalidDetail(plotCols)}`)} AS feature,
+           COUNT(*) OVER ()::int AS total
+    FROM plots p
+    WHERE ${anyInvalid(plotCols)}
+    ORDER BY p.id
+    `,
+      ]
+    : [];
+  if (roadCols.length) {
+    q.invalid_geometry.push(`
+      SELECT ${sqlFeature(R, `${ROAD_PROPS}, 'problems', ${invalidDetail(roadCols)}`)} AS feature,
+             COUNT(*) OVER ()::int AS total
+      FROM road_plots p
+      WHERE ${anyInvalid(roadCols)}
+      ORDER BY p.id
+    `);
+  }
+
+  const others = plotCols.slice(1);
+  q.geometry_mismatch = others.length
+    ? [
+        `
+    SELECT ${sqlFeature(
+      S,
+      `${PLOT_PROPS},
+       'columns', ARRAY_REMOVE(ARRAY[${others
+         .map((c) => `CASE WHEN ${sqlDisagrees(c, S)} THEN '${c.col}' END`)
+         .join(", ")}], NULL)`
+    )} AS feature,
+           COUNT(*) OVER ()::int AS total
+    FROM plots p
+    WHERE ${others.map((c) => sqlDisagrees(c, S)).join(" OR ")}
+    ORDER BY p.id
+    `,
+      ]
+    : [];
+
+  q.plot_overlap = plotCols.length
+    ? [
+        `
+    WITH v AS MATERIALIZED (${validPlots}),
+    pairs AS (
+      SELECT a.id AS a_id, a.uid AS a_uid, COALESCE(a.plot_code::text, a.plot_name::text) AS a_code,
+             b.id AS b_id, b.uid AS b_uid, COALESCE(b.plot_code::text, b.plot_name::text) AS b_code,
+             ST_Intersection(a.shape, b.shape) AS shared
+      FROM v a
+      JOIN v b ON a.id < b.id AND a.shape && b.shape AND ST_Relate(a.shape, b.shape, '2********')
+    )
+    SELECT json_build_object(
+             'type', 'Feature',
+             'geometry', ST_AsGeoJSON(shared, 7)::json,
+             'properties', json_build_object(
+               'table', 'plots', 'id', a_id, 'uid', a_uid, 'plot_code', a_code,
+               'other_id', b_id, 'other_uid', b_uid, 'other_plot_code', b_code,
+               'overlap_sqm', ROUND(ST_Area(shared::geography)::numeric, 2)
+             )
+           ) AS feature,
+           COUNT(*) OVER ()::int AS total
+    FROM pairs
+    WHERE ST_Area(shared::geography) > ${OVERLAP_MIN_SQM}
+    ORDER BY ST_Area(shared::geography) DESC, a_id, b_id
+    `,
+      ]
+    : [];
+
+  q.plot_road_intersection =
+    plotCols.length && roadCols.length
+      ? [
+          `
+    WITH v AS MATERIALIZED (${validPlots}),
+    r AS MATERIALIZED (${validRoads}),
+    hits AS (
+      SELECT v.id, v.uid, COALESCE(v.plot_code::text, v.plot_name::text) AS code,
+             r.id AS road_id, r.uid AS road_uid, COALESCE(r.plot_code::text, r.plot_name::text) AS road_code,
+             ST_Intersection(v.shape, r.shape) AS shared
+      FROM v
+      JOIN r ON v.shape && r.shape AND ST_Relate(v.shape, r.shape, 'T********')
+    )
+    SELECT json_build_object(
+             'type', 'Feature',
+             'geometry', ST_AsGeoJSON(shared, 7)::json,
+             'properties', json_build_object(
+               'table', 'plots', 'id', id, 'uid', uid, 'plot_code', code,
+               'road_id', road_id, 'road_uid', road_uid, 'road_code', road_code,
+               'overlap_sqm', ROUND(ST_Area(shared::geography)::numeric, 2),
+               'crossing_m', ROUND(ST_Length(shared::geography)::numeric, 2)
+             )
+           ) AS feature,
+           COUNT(*) OVER ()::int AS total
+    FROM hits
+    WHERE ST_Area(shared::geography) > ${OVERLAP_MIN_SQM} OR ST_Length(shared::geography) > ${CROSSING_MIN_M}
+    ORDER BY id, road_id
+    `,
+        ]
+      : [];
+
+  q.outside_section =
+    plotCols.length && hasSections
+      ? [
+          `
+    WITH v AS MATERIALIZED (${validPlots})
+    SELECT json_build_object(
+             'type', 'Feature',
+             'geometry', ST_AsGeoJSON(v.shape, 7)::json,
+             'properties', json_build_object(
+               'table', 'plots', 'id', v.id, 'uid', v.uid,
+               'plot_code', COALESCE(v.plot_code::text, v.plot_name::text),
+               'section_id', v.section_id, 'section_name', v.section_name
+             )
+           ) AS feature,
+           COUNT(*) OVER ()::int AS total
+    FROM v
+    WHERE EXISTS (SELECT 1 FROM cemetery_sections WHERE boundary IS NOT NULL)
+      AND NOT EXISTS (
+        SELECT 1 FROM cemetery_sections s
+        WHERE s.boundary IS NOT NULL
+          AND s.boundary && v.shape
+          AND ST_Contains(s.boundary, ST_PointOnSurface(v.shape))
+      )
+    ORDER BY v.id
+    `,
+        ]
+      : [];
+
+  return { q, plotCols, roadCols };
+}
+
+/** "invalid_geometry,plot_overlap" -> names; throws 400 on an unknown check. */
+function parseChecks(raw, allowed = CHECKS) {
+  if (raw == null || raw === "") return [...allowed];
+  const list = [].concat(raw).flatMap((c) => String(c).split(","));
+  const names = [...new Set(list.map((c) => c.trim()).filter(Boolean))];
+  const unknown = names.filter((c) => !allowed.includes(c));
+  if (unknown.length) throw qaError(`Unknown check: ${unknown.join(", ")}. Allowed: ${allowed.join(", ")}`);
+  return names;
+}
+
+/**
+ * Runs the checks. options: { checks (names, default all), limit (features per check) }
+ * -> { generated_at, tolerance_m, summary: { check: count }, checks: { check: FeatureCollection } }
+ */
+async function runReport(db = pool, { checks = CHECKS, limit = DEFAULT_LIMIT } = {}) {
+  const cap = Math.min(Math.max(1, Number(limit) || DEFAULT_LIMIT), MAX_LIMIT);
+  const { q } = await checkQueries();
+
+  const summary = {};
+  const out = {};
+  for (const name of checks) {
+    const features = [];
+    let total = 0;
+    for (const sql of q[name] || []) {
+      const { rows } = await db.query(`${sql} LIMIT ${cap}`);
+      total += rows[0]?.total ?? 0;
+      features.push(...rows.map((r) => r.feature));
+    }
+    summary[name] = total;
+    out[name] = {
+      type: "FeatureCollection",
+      truncated: total > features.length,
+      repairable: REPAIRABLE.includes(name),
+      features,
+    };
+  }
+
+  return {
+    generated_at: new Date().toISOString(),
+    tolerance_m: MISMATCH_TOLERANCE_M,
+    summary,
+    checks: out,
+  };
+}
+
+/* ---------------- repair ---------------- */
+
+async function repairPlots(client, { checks, ids }, plotCols) {
+  if (!plotCols.length) return [];
+  const S = sqlShape(plotCols);
+
+  const conditions = [];
+  if (checks.includes("invalid_geometry")) {
+    conditions.push(...plotCols.map(({ col }) => `(p.${col} IS NOT NULL AND NOT ST_IsValid(p.${col}))`));
+  }
+  if (checks.includes("geometry_mismatch")) {
+    conditions.push(...plotCols.slice(1).map((c) => sqlDisagrees(c, S)));
+  }
+  if (!conditions.length) return [];
+
+  const params = [];
+  let scope = "";
+  if (ids) {
+    params.push(ids.map(String));
+    scope = `AND (p.id::text = ANY($1::text[]) OR p.uid::text = ANY($1::text[]))`;
+  }
+
+  // shape made valid first, then every column refitted from it
+  const { rows } = await client.query(
+    `
+    WITH src AS MATERIALIZED (
+      SELECT
+        p.id,
+        ARRAY_REMOVE(ARRAY[${plotCols
+          .map(({ col }) => `CASE WHEN p.${col} IS NOT NULL AND NOT ST_IsValid(p.${col}) THEN '${col}' END`)
+          .join(", ")}], NULL) AS invalid,
+        CASE WHEN ST_IsValid(${S}) THEN ${S} ELSE ST_CollectionExtract(ST_MakeValid(${S}), 3) END AS shape
+      FROM plots p
+      WHERE ${S} IS NOT NULL AND NOT ST_IsEmpty(${S})
+        AND (${conditions.join(" OR ")})
+        ${scope}
+    )
+    UPDATE plots p
+    SET ${plotCols.map(({ col, type }) => `${col} = ${fitToColumn(type, "src.shape")}`).join(",\n        ")},
+        updated_at = NOW()
+    FROM src
+    WHERE p.id = src.id AND NOT ST_IsEmpty(src.shape)
+    RETURNING p.id, p.uid, COALESCE(p.plot_code::text, p.plot_name::text) AS plot_code, src.invalid
+    `,
+    params
+  );
+
+  return rows.map((r) => ({
+    table: "plots",
+    id: r.id,
+    uid: r.uid,
+    plot_code: r.plot_code,
+    fixes: r.invalid.length ? ["make_valid", "sync_columns"] : ["sync_columns"],
+    invalid_columns: r.invalid,
+  }));
+}
+
+// roads: coordinates (line) and plot_boundary (polygon) are separate shapes, each made valid alone
+async function repairRoads(client, { checks, ids }, roadCols) {
+  if (!roadCols.length || !checks.includes("invalid_geometry")) return [];
+
+  const params = [];
+  let scope = "";
+  if (ids) {
+    params.push(ids.map(String));
+    scope = `AND (p.id::text = ANY($1::text[]) OR p.uid::text = ANY($1::text[]))`;
+  }
+
+  const repaired = [];
+  for (const { col, type } of roadCols) {
+    const fixed = `ST_CollectionExtract(ST_MakeValid(p.${col}), ${extractDimension(type)})`;
+    const { rows } = await client.query(
+      `
+      WITH src AS MATERIALIZED (
+        SELECT p.id, ${fixed} AS shape
+        FROM road_plots p
+        WHERE p.${col} IS NOT NULL AND NOT ST_IsValid(p.${col}) ${scope}
+      )
+      UPDATE road_plots p
+      SET ${col} = ${fitToColumn(type, "src.shape")}, updated_at = NOW()
+      FROM src
+      WHERE p.id = src.id AND NOT ST_IsEmpty(src.shape)
+      RETURNING p.id, p.uid, COALESCE(p.plot_code::text, p.plot_name::text) AS plot_code
+      `,
+      params
+    );
+    for (const r of rows) {
+      repaired.push({ table: "road_plots", ...r, fixes: ["make_valid"], invalid_columns: [col] });
+    }
+  }
+  return repaired;
+}
+
+/**
+ * Auto-repair. options: { checks (subset of REPAIRABLE), ids (plot / road ids or uids),
+ * tables (["plots", "road_plots"]), dryRun = true }
+ * -> { dry_run, applied, repaired: [...], summary: { repaired, remaining: { check: count } } }
+ * A dry run makes the same changes and rolls them back.
+ */
+async function repair({ checks = REPAIRABLE, ids = null, tables = ["plots", "road_plots"], dryRun = true } = {}) {
+  const { plotCols, roadCols } = await checkQueries();
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const repaired = [
+      ...(tables.includes("plots") ? await repairPlots(client, { checks, ids }, plotCols) : []),
+      ...(tables.includes("road_plots") ? await repairRoads(client, { checks, ids }, roadCols) : []),
+    ];
+
+    // what is still wrong after the repair (within this transaction)
+    const after = await runReport(client, { checks, limit: 1 });
+
+    await client.query(dryRun ? "ROLLBACK" : "COMMIT");
+
+    if (!dryRun && repaired.some((r) => r.table === "road_plots")) navigation.invalidateGraph();
+
+    return {
+      dry_run: Boolean(dryRun),
+      applied: !dryRun && repaired.length > 0,
+      summary: { repaired: repaired.length, remaining: after.summary },
+      repaired,
+    };
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  CHECKS,
+  REPAIRABLE,
+  MISMATCH_TOLERANCE_M,
+  qaError,
+  geometryColumns,
+  fitToColumn,
+  parseChecks,
+  runReport,
+  repair,
+};
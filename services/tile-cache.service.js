@@ -0,0 +1,94 @@
+// backend/services/tile-cache.service.js
+"use strict";
+
+const crypto = require("crypto");
+const pool = require("../config/database");
+
+/**
+ * Vector tile cache (table: map_tile_cache).
+ * Tiles are dropped by triggers on the map layer tables when a feature inside them changes
+ * (migration 010); TILE_CACHE_MAX_AGE_HOURS is only a safety net for anything missed.
+ *
+ * The tile route is public, so only non-empty tiles in TILE_CACHE_MIN_ZOOM..TILE_CACHE_MAX_ZOOM
+ * are stored, and expired rows are pruned on write (at most every PRUNE_INTERVAL_MINUTES).
+ *
+ * TILE_CACHE=0                 turn the server-side cache off (tiles are built every time)
+ * TILE_CACHE_MAX_AGE_HOURS     default 24
+ * TILE_CACHE_MIN_ZOOM          default 10
+ * TILE_CACHE_MAX_ZOOM          default 20
+ * TILE_BROWSER_MAX_AGE_SECONDS Cache-Control max-age sent to clients (default 60)
+ */
+
+const ENABLED = process.env.TILE_CACHE !== "0";
+const MAX_AGE_HOURS = Number(process.env.TILE_CACHE_MAX_AGE_HOURS) || 24;
+const MIN_ZOOM = Number(process.env.TILE_CACHE_MIN_ZOOM ?? 10);
+const MAX_ZOOM = Number(process.env.TILE_CACHE_MAX_ZOOM ?? 20);
+const BROWSER_MAX_AGE_SECONDS = Number(process.env.TILE_BROWSER_MAX_AGE_SECONDS ?? 60);
+const PRUNE_INTERVAL_MINUTES = 10;
+
+let _lastPruneAt = 0;
+
+function etagFor(tile) {
+  return crypto.createHash("sha1").update(tile).digest("hex");
+}
+
+/** Returns { tile, etag } or null. */
+async function getTile(z, x, y) {
+  if (!ENABLED || z < MIN_ZOOM || z > MAX_ZOOM) return null;
+  const { rows } = await pool.query(
+    `
+    SELECT tile, etag
+    FROM map_tile_cache
+    WHERE z = $1 AND x = $2 AND y = $3
+      AND created_at > NOW() - ($4 || ' hours')::interval
+    `,
+    [z, x, y, String(MAX_AGE_HOURS)]
+  );
+  return rows[0] || null;
+}
+
+function cacheable(z, tile) {
+  return ENABLED && tile.length > 0 && z >= MIN_ZOOM && z <= MAX_ZOOM;
+}
+
+/** Deletes tiles older than MAX_AGE_HOURS (getTile already ignores them). */
+async function pruneExpired(db = pool) {
+  const { rowCount } = await db.query(
+    `DELETE FROM map_tile_cache WHERE created_at <= NOW() - ($1 || ' hours')::interval`,
+    [String(MAX_AGE_HOURS)]
+  );
+  return rowCount;
+}
+
+/**
+ * bounds: [minLng, minLat, maxLng, maxLat] the tile was built from (incl. buffer).
+ * Empty tiles and zooms outside the cached range are not stored. Returns the tile's etag.
+ */
+async function putTile(z, x, y, tile, bounds) {
+  const etag = etagFor(tile);
+  if (!cacheable(z, tile)) return etag;
+
+  if (Date.now() - _lastPruneAt > PRUNE_INTERVAL_MINUTES * 60 * 1000) {
+    _lastPruneAt = Date.now();
+    await pruneExpired();
+  }
+
+  await pool.query(
+    `
+    INSERT INTO map_tile_cache (z, x, y, tile, etag, bounds)
+    VALUES ($1, $2, $3, $4, $5, ST_MakeEnvelope($6, $7, $8, $9, 4326))
+    ON CONFLICT (z, x, y) DO UPDATE
+      SET tile = EXCLUDED.tile, etag = EXCLUDED.etag, bounds = EXCLUDED.bounds, created_at = NOW()
+    `,
+    [z, x, y, tile, etag, ...bounds]
+  );
+  return etag;
+}
+
+/** Drops every cached tile (e.g. after a bulk import). */
+async function invalidateAll(db = pool) {
+  const { rowCount } = await db.query(`DELETE FROM map_tile_cache`);
+  return rowCount;
+}
+
+module.exports = { BROWSER_MAX_AGE_SECONDS, getTile, putTile, pruneExpired, invalidateAll };
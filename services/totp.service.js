@@ -0,0 +1,98 @@
+// backend/services/totp.service.js
+"use strict";
+
+const crypto = require("crypto");
+
+/**
+ * RFC 6238 TOTP (SHA-1, 6 digits, 30s steps) — what Google Authenticator, Authy,
+ * 1Password etc. expect from an otpauth:// URI.
+ */
+
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+// accept the previous/next step too, for clock drift
+const WINDOW = 1;
+
+const B32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += B32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += B32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  const clean = String(str || "").toUpperCase().replace(/[^A-Z2-7]/g, "");
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const ch of clean) {
+    value = (value << 5) | B32.indexOf(ch);
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function hotp(secretBuf, counter) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const h = crypto.createHmac("sha1", secretBuf).update(msg).digest();
+  const offset = h[h.length - 1] & 0x0f;
+  const code = (h.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, "0");
+}
+
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Returns the matching time step (to block replays), or null.
+ * afterStep: the last step already used by this user; codes at or before it are rejected.
+ */
+function verifyCode(secret, code, { afterStep = null, now = Date.now() } = {}) {
+  const candidate = String(code || "").replace(/\s+/g, "");
+  if (!/^\d{6}$/.test(candidate)) return null;
+
+  const key = base32Decode(secret);
+  const step = currentStep(now);
+
+  for (let s = step - WINDOW; s <= step + WINDOW; s++) {
+    if (afterStep != null && s <= Number(afterStep)) continue;
+    const expected = hotp(key, s);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) return s;
+  }
+  return null;
+}
+
+function otpauthUri(secret, { issuer, account }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = { generateSecret, verifyCode, otpauthUri, currentStep };
@@ -0,0 +1,91 @@
+// backend/test/audit.test.js
+"use strict";
+
+/**
+ * middleware/audit: the audit_log row is written before a successful response goes out, and a
+ * response whose entry cannot be written is not reported as a success. In-memory pool:  npm test
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+
+const pool = require("../config/database");
+const { audit } = require("../middleware/audit");
+
+let inserts = [];
+let failInsert = false;
+
+function fakeQuery(text, params = []) {
+  if (/information_schema\.columns/.test(text)) return { rows: [{}] };
+  if (/^\s*INSERT INTO audit_log/.test(text)) {
+    if (failInsert) throw new Error("connection terminated");
+    inserts.push(params);
+    return { rows: [{ id: inserts.length }] };
+  }
+  if (/FROM graves WHERE/.test(text)) return { rows: [{ id: 7, uid: "GRV07", deceased_name: "Juan" }] };
+  return { rows: [] };
+}
+
+let server;
+let baseUrl;
+const original = { query: pool.query };
+
+before(async () => {
+  pool.query = async (text, params) => fakeQuery(text, params);
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, _res, next) => {
+    req.user = { id: 9, username: "admin", role: "admin" };
+    next();
+  });
+  app.patch("/graves/:id", audit("grave.update", { table: "graves" }), (req, res) => {
+    res.json({ ok: true });
+  });
+  app.patch("/fails/:id", audit("grave.update", { table: "graves" }), (req, res) => {
+    res.status(404).json({ ok: false, error: "Not found" });
+  });
+
+  await new Promise((resolve) => {
+    server = app.listen(0, "127.0.0.1", resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  pool.query = original.query;
+  await new Promise((resolve) => server.close(resolve));
+  await pool.end();
+});
+
+async function patch(path) {
+  const res = await fetch(baseUrl + path, { method: "PATCH" });
+  return { status: res.status, body: await res.json() };
+}
+
+test("a successful change is in the audit log before its response arrives", async () => {
+  inserts = [];
+  failInsert = false;
+  const res = await patch("/graves/7");
+  assert.equal(res.status, 200);
+  assert.equal(inserts.length, 1);
+  assert.equal(inserts[0][3], "grave.update");
+  assert.equal(inserts[0][5], "7");
+});
+
+test("a change whose audit entry cannot be written answers 500", async () => {
+  inserts = [];
+  failInsert = true;
+  const res = await patch("/graves/7");
+  assert.equal(res.status, 500);
+  assert.equal(res.body.ok, false);
+});
+
+test("failed requests are not audited", async () => {
+  inserts = [];
+  failInsert = false;
+  const res = await patch("/fails/7");
+  assert.equal(res.status, 404);
+  assert.equal(inserts.length, 0);
+});
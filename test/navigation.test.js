@@ -0,0 +1,65 @@
+// backend/test/navigation.test.js
+"use strict";
+
+/**
+ * Walking routes over a one-path network held in memory (no database needed):  npm test
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const pool = require("../config/database");
+const navigation = require("../services/navigation.service");
+
+// a straight path of ~111 m running north
+const PATH = {
+  kind: "path",
+  name: "Main Path",
+  path_type: "walkway",
+  is_accessible: true,
+  difficulty_level: 1,
+  surface_type: "concrete",
+  geometry: {
+    type: "LineString",
+    coordinates: [
+      [121.0, 14.5],
+      [121.0, 14.501],
+    ],
+  },
+};
+
+const original = { query: pool.query };
+
+before(() => {
+  pool.query = async (text, params = []) => {
+    if (/to_regclass/.test(text)) return { rows: [{ reg: params[0] === "public.navigation_paths" ? params[0] : null }] };
+    if (/ST_Node/.test(text)) return { rows: [PATH] };
+    return { rows: [] };
+  };
+  navigation.invalidateGraph();
+});
+
+after(async () => {
+  pool.query = original.query;
+  navigation.invalidateGraph();
+  await pool.end();
+});
+
+test("a route along the path ends with the arrive step", async () => {
+  const out = await navigation.route({ lng: 121.0, lat: 14.5 }, { lng: 121.0, lat: 14.501 }, { arriveLabel: "plot A1" });
+  assert.equal(out.feature.geometry.type, "LineString");
+  assert.ok(out.feature.properties.distance_m > 100);
+  assert.equal(out.feature.properties.steps.at(-1).instruction, "Arrive at plot A1");
+});
+
+test("from == to answers a zero-distance route instead of failing", async () => {
+  const spot = { lng: 121.0, lat: 14.5005 };
+  const out = await navigation.route(spot, { ...spot }, { arriveLabel: "plot A1" });
+  assert.equal(out.error, undefined);
+  assert.deepEqual(out.feature.geometry, { type: "Point", coordinates: [121.0, 14.5005] });
+  assert.equal(out.feature.properties.distance_m, 0);
+  assert.equal(out.feature.properties.duration_s, 0);
+  assert.deepEqual(out.feature.properties.steps, [
+    { instruction: "Arrive at plot A1", distance_m: 0, bearing: null, location: [121.0, 14.5005] },
+  ]);
+});
@@ -0,0 +1,258 @@
+// backend/test/ownership.test.js
+"use strict";
+
+/**
+ * Cross-account access: a visitor must not reach another family's records through any route
+ * that names a family contact or a record id. Runs the real routers against an in-memory
+ * stand-in for the pool (no database needed):  npm test
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+const pool = require("../config/database");
+
+/* ---------------- fixtures ---------------- */
+const ALICE = { id: 1, role: "visitor", sid: "sess-alice" };
+const BOB = { id: 2, role: "visitor", sid: "sess-bob" };
+const ADMIN = { id: 9, role: "admin", sid: "sess-admin" };
+const USERS = [ALICE, BOB, ADMIN];
+
+const PERMISSIONS = {
+  visitor: ["requests:submit", "reservations:submit", "dashboard:personal"],
+  admin: ["graves:view", "graves:edit", "requests:submit", "reservations:submit"],
+};
+
+// everything below belongs to Bob
+const TABLES = {
+  burial_requests: [{ id: 20, family_contact: BOB.id, status: "pending" }],
+  maintenance_requests: [{ id: 21, family_contact: BOB.id, status: "completed" }],
+  plot_reservations: [{ id: 22, user_id: BOB.id, plot_id: 5, status: "approved", payment_status: "pending" }],
+  graves: [{ id: 23, uid: "GRV23", family_contact: BOB.id, plot_id: 5, deceased_name: "Juan Dela Cruz" }],
+};
+
+/* ---------------- in-memory pool ---------------- */
+let queries = [];
+
+function fakeQuery(text, params = []) {
+  const sql = typeof text === "string" ? text : text.text;
+  queries.push({ sql, params });
+
+  if (/FROM user_sessions s/.test(sql)) {
+    const u = USERS.find((x) => x.sid === String(params[0]));
+    return { rows: u ? [{ id: u.sid, user_id: u.id, role: u.role, is_active: true, email_verified_at: new Date() }] : [] };
+  }
+  if (/FROM role_permissions/.test(sql)) {
+    const rows = [];
+    for (const [role, keys] of Object.entries(PERMISSIONS)) {
+      for (const key of keys) rows.push({ role, permission_key: key });
+    }
+    return { rows };
+  }
+  if (/FROM family_group_members m/.test(sql)) return { rows: [] };
+
+  // ownership.service loadOwnedRow()
+  const owned = /SELECT \* FROM (\w+) WHERE id::text = \$1/.exec(sql);
+  if (owned) {
+    return { rows: (TABLES[owned[1]] || []).filter((r) => String(r.id) === String(params[0])) };
+  }
+
+  // visitor nearest-plots reference grave (params: grave, contact ids or null)
+  if (/FROM graves g\s+JOIN plots p/.test(sql)) {
+    const rows = TABLES.graves
+      .filter((g) => String(g.id) === String(params[0]) || g.uid === String(params[0]))
+      .filter((g) => params[1] == null || params[1].includes(String(g.family_contact)))
+      .map((g) => ({
+        id: g.plot_id,
+        uid: "P0005",
+        plot_code: "A-05",
+        lat: 14.5,
+        lng: 121.0,
+        grave_uid: g.uid,
+        deceased_name: g.deceased_name,
+      }));
+    return { rows };
+  }
+
+  // burial-records list: string params filter one family, array params the allowed families
+  if (/FROM graves g\s+LEFT JOIN users u/.test(sql)) {
+    let rows = TABLES.graves;
+    for (const p of params) {
+      if (Array.isArray(p)) rows = rows.filter((g) => p.includes(String(g.family_contact)));
+      else if (typeof p === "string") rows = rows.filter((g) => String(g.family_contact) === p);
+    }
+    return { rows };
+  }
+
+  return { rows: [], rowCount: 0 };
+}
+
+const mutations = () =>
+  queries.filter((q) => /^\s*(INSERT|UPDATE|DELETE)\b/i.test(q.sql)).map((q) => q.sql.trim().split("\n")[0]);
+
+/* ---------------- app ---------------- */
+let server;
+let baseUrl;
+const original = { query: pool.query, connect: pool.connect };
+
+before(async () => {
+  pool.query = async (text, params) => fakeQuery(text, params);
+  pool.connect = async () => ({ query: async (text, params) => fakeQuery(text, params), release() {} });
+
+  const app = express();
+  app.use(express.json());
+  app.use("/api", require("../routes"));
+  app.use((err, _req, res, _next) => res.status(500).json({ error: err.message }));
+
+  await new Promise((resolve) => {
+    server = app.listen(0, "127.0.0.1", resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  pool.query = original.query;
+  pool.connect = original.connect;
+  await new Promise((resolve) => server.close(resolve));
+  await pool.end();
+});
+
+function tokenFor(user) {
+  return jwt.sign({ id: user.id, role: user.role, sid: user.sid }, process.env.JWT_SECRET);
+}
+
+async function call(method, path, { as = ALICE, body, form } = {}) {
+  queries = [];
+  const headers = {};
+  if (as) headers.authorization = `Bearer ${tokenFor(as)}`;
+  let payload;
+  if (form) {
+    payload = form;
+  } else if (body !== undefined) {
+    headers["content-type"] = "application/json";
+    payload = JSON.stringify(body);
+  }
+  const res = await fetch(baseUrl + path, { method, headers, body: payload });
+  const text = await res.text();
+  let json = null;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    json = text;
+  }
+  return { status: res.status, body: json };
+}
+
+/* ---------------- routes naming a family contact ---------------- */
+const CONTACT_ROUTES = [
+  ["GET", `/api/visitor/my-deceased-names/${BOB.id}`],
+  ["GET", `/api/visitor/my-burial-requests/${BOB.id}`],
+  ["GET", `/api/visitor/my-maintenance-requests/${BOB.id}`],
+  ["GET", `/api/visitor/my-maintenance-schedule/${BOB.id}`],
+  [
+    "POST",
+    "/api/visitor/request-burial",
+    {
+      deceased_name: "Maria Santos",
+      birth_date: "1940-01-01",
+      death_date: "2024-01-01",
+      burial_date: "2024-01-05",
+      family_contact: BOB.id,
+    },
+  ],
+  ["POST", "/api/visitor/request-maintenance", { family_contact: BOB.id, deceased_name: "Juan", category: "cleaning" }],
+  ["GET", `/api/graves/${BOB.id}`],
+  ["GET", `/api/graves?family_contact=${BOB.id}`],
+];
+
+for (const [method, path, body] of CONTACT_ROUTES) {
+  test(`${method} ${path} is forbidden for another family`, async () => {
+    const res = await call(method, path, { body });
+    assert.equal(res.status, 403);
+    assert.deepEqual(mutations(), []);
+  });
+}
+
+/* ---------------- routes addressing a record by id ---------------- */
+const RECORD_ROUTES = [
+  // cancel answers 400 "Request not found" (unchanged response of the original endpoint)
+  ["PATCH", "/api/visitor/request-burial/cancel/20", undefined, 400],
+  ["PATCH", "/api/visitor/request-maintenance/cancel/21", undefined, 400],
+  ["PATCH", "/api/visitor/maintenance/21/request-reschedule", { preferred_date: "2030-01-01", preferred_time: "09:00" }, 404],
+  ["POST", "/api/visitor/maintenance/21/feedback", { rating: 5, feedback_text: "ok" }, 404],
+  ["PATCH", "/api/visitor/cancel-reservation/22", undefined, 404],
+  ["GET", "/api/visitor/nearest-plots?grave=23", undefined, 404],
+  ["GET", "/api/visitor/nearest-plots?grave=GRV23", undefined, 404],
+];
+
+for (const [method, path, body, status] of RECORD_ROUTES) {
+  test(`${method} ${path} does not reach another family's record`, async () => {
+    const res = await call(method, path, { body });
+    assert.equal(res.status, status);
+    assert.deepEqual(mutations(), []);
+  });
+}
+
+test("POST /api/visitor/reservations/:id/upload-receipt refuses another family's reservation", async () => {
+  const form = new FormData();
+  form.append("receipt", new Blob([Buffer.from("89504e470d0a1a0a", "hex")], { type: "image/png" }), "r.png");
+  const res = await call("POST", "/api/visitor/reservations/22/upload-receipt", { form });
+  assert.equal(res.status, 404);
+  assert.deepEqual(mutations(), []);
+});
+
+/* ---------------- graves list ---------------- */
+test("GET /api/graves needs a token", async () => {
+  const res = await call("GET", "/api/graves", { as: null });
+  assert.equal(res.status, 401);
+});
+
+test("GET /api/graves checks the token and session once", async () => {
+  await call("GET", "/api/graves");
+  assert.equal(queries.filter((q) => /FROM user_sessions s/.test(q.sql)).length, 1);
+});
+
+test("GET /api/graves only lists the caller's families for a visitor", async () => {
+  const res = await call("GET", "/api/graves");
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, []);
+});
+
+/* ---------------- the owner and staff still get through ---------------- */
+test("the owner reads their own records", async () => {
+  const graves = await call("GET", `/api/graves/${BOB.id}`, { as: BOB });
+  assert.equal(graves.status, 200);
+  assert.deepEqual(
+    graves.body.map((g) => g.id),
+    [23]
+  );
+
+  const requests = await call("GET", `/api/visitor/my-burial-requests/${BOB.id}`, { as: BOB });
+  assert.equal(requests.status, 200);
+});
+
+test("the owner can use their own grave as the nearest-plots reference", async () => {
+  const res = await call("GET", "/api/visitor/nearest-plots?grave=23", { as: BOB });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.origin, {
+    lat: 14.5,
+    lng: 121.0,
+    plot_id: 5,
+    plot_code: "A-05",
+    grave_uid: "GRV23",
+    deceased_name: "Juan Dela Cruz",
+  });
+});
+
+test("staff with graves:view list every family's graves", async () => {
+  const res = await call("GET", "/api/graves", { as: ADMIN });
+  assert.equal(res.status, 200);
+  assert.deepEqual(
+    res.body.map((g) => g.id),
+    [23]
+  );
+});